@@ -0,0 +1,468 @@
+/**
+ * Chaves de API dos clientes
+ *
+ * Cada cliente recebe uma chave no formato `aak_<id>_<segredo>`. Apenas o
+ * hash SHA-256 da chave é armazenado, na coleção `amazonApiKeys` do
+ * Firestore, junto com o nome do cliente, as origens e rotas permitidas e
+ * as cotas por minuto e por dia.
+ *
+ * Chaves `publishable` ficam visíveis no HTML das páginas (data-api-key do
+ * widget): só acessam a rota `widget`, exigem origens definidas e sempre
+ * têm cota.
+ *
+ * As chaves validadas ficam em memória por alguns segundos para que cada
+ * requisição não gere uma leitura no Firestore; as cotas são contadas em
+ * memória, por instância.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const crypto = require('crypto');
+const { getFirestore, admin } = require('./firebase');
+const { ValidationError } = require('./errors');
+const { logger } = require('./logger');
+
+// Coleção do Firestore com as chaves
+const API_KEYS_COLLECTION = 'amazonApiKeys';
+
+// Prefixo das chaves, facilita identificá-las em logs e varreduras de segredos
+const API_KEY_PREFIX = 'aak';
+
+// Rotas de /amazon-products que podem ser liberadas por chave
+const API_KEY_ROUTES = ['search', 'items', 'widget', 'feed', 'contextual', 'batch', 'categories', 'price-history', 'variations', 'watches', 'analytics'];
+
+// Tipos de chave: secret (servidores e sites confiáveis) e publishable (exposta nas páginas pelo widget)
+const API_KEY_TYPES = ['secret', 'publishable'];
+
+// Únicas rotas liberadas para chaves publishable
+const PUBLISHABLE_ROUTES = ['widget'];
+
+// Cotas padrão de novas chaves
+const DEFAULT_QUOTA_PER_MINUTE = parseInt(process.env.API_KEY_DEFAULT_PER_MINUTE, 10) || 60;
+const DEFAULT_QUOTA_PER_DAY = parseInt(process.env.API_KEY_DEFAULT_PER_DAY, 10) || 10000;
+
+// Cotas padrão de novas chaves publishable, menores por ficarem visíveis nas páginas
+const PUBLISHABLE_QUOTA_PER_MINUTE = parseInt(process.env.API_KEY_PUBLISHABLE_PER_MINUTE, 10) || 30;
+const PUBLISHABLE_QUOTA_PER_DAY = parseInt(process.env.API_KEY_PUBLISHABLE_PER_DAY, 10) || 2000;
+
+// Tempo em que uma chave validada é reaproveitada sem nova leitura no Firestore
+const KEY_CACHE_MS = 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Chaves validadas recentemente, indexadas pelo ID
+const keyCache = new Map();
+
+// Contadores de uso por chave (janelas fixas de minuto e de dia UTC)
+const usageByKey = new Map();
+
+/**
+ * Calcula o hash armazenado de uma chave
+ * @param {string} apiKey - Chave em texto
+ * @returns {string} Hash SHA-256 hexadecimal
+ */
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Gera uma nova chave para um ID
+ * @param {string} id - ID da chave
+ * @returns {string} Chave em texto
+ */
+function generateApiKey(id) {
+    return `${API_KEY_PREFIX}_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Extrai o ID de uma chave em texto
+ * @param {string} apiKey - Chave em texto
+ * @returns {string|null} ID ou null se o formato for inválido
+ */
+function parseApiKeyId(apiKey) {
+    const match = /^aak_([A-Za-z0-9]{20})_[A-Za-z0-9_-]{32}$/.exec(String(apiKey));
+    return match ? match[1] : null;
+}
+
+/**
+ * Valida uma lista de strings opcional
+ * @param {string} field - Nome do campo
+ * @param {*} value - Valor recebido
+ * @param {Function} validateItem - Valida e normaliza cada item
+ * @returns {Array<string>} Lista validada (vazia se ausente)
+ * @throws {ValidationError} Se a lista for inválida
+ */
+function validateList(field, value, validateItem) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        throw new ValidationError(`Campo "${field}" inválido: deve ser uma lista de strings`);
+    }
+
+    return [...new Set(value.map(validateItem))];
+}
+
+/**
+ * Valida uma cota opcional
+ * @param {string} field - Nome do campo
+ * @param {*} value - Valor recebido
+ * @param {number} defaultValue - Cota padrão
+ * @returns {number|null} Cota validada ou null para ilimitada
+ * @throws {ValidationError} Se a cota for inválida
+ */
+function validateQuota(field, value, defaultValue) {
+    if (value === undefined) {
+        return defaultValue;
+    }
+
+    if (value === null) {
+        return null;
+    }
+
+    const quota = Number(value);
+    if (!Number.isInteger(quota) || quota < 1) {
+        throw new ValidationError(`Campo "${field}" inválido: deve ser um inteiro positivo ou null (ilimitado)`);
+    }
+
+    return quota;
+}
+
+/**
+ * Valida os campos de uma nova chave
+ * @param {Object} input - Corpo da requisição
+ * @returns {Object} Campos validados
+ * @throws {ValidationError} Se algum campo for inválido
+ */
+function validateApiKeyInput(input) {
+    if (!input || typeof input !== 'object') {
+        throw new ValidationError('Corpo da requisição inválido: deve ser um objeto JSON');
+    }
+
+    if (typeof input.name !== 'string' || input.name.trim().length === 0 || input.name.length > 100) {
+        throw new ValidationError('Campo "name" é obrigatório e deve ter até 100 caracteres');
+    }
+
+    const type = input.type === undefined ? 'secret' : input.type;
+    if (!API_KEY_TYPES.includes(type)) {
+        throw new ValidationError(`Campo "type" inválido: "${type}". Valores aceitos: ${API_KEY_TYPES.join(', ')}`);
+    }
+
+    const allowedOrigins = validateList('allowedOrigins', input.allowedOrigins, origin => {
+        let url;
+        try {
+            url = new URL(origin);
+        } catch (error) {
+            throw new ValidationError(`Campo "allowedOrigins" inválido: "${origin}" não é uma origem (ex.: https://seusite.com)`);
+        }
+        return url.origin;
+    });
+
+    const allowedRoutes = validateList('allowedRoutes', input.allowedRoutes, route => {
+        if (!API_KEY_ROUTES.includes(route)) {
+            throw new ValidationError(`Campo "allowedRoutes" inválido: "${route}". Valores aceitos: ${API_KEY_ROUTES.join(', ')}`);
+        }
+        return route;
+    });
+
+    const quota = input.quota || {};
+
+    if (type === 'publishable') {
+        return validatePublishableKey(input.name.trim(), allowedOrigins, allowedRoutes, quota);
+    }
+
+    return {
+        name: input.name.trim(),
+        type,
+        allowedOrigins,
+        allowedRoutes,
+        quota: {
+            perMinute: validateQuota('quota.perMinute', quota.perMinute, DEFAULT_QUOTA_PER_MINUTE),
+            perDay: validateQuota('quota.perDay', quota.perDay, DEFAULT_QUOTA_PER_DAY)
+        }
+    };
+}
+
+/**
+ * Valida os campos de uma chave publishable
+ *
+ * A chave fica visível para qualquer visitante, então o que limita seu uso
+ * fora do site são as origens, a rota `widget` e as cotas.
+ *
+ * @param {string} name - Nome do cliente
+ * @param {Array<string>} allowedOrigins - Origens validadas
+ * @param {Array<string>} allowedRoutes - Rotas validadas
+ * @param {Object} quota - Cotas recebidas (perMinute, perDay)
+ * @returns {Object} Campos validados
+ * @throws {ValidationError} Se faltarem origens, se houver outras rotas ou cota ilimitada
+ */
+function validatePublishableKey(name, allowedOrigins, allowedRoutes, quota) {
+    if (allowedOrigins.length === 0) {
+        throw new ValidationError('Chaves publishable exigem "allowedOrigins" com as origens do site');
+    }
+
+    const deniedRoutes = allowedRoutes.filter(route => !PUBLISHABLE_ROUTES.includes(route));
+    if (deniedRoutes.length > 0) {
+        throw new ValidationError(`Chaves publishable só acessam as rotas ${PUBLISHABLE_ROUTES.join(', ')}: remova ${deniedRoutes.join(', ')}`);
+    }
+
+    if (quota.perMinute === null || quota.perDay === null) {
+        throw new ValidationError('Chaves publishable não aceitam cota ilimitada (null)');
+    }
+
+    return {
+        name,
+        type: 'publishable',
+        allowedOrigins,
+        allowedRoutes: PUBLISHABLE_ROUTES,
+        quota: {
+            perMinute: validateQuota('quota.perMinute', quota.perMinute, PUBLISHABLE_QUOTA_PER_MINUTE),
+            perDay: validateQuota('quota.perDay', quota.perDay, PUBLISHABLE_QUOTA_PER_DAY)
+        }
+    };
+}
+
+/**
+ * Converte um documento do Firestore na representação pública da chave (sem hash)
+ * @param {Object} doc - Documento do Firestore
+ * @returns {Object} Chave serializada
+ */
+function serializeApiKey(doc) {
+    const data = doc.data();
+    const toIso = timestamp => (timestamp ? timestamp.toDate().toISOString() : null);
+
+    return {
+        id: doc.id,
+        name: data.name,
+        prefix: `${API_KEY_PREFIX}_${doc.id}`,
+        type: data.type || 'secret',
+        allowedOrigins: data.allowedOrigins || [],
+        allowedRoutes: data.allowedRoutes || [],
+        quota: data.quota,
+        active: data.active !== false,
+        lastUsedAt: toIso(data.lastUsedAt),
+        rotatedAt: toIso(data.rotatedAt),
+        revokedAt: toIso(data.revokedAt),
+        createdAt: toIso(data.createdAt)
+    };
+}
+
+/**
+ * Emite uma nova chave de API
+ * @param {Object} input - Dados da chave (name, type, allowedOrigins, allowedRoutes, quota.perMinute, quota.perDay)
+ * @returns {Promise<Object>} Chave criada e a chave em texto (exibida apenas nesta resposta)
+ */
+async function issueApiKey(input) {
+    const fields = validateApiKeyInput(input);
+    const docRef = getFirestore().collection(API_KEYS_COLLECTION).doc();
+    const apiKey = generateApiKey(docRef.id);
+
+    await docRef.set({
+        ...fields,
+        keyHash: hashApiKey(apiKey),
+        active: true,
+        lastUsedAt: null,
+        rotatedAt: null,
+        revokedAt: null,
+        createdAt: admin.firestore.Timestamp.now()
+    });
+
+    return { key: serializeApiKey(await docRef.get()), apiKey };
+}
+
+/**
+ * Lista as chaves de API
+ * @returns {Promise<Array<Object>>} Chaves cadastradas
+ */
+async function listApiKeys() {
+    const snapshot = await getFirestore().collection(API_KEYS_COLLECTION).get();
+    return snapshot.docs.map(serializeApiKey);
+}
+
+/**
+ * Recupera uma chave pelo ID
+ * @param {string} id - ID da chave
+ * @returns {Promise<Object|null>} Chave ou null se não existir
+ */
+async function getApiKey(id) {
+    const doc = await getFirestore().collection(API_KEYS_COLLECTION).doc(id).get();
+    return doc.exists ? serializeApiKey(doc) : null;
+}
+
+/**
+ * Gera um novo segredo para uma chave; a chave anterior deixa de funcionar
+ * @param {string} id - ID da chave
+ * @returns {Promise<Object|null>} Chave e a nova chave em texto, ou null se não existir
+ * @throws {ValidationError} Se a chave estiver revogada
+ */
+async function rotateApiKey(id) {
+    const docRef = getFirestore().collection(API_KEYS_COLLECTION).doc(id);
+    const doc = await docRef.get();
+    if (!doc.exists) {
+        return null;
+    }
+
+    if (doc.data().active === false) {
+        throw new ValidationError('Chave revogada não pode ser rotacionada; emita uma nova chave');
+    }
+
+    const apiKey = generateApiKey(id);
+    await docRef.update({
+        keyHash: hashApiKey(apiKey),
+        rotatedAt: admin.firestore.Timestamp.now()
+    });
+    keyCache.delete(id);
+
+    return { key: serializeApiKey(await docRef.get()), apiKey };
+}
+
+/**
+ * Revoga uma chave
+ * @param {string} id - ID da chave
+ * @returns {Promise<Object|null>} Chave revogada ou null se não existir
+ */
+async function revokeApiKey(id) {
+    const docRef = getFirestore().collection(API_KEYS_COLLECTION).doc(id);
+    const doc = await docRef.get();
+    if (!doc.exists) {
+        return null;
+    }
+
+    if (doc.data().active !== false) {
+        await docRef.update({
+            active: false,
+            revokedAt: admin.firestore.Timestamp.now()
+        });
+    }
+    keyCache.delete(id);
+
+    return serializeApiKey(await docRef.get());
+}
+
+/**
+ * Valida uma chave em texto
+ *
+ * Outras instâncias podem levar até KEY_CACHE_MS para perceber uma chave
+ * revogada ou rotacionada. Chaves publishable acessam apenas
+ * PUBLISHABLE_ROUTES, mesmo que o documento tenha sido alterado à mão.
+ *
+ * @param {string} apiKey - Chave enviada pelo cliente
+ * @returns {Promise<Object|null>} Dados da chave (id, name, type, active, allowedOrigins,
+ * allowedRoutes, quota) ou null se a chave não existir
+ */
+async function verifyApiKey(apiKey) {
+    const id = parseApiKeyId(apiKey);
+    if (!id) {
+        return null;
+    }
+
+    let cached = keyCache.get(id);
+    if (!cached || Date.now() - cached.loadedAt > KEY_CACHE_MS) {
+        const docRef = getFirestore().collection(API_KEYS_COLLECTION).doc(id);
+        const doc = await docRef.get();
+
+        cached = { loadedAt: Date.now(), data: doc.exists ? doc.data() : null };
+        keyCache.set(id, cached);
+
+        // Último uso aproximado: atualizado no máximo uma vez por KEY_CACHE_MS
+        if (doc.exists && doc.data().active !== false) {
+            docRef.update({ lastUsedAt: admin.firestore.Timestamp.now() }).catch(error => {
+                logger.error('Erro ao registrar uso da chave de API', { keyId: id, error });
+            });
+        }
+    }
+
+    const { data } = cached;
+    if (!data) {
+        return null;
+    }
+
+    // Comparação em tempo constante do hash
+    const expected = Buffer.from(data.keyHash, 'hex');
+    const received = Buffer.from(hashApiKey(apiKey), 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    const type = data.type || 'secret';
+
+    return {
+        id,
+        name: data.name,
+        type,
+        active: data.active !== false,
+        allowedOrigins: data.allowedOrigins || [],
+        allowedRoutes: type === 'publishable' ? PUBLISHABLE_ROUTES : data.allowedRoutes || [],
+        quota: data.quota || {}
+    };
+}
+
+/**
+ * Contabiliza uma requisição na cota da chave
+ * @param {Object} key - Dados da chave retornados por verifyApiKey
+ * @returns {Object} Resultado com allowed, limites, restantes e segundos até o reinício de cada janela
+ */
+function consumeQuota(key) {
+    const now = Date.now();
+    const minuteWindow = Math.floor(now / MINUTE_MS);
+    const dayWindow = Math.floor(now / DAY_MS);
+
+    let usage = usageByKey.get(key.id);
+    if (!usage) {
+        usage = { minuteWindow, minuteCount: 0, dayWindow, dayCount: 0 };
+        usageByKey.set(key.id, usage);
+    }
+
+    if (usage.minuteWindow !== minuteWindow) {
+        usage.minuteWindow = minuteWindow;
+        usage.minuteCount = 0;
+    }
+
+    if (usage.dayWindow !== dayWindow) {
+        usage.dayWindow = dayWindow;
+        usage.dayCount = 0;
+    }
+
+    const { perMinute = null, perDay = null } = key.quota;
+    const minuteReset = Math.ceil(((minuteWindow + 1) * MINUTE_MS - now) / 1000);
+    const dayReset = Math.ceil(((dayWindow + 1) * DAY_MS - now) / 1000);
+
+    const minuteExceeded = perMinute !== null && usage.minuteCount >= perMinute;
+    const dayExceeded = perDay !== null && usage.dayCount >= perDay;
+    const allowed = !minuteExceeded && !dayExceeded;
+
+    // Requisições recusadas não consomem cota
+    if (allowed) {
+        usage.minuteCount++;
+        usage.dayCount++;
+    }
+
+    return {
+        allowed,
+        retryAfter: dayExceeded ? dayReset : minuteReset,
+        minute: {
+            limit: perMinute,
+            remaining: perMinute === null ? null : Math.max(0, perMinute - usage.minuteCount),
+            reset: minuteReset
+        },
+        day: {
+            limit: perDay,
+            remaining: perDay === null ? null : Math.max(0, perDay - usage.dayCount),
+            reset: dayReset
+        }
+    };
+}
+
+module.exports = {
+    API_KEY_ROUTES,
+    API_KEY_TYPES,
+    issueApiKey,
+    listApiKeys,
+    getApiKey,
+    rotateApiKey,
+    revokeApiKey,
+    verifyApiKey,
+    consumeQuota
+};
@@ -0,0 +1,148 @@
+/**
+ * Aplicação Express da API de integração Firebase + Amazon Product Advertising API
+ * 
+ * Middlewares, rotas e tratamento de erros, sem iniciar o servidor nem as
+ * tarefas em segundo plano (index.js), para que a aplicação possa ser
+ * montada pelos testes.
+ * 
+ * @author Emanuel Ozorio
+ */
+
+// Carrega variáveis de ambiente do arquivo .env
+require('dotenv').config();
+
+const express = require('express');
+const cors = require('cors');
+const {
+    API_KEYS_ENABLED,
+    RATE_LIMIT_HEADERS,
+    isCorsOriginAllowed,
+    requireApiKey,
+    requireMetricsToken
+} = require('./auth');
+const { trackHttpRequests, renderMetrics } = require('./metrics');
+const { logger, requestLogger, REQUEST_ID_HEADER } = require('./logger');
+const { ForbiddenError, NotFoundError, toApiError, toErrorBody } = require('./errors');
+
+/**
+ * Converte TRUST_PROXY no valor aceito por `trust proxy` do Express
+ * 
+ * "true" confia em qualquer proxy, um número indica quantos proxies estão à
+ * frente da aplicação e outros valores são listas de IPs/sub-redes (ex.:
+ * "loopback, 10.0.0.0/8"). Vazio ou "false" usa o IP da conexão.
+ * 
+ * @param {string} [value] - Valor da variável de ambiente
+ * @returns {boolean|number|string} Configuração de `trust proxy`
+ */
+function parseTrustProxy(value) {
+    const trimmed = (value || '').trim();
+
+    if (trimmed === '' || trimmed === 'false') {
+        return false;
+    }
+    if (trimmed === 'true') {
+        return true;
+    }
+    if (/^\d+$/.test(trimmed)) {
+        return parseInt(trimmed, 10);
+    }
+    return trimmed;
+}
+
+const app = express();
+
+// Atrás de um proxy reverso, req.ip e req.protocol vêm de X-Forwarded-For/-Proto
+// (o hash de IP dos cliques depende disso para contar visitantes únicos)
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+// ID da requisição (X-Request-Id) e log de conclusão; deve ser o primeiro middleware
+app.use(requestLogger);
+
+// Métricas das requisições HTTP (expostas em /metrics)
+app.use(trackHttpRequests);
+
+// Configuração do middleware CORS
+app.use(cors((req, callback) => {
+    const origin = req.get('Origin');
+
+    // Em /amazon-products com chaves de API, a origem é verificada por requireApiKey
+    // (allowedOrigins da chave ou, se vazio, a lista global); o preflight não leva a chave
+    const checkedByApiKey = API_KEYS_ENABLED && /^\/amazon-products(\/|$)/.test(req.path);
+
+    // Permite requisições sem origin (ex: Postman, aplicações mobile)
+    // ou de origens específicas configuradas
+    if (!checkedByApiKey && !isCorsOriginAllowed(origin)) {
+        logger.warn('Tentativa de acesso negada pela política CORS', { origin });
+        return callback(new ForbiddenError(`Acesso negado pela política CORS: ${origin}`, { code: 'CORS_DENIED' }));
+    }
+
+    return callback(null, {
+        origin: true, // Reflete a origem recebida
+        credentials: true, // Permite cookies e headers de autenticação
+        exposedHeaders: ['Retry-After', REQUEST_ID_HEADER, ...RATE_LIMIT_HEADERS], // Limites legíveis pelos clientes no navegador
+        optionsSuccessStatus: 200 // Para compatibilidade com navegadores legados
+    });
+}));
+
+// Middleware para parsing de JSON
+app.use(express.json({ limit: '10mb' }));
+
+// Middleware para parsing de dados URL-encoded
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+// Rota de health check
+app.get('/health', (req, res) => {
+    res.status(200).json({
+        status: 'OK',
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        version: require('./package.json').version
+    });
+});
+
+// Métricas no formato do Prometheus (exigem METRICS_TOKEN, se configurado)
+app.get('/metrics', requireMetricsToken, (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+});
+
+// Rotas da API (exigem chave de API; veja auth.js)
+app.use('/amazon-products', requireApiKey, require('./routes/amazon-products'));
+
+// Rotas de administração (exigem ADMIN_TOKEN)
+app.use('/admin', require('./routes/admin'));
+
+// Redirecionamento para links de afiliado com registro de cliques
+app.use('/go', require('./routes/go'));
+
+// Middleware para tratar rotas não encontradas
+app.use('/{*path}', (req, res, next) => {
+    next(new NotFoundError(`Endpoint não encontrado: ${req.method} ${req.originalUrl}`, {
+        code: 'ENDPOINT_NOT_FOUND'
+    }));
+});
+
+// Middleware global de tratamento de erros: status, código e corpo padronizados (errors.js)
+app.use((error, req, res, next) => {
+    const apiError = toApiError(error);
+
+    if (apiError.status >= 500) {
+        logger.error('Erro na requisição', { method: req.method, path: req.originalUrl, code: apiError.code, error });
+    } else {
+        logger.warn('Requisição recusada', {
+            method: req.method,
+            path: req.originalUrl,
+            status: apiError.status,
+            code: apiError.code,
+            reason: apiError.message
+        });
+    }
+
+    if (apiError.retryAfter) {
+        res.set('Retry-After', String(apiError.retryAfter));
+    }
+
+    res.status(apiError.status).json(toErrorBody(apiError));
+});
+
+module.exports = app;
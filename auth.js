@@ -0,0 +1,226 @@
+/**
+ * Middlewares de autenticação
+ *
+ * - requireApiKey: exige uma chave de API (header X-API-Key) nas rotas de
+ *   /amazon-products, verificando origem, rota e cota da chave
+ * - requireAdminToken: exige o ADMIN_TOKEN (header Authorization: Bearer)
+ *   nas rotas de administração
+ * - requireMetricsToken: exige o METRICS_TOKEN, se configurado, em /metrics
+ *
+ * @author Emanuel Ozorio
+ */
+
+const crypto = require('crypto');
+const { verifyApiKey, consumeQuota } = require('./api-keys');
+const { AuthenticationError, ForbiddenError, ThrottlingError } = require('./errors');
+
+// Chaves de API exigidas em /amazon-products (desative com API_KEYS_ENABLED=false)
+const API_KEYS_ENABLED = process.env.API_KEYS_ENABLED !== 'false';
+
+// Origens permitidas pelo CORS fora das origens definidas em cada chave
+const CORS_ALLOWED_ORIGINS = [
+    process.env.URL_LOCAL,
+    process.env.URL_OFICIAL
+].filter(Boolean); // Remove valores undefined/null
+
+// Token das rotas de administração; sem ele, a administração fica desativada
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+// Token de /metrics; sem ele, as métricas ficam abertas como o /health
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+// Rotas de /amazon-products acessíveis sem chave (script do widget e health check)
+const PUBLIC_ROUTES = ['widget.js', 'health'];
+
+// Rotas de um produto (/amazon-products/:asin/<rota>)
+const ASIN_ROUTES = ['price-history', 'variations'];
+
+// Headers de limite expostos aos navegadores (CORS)
+const RATE_LIMIT_HEADERS = [
+    'X-RateLimit-Limit',
+    'X-RateLimit-Remaining',
+    'X-RateLimit-Reset',
+    'X-RateLimit-Limit-Day',
+    'X-RateLimit-Remaining-Day',
+    'X-RateLimit-Reset-Day'
+];
+
+/**
+ * Identifica a rota de /amazon-products usada na lista de rotas permitidas da chave
+ * @param {string} path - Caminho relativo a /amazon-products (ex.: /search, /B08N5WRWNW/price-history)
+ * @returns {string} Nome da rota (ex.: search, price-history, variations, watches)
+ */
+function getRouteName(path) {
+    const segments = path.split('/').filter(Boolean);
+
+    if (ASIN_ROUTES.includes(segments[1])) {
+        return segments[1];
+    }
+
+    return segments[0] || '';
+}
+
+/**
+ * Verifica se a origem está na lista global do CORS (URL_LOCAL/URL_OFICIAL)
+ * @param {string} [origin] - Header Origin da requisição
+ * @returns {boolean} true para origem permitida ou ausente (ex.: Postman, servidor a servidor)
+ */
+function isCorsOriginAllowed(origin) {
+    return !origin || CORS_ALLOWED_ORIGINS.includes(origin);
+}
+
+/**
+ * Compara dois segredos em tempo constante
+ * @param {string} received - Valor recebido
+ * @param {string} expected - Valor esperado
+ * @returns {boolean} true se forem iguais
+ */
+function safeEqual(received, expected) {
+    const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(hash(received), hash(expected));
+}
+
+/**
+ * Define os headers de limite de requisições da chave
+ * @param {Object} res - Resposta Express
+ * @param {Object} quota - Resultado de consumeQuota
+ */
+function setRateLimitHeaders(res, quota) {
+    if (quota.minute.limit !== null) {
+        res.set('X-RateLimit-Limit', String(quota.minute.limit));
+        res.set('X-RateLimit-Remaining', String(quota.minute.remaining));
+        res.set('X-RateLimit-Reset', String(quota.minute.reset));
+    }
+
+    if (quota.day.limit !== null) {
+        res.set('X-RateLimit-Limit-Day', String(quota.day.limit));
+        res.set('X-RateLimit-Remaining-Day', String(quota.day.remaining));
+        res.set('X-RateLimit-Reset-Day', String(quota.day.reset));
+    }
+}
+
+/**
+ * Exige uma chave de API válida
+ *
+ * Responde 401 para chave ausente, inválida ou revogada; 403 para origem ou
+ * rota não permitida pela chave; e 429 (com Retry-After) quando a cota por
+ * minuto ou por dia se esgota. A chave validada fica em `req.apiKey`.
+ *
+ * @param {Object} req - Requisição Express
+ * @param {Object} res - Resposta Express
+ * @param {Function} next - Próximo middleware
+ */
+async function requireApiKey(req, res, next) {
+    try {
+        const route = getRouteName(req.path);
+
+        if (!API_KEYS_ENABLED || PUBLIC_ROUTES.includes(route)) {
+            return next();
+        }
+
+        const apiKey = req.get('X-API-Key');
+        if (!apiKey) {
+            throw new AuthenticationError('Chave de API ausente: envie o header X-API-Key', { code: 'API_KEY_MISSING' });
+        }
+
+        const key = await verifyApiKey(apiKey);
+        if (!key) {
+            throw new AuthenticationError('Chave de API inválida', { code: 'API_KEY_INVALID' });
+        }
+
+        if (!key.active) {
+            throw new AuthenticationError('Chave de API revogada', { code: 'API_KEY_REVOKED' });
+        }
+
+        // Chaves com origens definidas só podem ser usadas por esses sites;
+        // as demais seguem a lista global do CORS (o CORS de /amazon-products delega a verificação para cá)
+        const origin = req.get('Origin');
+        if (key.allowedOrigins.length > 0 && !key.allowedOrigins.includes(origin)) {
+            throw new ForbiddenError(`Origem não permitida para esta chave: ${origin || '(sem origem)'}`, {
+                code: 'API_KEY_ORIGIN_DENIED'
+            });
+        }
+
+        if (key.allowedOrigins.length === 0 && !isCorsOriginAllowed(origin)) {
+            throw new ForbiddenError(`Acesso negado pela política CORS: ${origin}`, { code: 'CORS_DENIED' });
+        }
+
+        if (key.allowedRoutes.length > 0 && !key.allowedRoutes.includes(route)) {
+            throw new ForbiddenError(`Rota não permitida para esta chave: ${route}`, { code: 'API_KEY_ROUTE_DENIED' });
+        }
+
+        const quota = consumeQuota(key);
+        setRateLimitHeaders(res, quota);
+
+        if (!quota.allowed) {
+            throw new ThrottlingError(`Cota da chave de API esgotada: ${key.name}`, {
+                code: 'API_KEY_QUOTA_EXCEEDED',
+                publicMessage: 'Cota da chave de API esgotada',
+                retryAfter: quota.retryAfter
+            });
+        }
+
+        req.apiKey = { id: key.id, name: key.name };
+        return next();
+
+    } catch (error) {
+        return next(error);
+    }
+}
+
+/**
+ * Retorna o ID da chave de API que autenticou a requisição
+ * @param {Object} req - Requisição Express
+ * @returns {string|null} ID da chave ou null quando as chaves estão desativadas
+ */
+function getApiKeyId(req) {
+    return req.apiKey ? req.apiKey.id : null;
+}
+
+/**
+ * Exige o token de administração (Authorization: Bearer <ADMIN_TOKEN>)
+ * @param {Object} req - Requisição Express
+ * @param {Object} res - Resposta Express
+ * @param {Function} next - Próximo middleware
+ */
+function requireAdminToken(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        return next(new ForbiddenError('Administração desativada: ADMIN_TOKEN não configurado', { code: 'ADMIN_DISABLED' }));
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token || !safeEqual(token, ADMIN_TOKEN)) {
+        return next(new AuthenticationError('Token de administração ausente ou inválido', { code: 'ADMIN_TOKEN_INVALID' }));
+    }
+
+    return next();
+}
+
+/**
+ * Middleware que exige o METRICS_TOKEN em /metrics, quando configurado
+ * @param {Object} req - Requisição Express
+ * @param {Object} res - Resposta Express
+ * @param {Function} next - Próximo middleware
+ */
+function requireMetricsToken(req, res, next) {
+    if (!METRICS_TOKEN) {
+        return next();
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token || !safeEqual(token, METRICS_TOKEN)) {
+        return next(new AuthenticationError('Token de métricas ausente ou inválido', { code: 'METRICS_TOKEN_INVALID' }));
+    }
+
+    return next();
+}
+
+module.exports = {
+    API_KEYS_ENABLED,
+    RATE_LIMIT_HEADERS,
+    isCorsOriginAllowed,
+    requireApiKey,
+    getApiKeyId,
+    requireAdminToken,
+    requireMetricsToken
+};
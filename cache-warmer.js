@@ -0,0 +1,301 @@
+/**
+ * Aquecimento agendado do cache de buscas
+ *
+ * Na agenda definida por CACHE_WARMER_SCHEDULE (expressão cron em UTC),
+ * atualiza na Amazon as buscas fixadas pelos editores e as
+ * CACHE_WARMER_TOP_N buscas mais populares cujo cache deixaria de ser fresco
+ * antes da próxima execução, para que os visitantes não esperem pela PAAPI.
+ * As chamadas à PAAPI do aquecimento ficam limitadas a uma fração
+ * (CACHE_WARMER_QUOTA_SHARE) da cota diária da conta; o ritmo das chamadas
+ * fica a cargo do limitador compartilhado de paapi.js.
+ *
+ * O resultado de cada busca é registrado nos logs e mantido em memória para
+ * a rota de status (/admin/warmer).
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { isFirebaseConfigured } = require('./firebase');
+const { getThrottleStatus } = require('./paapi');
+const { warmSearch } = require('./catalog');
+const { getPopularQueries } = require('./popularity');
+const { listPinnedQueries } = require('./pinned-queries');
+const { parseCron, getNextRun } = require('./cron');
+const { logger } = require('./logger');
+
+// Configuração do aquecimento
+const WARMER_SCHEDULE = process.env.CACHE_WARMER_SCHEDULE || '0 * * * *';
+const WARMER_TOP_N = parseInt(process.env.CACHE_WARMER_TOP_N, 10) >= 0
+    ? parseInt(process.env.CACHE_WARMER_TOP_N, 10)
+    : 20;
+const WARMER_QUOTA_SHARE = parseFloat(process.env.CACHE_WARMER_QUOTA_SHARE) >= 0
+    ? Math.min(1, parseFloat(process.env.CACHE_WARMER_QUOTA_SHARE))
+    : 0.1;
+
+// Execuções mantidas no histórico do status
+const MAX_RECENT_RUNS = 10;
+
+// Maior atraso aceito por setTimeout (~24,8 dias); agendas mais distantes são reavaliadas
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+let schedule = null;
+let timer = null;
+let nextRunAt = null;
+let running = false;
+let currentRun = null;
+const recentRuns = [];
+
+// Chamadas à PAAPI feitas pelo aquecimento no dia UTC corrente
+const budget = { day: null, used: 0 };
+
+/**
+ * Retorna o orçamento diário de chamadas à PAAPI do aquecimento
+ * @returns {Object} Limite, chamadas usadas e restantes no dia UTC
+ */
+function getBudget() {
+    const today = new Date().toISOString().slice(0, 10);
+    if (budget.day !== today) {
+        budget.day = today;
+        budget.used = 0;
+    }
+
+    const dailyLimit = Math.floor(getThrottleStatus().tpd * WARMER_QUOTA_SHARE);
+
+    return {
+        dailyLimit,
+        usedToday: budget.used,
+        remainingToday: Math.max(0, dailyLimit - budget.used)
+    };
+}
+
+/**
+ * Reserva uma chamada à PAAPI no orçamento do aquecimento
+ * @returns {boolean} false se o orçamento do dia ou a cota da conta acabou
+ */
+function reserveCall() {
+    if (getBudget().remainingToday === 0 || getThrottleStatus().remainingToday === 0) {
+        return false;
+    }
+
+    budget.used++;
+    return true;
+}
+
+/**
+ * Junta as buscas fixadas e as populares, sem repetição
+ *
+ * As duas listas usam o ID da busca no cache como `key`; uma busca fixada que
+ * também é popular aparece uma vez, como fixada, com as requisições da popularidade.
+ *
+ * @param {Array<Object>} pinnedQueries - Buscas de listPinnedQueries
+ * @param {Array<Object>} popularQueries - Buscas de getPopularQueries
+ * @returns {Array<Object>} Buscas ({ key, params, source, requests }), fixadas primeiro
+ */
+function mergeTargets(pinnedQueries, popularQueries) {
+    const targets = new Map();
+
+    pinnedQueries.forEach(({ key, params }) => {
+        targets.set(key, { key, params, source: 'pinned', requests: null });
+    });
+
+    popularQueries.forEach(({ key, params, requests }) => {
+        if (targets.has(key)) {
+            targets.get(key).requests = requests;
+        } else {
+            targets.set(key, { key, params, source: 'popular', requests });
+        }
+    });
+
+    return [...targets.values()];
+}
+
+/**
+ * Monta a lista de buscas a aquecer: fixadas primeiro, depois as populares
+ * @returns {Promise<Array<Object>>} Buscas ({ key, params, source, requests }) sem repetição
+ */
+async function planTargets() {
+    // As buscas fixadas ficam no Firestore
+    const pinnedQueries = isFirebaseConfigured() ? await listPinnedQueries() : [];
+    const popularQueries = WARMER_TOP_N > 0 ? await getPopularQueries(WARMER_TOP_N) : [];
+
+    return mergeTargets(pinnedQueries, popularQueries);
+}
+
+/**
+ * Executa uma rodada de aquecimento
+ * @param {Object} [options] - Opções da execução
+ * @param {string} [options.trigger='schedule'] - Origem da execução (schedule ou manual)
+ * @returns {Promise<Object>} Resumo da execução
+ */
+async function runCacheWarm({ trigger = 'schedule' } = {}) {
+    if (running) {
+        return { skipped: true };
+    }
+
+    running = true;
+    const startedAt = Date.now();
+    const run = {
+        trigger,
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: null,
+        summary: { queries: 0, refreshed: 0, fresh: 0, failed: 0, deferred: 0, paapiCalls: 0 },
+        results: []
+    };
+    currentRun = run;
+
+    try {
+        // As páginas precisam continuar frescas até a próxima execução agendada
+        const nextScheduledRun = schedule ? getNextRun(schedule, new Date(startedAt)) : null;
+        const dueAt = nextScheduledRun ? nextScheduledRun.getTime() : startedAt;
+
+        const targets = await planTargets();
+        run.summary.queries = targets.length;
+
+        for (const { key, params, source, requests } of targets) {
+            const result = { key, query: params.originalQuery, marketplace: params.marketplace, source, requests };
+
+            try {
+                const { refreshedPages, freshPages, budgetExhausted } = await warmSearch(params, { dueAt, reserveCall });
+
+                result.refreshedPages = refreshedPages;
+                result.freshPages = freshPages;
+                run.summary.paapiCalls += refreshedPages;
+
+                if (budgetExhausted) {
+                    result.status = 'deferred';
+                    run.summary.deferred++;
+                } else if (refreshedPages > 0) {
+                    result.status = 'refreshed';
+                    run.summary.refreshed++;
+                    logger.info('Cache aquecido', { query: params.originalQuery, marketplace: params.marketplace, refreshedPages });
+                } else {
+                    result.status = 'fresh';
+                    run.summary.fresh++;
+                }
+            } catch (error) {
+                result.status = 'failed';
+                result.error = error.message;
+                run.summary.failed++;
+                logger.error('Erro ao aquecer o cache', { query: params.originalQuery, marketplace: params.marketplace, error: error.message });
+            }
+
+            run.results.push(result);
+        }
+
+        logger.info('Aquecimento do cache concluído', { trigger, ...run.summary });
+    } catch (error) {
+        run.error = error.message;
+        logger.error('Erro no aquecimento do cache', { trigger, error });
+    } finally {
+        run.finishedAt = new Date().toISOString();
+        run.durationMs = Date.now() - startedAt;
+
+        recentRuns.unshift(run);
+        recentRuns.splice(MAX_RECENT_RUNS);
+
+        currentRun = null;
+        running = false;
+    }
+
+    return run;
+}
+
+/**
+ * Agenda a próxima execução conforme a expressão cron
+ */
+function scheduleNextRun() {
+    const next = getNextRun(schedule);
+    if (!next) {
+        nextRunAt = null;
+        return;
+    }
+
+    nextRunAt = next;
+    const delay = next.getTime() - Date.now();
+
+    timer = setTimeout(() => {
+        if (Date.now() < nextRunAt.getTime()) {
+            // Agenda além do limite do setTimeout: apenas reavalia
+            return scheduleNextRun();
+        }
+
+        runCacheWarm().finally(() => {
+            if (timer) {
+                scheduleNextRun();
+            }
+        });
+    }, Math.min(delay, MAX_TIMER_DELAY_MS));
+
+    // Não impede o encerramento do processo
+    timer.unref();
+}
+
+/**
+ * Inicia o aquecimento agendado do cache
+ * @throws {ValidationError} Se CACHE_WARMER_SCHEDULE for inválida
+ */
+function startCacheWarmer() {
+    if (timer) {
+        return;
+    }
+
+    schedule = parseCron(WARMER_SCHEDULE);
+    scheduleNextRun();
+
+    logger.info('Aquecimento do cache ativo', {
+        schedule: `${schedule.expression} (UTC)`,
+        nextRunAt: nextRunAt ? nextRunAt.toISOString() : null,
+        topN: WARMER_TOP_N,
+        quotaShare: WARMER_QUOTA_SHARE
+    });
+}
+
+/**
+ * Interrompe o aquecimento agendado
+ */
+function stopCacheWarmer() {
+    clearTimeout(timer);
+    timer = null;
+    nextRunAt = null;
+}
+
+/**
+ * Estado do aquecimento, para a rota de status
+ * @returns {Object} Agenda, orçamento, execução em andamento e últimas execuções
+ */
+function getWarmerStatus() {
+    return {
+        enabled: Boolean(timer),
+        schedule: schedule ? schedule.expression : WARMER_SCHEDULE,
+        nextRunAt: nextRunAt ? nextRunAt.toISOString() : null,
+        topN: WARMER_TOP_N,
+        quotaShare: WARMER_QUOTA_SHARE,
+        budget: getBudget(),
+        running,
+        currentRun: currentRun
+            ? {
+                trigger: currentRun.trigger,
+                startedAt: currentRun.startedAt,
+                queries: currentRun.summary.queries,
+                completed: currentRun.results.length
+            }
+            : null,
+        lastRun: recentRuns[0] || null,
+        recentRuns: recentRuns.map(({ trigger, startedAt, finishedAt, durationMs, summary, error }) => ({
+            trigger,
+            startedAt,
+            finishedAt,
+            durationMs,
+            summary,
+            error
+        }))
+    };
+}
+
+module.exports = {
+    mergeTargets,
+    runCacheWarm,
+    startCacheWarmer,
+    stopCacheWarmer,
+    getWarmerStatus
+};
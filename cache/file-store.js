@@ -0,0 +1,153 @@
+/**
+ * Cache em arquivo JSON local
+ *
+ * Indicado para desenvolvimento e testes sem Firebase: as entradas ficam em
+ * memória e o arquivo inteiro é regravado a cada alteração, de forma
+ * atômica (arquivo temporário + rename) e uma gravação por vez.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('../logger');
+
+// Arquivo padrão do cache, relativo ao diretório de execução
+const DEFAULT_FILE_PATH = path.join('.cache', 'amazon-cache.json');
+
+/**
+ * Cria um cache em arquivo JSON
+ * @param {Object} [options] - Opções do cache
+ * @param {string} [options.filePath='.cache/amazon-cache.json'] - Caminho do arquivo
+ * @returns {Object} Cache com get, getMany, set, delete, list, count e stats
+ */
+function createFileStore({ filePath = DEFAULT_FILE_PATH } = {}) {
+    // Conteúdo do arquivo: { [namespace]: { [chave]: entrada } }
+    let loading = null;
+    let writing = Promise.resolve();
+    const counters = { hits: 0, misses: 0, writes: 0, deletes: 0 };
+
+    /**
+     * Carrega o arquivo uma única vez
+     * @returns {Promise<Object>} Conteúdo do cache
+     */
+    function load() {
+        if (!loading) {
+            loading = fs.readFile(filePath, 'utf8')
+                .then(content => JSON.parse(content))
+                .catch(error => {
+                    if (error.code !== 'ENOENT') {
+                        logger.warn('Arquivo de cache ilegível, iniciando vazio', { filePath, error: error.message });
+                    }
+                    return {};
+                });
+        }
+        return loading;
+    }
+
+    /**
+     * Agenda a gravação do cache, após as gravações anteriores
+     * @param {Object} data - Conteúdo do cache
+     * @returns {Promise<void>} Conclusão da gravação
+     */
+    function persist(data) {
+        writing = writing
+            .catch(() => {})
+            .then(async () => {
+                const tempPath = `${filePath}.tmp`;
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.writeFile(tempPath, JSON.stringify(data));
+                await fs.rename(tempPath, filePath);
+            });
+        return writing;
+    }
+
+    /**
+     * Lê uma entrada do cache
+     * @param {Object} data - Conteúdo do cache
+     * @param {string} namespace - Namespace do cache
+     * @param {string} key - Chave da entrada
+     * @returns {Object|null} Cópia da entrada ou null
+     */
+    function read(data, namespace, key) {
+        const entry = data[namespace]?.[key];
+
+        if (!entry) {
+            counters.misses++;
+            return null;
+        }
+
+        counters.hits++;
+        return structuredClone(entry);
+    }
+
+    return {
+        type: 'file',
+
+        async get(namespace, key) {
+            return read(await load(), namespace, key);
+        },
+
+        async getMany(namespace, keys) {
+            const data = await load();
+            return keys.map(key => read(data, namespace, key));
+        },
+
+        async set(namespace, key, entry) {
+            const data = await load();
+
+            data[namespace] = data[namespace] || {};
+            data[namespace][key] = structuredClone(entry);
+            counters.writes++;
+
+            await persist(data);
+        },
+
+        async delete(namespace, key) {
+            const data = await load();
+
+            if (!data[namespace]?.[key]) {
+                return false;
+            }
+
+            delete data[namespace][key];
+            counters.deletes++;
+
+            await persist(data);
+            return true;
+        },
+
+        async list(namespace, { limit = 100, order = 'desc', after = null } = {}) {
+            const data = await load();
+            const direction = order === 'asc' ? 1 : -1;
+            // Ordem por updatedAt e, no empate, pela chave (a mesma do cursor `after`)
+            const compare = (a, b) => ((a.updatedAt - b.updatedAt) || (a.key < b.key ? -1 : Number(a.key > b.key))) * direction;
+
+            return Object.entries(data[namespace] || {})
+                .map(([key, entry]) => ({ key, updatedAt: entry.updatedAt, entry }))
+                .filter(item => !after || compare(item, after) > 0)
+                .sort(compare)
+                .slice(0, limit)
+                .map(({ key, entry }) => ({ key, entry: structuredClone(entry) }));
+        },
+
+        async count(namespace) {
+            const data = await load();
+            return Object.keys(data[namespace] || {}).length;
+        },
+
+        async stats() {
+            const data = await load();
+            const entries = Object.values(data).reduce((total, namespace) => total + Object.keys(namespace).length, 0);
+
+            return {
+                type: 'file',
+                filePath: path.resolve(filePath),
+                entries,
+                ...counters
+            };
+        }
+    };
+}
+
+module.exports = { createFileStore };
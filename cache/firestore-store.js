@@ -0,0 +1,170 @@
+/**
+ * Cache no Firestore
+ *
+ * Cada namespace corresponde a uma coleção e cada entrada a um documento.
+ * O campo `updatedAt` é gravado como Timestamp do Firestore e convertido
+ * para milissegundos na leitura, mantendo compatíveis os documentos já
+ * existentes nas coleções `amazonAds` e `amazonProducts`.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { getFirestore, admin } = require('../firebase');
+const { createCounter } = require('../metrics');
+
+// Métricas do Firestore usado como cache (leituras e gravações cobradas por documento)
+const firestoreDocumentsTotal = createCounter({
+    name: 'firestore_documents_total',
+    help: 'Documentos lidos, gravados e removidos no Firestore pelo cache, por coleção e operação',
+    labelNames: ['collection', 'operation']
+});
+
+const firestoreErrorsTotal = createCounter({
+    name: 'firestore_errors_total',
+    help: 'Falhas de operações do cache no Firestore, por coleção e operação',
+    labelNames: ['collection', 'operation']
+});
+
+/**
+ * Executa uma operação no Firestore contando suas falhas
+ * @param {string} collection - Coleção acessada
+ * @param {string} operation - Operação do cache (get, getMany, set, delete, list ou count)
+ * @param {Function} run - Operação
+ * @returns {Promise<*>} Resultado da operação
+ */
+async function withErrorCount(collection, operation, run) {
+    try {
+        return await run();
+    } catch (error) {
+        firestoreErrorsTotal.inc({ collection, operation });
+        throw error;
+    }
+}
+
+/**
+ * Converte uma entrada do cache em documento do Firestore
+ * @param {Object} entry - Entrada com updatedAt em milissegundos
+ * @returns {Object} Documento com updatedAt como Timestamp
+ */
+function toDocument(entry) {
+    return {
+        ...entry,
+        updatedAt: admin.firestore.Timestamp.fromMillis(entry.updatedAt)
+    };
+}
+
+/**
+ * Converte um documento do Firestore em entrada do cache
+ * @param {Object} data - Dados do documento
+ * @returns {Object} Entrada com updatedAt em milissegundos
+ */
+function fromDocument(data) {
+    return {
+        ...data,
+        updatedAt: data.updatedAt && typeof data.updatedAt.toMillis === 'function'
+            ? data.updatedAt.toMillis()
+            : data.updatedAt
+    };
+}
+
+/**
+ * Cria um cache no Firestore
+ * @returns {Object} Cache com get, getMany, set, delete, list, count e stats
+ */
+function createFirestoreStore() {
+    const counters = { reads: 0, writes: 0, deletes: 0 };
+
+    // Contabiliza documentos nos contadores de stats() e nas métricas
+    const countDocuments = (namespace, operation, count) => {
+        counters[`${operation}s`] += count;
+        firestoreDocumentsTotal.inc({ collection: namespace, operation }, count);
+    };
+
+    const docRef = (namespace, key) => getFirestore().collection(namespace).doc(key);
+
+    return {
+        type: 'firestore',
+
+        get(namespace, key) {
+            return withErrorCount(namespace, 'get', async () => {
+                countDocuments(namespace, 'read', 1);
+                const doc = await docRef(namespace, key).get();
+                return doc.exists ? fromDocument(doc.data()) : null;
+            });
+        },
+
+        getMany(namespace, keys) {
+            if (keys.length === 0) {
+                return Promise.resolve([]);
+            }
+
+            return withErrorCount(namespace, 'getMany', async () => {
+                // Todas as chaves em uma única leitura
+                countDocuments(namespace, 'read', keys.length);
+                const docs = await getFirestore().getAll(...keys.map(key => docRef(namespace, key)));
+                return docs.map(doc => (doc.exists ? fromDocument(doc.data()) : null));
+            });
+        },
+
+        set(namespace, key, entry) {
+            return withErrorCount(namespace, 'set', async () => {
+                countDocuments(namespace, 'write', 1);
+                await docRef(namespace, key).set(toDocument(entry));
+            });
+        },
+
+        delete(namespace, key) {
+            return withErrorCount(namespace, 'delete', async () => {
+                const ref = docRef(namespace, key);
+                countDocuments(namespace, 'read', 1);
+                const doc = await ref.get();
+                if (!doc.exists) {
+                    return false;
+                }
+
+                await ref.delete();
+                countDocuments(namespace, 'delete', 1);
+                return true;
+            });
+        },
+
+        list(namespace, { limit = 100, order = 'desc', after = null } = {}) {
+            return withErrorCount(namespace, 'list', async () => {
+                const direction = order === 'asc' ? 'asc' : 'desc';
+
+                // O ID do documento desempata entradas com o mesmo updatedAt, para que o cursor não pule nenhuma
+                let query = getFirestore().collection(namespace)
+                    .orderBy('updatedAt', direction)
+                    .orderBy(admin.firestore.FieldPath.documentId(), direction);
+
+                if (after) {
+                    query = query.startAfter(admin.firestore.Timestamp.fromMillis(after.updatedAt), after.key);
+                }
+
+                const snapshot = await query.limit(limit).get();
+
+                countDocuments(namespace, 'read', snapshot.docs.length);
+                return snapshot.docs.map(doc => ({ key: doc.id, entry: fromDocument(doc.data()) }));
+            });
+        },
+
+        count(namespace) {
+            return withErrorCount(namespace, 'count', async () => {
+                // Agregação no servidor: cobrada como uma leitura a cada 1000 documentos
+                const snapshot = await getFirestore().collection(namespace).count().get();
+                const { count } = snapshot.data();
+                countDocuments(namespace, 'read', Math.max(1, Math.ceil(count / 1000)));
+                return count;
+            });
+        },
+
+        async stats() {
+            return {
+                type: 'firestore',
+                ...counters
+            };
+        }
+    };
+}
+
+module.exports = { createFirestoreStore };
@@ -0,0 +1,98 @@
+/**
+ * Contagem de acertos do cache
+ *
+ * Registra, em memória do processo, quantas leituras encontraram cada entrada
+ * e o total de acertos e falhas, sem gravar nada no cache a cada leitura.
+ * As contagens recomeçam quando o processo reinicia e só incluem as leituras
+ * feitas por esta instância.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { createCounter } = require('../metrics');
+
+// Máximo de entradas com contagem individual (as menos lidas recentemente são descartadas)
+const MAX_TRACKED_ENTRIES = parseInt(process.env.CACHE_MAX_TRACKED_HITS, 10) || 10000;
+
+const startedAt = Date.now();
+const totals = { hits: 0, misses: 0 };
+
+const cacheLookupsTotal = createCounter({
+    name: 'cache_lookups_total',
+    help: 'Leituras do cache, por namespace e resultado (hit ou miss)',
+    labelNames: ['namespace', 'result']
+});
+
+// Acertos por entrada, em ordem de último acerto (Map preserva a ordem de inserção)
+const entryHits = new Map();
+
+/**
+ * Registra o resultado de leituras do cache
+ * @param {string} namespace - Namespace do cache
+ * @param {Array<string>} keys - Chaves lidas
+ * @param {Array<Object|null>} entries - Entradas encontradas (ou null), na ordem das chaves
+ */
+function recordLookups(namespace, keys, entries) {
+    keys.forEach((key, index) => {
+        if (!entries[index]) {
+            totals.misses++;
+            cacheLookupsTotal.inc({ namespace, result: 'miss' });
+            return;
+        }
+
+        totals.hits++;
+        cacheLookupsTotal.inc({ namespace, result: 'hit' });
+
+        const id = `${namespace}/${key}`;
+        const hits = (entryHits.get(id)?.hits || 0) + 1;
+
+        entryHits.delete(id);
+        entryHits.set(id, { hits, lastHitAt: Date.now() });
+
+        if (entryHits.size > MAX_TRACKED_ENTRIES) {
+            entryHits.delete(entryHits.keys().next().value);
+        }
+    });
+}
+
+/**
+ * Retorna os acertos de uma entrada
+ * @param {string} namespace - Namespace do cache
+ * @param {string} key - Chave da entrada
+ * @returns {Object} Número de acertos e data do último acerto (ms ou null)
+ */
+function getEntryHits(namespace, key) {
+    return entryHits.get(`${namespace}/${key}`) || { hits: 0, lastHitAt: null };
+}
+
+/**
+ * Descarta a contagem de uma entrada removida do cache
+ * @param {string} namespace - Namespace do cache
+ * @param {string} key - Chave da entrada
+ */
+function forgetEntry(namespace, key) {
+    entryHits.delete(`${namespace}/${key}`);
+}
+
+/**
+ * Retorna o total de acertos e falhas desde o início do processo
+ * @returns {Object} Acertos, falhas, taxa de acerto (0-1 ou null) e início da contagem
+ */
+function getHitStats() {
+    const lookups = totals.hits + totals.misses;
+
+    return {
+        hits: totals.hits,
+        misses: totals.misses,
+        hitRatio: lookups > 0 ? Math.round((totals.hits / lookups) * 10000) / 10000 : null,
+        trackedEntries: entryHits.size,
+        since: new Date(startedAt).toISOString()
+    };
+}
+
+module.exports = {
+    recordLookups,
+    getEntryHits,
+    forgetEntry,
+    getHitStats
+};
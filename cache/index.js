@@ -0,0 +1,159 @@
+/**
+ * Seleção do cache de produtos e buscas
+ *
+ * O cache é escolhido pela variável CACHE_STORE:
+ * - firestore (padrão): coleções do Firestore, compartilhadas entre instâncias
+ * - memory: LRU em memória do processo, sem dependências externas
+ * - file: arquivo JSON local, para desenvolvimento e testes
+ * - tiered: LRU em memória à frente do Firestore, reduzindo leituras
+ *
+ * Todos os caches expõem a mesma interface, com entradas que são objetos
+ * simples contendo `updatedAt` em milissegundos:
+ * - get(namespace, key): entrada ou null
+ * - getMany(namespace, keys): entradas (ou null) na ordem das chaves
+ * - set(namespace, key, entry)
+ * - delete(namespace, key): true se a entrada existia
+ * - list(namespace, { limit, order, after }): entradas mais recentes (order 'desc',
+ *   padrão) ou mais antigas (order 'asc'), como { key, entry }, ordenadas por
+ *   updatedAt e chave; `after` ({ key, updatedAt } da última entrada lida)
+ *   continua a listagem a partir dela
+ * - count(namespace): número de entradas
+ * - stats(): contadores e informações do cache
+ *
+ * Falhas de qualquer operação são propagadas como CacheError (503). Os
+ * acertos das leituras feitas por get e getMany são contados em cache/hits.js;
+ * leituras administrativas passam `{ track: false }` para não serem contadas.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { createFirestoreStore } = require('./firestore-store');
+const { createMemoryStore } = require('./memory-store');
+const { createFileStore } = require('./file-store');
+const { createTieredStore } = require('./tiered-store');
+const { recordLookups, forgetEntry } = require('./hits');
+const { CacheError } = require('../errors');
+
+// Tipos de cache disponíveis
+const CACHE_STORE_TYPES = ['firestore', 'memory', 'file', 'tiered'];
+
+// Tipos que dependem do Firestore
+const FIRESTORE_STORE_TYPES = ['firestore', 'tiered'];
+
+let cacheStore = null;
+
+/**
+ * Retorna o tipo de cache configurado
+ * @returns {string} Tipo do cache
+ * @throws {Error} Se CACHE_STORE for inválido
+ */
+function getCacheStoreType() {
+    const type = (process.env.CACHE_STORE || 'firestore').trim().toLowerCase();
+
+    if (!CACHE_STORE_TYPES.includes(type)) {
+        throw new Error(`CACHE_STORE inválido: "${type}". Valores aceitos: ${CACHE_STORE_TYPES.join(', ')}`);
+    }
+
+    return type;
+}
+
+/**
+ * Cria um cache do tipo informado
+ * @param {string} type - Tipo do cache (firestore, memory, file ou tiered)
+ * @returns {Object} Cache
+ */
+function createCacheStore(type) {
+    const memoryOptions = {
+        maxEntries: parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES, 10) || undefined
+    };
+
+    switch (type) {
+        case 'memory':
+            return createMemoryStore(memoryOptions);
+        case 'file':
+            return createFileStore({ filePath: process.env.CACHE_FILE_PATH || undefined });
+        case 'tiered':
+            return createTieredStore({
+                memory: createMemoryStore(memoryOptions),
+                persistent: createFirestoreStore()
+            });
+        default:
+            return createFirestoreStore();
+    }
+}
+
+/**
+ * Envolve as operações de um cache para que suas falhas virem CacheError
+ * @param {Object} store - Cache
+ * @returns {Object} Cache com a mesma interface
+ */
+function withCacheErrors(store) {
+    const wrapped = { type: store.type };
+
+    ['get', 'getMany', 'set', 'delete', 'list', 'count', 'stats'].forEach(operation => {
+        wrapped[operation] = (...args) => store[operation](...args).catch(error => {
+            throw new CacheError(`Falha no cache (${store.type}.${operation}): ${error.message}`, { cause: error });
+        });
+    });
+
+    return wrapped;
+}
+
+/**
+ * Envolve as leituras de um cache para contar acertos por entrada
+ * @param {Object} store - Cache
+ * @returns {Object} Cache com a mesma interface; get e getMany aceitam `{ track: false }`
+ */
+function withHitTracking(store) {
+    return {
+        ...store,
+
+        async get(namespace, key, { track = true } = {}) {
+            const entry = await store.get(namespace, key);
+            if (track) {
+                recordLookups(namespace, [key], [entry]);
+            }
+            return entry;
+        },
+
+        async getMany(namespace, keys, { track = true } = {}) {
+            const entries = await store.getMany(namespace, keys);
+            if (track) {
+                recordLookups(namespace, keys, entries);
+            }
+            return entries;
+        },
+
+        async delete(namespace, key) {
+            const deleted = await store.delete(namespace, key);
+            forgetEntry(namespace, key);
+            return deleted;
+        }
+    };
+}
+
+/**
+ * Retorna o cache compartilhado, criado no primeiro uso conforme CACHE_STORE
+ * @returns {Object} Cache
+ */
+function getCacheStore() {
+    if (!cacheStore) {
+        cacheStore = withHitTracking(withCacheErrors(createCacheStore(getCacheStoreType())));
+    }
+    return cacheStore;
+}
+
+/**
+ * Verifica se o cache configurado depende do Firestore
+ * @returns {boolean} true se o cache usa o Firestore
+ */
+function cacheStoreRequiresFirestore() {
+    return FIRESTORE_STORE_TYPES.includes(getCacheStoreType());
+}
+
+module.exports = {
+    getCacheStore,
+    getCacheStoreType,
+    cacheStoreRequiresFirestore,
+    CACHE_STORE_TYPES
+};
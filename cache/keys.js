@@ -0,0 +1,160 @@
+/**
+ * Chaves e namespaces do cache de buscas, produtos, categorias e variações
+ *
+ * Compartilhados pelas rotas que leem ou gravam o cache, para que todas
+ * usem exatamente a mesma chave para a mesma busca ou produto.
+ *
+ * Buscas têm uma chave canônica legível (query sem acentos e com espaços
+ * normalizados, filtros em ordem alfabética) e são gravadas com um ID
+ * derivado do hash dessa chave, que vale como ID de documento do Firestore
+ * qualquer que seja a query (ex.: com "/").
+ *
+ * @author Emanuel Ozorio
+ */
+
+const crypto = require('crypto');
+const { DEFAULT_PROFILE } = require('../resource-profiles');
+
+// Namespaces do cache (coleções, quando o cache é o Firestore)
+const SEARCH_CACHE_COLLECTION = 'amazonAds';
+const PRODUCT_CACHE_COLLECTION = 'amazonProducts';
+
+// Categorias (browse nodes) com ancestrais e subcategorias
+const BROWSE_NODE_CACHE_COLLECTION = 'amazonBrowseNodes';
+
+// Páginas de variações de um produto
+const VARIATIONS_CACHE_COLLECTION = 'amazonVariations';
+
+// Caracteres hexadecimais do hash usados no ID das buscas (128 bits)
+const SEARCH_KEY_HASH_LENGTH = 32;
+
+// Contagem de requisições por busca, usada no aquecimento do cache (popularity.js)
+const QUERY_POPULARITY_COLLECTION = 'amazonQueryPopularity';
+
+/**
+ * Acrescenta o perfil de recursos à chave do cache
+ * 
+ * O perfil padrão não é acrescentado, para que as chaves gravadas antes dos
+ * perfis continuem válidas.
+ * 
+ * @param {string} key - Chave sem o perfil
+ * @param {string} profile - Perfil de recursos
+ * @returns {string} Chave com o perfil
+ */
+function withProfile(key, profile) {
+    return profile && profile !== DEFAULT_PROFILE ? `${key}_profile=${profile}` : key;
+}
+
+/**
+ * Normaliza a query de uma busca para a chave do cache
+ * 
+ * "Fone Bluetooth", "fone  bluetooth" e "fône bluetooth " resultam na mesma
+ * query: minúsculas, sem acentos e com espaços consecutivos reduzidos a um.
+ * 
+ * @param {string} query - Query informada
+ * @returns {string} Query normalizada
+ */
+function normalizeQueryKey(query) {
+    return String(query || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Cria a chave canônica e legível de uma página de busca
+ * @param {string} query - Query de busca (normalizada por normalizeQueryKey)
+ * @param {number} itemCount - Número de itens por página
+ * @param {string} marketplace - Código do marketplace
+ * @param {Object} [filters={}] - Filtros normalizados por normalizeSearchFilters
+ * @param {number} [page=1] - Página de resultados (cada página é armazenada separadamente)
+ * @param {string} [profile] - Perfil de recursos (resource-profiles.js). Usa o padrão se omitido
+ * @returns {string} Chave canônica (ex.: br_fone bluetooth_10_p1_maxPrice=300)
+ */
+function createCanonicalKey(query, itemCount, marketplace, filters = {}, page = 1, profile = DEFAULT_PROFILE) {
+    // Inclui o marketplace para que resultados de lojas diferentes nunca se misturem
+    const baseKey = `${marketplace}_${normalizeQueryKey(query)}_${itemCount}_p${page}`;
+
+    // Filtros em ordem alfabética para que a mesma combinação gere sempre a mesma chave
+    const filterKey = Object.keys(filters)
+        .sort()
+        .map(name => {
+            const value = Array.isArray(filters[name]) ? filters[name].join('+') : filters[name];
+            return `${name}=${value}`;
+        })
+        .join('&');
+
+    const key = filterKey ? `${baseKey}_${filterKey}` : baseKey;
+    return withProfile(key, profile);
+}
+
+/**
+ * Cria o ID de uma página de busca no cache a partir da chave canônica
+ * 
+ * O marketplace fica no início do ID, então prefixos como "br_" continuam
+ * separando as lojas; a chave canônica é gravada na entrada (canonicalKey).
+ * 
+ * @param {string} query - Query de busca
+ * @param {number} itemCount - Número de itens por página
+ * @param {string} marketplace - Código do marketplace
+ * @param {Object} [filters={}] - Filtros normalizados por normalizeSearchFilters
+ * @param {number} [page=1] - Página de resultados
+ * @param {string} [profile] - Perfil de recursos. Usa o padrão se omitido
+ * @returns {string} ID da entrada (ex.: br_3f9a0c1d2e4b5a6f7081928374655647)
+ */
+function createCacheKey(query, itemCount, marketplace, filters = {}, page = 1, profile = DEFAULT_PROFILE) {
+    const canonicalKey = createCanonicalKey(query, itemCount, marketplace, filters, page, profile);
+    const hash = crypto.createHash('sha256').update(canonicalKey).digest('hex').slice(0, SEARCH_KEY_HASH_LENGTH);
+
+    return `${marketplace}_${hash}`;
+}
+
+/**
+ * Cria a chave do cache de um produto individual
+ * @param {string} asin - ASIN do produto
+ * @param {string} marketplace - Código do marketplace
+ * @param {string} [profile] - Perfil de recursos (resource-profiles.js). Usa o padrão se omitido
+ * @returns {string} Chave única para o cache do produto
+ */
+function createProductCacheKey(asin, marketplace, profile = DEFAULT_PROFILE) {
+    return withProfile(`${marketplace}_${asin}`, profile);
+}
+
+/**
+ * Cria a chave do cache de uma categoria (browse node)
+ * @param {string} browseNodeId - ID da categoria
+ * @param {string} marketplace - Código do marketplace (os IDs variam entre lojas)
+ * @returns {string} Chave única para o cache da categoria
+ */
+function createBrowseNodeCacheKey(browseNodeId, marketplace) {
+    return `${marketplace}_${browseNodeId}`;
+}
+
+/**
+ * Cria a chave do cache de uma página de variações de um produto
+ * @param {string} asin - ASIN consultado (pai ou variação)
+ * @param {number} variationCount - Número de variações por página
+ * @param {string} marketplace - Código do marketplace
+ * @param {number} [page=1] - Página de variações (cada página é armazenada separadamente)
+ * @param {string} [profile] - Perfil de recursos (resource-profiles.js). Usa o padrão se omitido
+ * @returns {string} Chave única para o cache da página
+ */
+function createVariationsCacheKey(asin, variationCount, marketplace, page = 1, profile = DEFAULT_PROFILE) {
+    return withProfile(`${marketplace}_${asin}_${variationCount}_p${page}`, profile);
+}
+
+module.exports = {
+    SEARCH_CACHE_COLLECTION,
+    PRODUCT_CACHE_COLLECTION,
+    BROWSE_NODE_CACHE_COLLECTION,
+    VARIATIONS_CACHE_COLLECTION,
+    QUERY_POPULARITY_COLLECTION,
+    normalizeQueryKey,
+    createCanonicalKey,
+    createCacheKey,
+    createProductCacheKey,
+    createBrowseNodeCacheKey,
+    createVariationsCacheKey
+};
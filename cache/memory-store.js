@@ -0,0 +1,114 @@
+/**
+ * Cache em memória com descarte LRU
+ *
+ * Mantém as entradas em um Map, cuja ordem de inserção é usada como ordem de
+ * uso: cada leitura move a entrada para o fim, e ao atingir o limite a
+ * entrada menos usada recentemente é descartada. O conteúdo é perdido quando
+ * o processo reinicia e não é compartilhado entre instâncias.
+ *
+ * @author Emanuel Ozorio
+ */
+
+// Limite padrão de entradas em memória
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Cria um cache em memória
+ * @param {Object} [options] - Opções do cache
+ * @param {number} [options.maxEntries=1000] - Quantidade máxima de entradas
+ * @returns {Object} Cache com get, getMany, set, delete, list, count e stats
+ */
+function createMemoryStore({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    const entries = new Map();
+    const counters = { hits: 0, misses: 0, writes: 0, deletes: 0, evictions: 0 };
+
+    const entryKey = (namespace, key) => `${namespace}/${key}`;
+
+    /**
+     * Lê uma entrada e a marca como usada recentemente
+     * @param {string} namespace - Namespace (coleção) do cache
+     * @param {string} key - Chave da entrada
+     * @returns {Object|null} Cópia da entrada ou null
+     */
+    function read(namespace, key) {
+        const id = entryKey(namespace, key);
+
+        if (!entries.has(id)) {
+            counters.misses++;
+            return null;
+        }
+
+        const entry = entries.get(id);
+        entries.delete(id);
+        entries.set(id, entry);
+        counters.hits++;
+
+        // Cópia para que alterações do chamador não afetem o cache
+        return structuredClone(entry);
+    }
+
+    return {
+        type: 'memory',
+
+        async get(namespace, key) {
+            return read(namespace, key);
+        },
+
+        async getMany(namespace, keys) {
+            return keys.map(key => read(namespace, key));
+        },
+
+        async set(namespace, key, entry) {
+            const id = entryKey(namespace, key);
+
+            entries.delete(id);
+            entries.set(id, structuredClone(entry));
+            counters.writes++;
+
+            // Descarta as entradas menos usadas recentemente
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+                counters.evictions++;
+            }
+        },
+
+        async delete(namespace, key) {
+            const deleted = entries.delete(entryKey(namespace, key));
+            if (deleted) {
+                counters.deletes++;
+            }
+            return deleted;
+        },
+
+        async list(namespace, { limit = 100, order = 'desc', after = null } = {}) {
+            const prefix = `${namespace}/`;
+            const direction = order === 'asc' ? 1 : -1;
+            // Ordem por updatedAt e, no empate, pela chave (a mesma do cursor `after`)
+            const compare = (a, b) => ((a.updatedAt - b.updatedAt) || (a.key < b.key ? -1 : Number(a.key > b.key))) * direction;
+
+            return [...entries.entries()]
+                .filter(([id]) => id.startsWith(prefix))
+                .map(([id, entry]) => ({ key: id.slice(prefix.length), updatedAt: entry.updatedAt, entry }))
+                .filter(item => !after || compare(item, after) > 0)
+                .sort(compare)
+                .slice(0, limit)
+                .map(({ key, entry }) => ({ key, entry: structuredClone(entry) }));
+        },
+
+        async count(namespace) {
+            const prefix = `${namespace}/`;
+            return [...entries.keys()].filter(id => id.startsWith(prefix)).length;
+        },
+
+        async stats() {
+            return {
+                type: 'memory',
+                entries: entries.size,
+                maxEntries,
+                ...counters
+            };
+        }
+    };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,114 @@
+/**
+ * Cache em dois níveis
+ *
+ * Um cache rápido (em memória) fica à frente de um cache persistente
+ * (Firestore). Leituras consultam o persistente apenas nas ausências do
+ * primeiro nível, reduzindo o custo de leitura do Firestore; gravações e
+ * remoções são aplicadas aos dois níveis.
+ *
+ * Cada instância tem seu próprio primeiro nível, então uma entrada
+ * atualizada por outra instância só é vista aqui depois que a cópia local
+ * é descartada ou atualizada por esta instância.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { logger } = require('../logger');
+
+/**
+ * Cria um cache em dois níveis
+ * @param {Object} tiers - Níveis do cache
+ * @param {Object} tiers.memory - Primeiro nível (rápido)
+ * @param {Object} tiers.persistent - Segundo nível (persistente)
+ * @returns {Object} Cache com get, getMany, set, delete, list, count e stats
+ */
+function createTieredStore({ memory, persistent }) {
+    /**
+     * Copia para o primeiro nível uma entrada lida do persistente
+     * @param {string} namespace - Namespace do cache
+     * @param {string} key - Chave da entrada
+     * @param {Object} entry - Entrada lida
+     */
+    function promote(namespace, key, entry) {
+        memory.set(namespace, key, entry).catch(error => {
+            logger.error('Erro ao salvar no cache em memória', { namespace, cacheKey: key, error });
+        });
+    }
+
+    return {
+        type: 'tiered',
+
+        async get(namespace, key) {
+            const cached = await memory.get(namespace, key);
+            if (cached) {
+                return cached;
+            }
+
+            const entry = await persistent.get(namespace, key);
+            if (entry) {
+                promote(namespace, key, entry);
+            }
+            return entry;
+        },
+
+        async getMany(namespace, keys) {
+            const entries = await memory.getMany(namespace, keys);
+            const missingKeys = keys.filter((key, index) => !entries[index]);
+
+            if (missingKeys.length === 0) {
+                return entries;
+            }
+
+            // Apenas as ausências do primeiro nível são lidas do persistente
+            const persistedEntries = await persistent.getMany(namespace, missingKeys);
+            const persistedByKey = new Map(missingKeys.map((key, index) => [key, persistedEntries[index]]));
+
+            return keys.map((key, index) => {
+                if (entries[index]) {
+                    return entries[index];
+                }
+
+                const entry = persistedByKey.get(key);
+                if (entry) {
+                    promote(namespace, key, entry);
+                }
+                return entry;
+            });
+        },
+
+        async set(namespace, key, entry) {
+            await Promise.all([
+                memory.set(namespace, key, entry),
+                persistent.set(namespace, key, entry)
+            ]);
+        },
+
+        async delete(namespace, key) {
+            const [fromMemory, fromPersistent] = await Promise.all([
+                memory.delete(namespace, key),
+                persistent.delete(namespace, key)
+            ]);
+            return fromMemory || fromPersistent;
+        },
+
+        async list(namespace, options) {
+            return persistent.list(namespace, options);
+        },
+
+        async count(namespace) {
+            return persistent.count(namespace);
+        },
+
+        async stats() {
+            const [memoryStats, persistentStats] = await Promise.all([memory.stats(), persistent.stats()]);
+
+            return {
+                type: 'tiered',
+                memory: memoryStats,
+                persistent: persistentStats
+            };
+        }
+    };
+}
+
+module.exports = { createTieredStore };
@@ -0,0 +1,1029 @@
+/**
+ * Catálogo de produtos: buscas e consultas por ASIN com cache
+ *
+ * Implementa o cache stale-while-revalidate usado pelas rotas de produtos:
+ * dados recentes vêm do cache, dados desatualizados são servidos na hora e
+ * atualizados em segundo plano, e dados ausentes ou expirados são buscados
+ * na API da Amazon, recorrendo a uma cópia antiga se a Amazon falhar.
+ * Requisições simultâneas idênticas compartilham uma única chamada à Amazon.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { isFirebaseConfigured } = require('./firebase');
+const { getCacheStore } = require('./cache');
+const {
+    SEARCH_CACHE_COLLECTION,
+    PRODUCT_CACHE_COLLECTION,
+    BROWSE_NODE_CACHE_COLLECTION,
+    VARIATIONS_CACHE_COLLECTION,
+    normalizeQueryKey,
+    createCacheKey,
+    createCanonicalKey,
+    createProductCacheKey,
+    createBrowseNodeCacheKey,
+    createVariationsCacheKey
+} = require('./cache/keys');
+const {
+    searchItemsPage,
+    getItems,
+    getBrowseNodes,
+    getVariations,
+    normalizeSearchFilters,
+    MAX_ITEMS_PER_PAGE,
+    MAX_SEARCH_PAGES
+} = require('./paapi');
+const { getMarketplace } = require('./marketplaces');
+const { normalizeProfile } = require('./resource-profiles');
+const { recordPriceSnapshots } = require('./price-history');
+const { createCounter } = require('./metrics');
+const { logger } = require('./logger');
+const { ValidationError, NotFoundError } = require('./errors');
+
+/**
+ * Lê uma duração em horas de uma variável de ambiente
+ * @param {string} value - Valor da variável de ambiente
+ * @param {number} defaultHours - Duração padrão em horas
+ * @returns {number} Duração em milissegundos
+ */
+function readHours(value, defaultHours) {
+    const hours = parseFloat(value);
+    return (Number.isFinite(hours) && hours >= 0 ? hours : defaultHours) * 60 * 60 * 1000;
+}
+
+// Janelas do cache (stale-while-revalidate), contadas a partir da última atualização:
+// - até CACHE_FRESH_MS: dados servidos do cache sem consultar a Amazon
+// - até CACHE_FRESH_MS + CACHE_STALE_MS: dados servidos na hora e atualizados em segundo plano
+// - até CACHE_MAX_STALE_ON_ERROR_MS: dados servidos apenas se a Amazon falhar
+const CACHE_FRESH_MS = readHours(process.env.CACHE_FRESH_HOURS ?? process.env.CACHE_DURATION_HOURS, 24);
+const CACHE_STALE_MS = readHours(process.env.CACHE_STALE_HOURS, 24);
+const CACHE_MAX_STALE_ON_ERROR_MS = readHours(process.env.CACHE_MAX_STALE_ON_ERROR_HOURS, 7 * 24);
+
+// Validade das categorias (browse nodes) no cache: a árvore de categorias raramente muda
+const BROWSE_NODE_CACHE_MS = readHours(process.env.BROWSE_NODE_CACHE_HOURS, 30 * 24);
+
+// Origem dos dados servidos: 'cache', 'stale', 'stale_on_error' ou 'amazon_api'
+const cacheServesTotal = createCounter({
+    name: 'cache_serves_total',
+    help: 'Páginas de busca e de variações, produtos e categorias servidos, por tipo (search, product, browse_node ou variations) e origem dos dados',
+    labelNames: ['type', 'source']
+});
+
+const backgroundRefreshesTotal = createCounter({
+    name: 'cache_background_refreshes_total',
+    help: 'Atualizações em segundo plano de dados desatualizados, por resultado (success ou error)',
+    labelNames: ['outcome']
+});
+
+// Número de itens padrão e máximo de uma busca
+const DEFAULT_ITEM_COUNT = 10;
+const MAX_ITEM_COUNT = 50;
+
+/**
+ * Valida os parâmetros da requisição de busca
+ * @param {Object} queryParams - Parâmetros da query string
+ * @returns {Object} Parâmetros validados e sanitizados
+ * @throws {ValidationError} Se os parâmetros forem inválidos
+ */
+function validateSearchRequest(queryParams) {
+    const { query = '', itemCount, page, marketplace, profile } = queryParams;
+    const filters = normalizeSearchFilters(queryParams);
+
+    // Valida query, obrigatória exceto em buscas dentro de uma categoria
+    if (typeof query !== 'string' || (query.trim().length === 0 && !filters.browseNodeId)) {
+        throw new ValidationError('Parâmetro "query" é obrigatório e deve ser uma string não vazia');
+    }
+
+    // Valida e sanitiza itemCount
+    let parsedItemCount = parseInt(itemCount, 10);
+    if (Number.isNaN(parsedItemCount) || parsedItemCount < 1) {
+        parsedItemCount = DEFAULT_ITEM_COUNT;
+    } else if (parsedItemCount > MAX_ITEM_COUNT) {
+        parsedItemCount = MAX_ITEM_COUNT;
+    }
+
+    // Valida página explícita; sem ela, itemCount > 10 percorre as páginas necessárias
+    let parsedPage = null;
+    if (page !== undefined && page !== '') {
+        parsedPage = Number(page);
+        if (!Number.isInteger(parsedPage) || parsedPage < 1 || parsedPage > MAX_SEARCH_PAGES) {
+            throw new ValidationError(`Parâmetro "page" inválido: deve ser um número entre 1 e ${MAX_SEARCH_PAGES}`);
+        }
+
+        // Uma página da PAAPI tem no máximo 10 itens
+        parsedItemCount = Math.min(parsedItemCount, MAX_ITEMS_PER_PAGE);
+    }
+
+    return {
+        query: normalizeQueryKey(query), // Normaliza para cache consistente
+        itemCount: parsedItemCount,
+        page: parsedPage,
+        originalQuery: query.trim().replace(/\s+/g, ' '), // Mantém query original para busca
+        marketplace: getMarketplace(marketplace).code,
+        profile: normalizeProfile(profile),
+        filters
+    };
+}
+
+// Consultas à Amazon em andamento, compartilhadas entre requisições simultâneas
+const inflightRequests = new Map();
+
+/**
+ * Agrupa requisições simultâneas idênticas em uma única execução
+ * @param {string} key - Identificador da operação
+ * @param {Function} fn - Função assíncrona executada apenas pela primeira requisição
+ * @returns {Promise<*>} Resultado compartilhado por todas as requisições
+ */
+function coalesce(key, fn) {
+    if (inflightRequests.has(key)) {
+        return inflightRequests.get(key);
+    }
+
+    const promise = fn().finally(() => inflightRequests.delete(key));
+    inflightRequests.set(key, promise);
+
+    return promise;
+}
+
+/**
+ * Registra no histórico os preços de produtos recém-obtidos da Amazon
+ * (fire-and-forget para não atrasar a resposta)
+ * @param {Array<Object>} products - Produtos formatados
+ * @param {string} marketplace - Código do marketplace
+ */
+function trackPrices(products, marketplace) {
+    // O histórico de preços fica no Firestore, mesmo com outro cache configurado
+    if (!isFirebaseConfigured()) {
+        return;
+    }
+
+    recordPriceSnapshots(products, marketplace).catch(error => {
+        logger.error('Erro ao registrar histórico de preços', { marketplace, error });
+    });
+}
+
+/**
+ * Calcula a idade de uma entrada do cache
+ * @param {Object} cachedData - Dados recuperados do cache
+ * @returns {number|null} Idade em milissegundos ou null se não houver dados
+ */
+function getCacheAge(cachedData) {
+    if (!cachedData || !cachedData.updatedAt) {
+        return null;
+    }
+
+    return Date.now() - cachedData.updatedAt;
+}
+
+/**
+ * Classifica uma entrada do cache de acordo com as janelas de validade
+ * @param {Object} cachedData - Dados recuperados do cache
+ * @returns {string|null} 'fresh', 'stale', 'expired' ou null se não houver dados
+ */
+function getCacheState(cachedData) {
+    const cacheAge = getCacheAge(cachedData);
+
+    if (cacheAge === null) {
+        return null;
+    }
+    if (cacheAge < CACHE_FRESH_MS) {
+        return 'fresh';
+    }
+    if (cacheAge < CACHE_FRESH_MS + CACHE_STALE_MS) {
+        return 'stale';
+    }
+    return 'expired';
+}
+
+/**
+ * Classifica uma entrada do cache de categorias
+ *
+ * Categorias não têm janela de dados desatualizados: ficam válidas por
+ * BROWSE_NODE_CACHE_MS e depois são consultadas novamente na Amazon.
+ *
+ * @param {Object} cachedData - Dados recuperados do cache
+ * @returns {string|null} 'fresh', 'expired' ou null se não houver dados
+ */
+function getBrowseNodeCacheState(cachedData) {
+    const cacheAge = getCacheAge(cachedData);
+
+    if (cacheAge === null) {
+        return null;
+    }
+    return cacheAge < BROWSE_NODE_CACHE_MS ? 'fresh' : 'expired';
+}
+
+/**
+ * Verifica se uma entrada do cache pode substituir a resposta da Amazon quando ela falha
+ * @param {Object} cachedData - Dados recuperados do cache
+ * @returns {boolean} true se a entrada está dentro da janela de stale-on-error
+ */
+function canServeOnError(cachedData) {
+    const cacheAge = getCacheAge(cachedData);
+    return cacheAge !== null && cacheAge < CACHE_MAX_STALE_ON_ERROR_MS;
+}
+
+/**
+ * Verifica se um erro indica indisponibilidade da Amazon (limite, falha ou conexão),
+ * caso em que uma cópia antiga do cache pode ser servida no lugar do erro
+ * @param {Error} error - Erro da consulta à Amazon
+ * @returns {boolean} true para erros 429 e 5xx
+ */
+function isUpstreamFailure(error) {
+    return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Executa uma atualização do cache em segundo plano, sem atrasar a resposta
+ * @param {Function} refresh - Função que consulta a Amazon e atualiza o cache
+ * @param {Object} target - Campos que identificam os dados atualizados nos logs
+ */
+function refreshInBackground(refresh, target) {
+    logger.info('Cache desatualizado, atualizando em segundo plano', target);
+
+    refresh().then(() => {
+        backgroundRefreshesTotal.inc({ outcome: 'success' });
+    }, error => {
+        backgroundRefreshesTotal.inc({ outcome: 'error' });
+        logger.error('Erro ao atualizar cache em segundo plano', { ...target, error });
+    });
+}
+
+/**
+ * Obtém uma página de resultados de busca, do cache ou da API da Amazon
+ * @param {Object} params - Parâmetros validados da busca
+ * @param {string} params.query - Query normalizada (usada na chave de cache)
+ * @param {string} params.originalQuery - Query original (enviada à Amazon)
+ * @param {string} params.marketplace - Código do marketplace
+ * @param {string} params.profile - Perfil de recursos
+ * @param {Object} params.filters - Filtros normalizados
+ * @param {number} params.pageSize - Itens por página (1-10)
+ * @param {number} params.page - Página de resultados (1-10)
+ * @param {Map<string, Object>} [params.prefetched] - Entradas do cache já lidas, indexadas pela chave
+ * @returns {Promise<Object>} Página com products, totalResultCount, hasMore, source e data de atualização
+ */
+async function fetchSearchPage({ query, originalQuery, marketplace, profile, filters, pageSize, page, prefetched }) {
+    // Cria chave única para o cache
+    const cacheKey = createCacheKey(query, pageSize, marketplace, filters, page, profile);
+    
+    // Tenta recuperar dados do cache (ou usa a leitura em lote já feita)
+    const cachedData = prefetched && prefetched.has(cacheKey)
+        ? prefetched.get(cacheKey)
+        : await getCacheStore().get(SEARCH_CACHE_COLLECTION, cacheKey);
+    const cacheState = getCacheState(cachedData);
+
+    // Requisições simultâneas para a mesma página compartilham uma única chamada à Amazon
+    const refresh = () => coalesce(`search:${cacheKey}`, () => refreshSearchPage({
+        query,
+        originalQuery,
+        marketplace,
+        profile,
+        filters,
+        pageSize,
+        page,
+        cacheKey
+    }));
+
+    const fromCachedData = source => {
+        cacheServesTotal.inc({ type: 'search', source });
+
+        return {
+            products: cachedData.products,
+            totalResultCount: cachedData.totalResultCount || 0,
+            hasMore: Boolean(cachedData.hasMore),
+            source,
+            updatedAt: new Date(cachedData.updatedAt)
+        };
+    };
+
+    if (cacheState === 'fresh') {
+        logger.info('Dados recuperados do cache', { query: originalQuery, marketplace, page });
+        return fromCachedData('cache');
+    }
+
+    // Uma página maior e fresca da mesma busca já contém os itens pedidos
+    const slice = await sliceLargerCachedPage({ query, marketplace, profile, filters, pageSize, page, prefetched });
+    if (slice) {
+        logger.info('Dados recuperados de uma página maior do cache', { query: originalQuery, marketplace, page });
+        cacheServesTotal.inc({ type: 'search', source: 'cache' });
+        return slice;
+    }
+
+    // Dados desatualizados são servidos na hora enquanto a Amazon é consultada
+    if (cacheState === 'stale') {
+        refreshInBackground(refresh, { query: originalQuery, marketplace, page });
+        return fromCachedData('stale');
+    }
+
+    try {
+        const result = await refresh();
+        cacheServesTotal.inc({ type: 'search', source: result.source });
+        return result;
+    } catch (error) {
+        // Com a Amazon indisponível, uma cópia antiga é melhor que um erro
+        if (isUpstreamFailure(error) && canServeOnError(cachedData)) {
+            logger.warn('Falha na Amazon, servindo cache antigo', { query: originalQuery, marketplace, page, error: error.message });
+            return fromCachedData('stale_on_error');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Recorta uma página pequena (pageSize < 10) de uma página de 10 itens fresca
+ * da mesma busca, evitando uma nova chamada à Amazon
+ * 
+ * A página pedida cobre os itens [(page-1)*pageSize, page*pageSize), que só
+ * podem ser servidos se couberem inteiros em uma única página de 10 itens.
+ * 
+ * @param {Object} params - Parâmetros de fetchSearchPage
+ * @returns {Promise<Object|null>} Página recortada, ou null se não houver página maior fresca
+ */
+async function sliceLargerCachedPage({ query, marketplace, profile, filters, pageSize, page, prefetched }) {
+    if (pageSize >= MAX_ITEMS_PER_PAGE) {
+        return null;
+    }
+
+    const start = (page - 1) * pageSize;
+    const end = page * pageSize;
+    const largerPage = Math.floor(start / MAX_ITEMS_PER_PAGE) + 1;
+    const offset = (largerPage - 1) * MAX_ITEMS_PER_PAGE;
+
+    if (end > offset + MAX_ITEMS_PER_PAGE || largerPage > MAX_SEARCH_PAGES) {
+        return null;
+    }
+
+    const largerKey = createCacheKey(query, MAX_ITEMS_PER_PAGE, marketplace, filters, largerPage, profile);
+    const largerData = prefetched && prefetched.has(largerKey)
+        ? prefetched.get(largerKey)
+        : await getCacheStore().get(SEARCH_CACHE_COLLECTION, largerKey);
+
+    if (getCacheState(largerData) !== 'fresh') {
+        return null;
+    }
+
+    const products = largerData.products || [];
+
+    return {
+        products: products.slice(start - offset, end - offset),
+        totalResultCount: largerData.totalResultCount || 0,
+        // A PAAPI limita o número da página independentemente do tamanho
+        hasMore: page < MAX_SEARCH_PAGES && (products.length > end - offset || Boolean(largerData.hasMore)),
+        source: 'cache',
+        updatedAt: new Date(largerData.updatedAt)
+    };
+}
+
+/**
+ * Busca uma página na API da Amazon e atualiza o cache
+ * @param {Object} params - Parâmetros de fetchSearchPage mais a chave de cache da página
+ * @param {string} params.cacheKey - Chave de cache da página
+ * @returns {Promise<Object>} Página com products, totalResultCount, hasMore, source e data de atualização
+ */
+async function refreshSearchPage({ query, originalQuery, marketplace, profile, filters, pageSize, page, cacheKey }) {
+    logger.info('Buscando na API da Amazon', { query: originalQuery, marketplace, page });
+    
+    // Busca produtos na API da Amazon
+    const { products, totalResultCount, hasMore } = await searchItemsPage({
+        query: originalQuery,
+        itemCount: pageSize,
+        itemPage: page,
+        marketplace,
+        profile,
+        ...filters
+    });
+
+    const updatedAt = Date.now();
+
+    // Dados para salvar no cache
+    const cacheData = {
+        keyword: originalQuery,
+        normalizedKeyword: query,
+        canonicalKey: createCanonicalKey(query, pageSize, marketplace, filters, page, profile),
+        itemCount: pageSize,
+        page,
+        marketplace,
+        profile,
+        filters,
+        updatedAt,
+        products,
+        totalFound: products.length,
+        totalResultCount,
+        hasMore
+    };
+
+    // Salva no cache (fire-and-forget para não atrasar resposta)
+    getCacheStore().set(SEARCH_CACHE_COLLECTION, cacheKey, cacheData).catch(error => {
+        logger.error('Erro ao salvar no cache', { cacheKey, error });
+        // Não propaga o erro pois a busca foi bem-sucedida
+    });
+
+    trackPrices(products, marketplace);
+
+    return {
+        products,
+        totalResultCount,
+        hasMore,
+        source: 'amazon_api',
+        updatedAt: new Date(updatedAt)
+    };
+}
+
+/**
+ * Consulta ASINs na API da Amazon e atualiza o cache de produtos
+ * 
+ * ASINs que já estão sendo consultados por outra requisição aguardam essa
+ * consulta em vez de gerar uma nova chamada à Amazon.
+ * 
+ * @param {Array<string>} asins - ASINs ausentes ou expirados no cache
+ * @param {string} marketplace - Código do marketplace
+ * @param {string} profile - Perfil de recursos
+ * @returns {Promise<Map<string, Object>>} Produtos encontrados, indexados por ASIN
+ */
+async function refreshProducts(asins, marketplace, profile) {
+    const inflightKey = asin => `product:${createProductCacheKey(asin, marketplace, profile)}`;
+    const pendingAsins = asins.filter(asin => !inflightRequests.has(inflightKey(asin)));
+
+    if (pendingAsins.length > 0) {
+        logger.info('Consultando na API da Amazon', { asins: pendingAsins, marketplace, profile });
+
+        const lookup = getItems({ asins: pendingAsins, marketplace, profile }).then(products => {
+            const cacheStore = getCacheStore();
+            const updatedAt = Date.now();
+
+            products.forEach(product => {
+                // Salva no cache (fire-and-forget para não atrasar resposta)
+                cacheStore.set(PRODUCT_CACHE_COLLECTION, createProductCacheKey(product.asin, marketplace, profile), {
+                    asin: product.asin,
+                    marketplace,
+                    profile,
+                    updatedAt,
+                    product
+                }).catch(error => {
+                    logger.error('Erro ao salvar no cache', { asin: product.asin, marketplace, error });
+                });
+            });
+
+            trackPrices(products, marketplace);
+
+            return new Map(products.map(product => [product.asin, product]));
+        });
+
+        pendingAsins.forEach(asin => {
+            inflightRequests.set(inflightKey(asin), lookup.then(productsByAsin => productsByAsin.get(asin) || null));
+        });
+
+        // Libera as chaves quando a consulta termina, com sucesso ou erro
+        lookup.catch(() => {}).finally(() => {
+            pendingAsins.forEach(asin => inflightRequests.delete(inflightKey(asin)));
+        });
+    }
+
+    const products = await Promise.all(asins.map(asin => inflightRequests.get(inflightKey(asin))));
+
+    return new Map(products.filter(Boolean).map(product => [product.asin, product]));
+}
+
+/**
+ * Combina a origem de várias páginas ou produtos em uma única origem para os metadados
+ * @param {Array<string>} sources - Origem de cada parte ('cache', 'stale', 'stale_on_error' ou 'amazon_api')
+ * @returns {string} Origem comum ou 'mixed'
+ */
+function combineSources(sources) {
+    const uniqueSources = [...new Set(sources)];
+    return uniqueSources.length === 1 ? uniqueSources[0] : 'mixed';
+}
+
+/**
+ * Define as páginas da PAAPI necessárias para uma busca
+ * 
+ * Página explícita ou busca que cabe em uma página: uma única chamada.
+ * Caso contrário, percorre páginas de 10 itens até atingir itemCount.
+ * 
+ * @param {Object} params - Parâmetros validados por validateSearchRequest
+ * @returns {Object} Tamanho da página e primeira e última páginas
+ */
+function planSearchPages({ itemCount, page }) {
+    const singlePage = page !== null || itemCount <= MAX_ITEMS_PER_PAGE;
+    const firstPage = page || 1;
+
+    return {
+        pageSize: singlePage ? itemCount : MAX_ITEMS_PER_PAGE,
+        firstPage,
+        lastPage: singlePage ? firstPage : Math.ceil(itemCount / MAX_ITEMS_PER_PAGE)
+    };
+}
+
+/**
+ * Lista as chaves de cache de todas as páginas que uma busca pode consultar
+ * @param {Object} params - Parâmetros validados por validateSearchRequest
+ * @returns {Array<string>} Chaves de cache das páginas
+ */
+function getSearchCacheKeys(params) {
+    const { pageSize, firstPage, lastPage } = planSearchPages(params);
+    const keys = [];
+
+    for (let currentPage = firstPage; currentPage <= lastPage; currentPage++) {
+        keys.push(createCacheKey(params.query, pageSize, params.marketplace, params.filters, currentPage, params.profile));
+    }
+
+    return keys;
+}
+
+/**
+ * Busca produtos percorrendo as páginas necessárias para atingir itemCount
+ * 
+ * A PAAPI retorna no máximo 10 itens por página (até 10 páginas). Com `page`,
+ * retorna apenas aquela página; sem `page` e com itemCount > 10, percorre as
+ * páginas necessárias, removendo ASINs duplicados. Cada página é obtida por
+ * fetchSearchPage, do cache ou da Amazon.
+ * 
+ * @param {Object} params - Parâmetros validados por validateSearchRequest
+ * @param {Map<string, Object>} [prefetched] - Entradas do cache já lidas, indexadas pela chave
+ * @returns {Promise<Object>} Produtos, origem combinada, datas de cache/busca e dados de paginação
+ */
+async function searchProducts({ query, itemCount, page, originalQuery, marketplace, profile, filters }, prefetched) {
+    const { pageSize, firstPage, lastPage } = planSearchPages({ itemCount, page });
+
+    const productsByAsin = new Map();
+    const sources = [];
+    let totalResultCount = 0;
+    let lastFetchedPage = firstPage;
+    let hasMore = false;
+    let oldestCacheUpdate = null;
+
+    for (let currentPage = firstPage; currentPage <= lastPage; currentPage++) {
+        const result = await fetchSearchPage({
+            query,
+            originalQuery,
+            marketplace,
+            profile,
+            filters,
+            pageSize,
+            page: currentPage,
+            prefetched
+        });
+
+        sources.push(result.source);
+        lastFetchedPage = currentPage;
+        totalResultCount = result.totalResultCount;
+        hasMore = result.hasMore;
+
+        if (result.source !== 'amazon_api' && (!oldestCacheUpdate || result.updatedAt < oldestCacheUpdate)) {
+            oldestCacheUpdate = result.updatedAt;
+        }
+
+        // Remove ASINs repetidos entre páginas
+        result.products.forEach(product => {
+            if (!productsByAsin.has(product.asin)) {
+                productsByAsin.set(product.asin, product);
+            }
+        });
+
+        if (!result.hasMore || productsByAsin.size >= itemCount) {
+            break;
+        }
+    }
+
+    const allProducts = [...productsByAsin.values()];
+
+    return {
+        products: allProducts.slice(0, itemCount),
+        source: combineSources(sources),
+        cachedAt: oldestCacheUpdate,
+        searchedAt: sources.includes('amazon_api') ? new Date() : null,
+        totalResultCount,
+        page: lastFetchedPage,
+        hasMore: hasMore || allProducts.length > itemCount
+    };
+}
+
+/**
+ * Atualiza antecipadamente as páginas de uma busca cujo cache deixa de ser
+ * fresco até `dueAt`, para que a próxima requisição não espere pela Amazon
+ * 
+ * As páginas são percorridas em ordem e a varredura para quando uma página
+ * indica que não há mais resultados. Páginas ainda frescas em `dueAt` não
+ * são consultadas.
+ * 
+ * @param {Object} params - Parâmetros validados por validateSearchRequest
+ * @param {Object} options - Opções do aquecimento
+ * @param {number} options.dueAt - Momento (ms) até o qual as páginas devem continuar frescas
+ * @param {Function} options.reserveCall - Reserva uma chamada à PAAPI; retorna false se o orçamento acabou
+ * @returns {Promise<Object>} Páginas atualizadas, páginas ainda frescas e se o orçamento acabou
+ */
+async function warmSearch({ query, itemCount, page, originalQuery, marketplace, profile, filters }, { dueAt, reserveCall }) {
+    const { pageSize, firstPage, lastPage } = planSearchPages({ itemCount, page });
+    const result = { refreshedPages: 0, freshPages: 0, budgetExhausted: false };
+
+    for (let currentPage = firstPage; currentPage <= lastPage; currentPage++) {
+        const cacheKey = createCacheKey(query, pageSize, marketplace, filters, currentPage, profile);
+        const cachedData = await getCacheStore().get(SEARCH_CACHE_COLLECTION, cacheKey, { track: false });
+
+        let hasMore;
+        if (cachedData && cachedData.updatedAt + CACHE_FRESH_MS > dueAt) {
+            result.freshPages++;
+            hasMore = Boolean(cachedData.hasMore);
+        } else {
+            if (!reserveCall()) {
+                result.budgetExhausted = true;
+                break;
+            }
+
+            const refreshed = await coalesce(`search:${cacheKey}`, () => refreshSearchPage({
+                query,
+                originalQuery,
+                marketplace,
+                profile,
+                filters,
+                pageSize,
+                page: currentPage,
+                cacheKey
+            }));
+
+            result.refreshedPages++;
+            hasMore = refreshed.hasMore;
+        }
+
+        if (!hasMore) {
+            break;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Consulta produtos por ASIN, do cache ou da API da Amazon
+ * 
+ * Apenas os ASINs ausentes ou expirados no cache são consultados na Amazon;
+ * ASINs desatualizados são retornados e atualizados em segundo plano.
+ * 
+ * @param {Object} params - Parâmetros validados por validateItemsRequest
+ * @param {Array<string>} params.asins - ASINs normalizados
+ * @param {string} params.marketplace - Código do marketplace
+ * @param {string} params.profile - Perfil de recursos
+ * @param {Array<Object|null>} [cachedEntries] - Entradas do cache já lidas, na ordem dos ASINs
+ * @returns {Promise<Object>} Produtos na ordem solicitada e metadados
+ */
+async function lookupProducts({ asins, marketplace, profile }, cachedEntries) {
+    // Recupera todos os ASINs do cache em uma única leitura
+    if (!cachedEntries) {
+        cachedEntries = await getCacheStore().getMany(PRODUCT_CACHE_COLLECTION, getProductCacheKeys({ asins, marketplace, profile }));
+    }
+
+    const productsByAsin = new Map();
+    const sourceByAsin = new Map();
+    const expiredByAsin = new Map();
+    const staleAsins = [];
+
+    cachedEntries.forEach((cachedData, index) => {
+        const asin = asins[index];
+        const cacheState = getCacheState(cachedData);
+
+        if (cacheState === 'fresh' || cacheState === 'stale') {
+            productsByAsin.set(asin, cachedData.product);
+            sourceByAsin.set(asin, cacheState === 'fresh' ? 'cache' : 'stale');
+            if (cacheState === 'stale') {
+                staleAsins.push(asin);
+            }
+        } else if (cacheState === 'expired') {
+            expiredByAsin.set(asin, cachedData);
+        }
+    });
+
+    // ASINs desatualizados são servidos na hora enquanto a Amazon é consultada
+    if (staleAsins.length > 0) {
+        refreshInBackground(() => refreshProducts(staleAsins, marketplace, profile), { asins: staleAsins, marketplace });
+    }
+
+    const missingAsins = asins.filter(asin => !productsByAsin.has(asin));
+
+    if (missingAsins.length > 0) {
+        try {
+            const refreshedProducts = await refreshProducts(missingAsins, marketplace, profile);
+            missingAsins.forEach(asin => sourceByAsin.set(asin, 'amazon_api'));
+            refreshedProducts.forEach((product, asin) => productsByAsin.set(asin, product));
+        } catch (error) {
+            // Com a Amazon indisponível, serve cópias antigas se houver uma para cada ASIN
+            const fallbackAsins = missingAsins.filter(asin => canServeOnError(expiredByAsin.get(asin)));
+            if (!isUpstreamFailure(error) || fallbackAsins.length < missingAsins.length) {
+                throw error;
+            }
+
+            logger.warn('Falha na Amazon, servindo cache antigo', { asins: fallbackAsins, marketplace, error: error.message });
+            fallbackAsins.forEach(asin => {
+                productsByAsin.set(asin, expiredByAsin.get(asin).product);
+                sourceByAsin.set(asin, 'stale_on_error');
+            });
+        }
+    } else {
+        logger.info('Todos os ASINs recuperados do cache', { asins, marketplace });
+    }
+
+    const products = asins
+        .filter(asin => productsByAsin.has(asin))
+        .map(asin => productsByAsin.get(asin));
+
+    asins
+        .filter(asin => productsByAsin.has(asin))
+        .forEach(asin => cacheServesTotal.inc({ type: 'product', source: sourceByAsin.get(asin) }));
+
+    return {
+        products,
+        metadata: {
+            source: combineSources(asins.map(asin => sourceByAsin.get(asin))),
+            itemCount: products.length,
+            requested: asins.length,
+            fromCache: asins.filter(asin => sourceByAsin.get(asin) !== 'amazon_api').length,
+            marketplace,
+            profile,
+            notFound: asins.filter(asin => !productsByAsin.has(asin))
+        }
+    };
+}
+
+/**
+ * Consulta uma categoria na Amazon e salva no cache
+ * @param {Object} params - Parâmetros da consulta
+ * @param {string} params.browseNodeId - ID da categoria
+ * @param {string} params.marketplace - Código do marketplace
+ * @param {string} params.cacheKey - Chave do cache da categoria
+ * @returns {Promise<Object|null>} Categoria ou null se não existir na Amazon
+ */
+async function refreshBrowseNode({ browseNodeId, marketplace, cacheKey }) {
+    const [found] = await getBrowseNodes({ browseNodeIds: [browseNodeId], marketplace });
+    if (!found) {
+        return null;
+    }
+
+    // Salva no cache (fire-and-forget para não atrasar resposta)
+    getCacheStore().set(BROWSE_NODE_CACHE_COLLECTION, cacheKey, {
+        browseNodeId,
+        marketplace,
+        updatedAt: Date.now(),
+        node: found
+    }).catch(error => {
+        logger.error('Erro ao salvar no cache', { cacheKey, error });
+    });
+
+    return found;
+}
+
+/**
+ * Consulta uma categoria (browse node), do cache ou da API da Amazon
+ * 
+ * Categorias ficam no cache por BROWSE_NODE_CACHE_MS. Depois disso são
+ * consultadas novamente; se a Amazon falhar, a cópia do cache é servida
+ * qualquer que seja a sua idade.
+ * 
+ * @param {Object} params - Parâmetros da consulta
+ * @param {string} params.browseNodeId - ID da categoria, validado por normalizeBrowseNodeId
+ * @param {string} params.marketplace - Código do marketplace
+ * @returns {Promise<Object>} Categoria (node), origem dos dados (source) e data de atualização
+ * @throws {NotFoundError} Se a categoria não existir na Amazon
+ */
+async function getBrowseNode({ browseNodeId, marketplace }) {
+    const cacheKey = createBrowseNodeCacheKey(browseNodeId, marketplace);
+    const cacheStore = getCacheStore();
+    const cachedData = await cacheStore.get(BROWSE_NODE_CACHE_COLLECTION, cacheKey);
+    const cacheAge = getCacheAge(cachedData);
+
+    const fromCachedData = source => {
+        cacheServesTotal.inc({ type: 'browse_node', source });
+        return { node: cachedData.node, source, updatedAt: new Date(cachedData.updatedAt) };
+    };
+
+    if (cacheAge !== null && cacheAge < BROWSE_NODE_CACHE_MS) {
+        return fromCachedData('cache');
+    }
+
+    let node;
+    try {
+        node = await coalesce(`browse_node:${cacheKey}`, () => refreshBrowseNode({ browseNodeId, marketplace, cacheKey }));
+    } catch (error) {
+        if (isUpstreamFailure(error) && cachedData) {
+            logger.warn('Falha na Amazon, servindo categoria do cache', { browseNodeId, marketplace, error: error.message });
+            return fromCachedData('stale_on_error');
+        }
+        throw error;
+    }
+
+    if (!node) {
+        throw new NotFoundError(`Categoria ${browseNodeId} não encontrada na Amazon (${marketplace})`, {
+            code: 'BROWSE_NODE_NOT_FOUND'
+        });
+    }
+
+    cacheServesTotal.inc({ type: 'browse_node', source: 'amazon_api' });
+    return { node, source: 'amazon_api', updatedAt: new Date() };
+}
+
+/**
+ * Obtém uma página de variações de um produto, do cache ou da API da Amazon
+ * 
+ * Segue as mesmas janelas das páginas de busca: dados recentes vêm do
+ * cache, desatualizados são servidos enquanto o cache é atualizado em
+ * segundo plano e cópias antigas substituem falhas da Amazon.
+ * 
+ * @param {Object} params - Parâmetros validados
+ * @param {string} params.asin - ASIN do produto (pai ou variação)
+ * @param {number} params.variationCount - Variações por página (1-10)
+ * @param {number} params.page - Página de variações
+ * @param {string} params.marketplace - Código do marketplace
+ * @param {string} params.profile - Perfil de recursos
+ * @returns {Promise<Object>} Página de getVariations com source e data de atualização
+ */
+async function fetchVariationsPage({ asin, variationCount, page, marketplace, profile }) {
+    const cacheKey = createVariationsCacheKey(asin, variationCount, marketplace, page, profile);
+    const cachedData = await getCacheStore().get(VARIATIONS_CACHE_COLLECTION, cacheKey);
+    const cacheState = getCacheState(cachedData);
+
+    const refresh = () => coalesce(`variations:${cacheKey}`, () => refreshVariationsPage({
+        asin,
+        variationCount,
+        page,
+        marketplace,
+        profile,
+        cacheKey
+    }));
+
+    const fromCachedData = source => {
+        cacheServesTotal.inc({ type: 'variations', source });
+        return { ...cachedData.result, source, updatedAt: new Date(cachedData.updatedAt) };
+    };
+
+    if (cacheState === 'fresh') {
+        return fromCachedData('cache');
+    }
+
+    if (cacheState === 'stale') {
+        refreshInBackground(refresh, { asin, marketplace, page });
+        return fromCachedData('stale');
+    }
+
+    try {
+        const result = await refresh();
+        cacheServesTotal.inc({ type: 'variations', source: result.source });
+        return result;
+    } catch (error) {
+        if (isUpstreamFailure(error) && canServeOnError(cachedData)) {
+            logger.warn('Falha na Amazon, servindo variações do cache', { asin, marketplace, page, error: error.message });
+            return fromCachedData('stale_on_error');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Consulta uma página de variações na API da Amazon e atualiza o cache
+ * @param {Object} params - Parâmetros de fetchVariationsPage mais a chave de cache da página
+ * @param {string} params.cacheKey - Chave de cache da página
+ * @returns {Promise<Object>} Página de getVariations com source e data de atualização
+ */
+async function refreshVariationsPage({ asin, variationCount, page, marketplace, profile, cacheKey }) {
+    const result = await getVariations({ asin, variationCount, variationPage: page, marketplace, profile });
+    const updatedAt = Date.now();
+
+    // Salva no cache (fire-and-forget para não atrasar resposta)
+    getCacheStore().set(VARIATIONS_CACHE_COLLECTION, cacheKey, {
+        asin,
+        variationCount,
+        page,
+        marketplace,
+        profile,
+        updatedAt,
+        result
+    }).catch(error => {
+        logger.error('Erro ao salvar no cache', { cacheKey, error });
+    });
+
+    trackPrices(result.variations, marketplace);
+
+    return { ...result, source: 'amazon_api', updatedAt: new Date(updatedAt) };
+}
+
+/**
+ * Lista as chaves de cache dos ASINs de uma consulta
+ * @param {Object} params - Parâmetros validados por validateItemsRequest
+ * @returns {Array<string>} Chaves de cache, na ordem dos ASINs
+ */
+function getProductCacheKeys({ asins, marketplace, profile }) {
+    return asins.map(asin => createProductCacheKey(asin, marketplace, profile));
+}
+
+
+/**
+ * Atualiza uma entrada do cache com dados novos da Amazon, independentemente
+ * da idade da entrada
+ *
+ * Páginas de busca são refeitas com a query, filtros, página e perfil gravados na
+ * própria entrada; produtos são consultados novamente pelo ASIN, páginas de
+ * variações, pelo ASIN, página e perfil gravados, e categorias, pelo ID.
+ *
+ * @param {string} namespace - Namespace do cache (SEARCH_CACHE_COLLECTION, PRODUCT_CACHE_COLLECTION,
+ * VARIATIONS_CACHE_COLLECTION ou BROWSE_NODE_CACHE_COLLECTION)
+ * @param {string} key - Chave da entrada
+ * @returns {Promise<Object|null>} Entrada atualizada ou null se a entrada não existir
+ * @throws {NotFoundError} Se o produto ou a categoria não forem mais encontrados na Amazon
+ */
+async function refreshCacheEntry(namespace, key) {
+    const cacheStore = getCacheStore();
+    const cachedData = await cacheStore.get(namespace, key, { track: false });
+
+    if (!cachedData) {
+        return null;
+    }
+
+    if (namespace === SEARCH_CACHE_COLLECTION) {
+        const result = await coalesce(`search:${key}`, () => refreshSearchPage({
+            query: cachedData.normalizedKeyword,
+            originalQuery: cachedData.keyword,
+            marketplace: cachedData.marketplace,
+            profile: cachedData.profile,
+            filters: cachedData.filters || {},
+            pageSize: cachedData.itemCount,
+            page: cachedData.page || 1,
+            cacheKey: key
+        }));
+
+        return {
+            ...cachedData,
+            canonicalKey: createCanonicalKey(
+                cachedData.normalizedKeyword,
+                cachedData.itemCount,
+                cachedData.marketplace,
+                cachedData.filters || {},
+                cachedData.page || 1,
+                cachedData.profile
+            ),
+            updatedAt: result.updatedAt.getTime(),
+            products: result.products,
+            totalFound: result.products.length,
+            totalResultCount: result.totalResultCount,
+            hasMore: result.hasMore
+        };
+    }
+
+    if (namespace === VARIATIONS_CACHE_COLLECTION) {
+        const { source, updatedAt, ...result } = await coalesce(`variations:${key}`, () => refreshVariationsPage({
+            asin: cachedData.asin,
+            variationCount: cachedData.variationCount,
+            page: cachedData.page,
+            marketplace: cachedData.marketplace,
+            profile: cachedData.profile,
+            cacheKey: key
+        }));
+
+        return { ...cachedData, updatedAt: updatedAt.getTime(), result };
+    }
+
+    if (namespace === BROWSE_NODE_CACHE_COLLECTION) {
+        const node = await coalesce(`browse_node:${key}`, () => refreshBrowseNode({
+            browseNodeId: cachedData.browseNodeId,
+            marketplace: cachedData.marketplace,
+            cacheKey: key
+        }));
+
+        if (!node) {
+            throw new NotFoundError(`Categoria ${cachedData.browseNodeId} não encontrada na Amazon (${cachedData.marketplace})`, {
+                code: 'BROWSE_NODE_NOT_FOUND'
+            });
+        }
+
+        return { ...cachedData, updatedAt: Date.now(), node };
+    }
+
+    const productsByAsin = await refreshProducts([cachedData.asin], cachedData.marketplace, cachedData.profile);
+    const product = productsByAsin.get(cachedData.asin);
+
+    if (!product) {
+        throw new NotFoundError(`Produto ${cachedData.asin} não encontrado na Amazon (${cachedData.marketplace})`, {
+            code: 'PRODUCT_NOT_FOUND'
+        });
+    }
+
+    return { ...cachedData, updatedAt: Date.now(), product };
+}
+
+module.exports = {
+    DEFAULT_ITEM_COUNT,
+    MAX_ITEM_COUNT,
+    CACHE_FRESH_MS,
+    CACHE_STALE_MS,
+    CACHE_MAX_STALE_ON_ERROR_MS,
+    BROWSE_NODE_CACHE_MS,
+    getCacheAge,
+    getCacheState,
+    getBrowseNodeCacheState,
+    validateSearchRequest,
+    searchProducts,
+    warmSearch,
+    lookupProducts,
+    getBrowseNode,
+    fetchVariationsPage,
+    combineSources,
+    getSearchCacheKeys,
+    getProductCacheKeys,
+    refreshCacheEntry
+};
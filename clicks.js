@@ -0,0 +1,294 @@
+/**
+ * Cliques em links de afiliado
+ *
+ * Monta o link de afiliado de um produto com o partner tag do marketplace e
+ * um ID de sub-rastreamento opcional (`ascsubtag`), registra cada clique na
+ * coleção `amazonClicks` do Firestore e agrega os cliques por ASIN,
+ * posicionamento (placement) e dia.
+ *
+ * Cliques vindos do widget carregam o ID da chave de API que o gerou,
+ * assinado com HMAC-SHA256 (`sig`) para que ninguém atribua cliques a outro
+ * cliente, e as consultas de analytics de um cliente ficam restritas aos seus
+ * cliques.
+ *
+ * O IP do visitante nunca é armazenado: apenas um hash SHA-256 com salt,
+ * suficiente para contar visitantes únicos.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const crypto = require('crypto');
+const { getFirestore, admin } = require('./firebase');
+const { ValidationError } = require('./errors');
+const { logger } = require('./logger');
+
+// Coleção do Firestore com os cliques
+const CLICKS_COLLECTION = 'amazonClicks';
+
+// Limite de cliques lidos por consulta de analytics
+const MAX_ANALYTICS_CLICKS = 10000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Formato aceito para placement e subtag (letras, números, "_", "-" e ".")
+const TRACKING_ID_REGEX = /^[\w.-]{1,64}$/;
+
+// Formato do ID de uma chave de API (parte `<id>` de `aak_<id>_<segredo>`)
+const API_KEY_ID_REGEX = /^[A-Za-z0-9]{20}$/;
+
+// Salt do hash de IP; sem CLICK_IP_SALT, visitantes únicos só são contados dentro do mesmo processo
+const IP_HASH_SALT = process.env.CLICK_IP_SALT || crypto.randomBytes(16).toString('hex');
+
+if (!process.env.CLICK_IP_SALT) {
+    logger.warn('CLICK_IP_SALT não configurado: usando salt aleatório para o hash de IP dos cliques');
+}
+
+// Segredo da assinatura do cliente nos links; sem CLICK_LINK_SECRET, links de outro processo perdem a atribuição
+const CLICK_LINK_SECRET = process.env.CLICK_LINK_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.CLICK_LINK_SECRET) {
+    logger.warn('CLICK_LINK_SECRET não configurado: usando segredo aleatório para assinar os links do widget');
+}
+
+/**
+ * Valida um identificador de rastreamento opcional (placement ou subtag)
+ * @param {string} name - Nome do parâmetro
+ * @param {*} value - Valor recebido
+ * @returns {string|null} Identificador validado ou null se ausente
+ * @throws {ValidationError} Se o formato for inválido
+ */
+function parseTrackingId(name, value) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+
+    if (typeof value !== 'string' || !TRACKING_ID_REGEX.test(value)) {
+        throw new ValidationError(`Parâmetro "${name}" inválido: use até 64 letras, números, "_", "-" ou "."`);
+    }
+
+    return value;
+}
+
+/**
+ * Valida o ID da chave de API que gerou o link (parâmetro "client")
+ * @param {*} value - Valor recebido
+ * @returns {string|null} ID validado ou null se ausente
+ * @throws {ValidationError} Se o formato for inválido
+ */
+function parseClientId(value) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+
+    if (typeof value !== 'string' || !API_KEY_ID_REGEX.test(value)) {
+        throw new ValidationError('Parâmetro "client" inválido: use o ID de 20 caracteres da chave de API');
+    }
+
+    return value;
+}
+
+/**
+ * Assina a atribuição de um link /go a uma chave de API
+ * @param {Object} link - Dados do link
+ * @param {string} link.asin - ASIN do produto
+ * @param {string} link.apiKeyId - ID da chave de API que gerou o link
+ * @param {string|null} link.placement - Posicionamento do link
+ * @returns {string} Assinatura HMAC-SHA256 de `asin|client|placement`, em base64url
+ */
+function signClickLink({ asin, apiKeyId, placement }) {
+    return crypto
+        .createHmac('sha256', CLICK_LINK_SECRET)
+        .update(`${asin}|${apiKeyId}|${placement || ''}`)
+        .digest('base64url');
+}
+
+/**
+ * Verifica a assinatura da atribuição de um link /go
+ * @param {Object} link - Dados do link (asin, apiKeyId, placement)
+ * @param {*} signature - Parâmetro `sig` recebido
+ * @returns {boolean} true se a assinatura confere
+ */
+function verifyClickLink(link, signature) {
+    if (typeof signature !== 'string') {
+        return false;
+    }
+
+    const expected = Buffer.from(signClickLink(link));
+    const received = Buffer.from(signature);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Monta o link de afiliado de um produto
+ *
+ * Usa a URL do produto retornada pela Amazon quando ela pertence ao domínio
+ * do marketplace (evitando redirecionamentos para outros sites) e, caso
+ * contrário, a página padrão do produto (/dp/ASIN).
+ *
+ * @param {Object} params - Dados do link
+ * @param {string} params.asin - ASIN do produto
+ * @param {string} [params.url] - URL do produto (DetailPageURL)
+ * @param {Object} params.marketplace - Marketplace retornado por getMarketplace
+ * @param {string} [params.subTag] - ID de sub-rastreamento (ascsubtag)
+ * @returns {string} URL de destino com partner tag
+ */
+function buildAffiliateUrl({ asin, url, marketplace, subTag }) {
+    let target = null;
+
+    if (url) {
+        try {
+            const parsed = new URL(url);
+            if (parsed.protocol === 'https:' && parsed.hostname === marketplace.marketplace) {
+                target = parsed;
+            }
+        } catch (error) {
+            // URL inválida no cache: usa a página padrão do produto
+        }
+    }
+
+    if (!target) {
+        target = new URL(`https://${marketplace.marketplace}/dp/${asin}`);
+    }
+
+    target.searchParams.set('tag', marketplace.partnerTag);
+    if (subTag) {
+        target.searchParams.set('ascsubtag', subTag);
+    }
+
+    return target.toString();
+}
+
+/**
+ * Calcula o hash de um IP para contagem de visitantes únicos
+ * @param {string} ip - IP do visitante
+ * @returns {string|null} Hash hexadecimal ou null se o IP for desconhecido
+ */
+function hashIp(ip) {
+    if (!ip) {
+        return null;
+    }
+
+    return crypto.createHash('sha256').update(`${IP_HASH_SALT}:${ip}`).digest('hex');
+}
+
+/**
+ * Registra um clique em link de afiliado
+ * @param {Object} click - Dados do clique
+ * @param {string} click.asin - ASIN do produto
+ * @param {string} click.marketplace - Código do marketplace
+ * @param {string|null} click.placement - Posicionamento do link no site
+ * @param {string|null} click.subTag - ID de sub-rastreamento
+ * @param {string|null} click.referrer - Página de origem (header Referer)
+ * @param {string|null} click.query - Busca que exibiu o produto
+ * @param {string|null} click.apiKeyId - ID da chave de API que gerou o link
+ * @param {string} click.ip - IP do visitante (armazenado apenas como hash)
+ * @returns {Promise<void>}
+ */
+async function recordClick({ asin, marketplace, placement, subTag, referrer, query, apiKeyId, ip }) {
+    const now = new Date();
+
+    await getFirestore().collection(CLICKS_COLLECTION).add({
+        asin,
+        marketplace,
+        placement: placement || null,
+        subTag: subTag || null,
+        referrer: referrer || null,
+        query: query || null,
+        apiKeyId: apiKeyId || null,
+        ipHash: hashIp(ip),
+        day: now.toISOString().slice(0, 10),
+        createdAt: admin.firestore.Timestamp.fromDate(now)
+    });
+}
+
+/**
+ * Ordena um contador por quantidade de cliques (decrescente)
+ * @param {Map<string, Object>} counter - Contador indexado pela chave do agrupamento
+ * @returns {Array<Object>} Grupos ordenados
+ */
+function sortByClicks(counter) {
+    return [...counter.values()].sort((a, b) => b.clicks - a.clicks);
+}
+
+/**
+ * Agrega os cliques dos últimos dias por ASIN, posicionamento e dia
+ * @param {Object} params - Parâmetros da consulta
+ * @param {number} params.days - Período em dias
+ * @param {string} [params.marketplace] - Filtra pelo marketplace
+ * @param {string} [params.asin] - Filtra pelo ASIN
+ * @param {string|null} [params.apiKeyId] - Restringe aos cliques gerados por esta chave de API
+ * @returns {Promise<Object>} Total de cliques e agregados byAsin, byPlacement e byDay
+ */
+async function getClickAnalytics({ days, marketplace, asin, apiKeyId }) {
+    const since = new Date(Date.now() - days * DAY_MS);
+
+    let query = getFirestore().collection(CLICKS_COLLECTION);
+
+    // A chave é filtrada na consulta (índice composto apiKeyId + createdAt) para
+    // que o limite de leitura conte apenas os cliques do cliente
+    if (apiKeyId) {
+        query = query.where('apiKeyId', '==', apiKeyId);
+    }
+
+    // Filtros adicionais são aplicados em memória para não exigir mais índices compostos
+    const snapshot = await query
+        .where('createdAt', '>=', admin.firestore.Timestamp.fromDate(since))
+        .orderBy('createdAt', 'desc')
+        .limit(MAX_ANALYTICS_CLICKS)
+        .get();
+
+    const clicks = snapshot.docs
+        .map(doc => doc.data())
+        .filter(click => (!marketplace || click.marketplace === marketplace) && (!asin || click.asin === asin));
+
+    const byAsin = new Map();
+    const byPlacement = new Map();
+    const byDay = new Map();
+    const visitorsByAsin = new Map();
+
+    clicks.forEach(click => {
+        const asinKey = `${click.marketplace}_${click.asin}`;
+        if (!byAsin.has(asinKey)) {
+            byAsin.set(asinKey, { asin: click.asin, marketplace: click.marketplace, clicks: 0, uniqueVisitors: 0 });
+            visitorsByAsin.set(asinKey, new Set());
+        }
+        byAsin.get(asinKey).clicks++;
+        if (click.ipHash) {
+            visitorsByAsin.get(asinKey).add(click.ipHash);
+        }
+
+        const placement = click.placement || null;
+        if (!byPlacement.has(placement)) {
+            byPlacement.set(placement, { placement, clicks: 0 });
+        }
+        byPlacement.get(placement).clicks++;
+
+        if (!byDay.has(click.day)) {
+            byDay.set(click.day, { day: click.day, clicks: 0 });
+        }
+        byDay.get(click.day).clicks++;
+    });
+
+    visitorsByAsin.forEach((visitors, asinKey) => {
+        byAsin.get(asinKey).uniqueVisitors = visitors.size;
+    });
+
+    return {
+        since: since.toISOString(),
+        totalClicks: clicks.length,
+        truncated: snapshot.docs.length >= MAX_ANALYTICS_CLICKS,
+        byAsin: sortByClicks(byAsin),
+        byPlacement: sortByClicks(byPlacement),
+        byDay: [...byDay.values()].sort((a, b) => a.day.localeCompare(b.day))
+    };
+}
+
+module.exports = {
+    parseTrackingId,
+    parseClientId,
+    signClickLink,
+    verifyClickLink,
+    buildAffiliateUrl,
+    recordClick,
+    getClickAnalytics
+};
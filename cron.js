@@ -0,0 +1,150 @@
+/**
+ * Expressões cron de cinco campos (minuto, hora, dia do mês, mês, dia da semana)
+ *
+ * Aceita `*`, valores, listas (`1,15`), intervalos (`9-18`) e passos (`*\/15`,
+ * `0-30/10`). Os horários são avaliados em UTC, como a cota diária da PAAPI.
+ * Quando dia do mês e dia da semana são ambos restritos, basta um deles
+ * coincidir, como no cron tradicional.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { ValidationError } = require('./errors');
+
+// Limites de cada campo, na ordem da expressão
+const CRON_FIELDS = [
+    { name: 'minuto', min: 0, max: 59 },
+    { name: 'hora', min: 0, max: 23 },
+    { name: 'dia do mês', min: 1, max: 31 },
+    { name: 'mês', min: 1, max: 12 },
+    { name: 'dia da semana', min: 0, max: 7 }
+];
+
+// Maior intervalo procurado por getNextRun (cobre expressões como 29 de fevereiro)
+const MAX_SEARCH_MINUTES = 4 * 366 * 24 * 60;
+
+/**
+ * Converte um campo da expressão no conjunto de valores aceitos
+ * @param {string} value - Campo (ex.: "*", "0,30", "9-18", "*\/15")
+ * @param {Object} field - Limites do campo
+ * @returns {Set<number>} Valores aceitos
+ * @throws {ValidationError} Se o campo for inválido
+ */
+function parseField(value, { name, min, max }) {
+    const values = new Set();
+    const invalid = () => new ValidationError(`Expressão cron inválida: campo ${name} "${value}" (${min}-${max})`);
+
+    value.split(',').forEach(part => {
+        const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw invalid();
+        }
+
+        const [, range, start, end, step] = match;
+        const from = range === '*' ? min : Number(start);
+        let to = range === '*' ? max : Number(end ?? start);
+        const increment = step === undefined ? 1 : Number(step);
+
+        // "5/10" equivale a "5-max/10"
+        if (range !== '*' && end === undefined && step !== undefined) {
+            to = max;
+        }
+
+        if (from < min || to > max || from > to || increment < 1) {
+            throw invalid();
+        }
+
+        for (let current = from; current <= to; current += increment) {
+            values.add(current);
+        }
+    });
+
+    // Domingo pode ser escrito como 0 ou 7
+    if (name === 'dia da semana' && values.delete(7)) {
+        values.add(0);
+    }
+
+    return values;
+}
+
+/**
+ * Interpreta uma expressão cron
+ * @param {string} expression - Expressão de cinco campos (ex.: "0 *\/2 * * *")
+ * @returns {Object} Agenda com a expressão e os valores aceitos de cada campo
+ * @throws {ValidationError} Se a expressão for inválida
+ */
+function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+
+    if (parts.length !== CRON_FIELDS.length) {
+        throw new ValidationError(`Expressão cron inválida: "${expression}" (esperados 5 campos: minuto hora dia mês dia-da-semana)`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, CRON_FIELDS[index]));
+
+    return {
+        expression: parts.join(' '),
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        restrictsDayOfMonth: parts[2] !== '*',
+        restrictsDayOfWeek: parts[4] !== '*'
+    };
+}
+
+/**
+ * Verifica se um dia (UTC) atende aos campos de dia do mês e dia da semana
+ * @param {Object} schedule - Agenda retornada por parseCron
+ * @param {Date} date - Data
+ * @returns {boolean} true se o dia é aceito
+ */
+function matchesDay(schedule, date) {
+    const dayOfMonth = schedule.daysOfMonth.has(date.getUTCDate());
+    const dayOfWeek = schedule.daysOfWeek.has(date.getUTCDay());
+
+    if (schedule.restrictsDayOfMonth && schedule.restrictsDayOfWeek) {
+        return dayOfMonth || dayOfWeek;
+    }
+
+    return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Calcula a próxima execução de uma agenda, estritamente após `from`
+ * @param {Object} schedule - Agenda retornada por parseCron
+ * @param {Date} [from=new Date()] - Momento de referência
+ * @returns {Date|null} Próxima execução (no início do minuto) ou null se não houver
+ */
+function getNextRun(schedule, from = new Date()) {
+    const date = new Date(from.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    for (let step = 0; step < MAX_SEARCH_MINUTES; step++) {
+        if (!schedule.months.has(date.getUTCMonth() + 1) || !matchesDay(schedule, date)) {
+            // Pula para o início do dia seguinte
+            date.setUTCHours(24, 0, 0, 0);
+            continue;
+        }
+
+        if (!schedule.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+
+        if (schedule.minutes.has(date.getUTCMinutes())) {
+            return date;
+        }
+
+        date.setUTCMinutes(date.getUTCMinutes() + 1);
+    }
+
+    return null;
+}
+
+module.exports = {
+    parseCron,
+    getNextRun
+};
@@ -0,0 +1,175 @@
+/**
+ * Erros da API com status HTTP e código estáveis
+ *
+ * Cada classe corresponde a uma categoria de falha e define o status HTTP e
+ * o código (`code`) devolvidos ao cliente. O middleware global de erros em
+ * app.js converte qualquer erro no corpo JSON padronizado com toErrorBody.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { getRequestId } = require('./logger');
+
+/**
+ * Erro base da API
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} message - Mensagem do erro
+     * @param {Object} [options] - Opções do erro
+     * @param {number} [options.status=500] - Status HTTP
+     * @param {string} [options.code='INTERNAL_ERROR'] - Código estável do erro
+     * @param {string} [options.publicMessage] - Mensagem exibida ao cliente (padrão: a própria mensagem
+     * em erros 4xx e uma mensagem genérica em erros 5xx)
+     * @param {number} [options.retryAfter] - Segundos até uma nova tentativa (header Retry-After)
+     * @param {Error} [options.cause] - Erro original
+     */
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', publicMessage, retryAfter, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.retryAfter = retryAfter;
+        this.publicMessage = publicMessage || (status < 500 ? message : 'Erro interno do servidor');
+    }
+}
+
+/**
+ * Parâmetros ou corpo da requisição inválidos (400)
+ */
+class ValidationError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, { status: 400, code: 'VALIDATION_ERROR', ...options });
+    }
+}
+
+/**
+ * Credenciais ausentes ou recusadas (401)
+ */
+class AuthenticationError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, { status: 401, code: 'AUTHENTICATION_ERROR', ...options });
+    }
+}
+
+/**
+ * Acesso negado (403)
+ */
+class ForbiddenError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, { status: 403, code: 'FORBIDDEN', ...options });
+    }
+}
+
+/**
+ * Recurso inexistente ou busca sem resultados (404)
+ */
+class NotFoundError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, { status: 404, code: 'NOT_FOUND', ...options });
+    }
+}
+
+/**
+ * Limite de requisições atingido (429, com Retry-After)
+ */
+class ThrottlingError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, { status: 429, code: 'RATE_LIMITED', retryAfter: 1, ...options });
+    }
+}
+
+/**
+ * Resposta inesperada ou falha interna da Amazon (502)
+ */
+class UpstreamError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, {
+            status: 502,
+            code: 'UPSTREAM_ERROR',
+            publicMessage: 'Serviço da Amazon retornou um erro inesperado',
+            ...options
+        });
+    }
+}
+
+/**
+ * Serviço externo inacessível ou cota esgotada (503)
+ */
+class ServiceUnavailableError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, {
+            status: 503,
+            code: 'SERVICE_UNAVAILABLE',
+            publicMessage: 'Serviço temporariamente indisponível',
+            ...options
+        });
+    }
+}
+
+/**
+ * Falha de leitura ou gravação no cache (503)
+ */
+class CacheError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, {
+            status: 503,
+            code: 'CACHE_UNAVAILABLE',
+            publicMessage: 'Cache temporariamente indisponível',
+            ...options
+        });
+    }
+}
+
+/**
+ * Converte qualquer erro em ApiError
+ *
+ * Erros do Express com status 4xx (ex.: JSON malformado no corpo) mantêm o
+ * status; os demais viram erro interno (500).
+ *
+ * @param {Error} error - Erro capturado
+ * @returns {ApiError} Erro tipado
+ */
+function toApiError(error) {
+    if (error instanceof ApiError) {
+        return error;
+    }
+
+    if (error?.expose && error.status >= 400 && error.status < 500) {
+        return new ApiError(error.message, { status: error.status, code: 'INVALID_REQUEST', cause: error });
+    }
+
+    return new ApiError(error?.message || 'Erro desconhecido', { cause: error });
+}
+
+/**
+ * Monta o corpo JSON padronizado de uma resposta de erro
+ * @param {ApiError} error - Erro tipado
+ * @returns {Object} Corpo com error, code, status, details (desenvolvimento), retryAfter,
+ * requestId (o mesmo do header X-Request-Id e dos logs) e timestamp
+ */
+function toErrorBody(error) {
+    return {
+        error: error.publicMessage,
+        code: error.code,
+        status: error.status,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+        retryAfter: error.retryAfter,
+        requestId: getRequestId() || undefined,
+        timestamp: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    ApiError,
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    ThrottlingError,
+    UpstreamError,
+    ServiceUnavailableError,
+    CacheError,
+    toApiError,
+    toErrorBody
+};
@@ -0,0 +1,378 @@
+/**
+ * Exportação dos produtos em cache como CSV, XML do Google Merchant Center e RSS 2.0
+ *
+ * Os produtos vêm das entradas já gravadas no cache (consultas por ASIN e
+ * páginas de busca), sem chamadas à Amazon. O cache é lido em páginas e a
+ * saída é gerada produto a produto por geradores assíncronos, para ser
+ * enviada em stream sem carregar as entradas nem montar o arquivo inteiro em
+ * memória; a leitura para assim que o limite de produtos é atingido.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { getCacheStore } = require('./cache');
+const { SEARCH_CACHE_COLLECTION, PRODUCT_CACHE_COLLECTION, normalizeQueryKey } = require('./cache/keys');
+const { buildAffiliateUrl } = require('./clicks');
+const { calculateSavingPercent } = require('./widget');
+
+// Formatos aceitos no parâmetro `format`
+const FEED_FORMATS = ['csv', 'xml', 'rss'];
+
+// Content-Type de cada formato
+const FEED_CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xml: 'application/xml; charset=utf-8',
+    rss: 'application/rss+xml; charset=utf-8'
+};
+
+// Máximo de entradas lidas de cada namespace do cache por exportação
+const FEED_SCAN_LIMIT = parseInt(process.env.FEED_SCAN_LIMIT, 10) || 5000;
+
+// Entradas lidas do cache por consulta
+const FEED_PAGE_SIZE = 100;
+
+// Colunas do CSV, na ordem em que são exportadas
+const CSV_COLUMNS = [
+    'asin',
+    'title',
+    'brand',
+    'price',
+    'priceFormatted',
+    'currency',
+    'savingBasis',
+    'savingPercent',
+    'availability',
+    'isPrimeEligible',
+    'image',
+    'url',
+    'marketplace',
+    'updatedAt'
+];
+
+// Disponibilidade da PAAPI (Availability.Type) no vocabulário do Google Merchant Center
+const MERCHANT_AVAILABILITY = {
+    Now: 'in_stock',
+    Backorderable: 'backorder',
+    Preorderable: 'preorder',
+    OutOfStock: 'out_of_stock'
+};
+
+// Namespace dos campos do Google Merchant Center
+const GOOGLE_NAMESPACE = 'http://base.google.com/ns/1.0';
+
+// Caracteres que não podem aparecer em XML 1.0, mesmo escapados
+const INVALID_XML_CHARS = /[^\u0009\u000A\u000D\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+/**
+ * Escapa texto para inserção segura em XML (conteúdo e atributos)
+ * @param {*} value - Valor a escapar
+ * @returns {string} Texto escapado, sem caracteres inválidos em XML
+ */
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(INVALID_XML_CHARS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Formata uma célula do CSV (RFC 4180)
+ *
+ * Textos que começam com =, +, - ou @ recebem um apóstrofo na frente para que
+ * planilhas não os executem como fórmulas.
+ *
+ * @param {*} value - Valor da célula
+ * @returns {string} Célula formatada, entre aspas quando necessário
+ */
+function formatCsvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Percorre as entradas de um namespace em páginas, das mais recentes para as
+ * mais antigas, até FEED_SCAN_LIMIT entradas
+ * @param {Object} cacheStore - Cache retornado por getCacheStore
+ * @param {string} namespace - Coleção do cache
+ * @returns {AsyncGenerator<Object>} Entradas ({ key, entry })
+ */
+async function* scanNamespace(cacheStore, namespace) {
+    let after = null;
+    let scanned = 0;
+
+    while (scanned < FEED_SCAN_LIMIT) {
+        const limit = Math.min(FEED_PAGE_SIZE, FEED_SCAN_LIMIT - scanned);
+        const page = await cacheStore.list(namespace, { limit, order: 'desc', after });
+
+        yield* page;
+        scanned += page.length;
+
+        if (page.length < limit) {
+            return;
+        }
+
+        const last = page[page.length - 1];
+        after = { key: last.key, updatedAt: last.entry.updatedAt };
+    }
+}
+
+/**
+ * Percorre as entradas dos namespaces que podem conter produtos do feed
+ * @param {Object} cacheStore - Cache retornado por getCacheStore
+ * @param {Array<string>} namespaces - Coleções do cache, na ordem de leitura
+ * @param {Object} criteria - Critérios validados da exportação
+ * @returns {AsyncGenerator<Object>} Entradas ({ products, updatedAt })
+ */
+async function* iterateFeedEntries(cacheStore, namespaces, { marketplace, browseNodeId }) {
+    for (const namespace of namespaces) {
+        for await (const { entry } of scanNamespace(cacheStore, namespace)) {
+            if (entry.marketplace !== marketplace.code) {
+                continue;
+            }
+
+            if (namespace === PRODUCT_CACHE_COLLECTION) {
+                if (entry.product) {
+                    yield { products: [entry.product], updatedAt: entry.updatedAt };
+                }
+                continue;
+            }
+
+            if (!browseNodeId || (entry.filters && entry.filters.browseNodeId === browseNodeId)) {
+                yield { products: entry.products || [], updatedAt: entry.updatedAt };
+            }
+        }
+    }
+}
+
+/**
+ * Prepara a leitura do cache das entradas que podem conter produtos do feed
+ *
+ * Cada namespace é lido em páginas até FEED_SCAN_LIMIT entradas, das mais
+ * recentes para as mais antigas, conforme os produtos são consumidos. Com
+ * `browseNodeId`, apenas buscas feitas naquela categoria são lidas, pois os
+ * produtos em cache não guardam a categoria.
+ *
+ * Os namespaces são contados antes da leitura: uma falha do cache ainda pode
+ * virar resposta de erro, e a contagem indica se o limite deixará entradas de fora.
+ *
+ * @param {Object} criteria - Critérios validados da exportação
+ * @param {Object} criteria.marketplace - Marketplace retornado por getMarketplace
+ * @param {string|null} criteria.browseNodeId - ID da categoria
+ * @returns {Promise<Object>} Entradas (AsyncGenerator de { products, updatedAt }) e se algum
+ * namespace tem mais entradas que o limite de leitura
+ */
+async function readFeedEntries(criteria) {
+    const cacheStore = getCacheStore();
+    const namespaces = criteria.browseNodeId
+        ? [SEARCH_CACHE_COLLECTION]
+        : [PRODUCT_CACHE_COLLECTION, SEARCH_CACHE_COLLECTION];
+
+    const counts = await Promise.all(namespaces.map(namespace => cacheStore.count(namespace)));
+
+    return {
+        entries: iterateFeedEntries(cacheStore, namespaces, criteria),
+        truncated: counts.some(count => count > FEED_SCAN_LIMIT)
+    };
+}
+
+/**
+ * Percorre os produtos das entradas que atendem aos critérios, sem ASINs repetidos
+ *
+ * A primeira ocorrência de cada ASIN vence: consultas por ASIN antes de
+ * buscas, e entradas mais recentes antes das mais antigas.
+ *
+ * Ao atingir o limite, o gerador termina e encerra a leitura das entradas.
+ *
+ * @param {AsyncIterable<Object>|Iterable<Object>} entries - Entradas retornadas por readFeedEntries
+ * @param {Object} criteria - Critérios validados da exportação
+ * @param {string|null} criteria.query - Palavras que devem aparecer no título ou na marca
+ * @param {Array<string>|null} criteria.asins - ASINs aceitos
+ * @param {number|null} criteria.minDiscount - Desconto mínimo, em porcentagem
+ * @param {number} criteria.limit - Número máximo de produtos
+ * @returns {AsyncGenerator<Object>} Produtos com updatedAt (data da entrada do cache)
+ */
+async function* selectFeedProducts(entries, { query, asins, minDiscount, limit }) {
+    const words = query ? normalizeQueryKey(query).split(' ') : [];
+    const seen = new Set();
+
+    for await (const { products, updatedAt } of entries) {
+        for (const product of products) {
+            if (!product || !product.asin || seen.has(product.asin)) {
+                continue;
+            }
+            if (asins && !asins.includes(product.asin)) {
+                continue;
+            }
+            if (words.length > 0) {
+                const text = normalizeQueryKey(`${product.title || ''} ${product.brand || ''}`);
+                if (!words.every(word => text.includes(word))) {
+                    continue;
+                }
+            }
+
+            const savingPercent = product.savingPercent || calculateSavingPercent(product);
+            if (minDiscount && (!savingPercent || savingPercent < minDiscount)) {
+                continue;
+            }
+
+            seen.add(product.asin);
+            yield { ...product, savingPercent: savingPercent || null, updatedAt: new Date(updatedAt) };
+
+            if (seen.size >= limit) {
+                return;
+            }
+        }
+    }
+}
+
+/**
+ * Formata um valor em unidades da moeda no padrão do Merchant Center (ex.: "249.90 BRL")
+ * @param {number} amount - Valor
+ * @param {string} currency - Código da moeda
+ * @returns {string} Preço formatado
+ */
+function formatMerchantPrice(amount, currency) {
+    return `${amount.toFixed(2)} ${currency}`;
+}
+
+/**
+ * Monta um elemento XML simples, omitido quando o valor está vazio
+ * @param {string} name - Nome do elemento
+ * @param {*} value - Conteúdo (escapado)
+ * @returns {string} Elemento ou string vazia
+ */
+function xmlElement(name, value) {
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+    return `<${name}>${escapeXml(value)}</${name}>`;
+}
+
+/**
+ * Renderiza um produto como linha do CSV
+ * @param {Object} product - Produto selecionado, com url de afiliado
+ * @param {Object} marketplace - Marketplace do feed
+ * @returns {string} Linha com quebra no final
+ */
+function renderCsvRow(product, marketplace) {
+    const row = { ...product, marketplace: marketplace.code, updatedAt: product.updatedAt.toISOString() };
+    return `${CSV_COLUMNS.map(column => formatCsvCell(row[column])).join(',')}\r\n`;
+}
+
+/**
+ * Renderiza um produto como item do feed do Google Merchant Center
+ *
+ * Com preço de referência maior que o preço atual, o preço de referência vai
+ * em g:price e o preço atual em g:sale_price.
+ *
+ * @param {Object} product - Produto selecionado, com url de afiliado
+ * @param {Object} marketplace - Marketplace do feed
+ * @returns {string} Elemento <item>
+ */
+function renderMerchantItem(product, marketplace) {
+    const currency = product.currency || marketplace.currency;
+    const onSale = product.price && product.savingBasis && product.savingBasis > product.price;
+    const regularPrice = onSale ? product.savingBasis : product.price;
+    // Sem o tipo de disponibilidade (perfil minimal), um preço indica produto à venda
+    const availability = MERCHANT_AVAILABILITY[product.availability] || (product.price ? 'in_stock' : 'out_of_stock');
+
+    return [
+        '<item>',
+        xmlElement('g:id', product.asin),
+        xmlElement('g:title', product.title),
+        xmlElement('g:description', Array.isArray(product.features) && product.features.length > 0
+            ? product.features.join(' ')
+            : product.title),
+        xmlElement('g:link', product.url),
+        xmlElement('g:image_link', product.image),
+        xmlElement('g:availability', availability),
+        regularPrice ? xmlElement('g:price', formatMerchantPrice(regularPrice, currency)) : '',
+        onSale ? xmlElement('g:sale_price', formatMerchantPrice(product.price, currency)) : '',
+        xmlElement('g:brand', product.brand),
+        xmlElement('g:condition', 'new'),
+        '</item>\n'
+    ].join('');
+}
+
+/**
+ * Renderiza um produto como item do RSS 2.0
+ * @param {Object} product - Produto selecionado, com url de afiliado
+ * @param {Object} marketplace - Marketplace do feed
+ * @returns {string} Elemento <item>
+ */
+function renderRssItem(product, marketplace) {
+    const description = [product.priceFormatted, product.savingPercent ? `-${product.savingPercent}%` : null]
+        .filter(Boolean)
+        .join(' ');
+
+    return [
+        '<item>',
+        xmlElement('title', product.title),
+        xmlElement('link', product.url),
+        `<guid isPermaLink="false">${escapeXml(`${marketplace.code}:${product.asin}`)}</guid>`,
+        xmlElement('description', description),
+        xmlElement('pubDate', product.updatedAt.toUTCString()),
+        product.image ? `<enclosure url="${escapeXml(product.image)}" type="image/jpeg" length="0"/>` : '',
+        '</item>\n'
+    ].join('');
+}
+
+/**
+ * Gera o feed em partes, um produto por vez
+ * @param {Object} params - Dados do feed
+ * @param {string} params.format - csv, xml ou rss
+ * @param {AsyncIterable<Object>|Iterable<Object>} params.products - Produtos retornados por selectFeedProducts
+ * @param {Object} params.marketplace - Marketplace retornado por getMarketplace
+ * @param {string|null} params.subTag - ID de sub-rastreamento adicionado aos links
+ * @param {string} params.title - Título do canal (XML e RSS)
+ * @param {Date} params.generatedAt - Data da exportação
+ * @returns {AsyncGenerator<string>} Partes do arquivo
+ */
+async function* renderFeed({ format, products, marketplace, subTag, title, generatedAt }) {
+    const channel = [
+        xmlElement('title', title),
+        xmlElement('link', `https://${marketplace.marketplace}`),
+        xmlElement('description', `Produtos em cache da ${marketplace.name}`),
+        xmlElement('lastBuildDate', generatedAt.toUTCString())
+    ].join('');
+
+    if (format === 'csv') {
+        // BOM para que planilhas reconheçam o UTF-8 (acentos nos títulos)
+        yield `\uFEFF${CSV_COLUMNS.join(',')}\r\n`;
+    } else {
+        const namespace = format === 'xml' ? ` xmlns:g="${GOOGLE_NAMESPACE}"` : '';
+        yield `<?xml version="1.0" encoding="UTF-8"?>\n<rss version="2.0"${namespace}>\n<channel>${channel}\n`;
+    }
+
+    const renderItem = { csv: renderCsvRow, xml: renderMerchantItem, rss: renderRssItem }[format];
+
+    for await (const product of products) {
+        const url = buildAffiliateUrl({ asin: product.asin, url: product.url, marketplace, subTag });
+        yield renderItem({ ...product, url }, marketplace);
+    }
+
+    if (format !== 'csv') {
+        yield '</channel>\n</rss>\n';
+    }
+}
+
+module.exports = {
+    FEED_FORMATS,
+    FEED_CONTENT_TYPES,
+    escapeXml,
+    formatCsvCell,
+    readFeedEntries,
+    selectFeedProducts,
+    renderFeed
+};
@@ -2,7 +2,8 @@
  * Configuração do Firebase Admin SDK
  * 
  * Este módulo inicializa o Firebase Admin SDK com as credenciais necessárias
- * para acessar o Firestore e outros serviços do Firebase.
+ * para acessar o Firestore e outros serviços do Firebase. A inicialização
+ * acontece no primeiro acesso ao Firestore (getFirestore).
  * 
  * @author Emanuel Ozorio
  * @requires firebase-admin
@@ -13,19 +14,22 @@
 require('dotenv').config();
 
 const admin = require('firebase-admin');
+const { ServiceUnavailableError } = require('./errors');
+const { logger } = require('./logger');
+
+// Variáveis de ambiente obrigatórias para acessar o Firestore
+const REQUIRED_VARS = [
+    'FIREBASE_PROJECT_ID',
+    'FIREBASE_CLIENT_EMAIL',
+    'FIREBASE_PRIVATE_KEY'
+];
 
 /**
  * Valida se todas as variáveis de ambiente necessárias estão presentes
  * @throws {Error} Se alguma variável estiver ausente
  */
 function validateEnvironmentVariables() {
-    const requiredVars = [
-        'FIREBASE_PROJECT_ID',
-        'FIREBASE_CLIENT_EMAIL',
-        'FIREBASE_PRIVATE_KEY'
-    ];
-
-    const missingVars = requiredVars.filter(varName => !process.env[varName]);
+    const missingVars = REQUIRED_VARS.filter(varName => !process.env[varName]);
 
     if (missingVars.length > 0) {
         throw new Error(`Variáveis de ambiente ausentes: ${missingVars.join(', ')}`);
@@ -44,36 +48,64 @@ function validateEnvironmentVariables() {
     }
 }
 
-try {
-    // Valida variáveis de ambiente antes de inicializar
-    validateEnvironmentVariables();
-
-    // Inicializa o Firebase Admin SDK
-    admin.initializeApp({
-        credential: admin.credential.cert({
-            projectId: process.env.FIREBASE_PROJECT_ID,
-            clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-            // Substitui \\n por quebras de linha reais na private key
-            privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
-        }),
-        // Opcional: especificar database URL se usando Realtime Database
-        // databaseURL: `https://${process.env.FIREBASE_PROJECT_ID}-default-rtdb.firebaseio.com/`
-    });
-
-    console.log('✅ Firebase Admin SDK inicializado com sucesso');
+// Instância do Firestore, criada no primeiro uso
+let db = null;
 
-} catch (error) {
-    console.error('❌ Erro ao inicializar Firebase Admin SDK:', error.message);
-    process.exit(1); // Encerra a aplicação se não conseguir conectar ao Firebase
+/**
+ * Verifica se as credenciais do Firebase estão configuradas
+ * @returns {boolean} true se todas as variáveis obrigatórias estão presentes
+ */
+function isFirebaseConfigured() {
+    return REQUIRED_VARS.every(varName => Boolean(process.env[varName]));
 }
 
-// Instância do Firestore
-const db = admin.firestore();
+/**
+ * Retorna a instância do Firestore, inicializando o Firebase Admin SDK no primeiro uso
+ * 
+ * A inicialização é adiada para que o serviço possa rodar sem Firebase quando
+ * nenhum recurso que dependa do Firestore estiver em uso (ex.: cache em memória).
+ * 
+ * @returns {Object} Instância do Firestore
+ * @throws {ServiceUnavailableError} Se as credenciais estiverem ausentes ou inválidas
+ */
+function getFirestore() {
+    if (db) {
+        return db;
+    }
+
+    try {
+        // Valida variáveis de ambiente antes de inicializar
+        validateEnvironmentVariables();
+
+        // Inicializa o Firebase Admin SDK
+        admin.initializeApp({
+            credential: admin.credential.cert({
+                projectId: process.env.FIREBASE_PROJECT_ID,
+                clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+                // Substitui \\n por quebras de linha reais na private key
+                privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+            }),
+            // Opcional: especificar database URL se usando Realtime Database
+            // databaseURL: `https://${process.env.FIREBASE_PROJECT_ID}-default-rtdb.firebaseio.com/`
+        });
+    } catch (error) {
+        throw new ServiceUnavailableError(`Falha ao inicializar Firebase Admin SDK: ${error.message}`, {
+            code: 'FIRESTORE_UNAVAILABLE',
+            cause: error
+        });
+    }
+
+    logger.info('Firebase Admin SDK inicializado com sucesso');
 
-// Configurações do Firestore para melhor performance
-db.settings({
-    ignoreUndefinedProperties: true, // Ignora propriedades undefined
-});
+    db = admin.firestore();
+
+    // Configurações do Firestore para melhor performance
+    db.settings({
+        ignoreUndefinedProperties: true, // Ignora propriedades undefined
+    });
+
+    return db;
+}
 
 /**
  * Testa a conexão com o Firestore
@@ -82,22 +114,18 @@ db.settings({
 async function testFirestoreConnection() {
     try {
         // Tenta acessar uma coleção para testar a conexão
-        await db.collection('_health_check').limit(1).get();
-        console.log('✅ Conexão com Firestore estabelecida com sucesso');
+        await getFirestore().collection('_health_check').limit(1).get();
+        logger.info('Conexão com Firestore estabelecida com sucesso');
         return true;
     } catch (error) {
-        console.error('❌ Erro ao conectar com Firestore:', error.message);
+        logger.error('Erro ao conectar com Firestore', { error });
         return false;
     }
 }
 
-// Testa a conexão na inicialização (apenas em desenvolvimento)
-if (process.env.NODE_ENV !== 'production') {
-    testFirestoreConnection();
-}
-
 module.exports = { 
     admin, 
-    db,
+    getFirestore,
+    isFirebaseConfigured,
     testFirestoreConnection 
 };
\ No newline at end of file
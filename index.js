@@ -2,7 +2,7 @@
  * Servidor Express para API de integração Firebase + Amazon Product Advertising API
  * 
  * Este aplicativo fornece endpoints para buscar produtos da Amazon e armazená-los
- * no Firebase Firestore com cache inteligente.
+ * em cache inteligente (Firebase Firestore por padrão).
  * 
  * @author Emanuel Ozorio
  * @version 1.0.0
@@ -11,97 +11,101 @@
 // Carrega variáveis de ambiente do arquivo .env
 require('dotenv').config();
 
-const express = require('express');
-const cors = require('cors');
-
-// Configuração de origens permitidas para CORS
-const allowedOrigins = [
-    process.env.URL_LOCAL,
-    process.env.URL_OFICIAL
-].filter(Boolean); // Remove valores undefined/null
-
-const app = express();
-
-// Configuração do middleware CORS
-app.use(cors({
-    origin: function (origin, callback) {
-        // Permite requisições sem origin (ex: Postman, aplicações mobile)
-        // ou de origens específicas configuradas
-        if (!origin || allowedOrigins.includes(origin)) {
-            return callback(null, true);
-        } else {
-            console.warn(`Tentativa de acesso negada para origem: ${origin}`);
-            return callback(new Error('Acesso negado pela política CORS'));
-        }
-    },
-    credentials: true, // Permite cookies e headers de autenticação
-    optionsSuccessStatus: 200 // Para compatibilidade com navegadores legados
-}));
-
-// Middleware para parsing de JSON
-app.use(express.json({ limit: '10mb' }));
-
-// Middleware para parsing de dados URL-encoded
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// Rota de health check
-app.get('/health', (req, res) => {
-    res.status(200).json({
-        status: 'OK',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        version: require('./package.json').version
-    });
-});
-
-// Rotas da API
-app.use('/amazon-products', require('./routes/amazon-products'));
-
-// Middleware para tratar rotas não encontradas
-app.use('/{*path}', (req, res) => {
-    res.status(404).json({
-        error: 'Endpoint não encontrado',
-        path: req.originalUrl,
-        method: req.method
-    });
-});
-
-// Middleware global de tratamento de erros
-app.use((error, req, res, next) => {
-    console.error('Erro não tratado:', error);
-    
-    res.status(error.status || 500).json({
-        error: 'Erro interno do servidor',
-        message: process.env.NODE_ENV === 'development' ? error.message : 'Algo deu errado',
-        timestamp: new Date().toISOString()
-    });
-});
+const { getFirestore, isFirebaseConfigured, testFirestoreConnection } = require('./firebase');
+const { getCacheStoreType, cacheStoreRequiresFirestore } = require('./cache');
+const { startWatchChecker, stopWatchChecker } = require('./watch-checker');
+const { startCacheWarmer, stopCacheWarmer } = require('./cache-warmer');
+const { flushPopularity, stopPopularityTracking } = require('./popularity');
+const { API_KEYS_ENABLED } = require('./auth');
+const { logger } = require('./logger');
+const app = require('./app');
+
+// Valida o cache configurado e, se ele depender do Firestore, as credenciais do Firebase
+try {
+    const cacheStoreType = getCacheStoreType();
+
+    if (cacheStoreRequiresFirestore()) {
+        getFirestore();
+    }
+
+    logger.info('Cache configurado', { cacheStore: cacheStoreType });
+} catch (error) {
+    logger.error('Erro ao configurar o cache', { error });
+    process.exit(1); // Encerra a aplicação se o cache não puder ser usado
+}
+
+// Chaves de API ficam no Firestore: sem ele, nenhuma requisição poderia ser autenticada
+if (API_KEYS_ENABLED) {
+    try {
+        getFirestore();
+        logger.info('Chaves de API exigidas em /amazon-products');
+    } catch (error) {
+        logger.error('Chaves de API exigem o Firebase (defina API_KEYS_ENABLED=false para desativá-las)', { error });
+        process.exit(1);
+    }
+} else {
+    logger.warn('Chaves de API desativadas: /amazon-products está aberto a qualquer cliente');
+}
+
+// Testa a conexão com o Firestore na inicialização (apenas em desenvolvimento)
+if (isFirebaseConfigured() && process.env.NODE_ENV !== 'production') {
+    testFirestoreConnection();
+}
 
 // Configuração da porta
 const PORT = process.env.PORT || 3000;
 
 // Inicia o servidor
 const server = app.listen(PORT, () => {
-    console.log(`🚀 API Firebase-Amazon-Ads rodando na porta ${PORT}`);
-    console.log(`📊 Health check: http://localhost:${PORT}/health`);
-    console.log(`🛍️  Produtos Amazon: http://localhost:${PORT}/amazon-products/search`);
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('Recebido SIGTERM, encerrando servidor graciosamente...');
-    server.close(() => {
-        console.log('Servidor encerrado.');
-        process.exit(0);
+    logger.info('API Firebase-Amazon-Ads iniciada', {
+        port: Number(PORT),
+        health: `http://localhost:${PORT}/health`,
+        metrics: `http://localhost:${PORT}/metrics`,
+        search: `http://localhost:${PORT}/amazon-products/search`
     });
-});
 
-process.on('SIGINT', () => {
-    console.log('Recebido SIGINT, encerrando servidor graciosamente...');
-    server.close(() => {
-        console.log('Servidor encerrado.');
-        process.exit(0);
-    });
+    // Verificador de watches em segundo plano (desative com WATCH_CHECKER_ENABLED=false)
+    if (process.env.WATCH_CHECKER_ENABLED !== 'false') {
+        if (isFirebaseConfigured()) {
+            startWatchChecker();
+        } else {
+            logger.warn('Verificador de watches desativado: Firebase não configurado');
+        }
+    }
+
+    // Aquecimento agendado do cache (desative com CACHE_WARMER_ENABLED=false)
+    if (process.env.CACHE_WARMER_ENABLED !== 'false') {
+        try {
+            startCacheWarmer();
+        } catch (error) {
+            logger.error('Aquecimento do cache desativado', { error });
+        }
+    }
 });
 
+/**
+ * Interrompe as tarefas em segundo plano e encerra o servidor
+ * @param {string} signal - Sinal recebido
+ */
+function shutdown(signal) {
+    logger.info('Encerrando servidor graciosamente', { signal });
+    stopWatchChecker();
+    stopCacheWarmer();
+    stopPopularityTracking();
+
+    // Grava as contagens de popularidade ainda em memória antes de sair
+    flushPopularity()
+        .catch(error => logger.error('Erro ao gravar popularidade das buscas', { error }))
+        .finally(() => {
+            server.close(() => {
+                logger.info('Servidor encerrado');
+                process.exit(0);
+            });
+        });
+}
+
+// Graceful shutdown
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,284 @@
+/**
+ * Extração de palavras-chave de textos de artigos
+ *
+ * Encontra, sem serviços externos, os termos do artigo com mais chance de
+ * descrever produtos: o texto é dividido em trechos nas pontuações e
+ * stopwords (português, com as principais do inglês e espanhol), os
+ * n-gramas de 1 a 3 palavras de cada trecho viram candidatos e cada
+ * candidato recebe uma pontuação TF-IDF calculada sobre os parágrafos do
+ * artigo, com bônus para termos compostos e para termos presentes no título.
+ *
+ * @author Emanuel Ozorio
+ */
+
+// Maior n-grama considerado (ex.: "fone bluetooth jbl")
+const MAX_NGRAM_SIZE = 3;
+
+// Tamanho mínimo de uma palavra candidata
+const MIN_WORD_LENGTH = 3;
+
+// Ocorrências mínimas de um termo (somando título e corpo)
+const MIN_TERM_FREQUENCY = 2;
+
+// Bônus multiplicativo para termos presentes no título
+const TITLE_BOOST = 2.5;
+
+// Bônus multiplicativo por palavra adicional do n-grama
+const NGRAM_BOOST = 1.5;
+
+// Stopwords sem acentos (a comparação é feita no texto normalizado)
+const STOPWORDS = new Set([
+    // Português
+    'a', 'ao', 'aos', 'aquela', 'aquelas', 'aquele', 'aqueles', 'aquilo', 'as', 'ate', 'com', 'como',
+    'da', 'das', 'de', 'dela', 'delas', 'dele', 'deles', 'depois', 'do', 'dos', 'e', 'ela', 'elas',
+    'ele', 'eles', 'em', 'entre', 'era', 'eram', 'essa', 'essas', 'esse', 'esses', 'esta', 'estas',
+    'este', 'estes', 'estao', 'estar', 'esteve', 'eu', 'foi', 'foram', 'for', 'ha', 'isso', 'isto',
+    'ja', 'la', 'lhe', 'lhes', 'mais', 'mas', 'me', 'mesmo', 'meu', 'meus', 'minha', 'minhas',
+    'muito', 'muita', 'muitos', 'muitas', 'na', 'nao', 'nas', 'nem', 'no', 'nos', 'nossa', 'nossas',
+    'nosso', 'nossos', 'num', 'numa', 'o', 'os', 'ou', 'para', 'pela', 'pelas', 'pelo', 'pelos',
+    'por', 'pra', 'pro', 'qual', 'quais', 'quando', 'que', 'quem', 'se', 'sem', 'ser', 'seu', 'seus',
+    'so', 'sua', 'suas', 'sao', 'tambem', 'te', 'tem', 'tenho', 'ter', 'teu', 'tua', 'tu', 'um',
+    'uma', 'umas', 'uns', 'voce', 'voces', 'vos', 'sobre', 'ainda', 'onde', 'aqui', 'ali', 'agora',
+    'bem', 'bom', 'boa', 'cada', 'coisa', 'coisas', 'deve', 'devem', 'dia', 'dias', 'dois', 'duas',
+    'fazer', 'faz', 'feito', 'forma', 'hoje', 'melhor', 'melhores', 'menos', 'modo', 'outra',
+    'outras', 'outro', 'outros', 'pode', 'podem', 'porque', 'pois', 'pouco', 'primeiro', 'quase',
+    'sempre', 'sendo', 'seja', 'sido', 'tanto', 'tao', 'toda', 'todas', 'todo', 'todos', 'tudo',
+    'vai', 'vamos', 'vez', 'vezes', 'ano', 'anos', 'assim', 'antes', 'apenas', 'alem', 'caso',
+    'certo', 'conta', 'desde', 'durante', 'enquanto', 'exemplo', 'fica', 'ficar', 'grande', 'hora',
+    'lado', 'lugar', 'maior', 'nada', 'nenhum', 'nunca', 'parte', 'partir', 'precisa', 'quer',
+    'qualquer', 'segundo', 'tipo', 'veja', 'ver', 'vale', 'artigo', 'post', 'texto',
+    // Inglês
+    'the', 'and', 'for', 'with', 'this', 'that', 'from', 'are', 'was', 'you', 'your', 'our', 'its',
+    'not', 'but', 'can', 'all', 'has', 'have', 'will', 'more', 'best', 'new', 'how', 'what', 'why',
+    // Espanhol
+    'el', 'los', 'las', 'del', 'con', 'una', 'unos', 'unas', 'es', 'su', 'sus', 'lo', 'al', 'muy',
+    'pero', 'estos', 'sin', 'hay'
+]);
+
+// Pontuações que encerram um trecho candidato
+const PHRASE_BOUNDARY_REGEX = /[.,;:!?()[\]{}"“”‘’«»…—–|/\\\n\r\t]+/;
+
+/**
+ * Normaliza um termo para comparação (minúsculas, sem acentos)
+ * @param {string} value - Termo
+ * @returns {string} Termo normalizado
+ */
+function normalizeTerm(value) {
+    return String(value)
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Reduz o plural de uma palavra normalizada, para que singular e plural
+ * contem como o mesmo termo (ex.: "cafeteiras" e "cafeteira")
+ * @param {string} normalizedWord - Palavra normalizada
+ * @returns {string} Palavra no singular aproximado
+ */
+function singularize(normalizedWord) {
+    if (normalizedWord.length <= 4) {
+        return normalizedWord;
+    }
+
+    if (normalizedWord.endsWith('oes') || normalizedWord.endsWith('aes')) {
+        return `${normalizedWord.slice(0, -3)}ao`;
+    }
+
+    if (normalizedWord.endsWith('s') && !normalizedWord.endsWith('ss')) {
+        return normalizedWord.slice(0, -1);
+    }
+
+    return normalizedWord;
+}
+
+/**
+ * Verifica se uma palavra pode fazer parte de um termo candidato
+ * @param {string} normalizedWord - Palavra normalizada
+ * @returns {boolean} true se a palavra não for stopword, número ou curta demais
+ */
+function isCandidateWord(normalizedWord) {
+    return normalizedWord.length >= MIN_WORD_LENGTH
+        && !STOPWORDS.has(normalizedWord)
+        && !/^[\d-]+$/.test(normalizedWord);
+}
+
+/**
+ * Divide um texto em trechos de palavras candidatas consecutivas
+ * @param {string} text - Texto
+ * @returns {Array<Array<Object>>} Trechos com as palavras na forma original e normalizada
+ */
+function splitPhrases(text) {
+    const phrases = [];
+
+    text.toLowerCase().split(PHRASE_BOUNDARY_REGEX).forEach(chunk => {
+        let current = [];
+
+        chunk.split(/\s+/).forEach(rawWord => {
+            // Remove símbolos nas pontas, mantendo hífens internos (ex.: "wi-fi")
+            const word = rawWord.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+            const normalized = normalizeTerm(word);
+
+            if (isCandidateWord(normalized)) {
+                current.push({ word, normalized: singularize(normalized) });
+            } else if (current.length > 0) {
+                phrases.push(current);
+                current = [];
+            }
+        });
+
+        if (current.length > 0) {
+            phrases.push(current);
+        }
+    });
+
+    return phrases;
+}
+
+/**
+ * Conta os n-gramas (1 a MAX_NGRAM_SIZE palavras) de um texto
+ * @param {string} text - Texto
+ * @returns {Map<string, Object>} Contagem e forma original, indexadas pelo n-grama normalizado
+ */
+function countNgrams(text) {
+    const counts = new Map();
+
+    splitPhrases(text).forEach(phrase => {
+        for (let size = 1; size <= MAX_NGRAM_SIZE; size++) {
+            for (let start = 0; start + size <= phrase.length; start++) {
+                const words = phrase.slice(start, start + size);
+                const key = words.map(({ normalized }) => normalized).join(' ');
+
+                if (!counts.has(key)) {
+                    counts.set(key, { count: 0, size, forms: new Map() });
+                }
+
+                const entry = counts.get(key);
+                const form = words.map(({ word }) => word).join(' ');
+                entry.count++;
+                entry.forms.set(form, (entry.forms.get(form) || 0) + 1);
+            }
+        }
+    });
+
+    return counts;
+}
+
+/**
+ * Divide o corpo do artigo nos documentos usados no cálculo do IDF
+ *
+ * Usa os parágrafos; com um único parágrafo, usa as frases.
+ *
+ * @param {string} text - Corpo do artigo
+ * @returns {Array<string>} Documentos
+ */
+function splitDocuments(text) {
+    const paragraphs = text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+    if (paragraphs.length > 1) {
+        return paragraphs;
+    }
+
+    return text.split(/(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Verifica se dois termos têm alguma palavra em comum
+ * @param {string} a - Termo normalizado
+ * @param {string} b - Termo normalizado
+ * @returns {boolean} true se os termos compartilharem uma palavra
+ */
+function sharesWord(a, b) {
+    const words = new Set(a.split(' '));
+    return b.split(' ').some(word => words.has(word));
+}
+
+/**
+ * Extrai as palavras-chave de um artigo
+ * @param {Object} params - Conteúdo do artigo
+ * @param {string} [params.title] - Título
+ * @param {string} [params.text] - Corpo
+ * @param {number} [params.maxKeywords=3] - Número máximo de palavras-chave
+ * @param {Array<string>} [params.blocklist=[]] - Termos que não podem aparecer nas palavras-chave
+ * @returns {Array<Object>} Palavras-chave ({ keyword, score }) em ordem decrescente de pontuação
+ */
+function extractKeywords({ title = '', text = '', maxKeywords = 3, blocklist = [] }) {
+    const documents = [title, ...splitDocuments(text)].filter(Boolean);
+    const documentCounts = documents.map(countNgrams);
+    const titleNgrams = countNgrams(title);
+    const blockedTerms = blocklist
+        .map(term => normalizeTerm(term).split(' ').map(singularize).join(' '))
+        .filter(Boolean);
+
+    // Frequência total e número de documentos com cada n-grama
+    const totals = new Map();
+    documentCounts.forEach(counts => {
+        counts.forEach((entry, key) => {
+            if (!totals.has(key)) {
+                totals.set(key, { count: 0, documents: 0, size: entry.size, forms: new Map() });
+            }
+
+            const total = totals.get(key);
+            total.count += entry.count;
+            total.documents++;
+            entry.forms.forEach((count, form) => total.forms.set(form, (total.forms.get(form) || 0) + count));
+        });
+    });
+
+    const totalWords = [...totals.values()]
+        .filter(({ size }) => size === 1)
+        .reduce((sum, { count }) => sum + count, 0);
+
+    if (totalWords === 0) {
+        return [];
+    }
+
+    const candidates = [];
+    totals.forEach((total, key) => {
+        const inTitle = titleNgrams.has(key);
+
+        // Termos precisam se repetir; termos compostos do título são aceitos mesmo sem repetição
+        if (total.count < MIN_TERM_FREQUENCY && !(inTitle && total.size > 1)) {
+            return;
+        }
+
+        if (blockedTerms.some(blocked => ` ${key} `.includes(` ${blocked} `))) {
+            return;
+        }
+
+        // IDF suavizado: ln((1 + N) / (1 + df)) + 1
+        const idf = Math.log((1 + documents.length) / (1 + total.documents)) + 1;
+        const tf = total.count / totalWords;
+        const score = tf * idf * Math.pow(NGRAM_BOOST, total.size - 1) * (inTitle ? TITLE_BOOST : 1);
+
+        // Forma original mais frequente (mantém acentos para a busca na Amazon)
+        const [keyword] = [...total.forms.entries()].sort((a, b) => b[1] - a[1])[0];
+
+        candidates.push({ key, keyword, score });
+    });
+
+    candidates.sort((a, b) => b.score - a.score || a.key.localeCompare(b.key));
+
+    // Descarta termos que repetem palavras de termos já escolhidos, diversificando as buscas
+    const selected = [];
+    for (const candidate of candidates) {
+        if (selected.length >= maxKeywords) {
+            break;
+        }
+
+        if (!selected.some(({ key }) => sharesWord(key, candidate.key))) {
+            selected.push(candidate);
+        }
+    }
+
+    return selected.map(({ keyword, score }) => ({
+        keyword,
+        score: Math.round(score * 10000) / 10000
+    }));
+}
+
+module.exports = {
+    extractKeywords,
+    normalizeTerm
+};
@@ -0,0 +1,303 @@
+/**
+ * Logs estruturados
+ *
+ * Cada log é uma linha JSON com horário, nível, mensagem e campos, e inclui
+ * o ID da requisição em andamento (AsyncLocalStorage), para que todas as
+ * linhas de uma requisição possam ser correlacionadas, inclusive as de
+ * catalog.js, paapi.js e das demais camadas que não recebem `req`.
+ *
+ * Segredos são removidos antes da escrita: campos com nomes sensíveis
+ * (secret, token, password, accessKey, partnerTag...) e qualquer ocorrência
+ * dos valores das variáveis de ambiente sensíveis ou de chaves privadas PEM.
+ *
+ * Configuração:
+ * - LOG_LEVEL: debug, info, warn ou error (padrão: debug em desenvolvimento, info nos demais)
+ * - LOG_FORMAT: json (padrão) ou pretty (uma linha legível, para desenvolvimento)
+ *
+ * @author Emanuel Ozorio
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Níveis em ordem crescente de severidade
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const LOG_LEVEL = LOG_LEVELS[String(process.env.LOG_LEVEL).toLowerCase()]
+    ? String(process.env.LOG_LEVEL).toLowerCase()
+    : (process.env.NODE_ENV === 'development' ? 'debug' : 'info');
+
+const LOG_FORMAT = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+
+// Header com o ID da requisição (recebido do cliente ou gerado aqui)
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// IDs recebidos aceitos: até 128 caracteres seguros para logs e headers
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Nomes de campos cujo valor nunca é registrado
+const SENSITIVE_FIELD_PATTERN = /secret|password|passwd|token|authorization|cookie|private_?key|access_?key|partner_?tag|api_?key|salt|signature|credential/i;
+
+// Variáveis de ambiente cujo valor é removido de qualquer texto registrado
+const SENSITIVE_ENV_PATTERN = /(SECRET|PASSWORD|TOKEN|_KEY|SALT)$|PARTNER_TAG/;
+
+// Valores de variáveis curtos demais para serem removidos com segurança do texto
+const MIN_SECRET_LENGTH = 6;
+
+// Chaves privadas no formato PEM (ex.: FIREBASE_PRIVATE_KEY)
+const PEM_PRIVATE_KEY_PATTERN = /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g;
+
+const REDACTED = '[REDACTED]';
+
+// Profundidade máxima dos campos registrados
+const MAX_FIELD_DEPTH = 6;
+
+// Contexto da requisição em andamento (requestId e campos adicionados pelas rotas)
+const requestContext = new AsyncLocalStorage();
+
+let secretValues = null;
+
+/**
+ * Lista os valores das variáveis de ambiente sensíveis
+ *
+ * Calculada no primeiro log, depois que o .env foi carregado. A chave
+ * privada também é incluída com as quebras de linha já convertidas.
+ *
+ * @returns {Array<string>} Valores, dos mais longos para os mais curtos
+ */
+function getSecretValues() {
+    if (!secretValues) {
+        const values = new Set();
+
+        Object.entries(process.env).forEach(([name, value]) => {
+            if (SENSITIVE_ENV_PATTERN.test(name) && value && value.length >= MIN_SECRET_LENGTH) {
+                values.add(value);
+                values.add(value.replace(/\\n/g, '\n'));
+            }
+        });
+
+        secretValues = [...values].sort((a, b) => b.length - a.length);
+    }
+
+    return secretValues;
+}
+
+/**
+ * Remove segredos conhecidos de um texto
+ * @param {string} text - Texto
+ * @returns {string} Texto sem segredos
+ */
+function redactText(text) {
+    let redacted = text.replace(PEM_PRIVATE_KEY_PATTERN, REDACTED);
+
+    getSecretValues().forEach(secret => {
+        if (redacted.includes(secret)) {
+            redacted = redacted.split(secret).join(REDACTED);
+        }
+    });
+
+    return redacted;
+}
+
+/**
+ * Converte um erro em campos registráveis
+ *
+ * Apenas nome, mensagem, código, status e pilha são mantidos: erros do SDK
+ * da PAAPI carregam a requisição assinada, que não deve ir para os logs.
+ *
+ * @param {Error} error - Erro
+ * @returns {Object} Campos do erro
+ */
+function serializeError(error) {
+    const fields = {
+        name: error.name,
+        message: error.message
+    };
+
+    if (error.code !== undefined) fields.code = error.code;
+    if (error.status !== undefined) fields.status = error.status;
+    if (error.stack) fields.stack = error.stack;
+    if (error.cause instanceof Error) fields.cause = serializeError(error.cause);
+
+    return fields;
+}
+
+/**
+ * Prepara um valor para o log: remove segredos, converte erros e datas e
+ * limita a profundidade (referências circulares viram "[Circular]")
+ * @param {*} value - Valor
+ * @param {number} [depth=0] - Profundidade atual
+ * @param {WeakSet} [seen] - Objetos já visitados
+ * @returns {*} Valor seguro para JSON
+ */
+function sanitize(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+        return redactText(value);
+    }
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (value === null || typeof value !== 'object') {
+        return typeof value === 'function' ? undefined : value;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    if (depth >= MAX_FIELD_DEPTH) {
+        return '[Truncated]';
+    }
+
+    seen.add(value);
+
+    if (value instanceof Error) {
+        return sanitize(serializeError(value), depth, seen);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => sanitize(item, depth + 1, seen));
+    }
+
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+        result[key] = SENSITIVE_FIELD_PATTERN.test(key) && item !== null && item !== undefined
+            ? REDACTED
+            : sanitize(item, depth + 1, seen);
+    });
+
+    return result;
+}
+
+/**
+ * Formata uma linha no formato pretty
+ * @param {Object} entry - Linha do log
+ * @returns {string} Linha legível
+ */
+function formatPretty({ time, level, msg, requestId, ...fields }) {
+    const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    return `${time} ${level.toUpperCase().padEnd(5)} ${requestId ? `[${requestId}] ` : ''}${msg}${extra}`;
+}
+
+/**
+ * Escreve um log, se o nível estiver habilitado
+ * @param {string} level - Nível (debug, info, warn ou error)
+ * @param {string} message - Mensagem
+ * @param {Object} [fields] - Campos adicionais (ex.: { query, marketplace, error })
+ */
+function write(level, message, fields = {}) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) {
+        return;
+    }
+
+    const context = requestContext.getStore();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: redactText(String(message)),
+        ...(context ? { requestId: context.requestId } : {}),
+        ...sanitize(fields)
+    };
+
+    const line = LOG_FORMAT === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+
+    stream.write(`${line}\n`);
+}
+
+const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
+
+/**
+ * Retorna o ID da requisição em andamento
+ * @returns {string|null} ID da requisição ou null fora de uma requisição
+ */
+function getRequestId() {
+    return requestContext.getStore()?.requestId || null;
+}
+
+/**
+ * Adiciona campos ao log de conclusão da requisição em andamento
+ * @param {Object} fields - Campos (ex.: { cacheSource: 'cache' })
+ */
+function addRequestContext(fields) {
+    const context = requestContext.getStore();
+    if (context) {
+        Object.assign(context.fields, fields);
+    }
+}
+
+/**
+ * Identifica a rota atingida pela requisição pelo padrão, não pela URL
+ * @param {Object} req - Requisição Express
+ * @returns {string|null} Rota (ex.: /amazon-products/:asin/price-history) ou null se nenhuma foi atingida
+ */
+function getRoutePattern(req) {
+    return req.matchedRoute || null;
+}
+
+/**
+ * Middleware que identifica a requisição e registra sua conclusão
+ *
+ * Usa o X-Request-Id recebido (se válido) ou gera um novo, devolvendo-o no
+ * header da resposta. Deve ser o primeiro middleware: tudo o que roda depois
+ * herda o contexto da requisição.
+ *
+ * @param {Object} req - Requisição Express
+ * @param {Object} res - Resposta Express
+ * @param {Function} next - Próximo middleware
+ */
+function requestLogger(req, res, next) {
+    const receivedId = req.get(REQUEST_ID_HEADER);
+    const requestId = receivedId && VALID_REQUEST_ID.test(receivedId) ? receivedId : crypto.randomUUID();
+    const startTime = process.hrtime.bigint();
+    const context = { requestId, fields: {} };
+
+    req.id = requestId;
+    res.set(REQUEST_ID_HEADER, requestId);
+
+    // O Express restaura req.baseUrl ao sair de um router (ex.: quando a rota
+    // repassa um erro), então o padrão completo é guardado quando a rota é atingida
+    let route;
+    Object.defineProperty(req, 'route', {
+        configurable: true,
+        enumerable: true,
+        get: () => route,
+        set: value => {
+            route = value;
+            req.matchedRoute = value && typeof value.path === 'string' ? `${req.baseUrl}${value.path}` : null;
+        }
+    });
+
+    res.on('finish', () => {
+        const durationMs = Math.round(Number(process.hrtime.bigint() - startTime) / 1e4) / 100;
+        const level = res.statusCode >= 500 ? 'error' : (res.statusCode >= 400 ? 'warn' : 'info');
+
+        requestContext.run(context, () => {
+            write(level, 'Requisição concluída', {
+                method: req.method,
+                route: getRoutePattern(req),
+                path: req.originalUrl.split('?')[0],
+                query: req.query,
+                status: res.statusCode,
+                durationMs,
+                ...context.fields
+            });
+        });
+    });
+
+    requestContext.run(context, next);
+}
+
+module.exports = {
+    logger,
+    requestLogger,
+    getRequestId,
+    addRequestContext,
+    getRoutePattern,
+    REQUEST_ID_HEADER
+};
@@ -0,0 +1,121 @@
+/**
+ * Registro de marketplaces da Amazon suportados pela API
+ *
+ * Cada marketplace define o host e a região da PAAPI 5.0, o domínio da loja,
+ * a moeda padrão e a variável de ambiente com o partner tag (Associate Tag)
+ * correspondente, já que cada programa de afiliados é cadastrado por loja.
+ *
+ * @author Emanuel Ozorio
+ * @requires dotenv
+ */
+
+// Carrega variáveis de ambiente
+require('dotenv').config();
+
+const { ValidationError } = require('./errors');
+
+/**
+ * Marketplaces conhecidos, indexados pelo código usado no parâmetro `marketplace`
+ * @type {Object<string, Object>}
+ */
+const MARKETPLACES = {
+    br: {
+        code: 'br',
+        name: 'Amazon Brasil',
+        host: 'webservices.amazon.com.br',
+        region: 'us-east-1',
+        marketplace: 'www.amazon.com.br',
+        currency: 'BRL',
+        partnerTagEnv: 'AMAZON_PARTNER_TAG_BR'
+    },
+    us: {
+        code: 'us',
+        name: 'Amazon Estados Unidos',
+        host: 'webservices.amazon.com',
+        region: 'us-east-1',
+        marketplace: 'www.amazon.com',
+        currency: 'USD',
+        partnerTagEnv: 'AMAZON_PARTNER_TAG_US'
+    },
+    // A Amazon não possui loja em Portugal; o site português usa a loja da Espanha
+    es: {
+        code: 'es',
+        name: 'Amazon Espanha',
+        host: 'webservices.amazon.es',
+        region: 'eu-west-1',
+        marketplace: 'www.amazon.es',
+        currency: 'EUR',
+        partnerTagEnv: 'AMAZON_PARTNER_TAG_ES'
+    }
+};
+
+/**
+ * Retorna o código do marketplace padrão (AMAZON_DEFAULT_MARKETPLACE ou "br")
+ * @returns {string} Código do marketplace padrão
+ */
+function getDefaultMarketplaceCode() {
+    return (process.env.AMAZON_DEFAULT_MARKETPLACE || 'br').trim().toLowerCase();
+}
+
+/**
+ * Resolve o partner tag de um marketplace
+ *
+ * O marketplace padrão também aceita AMAZON_PARTNER_TAG, mantendo
+ * compatibilidade com instalações de marketplace único.
+ *
+ * @param {Object} marketplace - Entrada do registro de marketplaces
+ * @returns {string|null} Partner tag configurado ou null
+ */
+function resolvePartnerTag(marketplace) {
+    const partnerTag = process.env[marketplace.partnerTagEnv];
+    if (partnerTag) {
+        return partnerTag;
+    }
+
+    if (marketplace.code === getDefaultMarketplaceCode()) {
+        return process.env.AMAZON_PARTNER_TAG || null;
+    }
+
+    return null;
+}
+
+/**
+ * Obtém a configuração completa de um marketplace
+ * @param {string} [code] - Código do marketplace (br, us, es). Usa o padrão se omitido
+ * @returns {Object} Configuração do marketplace com o partner tag resolvido
+ * @throws {ValidationError} Se o marketplace não existir ou não tiver partner tag configurado
+ */
+function getMarketplace(code) {
+    const normalizedCode = (code === undefined || code === null || code === '')
+        ? getDefaultMarketplaceCode()
+        : String(code).trim().toLowerCase();
+
+    const marketplace = MARKETPLACES[normalizedCode];
+    if (!marketplace) {
+        throw new ValidationError(`Marketplace inválido: "${code}". Valores aceitos: ${Object.keys(MARKETPLACES).join(', ')}`);
+    }
+
+    const partnerTag = resolvePartnerTag(marketplace);
+    if (!partnerTag) {
+        throw new ValidationError(`Marketplace inválido: "${normalizedCode}" não possui partner tag configurado (${marketplace.partnerTagEnv})`);
+    }
+
+    return { ...marketplace, partnerTag };
+}
+
+/**
+ * Lista os marketplaces com partner tag configurado
+ * @returns {Array<string>} Códigos dos marketplaces habilitados
+ */
+function listEnabledMarketplaces() {
+    return Object.values(MARKETPLACES)
+        .filter(marketplace => resolvePartnerTag(marketplace) !== null)
+        .map(marketplace => marketplace.code);
+}
+
+module.exports = {
+    MARKETPLACES,
+    getMarketplace,
+    getDefaultMarketplaceCode,
+    listEnabledMarketplaces
+};
@@ -0,0 +1,279 @@
+/**
+ * Métricas no formato de texto do Prometheus
+ *
+ * Registro mínimo de contadores, histogramas e gauges, sem dependências
+ * externas. Cada módulo registra as métricas dos seus próprios caminhos de
+ * código (HTTP aqui, PAAPI em paapi.js, cache em catalog.js e cache/) e a
+ * rota /metrics expõe todas com renderMetrics().
+ *
+ * Os valores ficam em memória e recomeçam quando o processo reinicia; com
+ * várias instâncias, o Prometheus soma as séries de cada uma.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { logger, getRoutePattern } = require('./logger');
+
+// Prefixo de todas as métricas da aplicação
+const METRIC_PREFIX = 'amazon_ads_';
+
+// Limites (em segundos) dos histogramas de latência
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Métricas registradas, na ordem de registro
+const registry = new Map();
+
+/**
+ * Escapa um valor de label conforme o formato de texto do Prometheus
+ * @param {*} value - Valor do label
+ * @returns {string} Valor escapado
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formata os labels de uma série
+ * @param {Object} labels - Labels da série
+ * @returns {string} Labels entre chaves (vazio se não houver)
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Formata um valor numérico (o Prometheus usa +Inf, -Inf e NaN)
+ * @param {number} value - Valor
+ * @returns {string} Valor formatado
+ */
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Registra uma métrica, validando nome e duplicidade
+ * @param {string} name - Nome sem o prefixo
+ * @param {Object} metric - Métrica com type, help e render()
+ * @returns {Object} A métrica registrada
+ * @throws {Error} Se o nome for inválido ou já estiver registrado
+ */
+function register(name, metric) {
+    const fullName = `${METRIC_PREFIX}${name}`;
+
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(fullName)) {
+        throw new Error(`Nome de métrica inválido: ${fullName}`);
+    }
+    if (registry.has(fullName)) {
+        throw new Error(`Métrica já registrada: ${fullName}`);
+    }
+
+    registry.set(fullName, metric);
+    return metric;
+}
+
+/**
+ * Cria o armazenamento de séries de uma métrica, indexado pelos valores dos labels
+ * @param {Array<string>} labelNames - Labels aceitos, na ordem de exibição
+ * @returns {Object} Funções para obter a série de um conjunto de labels e listar as séries
+ */
+function createSeriesStore(labelNames) {
+    const series = new Map();
+
+    return {
+        get(labels, create) {
+            const values = labelNames.map(name => String(labels[name] ?? ''));
+            const id = values.join('\u0000');
+
+            if (!series.has(id)) {
+                series.set(id, {
+                    labels: Object.fromEntries(labelNames.map((name, index) => [name, values[index]])),
+                    ...create()
+                });
+            }
+
+            return series.get(id);
+        },
+
+        values() {
+            return [...series.values()];
+        }
+    };
+}
+
+/**
+ * Cria um contador
+ * @param {Object} options - Definição da métrica
+ * @param {string} options.name - Nome sem o prefixo (terminado em _total)
+ * @param {string} options.help - Descrição
+ * @param {Array<string>} [options.labelNames=[]] - Labels
+ * @returns {Object} Contador com inc(labels, value)
+ */
+function createCounter({ name, help, labelNames = [] }) {
+    const series = createSeriesStore(labelNames);
+
+    return register(name, {
+        type: 'counter',
+        help,
+
+        inc(labels = {}, value = 1) {
+            series.get(labels, () => ({ value: 0 })).value += value;
+        },
+
+        render(fullName) {
+            return series.values().map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+    });
+}
+
+/**
+ * Cria um histograma
+ * @param {Object} options - Definição da métrica
+ * @param {string} options.name - Nome sem o prefixo
+ * @param {string} options.help - Descrição
+ * @param {Array<string>} [options.labelNames=[]] - Labels
+ * @param {Array<number>} [options.buckets=LATENCY_BUCKETS] - Limites superiores, em ordem crescente
+ * @returns {Object} Histograma com observe(labels, value) e startTimer(labels)
+ */
+function createHistogram({ name, help, labelNames = [], buckets = LATENCY_BUCKETS }) {
+    const series = createSeriesStore(labelNames);
+
+    const observe = (labels = {}, value) => {
+        const entry = series.get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+
+        buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                entry.counts[index]++;
+            }
+        });
+        entry.sum += value;
+        entry.count++;
+    };
+
+    return register(name, {
+        type: 'histogram',
+        help,
+        observe,
+
+        /**
+         * Inicia a medição de uma duração, em segundos
+         * @param {Object} [labels] - Labels conhecidos no início
+         * @returns {Function} Encerra a medição; aceita labels adicionais
+         */
+        startTimer(labels = {}) {
+            const start = process.hrtime.bigint();
+            return (extraLabels = {}) => {
+                observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+            };
+        },
+
+        render(fullName) {
+            return series.values().flatMap(({ labels, counts, sum, count }) => [
+                ...buckets.map((bound, index) => `${fullName}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`),
+                `${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+                `${fullName}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+                `${fullName}_count${formatLabels(labels)} ${count}`
+            ]);
+        }
+    });
+}
+
+/**
+ * Cria um gauge lido no momento da coleta
+ * @param {Object} options - Definição da métrica
+ * @param {string} options.name - Nome sem o prefixo
+ * @param {string} options.help - Descrição
+ * @param {Function} options.collect - Retorna o valor atual ou uma lista de { labels, value }
+ * @returns {Object} Gauge
+ */
+function createGauge({ name, help, collect }) {
+    return register(name, {
+        type: 'gauge',
+        help,
+
+        render(fullName) {
+            const result = collect();
+            const samples = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+
+            return samples
+                .filter(({ value }) => typeof value === 'number')
+                .map(({ labels = {}, value }) => `${fullName}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+    });
+}
+
+/**
+ * Gera o texto de todas as métricas registradas
+ *
+ * Uma métrica cuja coleta falhar é omitida, sem impedir as demais.
+ *
+ * @returns {string} Métricas no formato de texto do Prometheus (versão 0.0.4)
+ */
+function renderMetrics() {
+    const lines = [];
+
+    registry.forEach((metric, fullName) => {
+        let samples;
+        try {
+            samples = metric.render(fullName);
+        } catch (error) {
+            logger.error('Erro ao coletar métrica', { metric: fullName, error });
+            return;
+        }
+
+        lines.push(`# HELP ${fullName} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        lines.push(`# TYPE ${fullName} ${metric.type}`);
+        lines.push(...samples);
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+// Métricas HTTP
+const httpRequestsTotal = createCounter({
+    name: 'http_requests_total',
+    help: 'Requisições HTTP atendidas, por método, rota e status',
+    labelNames: ['method', 'route', 'status']
+});
+
+const httpRequestDuration = createHistogram({
+    name: 'http_request_duration_seconds',
+    help: 'Duração das requisições HTTP, por método e rota',
+    labelNames: ['method', 'route']
+});
+
+/**
+ * Middleware que mede as requisições HTTP
+ *
+ * Deve ser registrado antes das rotas e depois de requestLogger, que guarda a
+ * rota atingida. O label de rota usa o padrão (ex.:
+ * /amazon-products/:asin/price-history), não a URL, mantendo o número de
+ * séries limitado; requisições que não chegaram a uma rota (404, chave de API
+ * recusada) aparecem como "unmatched".
+ *
+ * @param {Object} req - Requisição Express
+ * @param {Object} res - Resposta Express
+ * @param {Function} next - Próximo middleware
+ */
+function trackHttpRequests(req, res, next) {
+    const endTimer = httpRequestDuration.startTimer({ method: req.method });
+
+    res.on('finish', () => {
+        const route = getRoutePattern(req) || 'unmatched';
+
+        httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+        endTimer({ route });
+    });
+
+    next();
+}
+
+module.exports = {
+    createCounter,
+    createHistogram,
+    createGauge,
+    renderMetrics,
+    trackHttpRequests
+};
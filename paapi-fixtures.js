@@ -0,0 +1,217 @@
+/**
+ * Gravação e reprodução de respostas da PAAPI (fixtures)
+ *
+ * Com AMAZON_FIXTURES_MODE=record, cada resposta recebida da PAAPI (inclusive
+ * erros HTTP) é salva em um arquivo JSON em AMAZON_FIXTURES_DIR; com
+ * AMAZON_FIXTURES_MODE=replay, as chamadas são respondidas pelos arquivos
+ * gravados, sem acesso à rede. Partner tags são substituídos por
+ * "fixture-20" antes da gravação, então os arquivos podem ser versionados.
+ *
+ * Cada fixture é identificada pela operação, pelo marketplace e pelo hash da
+ * requisição sem o partner tag: a mesma busca encontra o mesmo arquivo em
+ * qualquer ambiente.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { UpstreamError } = require('./errors');
+
+// Modos aceitos em AMAZON_FIXTURES_MODE (vazio desativa as fixtures)
+const FIXTURES_MODES = ['record', 'replay'];
+
+// Diretório padrão das fixtures gravadas
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'test', 'fixtures', 'paapi');
+
+// Partner tag gravado no lugar dos partner tags reais
+const FIXTURE_PARTNER_TAG = 'fixture-20';
+
+/**
+ * Retorna o modo das fixtures configurado
+ * @returns {string|null} 'record', 'replay' ou null se desativado
+ * @throws {Error} Se AMAZON_FIXTURES_MODE for inválido
+ */
+function getFixturesMode() {
+    const mode = (process.env.AMAZON_FIXTURES_MODE || '').trim().toLowerCase();
+
+    if (!mode) {
+        return null;
+    }
+    if (!FIXTURES_MODES.includes(mode)) {
+        throw new Error(`AMAZON_FIXTURES_MODE inválido: "${mode}". Valores aceitos: ${FIXTURES_MODES.join(', ')}`);
+    }
+
+    return mode;
+}
+
+/**
+ * Retorna o diretório das fixtures
+ * @returns {string} Caminho absoluto
+ */
+function getFixturesDir() {
+    return path.resolve(process.env.AMAZON_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+}
+
+/**
+ * Lista os partner tags configurados, que nunca são gravados
+ * @param {Object} marketplaceConfig - Marketplace da requisição
+ * @returns {Array<string>} Partner tags, dos mais longos para os mais curtos
+ */
+function getPartnerTags(marketplaceConfig) {
+    const tags = new Set([marketplaceConfig.partnerTag]);
+
+    Object.entries(process.env).forEach(([name, value]) => {
+        if (name.startsWith('AMAZON_PARTNER_TAG') && value) {
+            tags.add(value);
+        }
+    });
+
+    return [...tags].filter(Boolean).sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Remove partner tags de um valor serializável
+ *
+ * Além dos partner tags configurados, o parâmetro `tag` das URLs da Amazon
+ * (DetailPageURL, SearchURL) é substituído.
+ *
+ * @param {*} value - Valor (requisição, resposta ou corpo de erro)
+ * @param {Object} marketplaceConfig - Marketplace da requisição
+ * @returns {*} Cópia do valor sem partner tags
+ */
+function sanitizeFixture(value, marketplaceConfig) {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    let json = JSON.stringify(value);
+
+    getPartnerTags(marketplaceConfig).forEach(tag => {
+        json = json.split(tag).join(FIXTURE_PARTNER_TAG);
+    });
+
+    json = json.replace(/([?&]tag=)[^&"\\]+/g, `$1${FIXTURE_PARTNER_TAG}`);
+
+    return JSON.parse(json);
+}
+
+/**
+ * Gera o nome do arquivo da fixture de uma requisição
+ * @param {string} operation - Nome do método do SDK (searchItems, getItems, etc.)
+ * @param {Object} request - Requisição montada com os modelos do SDK
+ * @param {Object} marketplaceConfig - Marketplace da requisição
+ * @returns {string} Nome do arquivo (ex.: searchItems-br-3f9a0c1d2e4b5a6f.json)
+ */
+function getFixtureName(operation, request, marketplaceConfig) {
+    const { PartnerTag, ...rest } = sanitizeFixture(request, marketplaceConfig);
+    const hash = crypto.createHash('sha256').update(JSON.stringify(rest)).digest('hex').slice(0, 16);
+
+    return `${operation}-${marketplaceConfig.code}-${hash}.json`;
+}
+
+/**
+ * Executa uma chamada à PAAPI gravando sua resposta como fixture
+ *
+ * Falhas sem resposta HTTP (timeout, conexão) não são gravadas.
+ *
+ * @param {string} operation - Nome do método do SDK
+ * @param {Object} request - Requisição montada com os modelos do SDK
+ * @param {Object} marketplaceConfig - Marketplace da requisição
+ * @param {Function} call - Executa a chamada real
+ * @returns {Promise<Object>} Resposta da chamada real
+ */
+async function recordFixture(operation, request, marketplaceConfig, call) {
+    const fixture = {
+        operation,
+        marketplace: marketplaceConfig.code,
+        request: sanitizeFixture(request, marketplaceConfig)
+    };
+
+    let response;
+    try {
+        response = await call();
+        fixture.response = sanitizeFixture(response, marketplaceConfig);
+    } catch (error) {
+        if (error?.status === undefined) {
+            throw error;
+        }
+
+        fixture.error = sanitizeFixture({
+            status: error.status,
+            message: error.message,
+            body: error.response?.text
+        }, marketplaceConfig);
+
+        await writeFixture(operation, request, marketplaceConfig, fixture);
+        throw error;
+    }
+
+    await writeFixture(operation, request, marketplaceConfig, fixture);
+    return response;
+}
+
+/**
+ * Grava uma fixture; falhas de gravação não afetam a chamada
+ * @param {string} operation - Nome do método do SDK
+ * @param {Object} request - Requisição montada com os modelos do SDK
+ * @param {Object} marketplaceConfig - Marketplace da requisição
+ * @param {Object} fixture - Conteúdo da fixture
+ */
+async function writeFixture(operation, request, marketplaceConfig, fixture) {
+    const filePath = path.join(getFixturesDir(), getFixtureName(operation, request, marketplaceConfig));
+
+    try {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, `${JSON.stringify({ ...fixture, recordedAt: new Date().toISOString() }, null, 2)}\n`);
+        logger.info('Fixture da PAAPI gravada', { operation, file: path.basename(filePath) });
+    } catch (error) {
+        logger.error('Erro ao gravar fixture da PAAPI', { operation, file: filePath, error });
+    }
+}
+
+/**
+ * Responde uma chamada à PAAPI com a fixture gravada
+ *
+ * Erros gravados são reproduzidos no formato do SDK (status e corpo da
+ * resposta), passando pelo mesmo tratamento dos erros reais.
+ *
+ * @param {string} operation - Nome do método do SDK
+ * @param {Object} request - Requisição montada com os modelos do SDK
+ * @param {Object} marketplaceConfig - Marketplace da requisição
+ * @returns {Promise<Object>} Resposta gravada
+ * @throws {UpstreamError} Se não houver fixture para a requisição
+ */
+async function replayFixture(operation, request, marketplaceConfig) {
+    const name = getFixtureName(operation, request, marketplaceConfig);
+    let fixture;
+
+    try {
+        fixture = JSON.parse(await fs.promises.readFile(path.join(getFixturesDir(), name), 'utf8'));
+    } catch (error) {
+        throw new UpstreamError(`Fixture da PAAPI não encontrada: ${name} (grave-a com AMAZON_FIXTURES_MODE=record)`, {
+            code: 'FIXTURE_NOT_FOUND',
+            cause: error
+        });
+    }
+
+    if (fixture.error) {
+        const replayedError = new Error(fixture.error.message);
+        replayedError.status = fixture.error.status;
+        replayedError.response = { status: fixture.error.status, text: fixture.error.body };
+        throw replayedError;
+    }
+
+    return fixture.response;
+}
+
+module.exports = {
+    getFixturesMode,
+    getFixturesDir,
+    getFixtureName,
+    recordFixture,
+    replayFixture,
+    FIXTURE_PARTNER_TAG
+};
@@ -13,6 +13,20 @@
 require('dotenv').config();
 
 const ProductAdvertisingAPIv1 = require('paapi5-nodejs-sdk');
+const { getMarketplace, getDefaultMarketplaceCode } = require('./marketplaces');
+const { createCounter, createHistogram, createGauge } = require('./metrics');
+const { getFixturesMode, recordFixture, replayFixture } = require('./paapi-fixtures');
+const { getResourceProfile, formatProfileFields } = require('./resource-profiles');
+const { logger } = require('./logger');
+const {
+    ApiError,
+    ValidationError,
+    AuthenticationError,
+    NotFoundError,
+    ThrottlingError,
+    UpstreamError,
+    ServiceUnavailableError
+} = require('./errors');
 
 /**
  * Valida se todas as variáveis de ambiente necessárias estão presentes
@@ -21,8 +35,7 @@ const ProductAdvertisingAPIv1 = require('paapi5-nodejs-sdk');
 function validateAmazonCredentials() {
     const requiredVars = [
         'AMAZON_ACCESS_KEY',
-        'AMAZON_SECRET_KEY',
-        'AMAZON_PARTNER_TAG'
+        'AMAZON_SECRET_KEY'
     ];
 
     const missingVars = requiredVars.filter(varName => !process.env[varName]);
@@ -30,160 +43,1128 @@ function validateAmazonCredentials() {
     if (missingVars.length > 0) {
         throw new Error(`Credenciais Amazon ausentes: ${missingVars.join(', ')}`);
     }
+
+    // O marketplace padrão precisa ter partner tag configurado
+    try {
+        getMarketplace(getDefaultMarketplaceCode());
+    } catch (error) {
+        throw new Error(`Credenciais Amazon ausentes: ${error.message}`);
+    }
 }
 
 // Valida credenciais na inicialização
 validateAmazonCredentials();
 
-// Configuração do cliente da API
-const defaultClient = ProductAdvertisingAPIv1.ApiClient.instance;
+// Valida o modo das fixtures (AMAZON_FIXTURES_MODE) na inicialização
+getFixturesMode();
+
+// Host da PAAPI usado no lugar do host de cada marketplace (ex.: localhost:4010
+// para o servidor falso de test/fake-paapi.js)
+const AMAZON_API_HOST = process.env.AMAZON_API_HOST || null;
+
+// Protocolo das chamadas à PAAPI (http apenas para servidores locais)
+const AMAZON_API_PROTOCOL = process.env.AMAZON_API_PROTOCOL === 'http' ? 'http' : 'https';
+
+// Clientes da API por marketplace (host e região variam por loja)
+const apiClients = new Map();
+
+/**
+ * Obtém (criando sob demanda) o cliente da API para um marketplace
+ * @param {Object} marketplaceConfig - Configuração retornada por getMarketplace
+ * @returns {Object} Instância de DefaultApi configurada para o marketplace
+ */
+function getApiClient(marketplaceConfig) {
+    if (!apiClients.has(marketplaceConfig.code)) {
+        const client = new ProductAdvertisingAPIv1.ApiClient();
+
+        client.accessKey = process.env.AMAZON_ACCESS_KEY;
+        client.secretKey = process.env.AMAZON_SECRET_KEY;
+        client.host = AMAZON_API_HOST || marketplaceConfig.host;
+        client.region = marketplaceConfig.region;
+
+        // O SDK sempre monta URLs https://
+        if (AMAZON_API_PROTOCOL === 'http') {
+            const buildUrl = client.buildUrl.bind(client);
+            client.buildUrl = (...args) => buildUrl(...args).replace(/^https:/, 'http:');
+        }
+
+        apiClients.set(marketplaceConfig.code, new ProductAdvertisingAPIv1.DefaultApi(client));
+    }
+
+    return apiClients.get(marketplaceConfig.code);
+}
+
+// Limites de requisições da conta PAAPI (por segundo e por dia)
+const AMAZON_TPS = parseFloat(process.env.AMAZON_TPS) || 1;
+const AMAZON_TPD = parseInt(process.env.AMAZON_TPD, 10) || 8640;
+
+// Retentativas para TooManyRequests, erros 5xx e falhas de rede
+const MAX_RETRIES = parseInt(process.env.AMAZON_MAX_RETRIES, 10) >= 0
+    ? parseInt(process.env.AMAZON_MAX_RETRIES, 10)
+    : 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 10 * 1000;
+
+/**
+ * Aguarda um intervalo
+ * @param {number} ms - Milissegundos
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Cria um limitador de requisições no modelo token bucket
+ * 
+ * Os tokens são repostos continuamente a `tps` por segundo (com rajada de no
+ * máximo `tps` tokens) e as requisições aguardam sua vez em fila (FIFO). Um
+ * contador diário, reiniciado à meia-noite UTC, impede ultrapassar `tpd`.
+ * 
+ * @param {Object} limits - Limites da conta
+ * @param {number} limits.tps - Requisições por segundo
+ * @param {number} limits.tpd - Requisições por dia
+ * @returns {Object} Limitador com acquire() e getStatus()
+ */
+function createThrottle({ tps, tpd }) {
+    const capacity = Math.max(1, tps);
+    let tokens = capacity;
+    let lastRefill = Date.now();
+    let currentDay = new Date().toISOString().slice(0, 10);
+    let usedToday = 0;
+    let queued = 0;
+    let queue = Promise.resolve();
+
+    function refill() {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * tps);
+        lastRefill = now;
+
+        const today = new Date(now).toISOString().slice(0, 10);
+        if (today !== currentDay) {
+            currentDay = today;
+            usedToday = 0;
+        }
+    }
+
+    /**
+     * Aguarda um token disponível
+     * @returns {Promise<void>}
+     * @throws {ServiceUnavailableError} Se a cota diária estiver esgotada
+     */
+    function acquire() {
+        queued++;
+
+        const turn = queue.then(async () => {
+            refill();
+
+            if (usedToday >= tpd) {
+                // A cota reinicia à meia-noite UTC
+                const nextDay = new Date(`${currentDay}T00:00:00.000Z`).getTime() + 24 * 60 * 60 * 1000;
+
+                throw new ServiceUnavailableError(`Cota diária da Amazon PAAPI esgotada (${tpd} requisições)`, {
+                    code: 'QUOTA_EXCEEDED',
+                    publicMessage: 'Cota diária da Amazon esgotada, tente novamente mais tarde',
+                    retryAfter: Math.ceil((nextDay - Date.now()) / 1000)
+                });
+            }
+
+            if (tokens < 1) {
+                await sleep(((1 - tokens) / tps) * 1000);
+                refill();
+            }
+
+            tokens -= 1;
+            usedToday++;
+        });
+
+        // A fila segue mesmo que uma requisição seja rejeitada
+        queue = turn.catch(() => {});
+        turn.then(() => queued--, () => queued--);
+
+        return turn;
+    }
+
+    /**
+     * Estado atual do limitador (útil para monitoramento)
+     * @returns {Object} Limites, uso do dia e fila
+     */
+    function getStatus() {
+        refill();
+        return {
+            tps,
+            tpd,
+            usedToday,
+            remainingToday: Math.max(0, tpd - usedToday),
+            queued,
+            availableTokens: Math.floor(tokens)
+        };
+    }
+
+    return { acquire, getStatus };
+}
+
+// Limitador compartilhado por todas as chamadas à PAAPI deste processo
+const throttle = createThrottle({ tps: AMAZON_TPS, tpd: AMAZON_TPD });
+
+// Métricas das chamadas à PAAPI (cada tentativa conta como uma chamada)
+const paapiRequestsTotal = createCounter({
+    name: 'paapi_requests_total',
+    help: 'Chamadas à PAAPI, por operação, marketplace e resultado (success ou error)',
+    labelNames: ['operation', 'marketplace', 'outcome']
+});
+
+const paapiRequestDuration = createHistogram({
+    name: 'paapi_request_duration_seconds',
+    help: 'Duração das chamadas à PAAPI, sem a espera no limitador',
+    labelNames: ['operation']
+});
+
+const paapiErrorsTotal = createCounter({
+    name: 'paapi_errors_total',
+    help: 'Falhas das chamadas à PAAPI, por operação e código de erro da Amazon (ou status HTTP)',
+    labelNames: ['operation', 'code']
+});
+
+const paapiRetriesTotal = createCounter({
+    name: 'paapi_retries_total',
+    help: 'Novas tentativas após falhas temporárias da PAAPI',
+    labelNames: ['operation']
+});
+
+const paapiQuotaRejectionsTotal = createCounter({
+    name: 'paapi_quota_rejections_total',
+    help: 'Chamadas recusadas localmente por cota diária esgotada',
+    labelNames: ['operation']
+});
+
+createGauge({
+    name: 'paapi_quota_daily_limit',
+    help: 'Cota diária de chamadas à PAAPI (AMAZON_TPD)',
+    collect: () => throttle.getStatus().tpd
+});
+
+createGauge({
+    name: 'paapi_quota_remaining',
+    help: 'Chamadas à PAAPI restantes no dia UTC',
+    collect: () => throttle.getStatus().remainingToday
+});
+
+createGauge({
+    name: 'paapi_queued_requests',
+    help: 'Chamadas à PAAPI aguardando o limitador',
+    collect: () => throttle.getStatus().queued
+});
+
+// Códigos de erro da PAAPI relacionados a credenciais e associado
+const PAAPI_AUTH_ERROR_CODES = [
+    'AccessDenied',
+    'AccessDeniedAwsUsers',
+    'IncompleteSignature',
+    'InvalidAssociate',
+    'InvalidPartnerTag',
+    'InvalidSignature',
+    'MissingAuthenticationToken',
+    'RequestExpired',
+    'UnrecognizedClient'
+];
+
+// Códigos de erro da PAAPI causados por parâmetros da requisição
+const PAAPI_VALIDATION_ERROR_CODES = ['InvalidParameterValue', 'MissingParameter', 'UnknownOperation'];
+
+// Limite de ASINs aceitos pela operação GetItems em uma única chamada
+const MAX_ASINS_PER_REQUEST = 10;
+
+// Limites de paginação da operação SearchItems (10 itens por página, até 10 páginas)
+const MAX_ITEMS_PER_PAGE = 10;
+const MAX_SEARCH_PAGES = 10;
+
+// Formato de um ASIN (10 caracteres alfanuméricos)
+const ASIN_REGEX = /^[A-Z0-9]{10}$/;
+
+// Formato do ID de uma categoria (browse node) e limite de IDs por chamada GetBrowseNodes
+const BROWSE_NODE_ID_REGEX = /^\d{1,20}$/;
+const MAX_BROWSE_NODES_PER_REQUEST = 10;
+
+// Recursos solicitados na operação GetBrowseNodes
+const BROWSE_NODE_RESOURCES = ['BrowseNodes.Ancestor', 'BrowseNodes.Children'];
+
+// Limite de variações por página da operação GetVariations
+const MAX_VARIATIONS_PER_PAGE = 10;
+
+// Recursos de GetVariations pedidos além dos do perfil (ASIN pai, dimensões e faixa de preço)
+const VARIATION_RESOURCES = [
+    'ParentASIN',
+    'VariationSummary.VariationDimension',
+    'VariationSummary.Price.LowestPrice',
+    'VariationSummary.Price.HighestPrice'
+];
+
+// Valores aceitos pelos filtros enumerados da operação SearchItems
+const SEARCH_FILTER_OPTIONS = {
+    merchant: ['All', 'Amazon'],
+    condition: ['Any', 'New', 'Used', 'Collectible', 'Refurbished'],
+    sortBy: ['AvgCustomerReviews', 'Featured', 'NewestArrivals', 'Price:HighToLow', 'Price:LowToHigh', 'Relevance'],
+    deliveryFlags: ['AmazonGlobal', 'FreeShipping', 'FulfilledByAmazon', 'Prime']
+};
+
+// Valores padrão dos filtros (omitidos da forma normalizada)
+const SEARCH_FILTER_DEFAULTS = {
+    searchIndex: 'All',
+    merchant: 'Amazon'
+};
+
+/**
+ * Localiza um valor enumerado ignorando maiúsculas/minúsculas
+ * @param {string} name - Nome do filtro (usado na mensagem de erro)
+ * @param {string} value - Valor informado
+ * @param {Array<string>} options - Valores aceitos
+ * @returns {string} Valor na grafia esperada pela PAAPI
+ * @throws {ValidationError} Se o valor não for aceito
+ */
+function matchOption(name, value, options) {
+    const match = options.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+    if (!match) {
+        throw new ValidationError(`Filtro "${name}" inválido: "${value}". Valores aceitos: ${options.join(', ')}`);
+    }
+    return match;
+}
+
+/**
+ * Converte um filtro numérico inteiro validando seus limites
+ * @param {string} name - Nome do filtro (usado na mensagem de erro)
+ * @param {number|string} value - Valor informado
+ * @param {number} min - Valor mínimo aceito
+ * @param {number} max - Valor máximo aceito
+ * @returns {number} Valor convertido
+ * @throws {ValidationError} Se o valor não for um inteiro dentro dos limites
+ */
+function parseIntegerFilter(name, value, min, max) {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+        throw new ValidationError(`Filtro "${name}" inválido: deve ser um número inteiro entre ${min} e ${max}`);
+    }
+    return parsed;
+}
+
+/**
+ * Converte um filtro de preço (em unidades da moeda, ex.: 199.90)
+ * @param {string} name - Nome do filtro (usado na mensagem de erro)
+ * @param {number|string} value - Valor informado
+ * @returns {number} Preço com no máximo duas casas decimais
+ * @throws {ValidationError} Se o valor não for um preço positivo
+ */
+function parsePriceFilter(name, value) {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed <= 0) {
+        throw new ValidationError(`Filtro "${name}" inválido: deve ser um preço positivo (ex.: 199.90)`);
+    }
+    return Math.round(parsed * 100) / 100;
+}
+
+/**
+ * Valida e normaliza os filtros de busca da operação SearchItems
+ * 
+ * Apenas filtros informados e diferentes do padrão são mantidos, então o
+ * resultado pode ser usado diretamente para compor chaves de cache.
+ * 
+ * @param {Object} params - Parâmetros recebidos (chaves desconhecidas são ignoradas)
+ * @param {string} [params.searchIndex] - Índice de busca (All, Electronics, Books, etc.)
+ * @param {string} [params.merchant] - Comerciante (Amazon, All)
+ * @param {number|string} [params.minPrice] - Preço mínimo em unidades da moeda
+ * @param {number|string} [params.maxPrice] - Preço máximo em unidades da moeda
+ * @param {string} [params.brand] - Marca
+ * @param {string} [params.condition] - Condição (Any, New, Used, Collectible, Refurbished)
+ * @param {string} [params.sortBy] - Ordenação (Relevance, Price:LowToHigh, etc.)
+ * @param {number|string} [params.minReviewsRating] - Avaliação mínima (1-4)
+ * @param {number|string} [params.minSavingPercent] - Desconto mínimo em % (1-99)
+ * @param {string|Array<string>} [params.deliveryFlags] - Opções de entrega (Prime, FreeShipping, etc.)
+ * @param {string} [params.browseNodeId] - Categoria (browse node) em que a busca é feita
+ * @returns {Object} Filtros normalizados
+ * @throws {ValidationError} Se algum filtro for inválido
+ */
+function normalizeSearchFilters(params = {}) {
+    const isPresent = value => value !== undefined && value !== null && String(value).trim() !== '';
+    const filters = {};
+
+    if (isPresent(params.searchIndex)) {
+        const searchIndex = String(params.searchIndex).trim();
+        if (!/^[A-Za-z]+$/.test(searchIndex)) {
+            throw new ValidationError(`Filtro "searchIndex" inválido: "${searchIndex}"`);
+        }
+        filters.searchIndex = searchIndex;
+    }
+
+    if (isPresent(params.merchant)) {
+        filters.merchant = matchOption('merchant', params.merchant, SEARCH_FILTER_OPTIONS.merchant);
+    }
+
+    if (isPresent(params.minPrice)) {
+        filters.minPrice = parsePriceFilter('minPrice', params.minPrice);
+    }
+
+    if (isPresent(params.maxPrice)) {
+        filters.maxPrice = parsePriceFilter('maxPrice', params.maxPrice);
+    }
+
+    if (filters.minPrice && filters.maxPrice && filters.minPrice > filters.maxPrice) {
+        throw new ValidationError('Filtro "minPrice" inválido: deve ser menor ou igual a "maxPrice"');
+    }
 
-defaultClient.accessKey = process.env.AMAZON_ACCESS_KEY;
-defaultClient.secretKey = process.env.AMAZON_SECRET_KEY;
-defaultClient.host = 'webservices.amazon.com.br';
-defaultClient.region = 'us-east-1';
+    if (isPresent(params.brand)) {
+        const brand = String(params.brand).trim();
+        if (brand.length > 100) {
+            throw new ValidationError('Filtro "brand" inválido: máximo de 100 caracteres');
+        }
+        filters.brand = brand;
+    }
 
-const api = new ProductAdvertisingAPIv1.DefaultApi();
+    if (isPresent(params.condition)) {
+        filters.condition = matchOption('condition', params.condition, SEARCH_FILTER_OPTIONS.condition);
+    }
+
+    if (isPresent(params.sortBy)) {
+        filters.sortBy = matchOption('sortBy', params.sortBy, SEARCH_FILTER_OPTIONS.sortBy);
+    }
+
+    if (isPresent(params.minReviewsRating)) {
+        filters.minReviewsRating = parseIntegerFilter('minReviewsRating', params.minReviewsRating, 1, 4);
+    }
+
+    if (isPresent(params.minSavingPercent)) {
+        filters.minSavingPercent = parseIntegerFilter('minSavingPercent', params.minSavingPercent, 1, 99);
+    }
+
+    if (isPresent(params.deliveryFlags)) {
+        const flags = Array.isArray(params.deliveryFlags)
+            ? params.deliveryFlags
+            : String(params.deliveryFlags).split(',');
+
+        const normalizedFlags = flags
+            .filter(flag => String(flag).trim().length > 0)
+            .map(flag => matchOption('deliveryFlags', flag, SEARCH_FILTER_OPTIONS.deliveryFlags));
+
+        // Ordena para que a mesma combinação gere sempre a mesma chave de cache
+        filters.deliveryFlags = [...new Set(normalizedFlags)].sort();
+    }
+
+    if (isPresent(params.browseNodeId)) {
+        filters.browseNodeId = normalizeBrowseNodeId(params.browseNodeId);
+    }
+
+    // Remove valores iguais ao padrão para não fragmentar o cache
+    Object.entries(SEARCH_FILTER_DEFAULTS).forEach(([name, defaultValue]) => {
+        if (filters[name] === defaultValue) {
+            delete filters[name];
+        }
+    });
+
+    return filters;
+}
 
 /**
  * Valida os parâmetros de entrada da busca
  * @param {Object} params - Parâmetros da busca
- * @param {string} params.query - Palavras-chave da busca
- * @param {number|string} params.itemCount - Número de itens retornados
- * @throws {Error} Se os parâmetros forem inválidos
+ * @param {string} params.query - Palavras-chave da busca (opcional em buscas dentro de uma categoria)
+ * @param {number|string} params.itemCount - Número de itens retornados por página
+ * @param {number|string} [params.itemPage=1] - Página de resultados
+ * @param {string} [params.browseNodeId] - Categoria em que a busca é feita
+ * @throws {ValidationError} Se os parâmetros forem inválidos
  */
-function validateSearchParams({ query, itemCount }) {
-    if (!query || typeof query !== 'string' || query.trim().length === 0) {
-        throw new Error('Query deve ser uma string não vazia');
+function validateSearchParams({ query, itemCount, itemPage = 1, browseNodeId }) {
+    const hasQuery = typeof query === 'string' && query.trim().length > 0;
+    if (!hasQuery && !browseNodeId) {
+        throw new ValidationError('Query deve ser uma string não vazia');
     }
 
     const parsedItemCount = parseInt(itemCount, 10);
-    if (Number.isNaN(parsedItemCount) || parsedItemCount < 1 || parsedItemCount > 50) {
-        throw new Error('ItemCount deve ser um número entre 1 e 50');
+    if (Number.isNaN(parsedItemCount) || parsedItemCount < 1 || parsedItemCount > MAX_ITEMS_PER_PAGE) {
+        throw new ValidationError(`ItemCount inválido: deve ser um número entre 1 e ${MAX_ITEMS_PER_PAGE}`);
+    }
+
+    const parsedItemPage = parseInt(itemPage, 10);
+    if (Number.isNaN(parsedItemPage) || parsedItemPage < 1 || parsedItemPage > MAX_SEARCH_PAGES) {
+        throw new ValidationError(`ItemPage inválido: deve ser um número entre 1 e ${MAX_SEARCH_PAGES}`);
+    }
+}
+
+/**
+ * Valida o ID de uma categoria (browse node)
+ * @param {string|number} browseNodeId - ID informado
+ * @returns {string} ID sem espaços
+ * @throws {ValidationError} Se o ID não for numérico
+ */
+function normalizeBrowseNodeId(browseNodeId) {
+    const id = String(browseNodeId ?? '').trim();
+    if (!BROWSE_NODE_ID_REGEX.test(id)) {
+        throw new ValidationError(`ID de categoria inválido: "${id}". Deve ser numérico, com até 20 dígitos`);
+    }
+    return id;
+}
+
+/**
+ * Valida e normaliza uma lista de ASINs
+ * @param {Array<string>} asins - ASINs informados
+ * @returns {Array<string>} ASINs em maiúsculas, sem duplicatas
+ * @throws {ValidationError} Se a lista estiver vazia ou contiver ASINs inválidos
+ */
+function normalizeAsins(asins) {
+    if (!Array.isArray(asins) || asins.length === 0) {
+        throw new ValidationError('Lista de ASINs é obrigatória e não pode ser vazia');
+    }
+
+    const normalized = asins.map(asin => String(asin).trim().toUpperCase());
+    const invalidAsins = normalized.filter(asin => !ASIN_REGEX.test(asin));
+
+    if (invalidAsins.length > 0) {
+        throw new ValidationError(`ASIN inválido: ${invalidAsins.join(', ')}`);
+    }
+
+    return [...new Set(normalized)];
+}
+
+/**
+ * Chama uma operação da PAAPI convertendo o callback do SDK em Promise
+ * 
+ * Com AMAZON_FIXTURES_MODE=record a resposta também é gravada como fixture;
+ * com replay, a fixture gravada responde no lugar da Amazon (paapi-fixtures.js).
+ * 
+ * @param {string} operation - Nome do método do SDK (searchItems, getItems, etc.)
+ * @param {Object} request - Requisição montada com os modelos do SDK
+ * @param {Object} marketplaceConfig - Marketplace de destino da requisição
+ * @returns {Promise<Object>} Corpo JSON da resposta da API
+ */
+function callApi(operation, request, marketplaceConfig) {
+    const fixturesMode = getFixturesMode();
+
+    if (fixturesMode === 'replay') {
+        return replayFixture(operation, request, marketplaceConfig);
+    }
+
+    const api = getApiClient(marketplaceConfig);
+    const call = () => new Promise((resolve, reject) => {
+        api[operation](request, (error, data, response) => {
+            if (error) {
+                reject(error);
+            } else {
+                // Usa o corpo JSON original: os modelos do SDK descartam campos que
+                // não conhecem, como CustomerReviews
+                resolve(response?.body || data);
+            }
+        });
+    });
+
+    return fixturesMode === 'record' ? recordFixture(operation, request, marketplaceConfig, call) : call();
+}
+
+/**
+ * Extrai a lista de erros (Errors) do corpo de uma resposta de erro da PAAPI
+ * @param {Error} error - Erro retornado pelo SDK
+ * @returns {Array<Object>} Erros com Code e Message (vazio se o corpo não for JSON)
+ */
+function parsePaapiErrors(error) {
+    try {
+        const body = JSON.parse(error?.response?.text || '{}');
+        return Array.isArray(body.Errors) ? body.Errors : [];
+    } catch (parseError) {
+        return [];
+    }
+}
+
+/**
+ * Verifica se um erro da PAAPI é temporário e pode ser repetido
+ * @param {Error} error - Erro retornado pelo SDK
+ * @returns {boolean} true para TooManyRequests, erros 5xx e falhas de rede
+ */
+function isRetryableError(error) {
+    // Erros já tipados são locais (ex.: fixture ausente), não da Amazon
+    if (error instanceof ApiError) {
+        return false;
+    }
+
+    const status = error?.status;
+
+    if (status === 429 || parsePaapiErrors(error).some(paapiError => paapiError.Code === 'TooManyRequests')) {
+        return true;
+    }
+
+    // Sem status HTTP: timeout ou falha de conexão
+    return status === undefined || status >= 500;
+}
+
+/**
+ * Converte um erro do SDK da PAAPI em um erro tipado da API
+ * 
+ * O código do primeiro item de `Errors` no corpo da resposta define a
+ * categoria; sem corpo, o status HTTP é usado. Erros já tipados (ex.:
+ * validação local, cota diária) são devolvidos sem alteração.
+ * 
+ * @param {Error} error - Erro retornado pelo SDK
+ * @param {string} context - Prefixo da mensagem (ex.: "Falha na busca Amazon")
+ * @returns {ApiError} Erro tipado
+ */
+function fromPaapiError(error, context) {
+    if (error instanceof ApiError) {
+        return error;
+    }
+
+    const [paapiError] = parsePaapiErrors(error);
+    const code = paapiError?.Code;
+    const status = error?.status;
+    const message = `${context}: ${paapiError?.Message || error?.message || 'erro desconhecido'}`;
+    const options = { cause: error };
+
+    if (code === 'TooManyRequests' || status === 429) {
+        return new ThrottlingError(message, {
+            ...options,
+            publicMessage: 'Limite de requisições da Amazon atingido, tente novamente em instantes',
+            retryAfter: Math.max(1, Math.ceil(1 / AMAZON_TPS))
+        });
+    }
+
+    if (PAAPI_AUTH_ERROR_CODES.includes(code) || status === 401 || status === 403) {
+        return new AuthenticationError(message, {
+            ...options,
+            code: 'AMAZON_AUTHENTICATION_ERROR',
+            publicMessage: 'Credenciais da Amazon PAAPI recusadas'
+        });
+    }
+
+    if (code === 'NoResults') {
+        return new NotFoundError(message, { ...options, code: 'NO_RESULTS' });
+    }
+
+    if (PAAPI_VALIDATION_ERROR_CODES.includes(code) || status === 400) {
+        return new ValidationError(message, { ...options, code: 'AMAZON_INVALID_PARAMETER' });
+    }
+
+    // Sem status HTTP: timeout ou falha de conexão
+    if (status === undefined) {
+        return new ServiceUnavailableError(message, {
+            ...options,
+            code: 'AMAZON_UNAVAILABLE',
+            publicMessage: 'Serviço da Amazon temporariamente indisponível'
+        });
     }
+
+    return new UpstreamError(message, options);
+}
+
+/**
+ * Identifica o código de uma falha da PAAPI para as métricas
+ * @param {Error} error - Erro retornado pelo SDK
+ * @returns {string} Código do primeiro item de `Errors`, status HTTP ou NetworkError
+ */
+function getPaapiErrorCode(error) {
+    const [paapiError] = parsePaapiErrors(error);
+
+    if (paapiError?.Code) {
+        return paapiError.Code;
+    }
+
+    return error?.status ? String(error.status) : 'NetworkError';
+}
+
+/**
+ * Calcula a espera antes de uma nova tentativa (backoff exponencial com jitter completo)
+ * @param {number} attempt - Número da tentativa que falhou (0 = primeira)
+ * @returns {number} Espera em milissegundos
+ */
+function computeRetryDelay(attempt) {
+    const maxDelay = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * Math.pow(2, attempt));
+    return Math.round(Math.random() * maxDelay);
+}
+
+/**
+ * Executa uma operação da PAAPI respeitando o limite de requisições da conta
+ * e repetindo falhas temporárias com backoff exponencial
+ * @param {string} operation - Nome do método do SDK (searchItems, getItems, etc.)
+ * @param {Object} request - Requisição montada com os modelos do SDK
+ * @param {Object} marketplaceConfig - Marketplace de destino da requisição
+ * @returns {Promise<Object>} Resposta bruta da API
+ */
+async function executeRequest(operation, request, marketplaceConfig) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            await throttle.acquire();
+        } catch (error) {
+            paapiQuotaRejectionsTotal.inc({ operation });
+            throw error;
+        }
+
+        const endTimer = paapiRequestDuration.startTimer({ operation });
+
+        try {
+            const response = await callApi(operation, request, marketplaceConfig);
+            endTimer();
+            paapiRequestsTotal.inc({ operation, marketplace: marketplaceConfig.code, outcome: 'success' });
+            return response;
+        } catch (error) {
+            endTimer();
+            paapiRequestsTotal.inc({ operation, marketplace: marketplaceConfig.code, outcome: 'error' });
+            paapiErrorsTotal.inc({ operation, code: getPaapiErrorCode(error) });
+
+            if (attempt >= MAX_RETRIES || !isRetryableError(error)) {
+                throw error;
+            }
+
+            paapiRetriesTotal.inc({ operation });
+            const delay = computeRetryDelay(attempt);
+            logger.warn('Chamada à PAAPI falhou, nova tentativa agendada', {
+                operation,
+                errorCode: getPaapiErrorCode(error),
+                attempt: attempt + 1,
+                maxRetries: MAX_RETRIES,
+                delayMs: delay
+            });
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Retorna o estado do limitador de requisições da PAAPI
+ * @returns {Object} Limites, uso do dia e requisições em fila
+ */
+function getThrottleStatus() {
+    return throttle.getStatus();
 }
 
 /**
  * Formata um item individual retornado pela API da Amazon
  * @param {Object} item - Item retornado pela API
+ * @param {string} [defaultCurrency='BRL'] - Moeda usada quando a oferta não informa a sua
+ * @param {string} [profile] - Perfil de recursos (resource-profiles.js) que define os campos. Usa o padrão se omitido
  * @returns {Object} Item formatado
  */
-function formatAmazonItem(item) {
+function formatAmazonItem(item, defaultCurrency = 'BRL', profile) {
     if (!item) return null;
 
-    return {
-        asin: item?.ASIN || null,
-        url: item?.DetailPageURL || null,
-        title: item?.ItemInfo?.Title?.DisplayValue || 'Título não disponível',
-        image: item?.Images?.Primary?.Medium?.URL || null,
-        // Corrigido: usar || ao invés de | (operador bitwise)
-        price: item?.Offers?.Listings?.[0]?.Price?.Amount || null,
-        priceFormatted: item?.Offers?.Listings?.[0]?.Price?.DisplayAmount || null,
-        currency: item?.Offers?.Listings?.[0]?.Price?.Currency || 'BRL',
-        // Corrigido: usar || ao invés de | (operador bitwise)
-        savingBasis: item?.Offers?.Listings?.[0]?.SavingBasis?.Amount || null,
-        savingBasisFormatted: item?.Offers?.Listings?.[0]?.SavingBasis?.DisplayAmount || null,
-        isPrimeEligible: item?.Offers?.Listings?.[0]?.ProgramEligibility?.IsPrimeExclusive || false,
-        availability: item?.Offers?.Listings?.[0]?.Availability?.Type || 'Unknown',
-        // Adiciona informações extras úteis
-        brand: item?.ItemInfo?.ByLineInfo?.Brand?.DisplayValue || null,
-        manufacturer: item?.ItemInfo?.ByLineInfo?.Manufacturer?.DisplayValue || null,
-        model: item?.ItemInfo?.TechnicalDetails?.find(detail => 
-            detail.Name === 'Model Number')?.Value?.DisplayValue || null
-    };
+    return formatProfileFields(item, defaultCurrency, profile);
 }
 
 /**
- * Realiza uma busca na Amazon usando o PAAPI 5.0
+ * Realiza a busca de uma página de resultados na Amazon usando o PAAPI 5.0
  * @param {Object} params - Parâmetros da busca
  * @param {string} params.query - Palavras-chave da busca
- * @param {number|string} params.itemCount - Número de itens retornados (1-50)
- * @param {string} [params.searchIndex='All'] - Índice de busca (All, Electronics, Books, etc.)
- * @param {string} [params.merchant='Amazon'] - Comerciante (Amazon, All)
- * @returns {Promise<Array>} Array de produtos encontrados
- * @throws {Error} Se houver erro na API ou parâmetros inválidos
+ * @param {number|string} params.itemCount - Número de itens por página (1-10)
+ * @param {number|string} [params.itemPage=1] - Página de resultados (1-10)
+ * @param {string} [params.marketplace] - Código do marketplace (br, us, es). Usa o padrão se omitido
+ * @param {string} [params.profile] - Perfil de recursos (minimal, card, detail, full). Usa o padrão se omitido
+ * @param {...*} [params.filters] - Filtros aceitos por normalizeSearchFilters (searchIndex, merchant,
+ * minPrice, maxPrice, brand, condition, sortBy, minReviewsRating, minSavingPercent, deliveryFlags,
+ * browseNodeId)
+ * @returns {Promise<Object>} Página com products, totalResultCount, page e hasMore
+ * @throws {ApiError} Erro tipado (validação, autenticação, limite, indisponibilidade)
  */
-async function searchItems({ query, itemCount, searchIndex = 'All', merchant = 'Amazon' }) {
+async function searchItemsPage({ query, itemCount, itemPage = 1, marketplace, profile, ...filters }) {
     try {
-        // Valida parâmetros de entrada
-        validateSearchParams({ query, itemCount });
+        const marketplaceConfig = getMarketplace(marketplace);
+        const resourceProfile = getResourceProfile(profile);
+        const searchFilters = { ...SEARCH_FILTER_DEFAULTS, ...normalizeSearchFilters(filters) };
+
+        // Valida parâmetros de entrada (sem palavras-chave, a busca exige uma categoria)
+        validateSearchParams({ query, itemCount, itemPage, browseNodeId: searchFilters.browseNodeId });
 
         const request = new ProductAdvertisingAPIv1.SearchItemsRequest();
         
         const parsedItemCount = parseInt(itemCount, 10);
+        const parsedItemPage = parseInt(itemPage, 10);
 
         // Configuração da requisição
-        request['PartnerTag'] = process.env.AMAZON_PARTNER_TAG;
+        request['PartnerTag'] = marketplaceConfig.partnerTag;
         request['PartnerType'] = 'Associates';
-        request['Marketplace'] = 'www.amazon.com.br';
-        request['Merchant'] = merchant;
-        request['Keywords'] = String(query).trim();
-        request['SearchIndex'] = searchIndex;
+        request['Marketplace'] = marketplaceConfig.marketplace;
+        request['Merchant'] = searchFilters.merchant;
+        if (query) request['Keywords'] = String(query).trim();
+        request['SearchIndex'] = searchFilters.searchIndex;
         request['ItemCount'] = parsedItemCount;
+        request['ItemPage'] = parsedItemPage;
+
+        // Filtros opcionais (preços são enviados na menor unidade da moeda, ex.: centavos)
+        if (searchFilters.minPrice) request['MinPrice'] = Math.round(searchFilters.minPrice * 100);
+        if (searchFilters.maxPrice) request['MaxPrice'] = Math.round(searchFilters.maxPrice * 100);
+        if (searchFilters.brand) request['Brand'] = searchFilters.brand;
+        if (searchFilters.condition) request['Condition'] = searchFilters.condition;
+        if (searchFilters.sortBy) request['SortBy'] = searchFilters.sortBy;
+        if (searchFilters.minReviewsRating) request['MinReviewsRating'] = searchFilters.minReviewsRating;
+        if (searchFilters.minSavingPercent) request['MinSavingPercent'] = searchFilters.minSavingPercent;
+        if (searchFilters.deliveryFlags) request['DeliveryFlags'] = searchFilters.deliveryFlags;
+        if (searchFilters.browseNodeId) request['BrowseNodeId'] = searchFilters.browseNodeId;
         
-        // Recursos solicitados da API (otimizado para incluir mais informações úteis)
-        request['Resources'] = [
-            'ItemInfo.Title',
-            'ItemInfo.ByLineInfo',
-            'ItemInfo.TechnicalDetails',
-            'Offers.Listings.Price',
-            'Offers.Listings.SavingBasis',
-            'Offers.Listings.ProgramEligibility.IsPrimeExclusive',
-            'Offers.Listings.Availability.Type',
-            'Images.Primary.Medium',
-            'Images.Primary.Large'
-        ];
-
-        console.log(`🔍 Buscando produtos na Amazon: "${query}" (${parsedItemCount} itens)`);
+        request['Resources'] = resourceProfile.resources;
 
-        // Executa a requisição para a API
-        const response = await new Promise((resolve, reject) => {
-            api.searchItems(request, (error, data) => {
-                if (error) {
-                    reject(error);
-                } else {
-                    resolve(data);
-                }
-            });
+        logger.info('Buscando produtos na Amazon', {
+            marketplace: marketplaceConfig.code,
+            profile: resourceProfile.name,
+            query,
+            itemCount: parsedItemCount,
+            page: parsedItemPage
         });
 
-        const result = ProductAdvertisingAPIv1.SearchItemsResponse.constructFromObject(response);
+        // Executa a requisição para a API
+        const result = await executeRequest('searchItems', request, marketplaceConfig);
         
         // Verifica se há itens retornados
         const items = result?.SearchResult?.Items;
+        const totalResultCount = result?.SearchResult?.TotalResultCount || 0;
+
         if (!items || items.length === 0) {
-            console.warn(`⚠️  Nenhum produto encontrado para: "${query}"`);
-            
-            // Log detalhado para debug (apenas em desenvolvimento)
-            if (process.env.NODE_ENV === 'development') {
-                console.warn('Resposta completa da API:', JSON.stringify(result, null, 2));
-            }
-            
-            return [];
+            logger.warn('Nenhum produto encontrado', { query, page: parsedItemPage });
+
+            // Resposta completa apenas no nível debug (segredos são removidos pelo logger)
+            logger.debug('Resposta da PAAPI sem itens', { response: result });
+
+            return { products: [], totalResultCount, page: parsedItemPage, hasMore: false };
         }
 
-        console.log(`✅ ${items.length} produto(s) encontrado(s) para: "${query}"`);
+        logger.info('Produtos encontrados na Amazon', {
+            query,
+            page: parsedItemPage,
+            found: items.length,
+            totalResultCount
+        });
 
         // Formata e filtra itens válidos
-        return items
-            .map(formatAmazonItem)
+        const products = items
+            .map(item => formatAmazonItem(item, marketplaceConfig.currency, resourceProfile.name))
             .filter(item => item !== null && item.asin); // Remove itens inválidos
 
+        // A PAAPI não retorna resultados além da 10ª página
+        const hasMore = parsedItemPage < MAX_SEARCH_PAGES
+            && parsedItemPage * parsedItemCount < totalResultCount;
+
+        return { products, totalResultCount, page: parsedItemPage, hasMore };
+
     } catch (error) {
-        console.error(`❌ Erro na busca Amazon para "${query}":`, error.message);
-        
-        // Log detalhado para debug
-        if (process.env.NODE_ENV === 'development') {
-            console.error('Erro completo:', JSON.stringify(error, null, 2));
+        const apiError = fromPaapiError(error, 'Falha na busca Amazon');
+
+        // Busca sem resultados não é uma falha: retorna a página vazia
+        if (apiError.code === 'NO_RESULTS') {
+            logger.warn('Nenhum produto encontrado', { query, page: itemPage });
+            return { products: [], totalResultCount: 0, page: parseInt(itemPage, 10), hasMore: false };
         }
 
+        logger.error('Erro na busca Amazon', { query, code: apiError.code, error: apiError.message });
+
+        // Detalhes da falha apenas no nível debug (sem a requisição assinada do SDK)
+        logger.debug('Detalhes do erro da PAAPI', { error, paapiErrors: parsePaapiErrors(error) });
+
         // Re-propaga o erro com contexto adicional
-        const enhancedError = new Error(`Falha na busca Amazon: ${error.message}`);
-        enhancedError.originalError = error;
-        enhancedError.query = query;
-        enhancedError.itemCount = itemCount;
+        apiError.query = query;
+        apiError.itemCount = itemCount;
+        apiError.itemPage = itemPage;
         
-        throw enhancedError;
+        throw apiError;
+    }
+}
+
+/**
+ * Realiza uma busca na Amazon usando o PAAPI 5.0 e retorna apenas os produtos
+ * @param {Object} params - Mesmos parâmetros de searchItemsPage
+ * @returns {Promise<Array>} Array de produtos encontrados
+ * @throws {ApiError} Erro tipado (validação, autenticação, limite, indisponibilidade)
+ */
+async function searchItems(params) {
+    const { products } = await searchItemsPage(params);
+    return products;
+}
+
+/**
+ * Consulta produtos específicos na Amazon pelo ASIN usando a operação GetItems
+ * 
+ * A PAAPI aceita no máximo 10 ASINs por chamada, então listas maiores são
+ * divididas em lotes consultados sequencialmente.
+ * 
+ * @param {Object} params - Parâmetros da consulta
+ * @param {Array<string>} params.asins - ASINs dos produtos
+ * @param {string} [params.merchant='All'] - Comerciante (Amazon, All)
+ * @param {string} [params.marketplace] - Código do marketplace (br, us, es). Usa o padrão se omitido
+ * @param {string} [params.profile] - Perfil de recursos (minimal, card, detail, full). Usa o padrão se omitido
+ * @returns {Promise<Array>} Produtos encontrados, na ordem em que foram solicitados
+ * @throws {ApiError} Erro tipado (validação, autenticação, limite, indisponibilidade)
+ */
+async function getItems({ asins, merchant = 'All', marketplace, profile }) {
+    try {
+        const itemIds = normalizeAsins(asins);
+        const marketplaceConfig = getMarketplace(marketplace);
+        const resourceProfile = getResourceProfile(profile);
+        const foundItems = new Map();
+
+        for (let i = 0; i < itemIds.length; i += MAX_ASINS_PER_REQUEST) {
+            const chunk = itemIds.slice(i, i + MAX_ASINS_PER_REQUEST);
+            const request = new ProductAdvertisingAPIv1.GetItemsRequest();
+
+            request['PartnerTag'] = marketplaceConfig.partnerTag;
+            request['PartnerType'] = 'Associates';
+            request['Marketplace'] = marketplaceConfig.marketplace;
+            request['Merchant'] = merchant;
+            request['ItemIds'] = chunk;
+            request['ItemIdType'] = 'ASIN';
+            request['Resources'] = resourceProfile.resources;
+
+            logger.info('Consultando ASINs na Amazon', {
+                marketplace: marketplaceConfig.code,
+                profile: resourceProfile.name,
+                asins: chunk
+            });
+
+            const result = await executeRequest('getItems', request, marketplaceConfig);
+
+            // ASINs inexistentes ou indisponíveis vêm como erros parciais, sem derrubar o lote
+            if (result?.Errors?.length > 0) {
+                logger.warn('ASINs não retornados pela Amazon', {
+                    errors: result.Errors.map(error => ({ code: error.Code, message: error.Message }))
+                });
+            }
+
+            (result?.ItemsResult?.Items || [])
+                .map(item => formatAmazonItem(item, marketplaceConfig.currency, resourceProfile.name))
+                .filter(item => item !== null && item.asin)
+                .forEach(item => foundItems.set(item.asin, item));
+        }
+
+        logger.info('Produtos encontrados por ASIN', { found: foundItems.size, requested: itemIds.length });
+
+        return itemIds
+            .filter(asin => foundItems.has(asin))
+            .map(asin => foundItems.get(asin));
+
+    } catch (error) {
+        const apiError = fromPaapiError(error, 'Falha na consulta Amazon');
+
+        // Nenhum ASIN encontrado não é uma falha: os ASINs aparecem como não encontrados
+        if (apiError.code === 'NO_RESULTS') {
+            logger.warn('Nenhum produto encontrado para os ASINs', { asins });
+            return [];
+        }
+
+        logger.error('Erro na consulta de ASINs na Amazon', { asins, code: apiError.code, error: apiError.message });
+        logger.debug('Detalhes do erro da PAAPI', { error, paapiErrors: parsePaapiErrors(error) });
+
+        apiError.asins = asins;
+
+        throw apiError;
+    }
+}
+
+/**
+ * Formata uma categoria retornada pela operação GetBrowseNodes
+ * 
+ * A PAAPI devolve os ancestrais aninhados, do pai até a raiz; aqui eles
+ * viram uma lista da raiz até o pai, na ordem de um breadcrumb.
+ * 
+ * @param {Object} node - Categoria retornada pela API
+ * @returns {Object} Categoria com id, name, contextFreeName, isRoot, ancestors e children
+ */
+function formatBrowseNode(node) {
+    const summarize = entry => ({
+        id: entry.Id,
+        name: entry.DisplayName || null,
+        contextFreeName: entry.ContextFreeName || null
+    });
+
+    const ancestors = [];
+    for (let ancestor = node.Ancestor; ancestor; ancestor = ancestor.Ancestor) {
+        ancestors.unshift(summarize(ancestor));
+    }
+
+    return {
+        ...summarize(node),
+        isRoot: Boolean(node.IsRoot),
+        ancestors,
+        children: (node.Children || []).map(summarize)
+    };
+}
+
+/**
+ * Consulta categorias (browse nodes) na Amazon usando a operação GetBrowseNodes
+ * @param {Object} params - Parâmetros da consulta
+ * @param {Array<string>} params.browseNodeIds - IDs das categorias (até 10)
+ * @param {string} [params.marketplace] - Código do marketplace (br, us, es). Usa o padrão se omitido
+ * @returns {Promise<Array>} Categorias encontradas, com ancestrais e subcategorias, na ordem solicitada
+ * @throws {ApiError} Erro tipado (validação, autenticação, limite, indisponibilidade)
+ */
+async function getBrowseNodes({ browseNodeIds, marketplace }) {
+    try {
+        if (!Array.isArray(browseNodeIds) || browseNodeIds.length === 0) {
+            throw new ValidationError('Lista de categorias deve ser um array não vazio');
+        }
+
+        const ids = [...new Set(browseNodeIds.map(normalizeBrowseNodeId))];
+        if (ids.length > MAX_BROWSE_NODES_PER_REQUEST) {
+            throw new ValidationError(`Número de categorias inválido: máximo de ${MAX_BROWSE_NODES_PER_REQUEST} por consulta`);
+        }
+
+        const marketplaceConfig = getMarketplace(marketplace);
+        const request = new ProductAdvertisingAPIv1.GetBrowseNodesRequest();
+
+        request['PartnerTag'] = marketplaceConfig.partnerTag;
+        request['PartnerType'] = 'Associates';
+        request['Marketplace'] = marketplaceConfig.marketplace;
+        request['BrowseNodeIds'] = ids;
+        request['Resources'] = BROWSE_NODE_RESOURCES;
+
+        logger.info('Consultando categorias na Amazon', { marketplace: marketplaceConfig.code, browseNodeIds: ids });
+
+        const result = await executeRequest('getBrowseNodes', request, marketplaceConfig);
+
+        // Categorias inexistentes vêm como erros parciais, como os ASINs em GetItems
+        if (result?.Errors?.length > 0) {
+            logger.warn('Categorias não retornadas pela Amazon', {
+                errors: result.Errors.map(error => ({ code: error.Code, message: error.Message }))
+            });
+        }
+
+        const nodesById = new Map((result?.BrowseNodesResult?.BrowseNodes || [])
+            .map(node => [node.Id, formatBrowseNode(node)]));
+
+        return ids.filter(id => nodesById.has(id)).map(id => nodesById.get(id));
+
+    } catch (error) {
+        const apiError = fromPaapiError(error, 'Falha na consulta de categorias Amazon');
+
+        if (apiError.code === 'NO_RESULTS') {
+            logger.warn('Nenhuma categoria encontrada', { browseNodeIds });
+            return [];
+        }
+
+        logger.error('Erro na consulta de categorias na Amazon', { browseNodeIds, code: apiError.code, error: apiError.message });
+        logger.debug('Detalhes do erro da PAAPI', { error, paapiErrors: parsePaapiErrors(error) });
+
+        apiError.browseNodeIds = browseNodeIds;
+
+        throw apiError;
+    }
+}
+
+/**
+ * Formata o preço mínimo ou máximo do resumo de variações
+ * @param {Object} price - LowestPrice ou HighestPrice retornado pela API
+ * @returns {Object|null} Valor e valor formatado, ou null se ausente
+ */
+function formatVariationPrice(price) {
+    if (!price || typeof price.Amount !== 'number') {
+        return null;
+    }
+
+    return { amount: price.Amount, formatted: price.DisplayAmount || null };
+}
+
+/**
+ * Consulta as variações de um produto (tamanhos, cores, edições) usando a
+ * operação GetVariations
+ * 
+ * Aceita o ASIN do produto pai ou de qualquer variação. Cada variação é
+ * formatada por formatAmazonItem e traz, em `dimensionValues`, o valor de
+ * cada dimensão (ex.: { color_name: 'Preto' }). Produtos sem variações
+ * retornam uma página vazia.
+ * 
+ * @param {Object} params - Parâmetros da consulta
+ * @param {string} params.asin - ASIN do produto
+ * @param {number|string} [params.variationCount=10] - Variações por página (1-10)
+ * @param {number|string} [params.variationPage=1] - Página de variações
+ * @param {string} [params.marketplace] - Código do marketplace (br, us, es). Usa o padrão se omitido
+ * @param {string} [params.profile] - Perfil de recursos (minimal, card, detail, full). Usa o padrão se omitido
+ * @returns {Promise<Object>} ASIN pai, dimensões, variações, faixa de preço e dados de paginação
+ * @throws {ApiError} Erro tipado (validação, autenticação, limite, indisponibilidade)
+ */
+async function getVariations({ asin, variationCount = MAX_VARIATIONS_PER_PAGE, variationPage = 1, marketplace, profile }) {
+    const parsedVariationCount = parseInt(variationCount, 10);
+    const parsedVariationPage = parseInt(variationPage, 10);
+
+    try {
+        const [itemId] = normalizeAsins([asin]);
+
+        if (Number.isNaN(parsedVariationCount) || parsedVariationCount < 1 || parsedVariationCount > MAX_VARIATIONS_PER_PAGE) {
+            throw new ValidationError(`VariationCount inválido: deve ser um número entre 1 e ${MAX_VARIATIONS_PER_PAGE}`);
+        }
+        if (Number.isNaN(parsedVariationPage) || parsedVariationPage < 1) {
+            throw new ValidationError('VariationPage inválido: deve ser um número maior ou igual a 1');
+        }
+
+        const marketplaceConfig = getMarketplace(marketplace);
+        const resourceProfile = getResourceProfile(profile);
+        const request = new ProductAdvertisingAPIv1.GetVariationsRequest();
+
+        request['PartnerTag'] = marketplaceConfig.partnerTag;
+        request['PartnerType'] = 'Associates';
+        request['Marketplace'] = marketplaceConfig.marketplace;
+        request['ASIN'] = itemId;
+        request['VariationCount'] = parsedVariationCount;
+        request['VariationPage'] = parsedVariationPage;
+        request['Resources'] = [...resourceProfile.resources, ...VARIATION_RESOURCES];
+
+        logger.info('Consultando variações na Amazon', {
+            marketplace: marketplaceConfig.code,
+            profile: resourceProfile.name,
+            asin: itemId,
+            page: parsedVariationPage
+        });
+
+        const result = await executeRequest('getVariations', request, marketplaceConfig);
+        const items = result?.VariationsResult?.Items || [];
+        const summary = result?.VariationsResult?.VariationSummary || {};
+        const pageCount = summary.PageCount || 0;
+
+        const variations = items
+            .map(item => {
+                const product = formatAmazonItem(item, marketplaceConfig.currency, resourceProfile.name);
+                const dimensionValues = Object.fromEntries((item.VariationAttributes || [])
+                    .map(attribute => [attribute.Name, attribute.Value]));
+
+                return product && { ...product, dimensionValues };
+            })
+            .filter(item => item !== null && item.asin);
+
+        logger.info('Variações encontradas na Amazon', {
+            asin: itemId,
+            page: parsedVariationPage,
+            found: variations.length,
+            variationCount: summary.VariationCount || 0
+        });
+
+        return {
+            parentAsin: items.find(item => item.ParentASIN)?.ParentASIN || null,
+            dimensions: (summary.VariationDimensions || []).map(dimension => ({
+                name: dimension.Name,
+                displayName: dimension.DisplayName || dimension.Name,
+                values: dimension.Values || []
+            })),
+            priceRange: summary.Price
+                ? { lowest: formatVariationPrice(summary.Price.LowestPrice), highest: formatVariationPrice(summary.Price.HighestPrice) }
+                : null,
+            variations,
+            variationCount: summary.VariationCount || 0,
+            page: parsedVariationPage,
+            pageCount,
+            hasMore: parsedVariationPage < pageCount
+        };
+
+    } catch (error) {
+        const apiError = fromPaapiError(error, 'Falha na consulta de variações Amazon');
+
+        // Produto sem variações (ou página além da última) não é uma falha
+        if (apiError.code === 'NO_RESULTS') {
+            logger.warn('Nenhuma variação encontrada', { asin, page: variationPage });
+            return {
+                parentAsin: null,
+                dimensions: [],
+                priceRange: null,
+                variations: [],
+                variationCount: 0,
+                page: parsedVariationPage,
+                pageCount: 0,
+                hasMore: false
+            };
+        }
+
+        logger.error('Erro na consulta de variações na Amazon', { asin, code: apiError.code, error: apiError.message });
+        logger.debug('Detalhes do erro da PAAPI', { error, paapiErrors: parsePaapiErrors(error) });
+
+        apiError.asin = asin;
+
+        throw apiError;
     }
 }
 
@@ -194,16 +1175,30 @@ async function searchItems({ query, itemCount, searchIndex = 'All', merchant = '
 async function testAmazonConnection() {
     try {
         await searchItems({ query: 'test', itemCount: 1 });
-        console.log('✅ Conexão com Amazon PAAPI estabelecida com sucesso');
+        logger.info('Conexão com Amazon PAAPI estabelecida com sucesso');
         return true;
     } catch (error) {
-        console.error('❌ Erro ao conectar com Amazon PAAPI:', error.message);
+        logger.error('Erro ao conectar com Amazon PAAPI', { error });
         return false;
     }
 }
 
 module.exports = { 
     searchItems,
+    searchItemsPage,
+    getItems,
+    getBrowseNodes,
+    getVariations,
+    formatAmazonItem,
+    validateSearchParams,
+    normalizeAsins,
+    normalizeBrowseNodeId,
+    normalizeSearchFilters,
     testAmazonConnection,
-    validateAmazonCredentials 
+    validateAmazonCredentials,
+    getThrottleStatus,
+    fromPaapiError,
+    MAX_ITEMS_PER_PAGE,
+    MAX_SEARCH_PAGES,
+    MAX_VARIATIONS_PER_PAGE
 };
\ No newline at end of file
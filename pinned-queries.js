@@ -0,0 +1,190 @@
+/**
+ * Buscas fixadas pelos editores
+ *
+ * Buscas que o aquecimento do cache mantém sempre atualizadas, além das mais
+ * populares (ex.: produtos de uma campanha). Ficam na coleção
+ * `amazonPinnedQueries` do Firestore e são validadas com as mesmas regras de
+ * /amazon-products/search.
+ *
+ * `key` é o ID da busca no cache (createCacheKey), o mesmo usado pela
+ * popularidade, para que o aquecimento reconheça uma busca fixada e popular
+ * como uma só; a chave legível fica em `canonicalKey`.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { getFirestore, admin } = require('./firebase');
+const { createCacheKey, createCanonicalKey } = require('./cache/keys');
+const { validateSearchRequest } = require('./catalog');
+const { DEFAULT_PROFILE } = require('./resource-profiles');
+const { ValidationError } = require('./errors');
+const { logger } = require('./logger');
+
+// Coleção do Firestore com as buscas fixadas
+const PINNED_QUERIES_COLLECTION = 'amazonPinnedQueries';
+
+// Tamanho máximo da observação do editor
+const MAX_NOTE_LENGTH = 200;
+
+/**
+ * Calcula as chaves de uma busca fixada a partir dos parâmetros validados
+ * @param {Object} params - Parâmetros validados por validateSearchRequest
+ * @returns {Object} key (ID da busca no cache) e canonicalKey (chave legível)
+ */
+function createPinnedQueryKeys({ query, itemCount, marketplace, filters, page, profile }) {
+    const args = [query, itemCount, marketplace, filters || {}, page || 1, profile || DEFAULT_PROFILE];
+
+    return {
+        key: createCacheKey(...args),
+        canonicalKey: createCanonicalKey(...args)
+    };
+}
+
+/**
+ * Regrava as chaves de uma busca fixada em formato antigo
+ *
+ * Buscas fixadas com outro formato de chave (a chave legível, antes do ID
+ * com hash) são atualizadas com as chaves calculadas dos seus parâmetros.
+ *
+ * @param {Object} doc - Documento do Firestore
+ * @returns {Promise<Object>} Documento com as chaves atuais
+ */
+async function rekeyPinnedQuery(doc) {
+    const data = doc.data();
+    const keys = createPinnedQueryKeys(data);
+
+    if (data.key === keys.key && data.canonicalKey === keys.canonicalKey) {
+        return doc;
+    }
+
+    await doc.ref.update(keys);
+    return doc.ref.get();
+}
+
+/**
+ * Converte um documento do Firestore na representação pública da busca fixada
+ * @param {Object} doc - Documento do Firestore
+ * @returns {Object} Busca fixada serializada
+ */
+function serializePinnedQuery(doc) {
+    const data = doc.data();
+
+    return {
+        id: doc.id,
+        key: data.key,
+        canonicalKey: data.canonicalKey || null,
+        params: {
+            query: data.query,
+            originalQuery: data.originalQuery,
+            itemCount: data.itemCount,
+            page: data.page ?? null,
+            marketplace: data.marketplace,
+            profile: data.profile || DEFAULT_PROFILE,
+            filters: data.filters || {}
+        },
+        note: data.note || null,
+        createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null
+    };
+}
+
+/**
+ * Fixa uma busca; fixar novamente a mesma busca retorna a existente
+ * @param {Object} input - Parâmetros da busca (como em /search) e observação opcional (`note`)
+ * @returns {Promise<Object>} Busca fixada e se ela foi criada agora
+ * @throws {ValidationError} Se os parâmetros forem inválidos
+ */
+async function pinQuery(input) {
+    if (!input || typeof input !== 'object') {
+        throw new ValidationError('Corpo da requisição inválido: deve ser um objeto JSON');
+    }
+
+    const { note } = input;
+    if (note !== undefined && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+        throw new ValidationError(`Campo "note" inválido: deve ser uma string de até ${MAX_NOTE_LENGTH} caracteres`);
+    }
+
+    const params = validateSearchRequest(input);
+    const { query, originalQuery, itemCount, page, marketplace, profile, filters } = params;
+    const { key, canonicalKey } = createPinnedQueryKeys(params);
+    const collection = getFirestore().collection(PINNED_QUERIES_COLLECTION);
+
+    // Busca fixada com a chave legível (formato antigo) também conta como existente
+    const existing = await collection.where('key', 'in', [key, canonicalKey]).limit(1).get();
+    if (!existing.empty) {
+        return { pinnedQuery: serializePinnedQuery(await rekeyPinnedQuery(existing.docs[0])), created: false };
+    }
+
+    const docRef = collection.doc();
+    await docRef.set({
+        key,
+        canonicalKey,
+        query,
+        originalQuery,
+        itemCount,
+        page,
+        marketplace,
+        profile,
+        filters,
+        note: note ? note.trim() : null,
+        createdAt: admin.firestore.Timestamp.now()
+    });
+
+    return { pinnedQuery: serializePinnedQuery(await docRef.get()), created: true };
+}
+
+/**
+ * Lista as buscas fixadas, das mais antigas para as mais recentes
+ *
+ * Buscas em formato antigo são regravadas com as chaves atuais; se isso
+ * revelar a mesma busca fixada mais de uma vez, a mais antiga é mantida e as
+ * demais são removidas.
+ *
+ * @returns {Promise<Array<Object>>} Buscas fixadas
+ */
+async function listPinnedQueries() {
+    const snapshot = await getFirestore().collection(PINNED_QUERIES_COLLECTION).orderBy('createdAt').get();
+    const docs = await Promise.all(snapshot.docs.map(rekeyPinnedQuery));
+
+    const seen = new Set();
+    const pinnedQueries = [];
+
+    for (const doc of docs) {
+        const { key } = doc.data();
+
+        if (seen.has(key)) {
+            await doc.ref.delete();
+            logger.info('Busca fixada duplicada removida', { pinnedQueryId: doc.id, key });
+            continue;
+        }
+
+        seen.add(key);
+        pinnedQueries.push(serializePinnedQuery(doc));
+    }
+
+    return pinnedQueries;
+}
+
+/**
+ * Remove uma busca fixada
+ * @param {string} id - ID da busca fixada
+ * @returns {Promise<boolean>} true se a busca existia
+ */
+async function unpinQuery(id) {
+    const docRef = getFirestore().collection(PINNED_QUERIES_COLLECTION).doc(id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+        return false;
+    }
+
+    await docRef.delete();
+    return true;
+}
+
+module.exports = {
+    PINNED_QUERIES_COLLECTION,
+    createPinnedQueryKeys,
+    pinQuery,
+    listPinnedQueries,
+    unpinQuery
+};
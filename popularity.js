@@ -0,0 +1,207 @@
+/**
+ * Popularidade das buscas
+ *
+ * Conta quantas vezes cada busca (query, marketplace, filtros, itemCount e
+ * página) é requisitada, para que o aquecimento do cache priorize as mais
+ * populares. As contagens são acumuladas em memória e gravadas em intervalos
+ * no cache configurado (namespace `amazonQueryPopularity`), somadas por dia
+ * UTC; apenas os últimos POPULARITY_WINDOW_DAYS dias contam.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { getCacheStore } = require('./cache');
+const { QUERY_POPULARITY_COLLECTION, createCacheKey } = require('./cache/keys');
+const { DEFAULT_PROFILE } = require('./resource-profiles');
+const { logger } = require('./logger');
+
+// Dias considerados no ranking de popularidade
+const POPULARITY_WINDOW_DAYS = parseInt(process.env.POPULARITY_WINDOW_DAYS, 10) || 7;
+
+// Intervalo de gravação das contagens acumuladas em memória
+const FLUSH_INTERVAL_MS = (parseInt(process.env.POPULARITY_FLUSH_SECONDS, 10) || 60) * 1000;
+
+// Máximo de buscas lidas ao montar o ranking (as requisitadas há mais tempo ficam de fora)
+const MAX_RANKED_QUERIES = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Contagens ainda não gravadas, indexadas pela chave da busca
+const pendingCounts = new Map();
+
+let flushTimer = null;
+let flushing = null;
+
+/**
+ * Retorna o dia UTC (YYYY-MM-DD) de um momento
+ * @param {number} time - Momento em milissegundos
+ * @returns {string} Dia UTC
+ */
+function toDay(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Mantém apenas os dias dentro da janela de popularidade
+ * @param {Object<string, number>} days - Requisições por dia UTC
+ * @param {number} now - Momento de referência em milissegundos
+ * @returns {Object<string, number>} Requisições dos dias dentro da janela
+ */
+function pruneDays(days, now) {
+    const firstDay = toDay(now - (POPULARITY_WINDOW_DAYS - 1) * DAY_MS);
+
+    return Object.fromEntries(Object.entries(days || {}).filter(([day]) => day >= firstDay));
+}
+
+/**
+ * Registra uma requisição de busca
+ * @param {Object} params - Parâmetros validados por validateSearchRequest
+ */
+function recordSearchRequest({ query, originalQuery, itemCount, page, marketplace, profile, filters }) {
+    const key = createCacheKey(query, itemCount, marketplace, filters, page || 1, profile);
+    const pending = pendingCounts.get(key);
+
+    if (pending) {
+        pending.count++;
+        pending.lastRequestedAt = Date.now();
+    } else {
+        pendingCounts.set(key, {
+            params: { query, originalQuery, itemCount, page, marketplace, profile, filters },
+            count: 1,
+            lastRequestedAt: Date.now()
+        });
+    }
+
+    // Gravação periódica, iniciada na primeira requisição
+    if (!flushTimer) {
+        flushTimer = setInterval(() => {
+            flushPopularity().catch(error => {
+                logger.error('Erro ao gravar popularidade das buscas', { error });
+            });
+        }, FLUSH_INTERVAL_MS);
+        flushTimer.unref();
+    }
+}
+
+/**
+ * Grava no cache as contagens acumuladas em memória
+ *
+ * Contagens que não puderem ser gravadas voltam para a memória e são
+ * gravadas na próxima vez.
+ *
+ * @returns {Promise<number>} Número de buscas gravadas
+ */
+async function flushPopularity() {
+    if (flushing) {
+        return flushing;
+    }
+
+    const batch = [...pendingCounts.entries()];
+    pendingCounts.clear();
+
+    flushing = (async () => {
+        const cacheStore = getCacheStore();
+        const now = Date.now();
+        let written = 0;
+
+        for (const [key, { params, count, lastRequestedAt }] of batch) {
+            try {
+                const entry = await cacheStore.get(QUERY_POPULARITY_COLLECTION, key, { track: false });
+                const days = pruneDays(entry && entry.days, now);
+                const day = toDay(lastRequestedAt);
+                days[day] = (days[day] || 0) + count;
+
+                await cacheStore.set(QUERY_POPULARITY_COLLECTION, key, {
+                    ...params,
+                    days,
+                    lastRequestedAt,
+                    updatedAt: now
+                });
+                written++;
+            } catch (error) {
+                // Devolve a contagem para a próxima gravação
+                const pending = pendingCounts.get(key);
+                pendingCounts.set(key, {
+                    params,
+                    count: count + (pending ? pending.count : 0),
+                    lastRequestedAt: Math.max(lastRequestedAt, pending ? pending.lastRequestedAt : 0)
+                });
+                logger.error('Erro ao gravar popularidade da busca', { cacheKey: key, error });
+            }
+        }
+
+        return written;
+    })().finally(() => {
+        flushing = null;
+    });
+
+    return flushing;
+}
+
+/**
+ * Retorna as buscas mais requisitadas na janela de popularidade
+ *
+ * Buscas sem requisições dentro da janela são removidas do cache.
+ *
+ * @param {number} limit - Número máximo de buscas
+ * @returns {Promise<Array<Object>>} Buscas ({ key, params, requests, lastRequestedAt }) em ordem decrescente de requisições
+ */
+async function getPopularQueries(limit) {
+    await flushPopularity();
+
+    const cacheStore = getCacheStore();
+    const now = Date.now();
+    const entries = await cacheStore.list(QUERY_POPULARITY_COLLECTION, { limit: MAX_RANKED_QUERIES });
+
+    const ranked = [];
+    const expiredKeys = [];
+
+    entries.forEach(({ key, entry }) => {
+        const requests = Object.values(pruneDays(entry.days, now)).reduce((sum, count) => sum + count, 0);
+
+        if (requests === 0) {
+            expiredKeys.push(key);
+            return;
+        }
+
+        const { query, originalQuery, itemCount, page, marketplace, profile, filters } = entry;
+        ranked.push({
+            key,
+            params: {
+                query,
+                originalQuery,
+                itemCount,
+                page: page ?? null,
+                marketplace,
+                profile: profile || DEFAULT_PROFILE,
+                filters: filters || {}
+            },
+            requests,
+            lastRequestedAt: new Date(entry.lastRequestedAt).toISOString()
+        });
+    });
+
+    for (const key of expiredKeys) {
+        await cacheStore.delete(QUERY_POPULARITY_COLLECTION, key);
+    }
+
+    return ranked
+        .sort((a, b) => b.requests - a.requests || b.lastRequestedAt.localeCompare(a.lastRequestedAt))
+        .slice(0, limit);
+}
+
+/**
+ * Interrompe a gravação periódica (as contagens pendentes ficam em memória)
+ */
+function stopPopularityTracking() {
+    clearInterval(flushTimer);
+    flushTimer = null;
+}
+
+module.exports = {
+    POPULARITY_WINDOW_DAYS,
+    recordSearchRequest,
+    flushPopularity,
+    getPopularQueries,
+    stopPopularityTracking
+};
@@ -0,0 +1,200 @@
+/**
+ * Histórico de preços por ASIN
+ *
+ * Cada vez que um produto é obtido da API da Amazon, seu preço é registrado
+ * como um snapshot com data e hora na subcoleção `snapshots` do documento
+ * `amazonPriceHistory/{marketplace}_{asin}`. O histórico é independente do
+ * cache, então limpar ou expirar o cache não apaga a série de preços.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { getFirestore, admin } = require('./firebase');
+
+// Coleção raiz e subcoleção do histórico
+const PRICE_HISTORY_COLLECTION = 'amazonPriceHistory';
+const SNAPSHOTS_SUBCOLLECTION = 'snapshots';
+
+// Janelas usadas no resumo de menor preço
+const LOWEST_PRICE_WINDOWS_DAYS = [30, 90];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Cria o ID do documento de histórico de um produto
+ * @param {string} asin - ASIN do produto
+ * @param {string} marketplace - Código do marketplace
+ * @returns {string} ID do documento
+ */
+function createHistoryId(asin, marketplace) {
+    return `${marketplace}_${asin}`;
+}
+
+/**
+ * Cria o ID de um snapshot a partir da hora da observação (UTC, formato AAAAMMDDHH)
+ *
+ * Observações na mesma hora sobrescrevem o mesmo documento, limitando o
+ * histórico a um ponto por hora sem precisar ler o snapshot anterior.
+ *
+ * @param {Date} date - Momento da observação
+ * @returns {string} ID do snapshot
+ */
+function createSnapshotId(date) {
+    return date.toISOString().slice(0, 13).replace(/[-T]/g, '');
+}
+
+/**
+ * Registra o preço atual de uma lista de produtos no histórico
+ * @param {Array<Object>} products - Produtos formatados por formatAmazonItem
+ * @param {string} marketplace - Código do marketplace
+ * @returns {Promise<number>} Quantidade de snapshots registrados
+ */
+async function recordPriceSnapshots(products, marketplace) {
+    // Produtos sem preço (ex.: indisponíveis) não geram ponto na série
+    const pricedProducts = (products || []).filter(product => product?.asin && typeof product.price === 'number');
+
+    if (pricedProducts.length === 0) {
+        return 0;
+    }
+
+    const now = new Date();
+    const observedAt = admin.firestore.Timestamp.fromDate(now);
+    const snapshotId = createSnapshotId(now);
+    const db = getFirestore();
+    const batch = db.batch();
+
+    pricedProducts.forEach(product => {
+        const historyRef = db.collection(PRICE_HISTORY_COLLECTION).doc(createHistoryId(product.asin, marketplace));
+
+        batch.set(historyRef, {
+            asin: product.asin,
+            marketplace,
+            currency: product.currency,
+            lastPrice: product.price,
+            lastObservedAt: observedAt
+        }, { merge: true });
+
+        batch.set(historyRef.collection(SNAPSHOTS_SUBCOLLECTION).doc(snapshotId), {
+            price: product.price,
+            savingBasis: product.savingBasis ?? null,
+            currency: product.currency,
+            availability: product.availability ?? null,
+            observedAt
+        });
+    });
+
+    await batch.commit();
+
+    return pricedProducts.length;
+}
+
+/**
+ * Recupera os snapshots de preço de um produto
+ * @param {string} asin - ASIN do produto
+ * @param {string} marketplace - Código do marketplace
+ * @param {number} days - Quantidade de dias retroativos
+ * @returns {Promise<Array<Object>>} Snapshots em ordem cronológica
+ */
+async function getPriceSnapshots(asin, marketplace, days) {
+    const since = admin.firestore.Timestamp.fromMillis(Date.now() - days * DAY_MS);
+
+    const snapshot = await getFirestore().collection(PRICE_HISTORY_COLLECTION)
+        .doc(createHistoryId(asin, marketplace))
+        .collection(SNAPSHOTS_SUBCOLLECTION)
+        .where('observedAt', '>=', since)
+        .orderBy('observedAt', 'asc')
+        .get();
+
+    return snapshot.docs.map(doc => {
+        const data = doc.data();
+        return {
+            price: data.price,
+            savingBasis: data.savingBasis ?? null,
+            currency: data.currency,
+            availability: data.availability ?? null,
+            observedAt: data.observedAt.toDate()
+        };
+    });
+}
+
+/**
+ * Encontra o snapshot de menor preço em uma lista
+ * @param {Array<Object>} snapshots - Snapshots de preço
+ * @returns {Object|null} Menor preço e data da observação
+ */
+function findLowest(snapshots) {
+    if (snapshots.length === 0) {
+        return null;
+    }
+
+    const lowest = snapshots.reduce((min, snapshot) => (snapshot.price < min.price ? snapshot : min));
+    return {
+        price: lowest.price,
+        observedAt: lowest.observedAt.toISOString()
+    };
+}
+
+/**
+ * Calcula estatísticas da série de preços
+ * @param {Array<Object>} snapshots - Snapshots do período exibido
+ * @param {Array<Object>} [windowSnapshots=snapshots] - Snapshots usados nas janelas de menor preço
+ * @returns {Object} Preço atual, mínimo, máximo, média e menor preço em 30/90 dias
+ */
+function summarizePriceHistory(snapshots, windowSnapshots = snapshots) {
+    const now = Date.now();
+    const prices = snapshots.map(snapshot => snapshot.price);
+    const lowest = {};
+
+    LOWEST_PRICE_WINDOWS_DAYS.forEach(days => {
+        const windowStart = now - days * DAY_MS;
+        lowest[`last${days}Days`] = findLowest(
+            windowSnapshots.filter(snapshot => snapshot.observedAt.getTime() >= windowStart)
+        );
+    });
+
+    if (prices.length === 0) {
+        return { current: null, min: null, max: null, average: null, lowest };
+    }
+
+    const average = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+
+    return {
+        current: prices[prices.length - 1],
+        min: Math.min(...prices),
+        max: Math.max(...prices),
+        average: Math.round(average * 100) / 100,
+        lowest
+    };
+}
+
+/**
+ * Recupera o histórico de preços de um produto com estatísticas
+ * @param {Object} params - Parâmetros da consulta
+ * @param {string} params.asin - ASIN do produto
+ * @param {string} params.marketplace - Código do marketplace
+ * @param {number} params.days - Período da série retornada, em dias
+ * @returns {Promise<Object>} Série de preços (snapshots), resumo (summary) e moeda
+ */
+async function getPriceHistory({ asin, marketplace, days }) {
+    // Busca sempre o período da maior janela para calcular o menor preço em 90 dias
+    const fetchDays = Math.max(days, ...LOWEST_PRICE_WINDOWS_DAYS);
+    const allSnapshots = await getPriceSnapshots(asin, marketplace, fetchDays);
+
+    const periodStart = Date.now() - days * DAY_MS;
+    const snapshots = allSnapshots.filter(snapshot => snapshot.observedAt.getTime() >= periodStart);
+
+    return {
+        currency: allSnapshots[allSnapshots.length - 1]?.currency || null,
+        snapshots: snapshots.map(snapshot => ({
+            ...snapshot,
+            observedAt: snapshot.observedAt.toISOString()
+        })),
+        summary: summarizePriceHistory(snapshots, allSnapshots),
+        totalSnapshots: allSnapshots.length
+    };
+}
+
+module.exports = {
+    recordPriceSnapshots,
+    getPriceHistory,
+    summarizePriceHistory
+};
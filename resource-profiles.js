@@ -0,0 +1,351 @@
+/**
+ * Perfis de recursos da PAAPI
+ *
+ * Cada perfil (minimal, card, detail, full) define ao mesmo tempo os recursos
+ * (`Resources`) solicitados à PAAPI e os campos do produto formatado: um
+ * campo só é pedido à Amazon se o perfil o devolve. O perfil faz parte da
+ * chave do cache, e o parâmetro `fields` das rotas seleciona, depois do
+ * cache, um subconjunto dos campos do perfil.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { ValidationError } = require('./errors');
+
+// Perfil usado quando a requisição não informa outro (mesmos campos das versões anteriores)
+const DEFAULT_PROFILE = 'card';
+
+// Campo sempre devolvido, mesmo quando não listado em `fields`
+const ALWAYS_INCLUDED_FIELD = 'asin';
+
+/**
+ * Retorna a primeira oferta (listing) de um item
+ * @param {Object} item - Item retornado pela API
+ * @returns {Object|undefined} Oferta principal
+ */
+function getListing(item) {
+    return item?.Offers?.Listings?.[0];
+}
+
+/**
+ * Converte um conjunto de tamanhos de imagem da PAAPI em URLs
+ * @param {Object} image - Imagem com Small, Medium e Large
+ * @returns {Object|null} URLs por tamanho (small, medium, large)
+ */
+function formatImageSizes(image) {
+    if (!image) return null;
+
+    return {
+        small: image.Small?.URL || null,
+        medium: image.Medium?.URL || null,
+        large: image.Large?.URL || null
+    };
+}
+
+/**
+ * Resume as ofertas de uma condição (New, Used...) de Offers.Summaries
+ * @param {Object} item - Item retornado pela API
+ * @param {string} condition - Condição da oferta
+ * @returns {Object|null} Menor preço e número de ofertas da condição
+ */
+function formatOfferSummary(item, condition) {
+    const summary = (item?.Offers?.Summaries || []).find(entry => entry?.Condition?.Value === condition);
+    if (!summary) return null;
+
+    return {
+        lowestPrice: summary.LowestPrice?.Amount ?? null,
+        lowestPriceFormatted: summary.LowestPrice?.DisplayAmount || null,
+        offerCount: summary.OfferCount ?? null
+    };
+}
+
+// Campos do produto formatado: recursos da PAAPI necessários e extração do valor
+// (format recebe o item da PAAPI e a moeda padrão do marketplace)
+const FIELDS = {
+    asin: { resources: [], format: item => item?.ASIN || null },
+    url: { resources: [], format: item => item?.DetailPageURL || null },
+    title: {
+        resources: ['ItemInfo.Title'],
+        format: item => item?.ItemInfo?.Title?.DisplayValue || 'Título não disponível'
+    },
+    image: {
+        resources: ['Images.Primary.Medium'],
+        format: item => item?.Images?.Primary?.Medium?.URL || null
+    },
+    price: {
+        resources: ['Offers.Listings.Price'],
+        format: item => getListing(item)?.Price?.Amount || null
+    },
+    priceFormatted: {
+        resources: ['Offers.Listings.Price'],
+        format: item => getListing(item)?.Price?.DisplayAmount || null
+    },
+    currency: {
+        resources: ['Offers.Listings.Price'],
+        format: (item, defaultCurrency) => getListing(item)?.Price?.Currency || defaultCurrency
+    },
+    savingBasis: {
+        resources: ['Offers.Listings.SavingBasis'],
+        format: item => getListing(item)?.SavingBasis?.Amount || null
+    },
+    savingBasisFormatted: {
+        resources: ['Offers.Listings.SavingBasis'],
+        format: item => getListing(item)?.SavingBasis?.DisplayAmount || null
+    },
+    savingPercent: {
+        resources: ['Offers.Listings.Price'],
+        format: item => getListing(item)?.Price?.Savings?.Percentage || null
+    },
+    isPrimeEligible: {
+        resources: ['Offers.Listings.ProgramEligibility.IsPrimeExclusive'],
+        format: item => getListing(item)?.ProgramEligibility?.IsPrimeExclusive || false
+    },
+    availability: {
+        resources: ['Offers.Listings.Availability.Type'],
+        format: item => getListing(item)?.Availability?.Type || 'Unknown'
+    },
+    brand: {
+        resources: ['ItemInfo.ByLineInfo'],
+        format: item => item?.ItemInfo?.ByLineInfo?.Brand?.DisplayValue || null
+    },
+    manufacturer: {
+        resources: ['ItemInfo.ByLineInfo'],
+        format: item => item?.ItemInfo?.ByLineInfo?.Manufacturer?.DisplayValue || null
+    },
+    model: {
+        resources: ['ItemInfo.ManufactureInfo'],
+        format: item => item?.ItemInfo?.ManufactureInfo?.Model?.DisplayValue || null
+    },
+    rating: {
+        resources: ['CustomerReviews.StarRating'],
+        format: item => item?.CustomerReviews?.StarRating?.Value ?? null
+    },
+    reviewCount: {
+        resources: ['CustomerReviews.Count'],
+        format: item => item?.CustomerReviews?.Count ?? null
+    },
+    features: {
+        resources: ['ItemInfo.Features'],
+        format: item => item?.ItemInfo?.Features?.DisplayValues || []
+    },
+    images: {
+        resources: [
+            'Images.Primary.Small',
+            'Images.Primary.Medium',
+            'Images.Primary.Large',
+            'Images.Variants.Small',
+            'Images.Variants.Medium',
+            'Images.Variants.Large'
+        ],
+        format: item => ({
+            primary: formatImageSizes(item?.Images?.Primary),
+            variants: (item?.Images?.Variants || []).map(formatImageSizes)
+        })
+    },
+    offerSummary: {
+        resources: ['Offers.Summaries.LowestPrice', 'Offers.Summaries.OfferCount'],
+        format: item => ({
+            new: formatOfferSummary(item, 'New'),
+            used: formatOfferSummary(item, 'Used')
+        })
+    },
+    delivery: {
+        resources: [
+            'Offers.Listings.DeliveryInfo.IsPrimeEligible',
+            'Offers.Listings.DeliveryInfo.IsFreeShippingEligible',
+            'Offers.Listings.DeliveryInfo.IsAmazonFulfilled'
+        ],
+        format: item => {
+            const deliveryInfo = getListing(item)?.DeliveryInfo;
+            if (!deliveryInfo) return null;
+
+            return {
+                isPrimeEligible: deliveryInfo.IsPrimeEligible || false,
+                isFreeShippingEligible: deliveryInfo.IsFreeShippingEligible || false,
+                isAmazonFulfilled: deliveryInfo.IsAmazonFulfilled || false
+            };
+        }
+    },
+    merchantName: {
+        resources: ['Offers.Listings.MerchantInfo'],
+        format: item => getListing(item)?.MerchantInfo?.Name || null
+    },
+    condition: {
+        resources: ['Offers.Listings.Condition'],
+        format: item => getListing(item)?.Condition?.Value || null
+    },
+    productGroup: {
+        resources: ['ItemInfo.Classifications'],
+        format: item => item?.ItemInfo?.Classifications?.ProductGroup?.DisplayValue || null
+    },
+    releaseDate: {
+        resources: ['ItemInfo.ProductInfo'],
+        format: item => item?.ItemInfo?.ProductInfo?.ReleaseDate?.DisplayValue || null
+    },
+    contributors: {
+        resources: ['ItemInfo.ByLineInfo'],
+        format: item => (item?.ItemInfo?.ByLineInfo?.Contributors || []).map(contributor => ({
+            name: contributor.Name || null,
+            role: contributor.Role || null
+        }))
+    },
+    formats: {
+        resources: ['ItemInfo.TechnicalInfo'],
+        format: item => item?.ItemInfo?.TechnicalInfo?.Formats?.DisplayValues || []
+    },
+    eans: {
+        resources: ['ItemInfo.ExternalIds'],
+        format: item => item?.ItemInfo?.ExternalIds?.EANs?.DisplayValues || []
+    }
+};
+
+// Campos de cada perfil, do mais enxuto ao mais completo (cada perfil inclui o anterior)
+const MINIMAL_FIELDS = ['asin', 'url', 'title', 'image', 'price', 'priceFormatted', 'currency'];
+const CARD_FIELDS = [
+    ...MINIMAL_FIELDS,
+    'savingBasis',
+    'savingBasisFormatted',
+    'isPrimeEligible',
+    'availability',
+    'brand',
+    'manufacturer',
+    'model'
+];
+const DETAIL_FIELDS = [
+    ...CARD_FIELDS,
+    'savingPercent',
+    'rating',
+    'reviewCount',
+    'features',
+    'images',
+    'offerSummary',
+    'delivery',
+    'merchantName'
+];
+const FULL_FIELDS = [
+    ...DETAIL_FIELDS,
+    'condition',
+    'productGroup',
+    'releaseDate',
+    'contributors',
+    'formats',
+    'eans'
+];
+
+/**
+ * Monta um perfil a partir da lista de campos
+ * @param {string} name - Nome do perfil
+ * @param {Array<string>} fields - Campos devolvidos pelo perfil
+ * @returns {Object} Perfil com nome, campos e recursos da PAAPI
+ */
+function createProfile(name, fields) {
+    const resources = [...new Set(fields.flatMap(field => FIELDS[field].resources))].sort();
+    return { name, fields, resources };
+}
+
+const PROFILES = {
+    minimal: createProfile('minimal', MINIMAL_FIELDS),
+    card: createProfile('card', CARD_FIELDS),
+    detail: createProfile('detail', DETAIL_FIELDS),
+    full: createProfile('full', FULL_FIELDS)
+};
+
+/**
+ * Valida e normaliza o nome de um perfil
+ * @param {string} [name] - Nome do perfil (sem diferenciar maiúsculas). Usa o padrão se omitido
+ * @returns {string} Nome normalizado do perfil
+ * @throws {ValidationError} Se o perfil não existir
+ */
+function normalizeProfile(name) {
+    if (name === undefined || name === null || name === '') {
+        return DEFAULT_PROFILE;
+    }
+
+    const normalized = String(name).trim().toLowerCase();
+    if (!PROFILES[normalized]) {
+        throw new ValidationError(
+            `Parâmetro "profile" inválido: ${name}. Valores aceitos: ${Object.keys(PROFILES).join(', ')}`
+        );
+    }
+
+    return normalized;
+}
+
+/**
+ * Obtém um perfil pelo nome
+ * @param {string} [name] - Nome do perfil. Usa o padrão se omitido
+ * @returns {Object} Perfil com name, fields e resources
+ * @throws {ValidationError} Se o perfil não existir
+ */
+function getResourceProfile(name) {
+    return PROFILES[normalizeProfile(name)];
+}
+
+/**
+ * Formata um item da PAAPI com os campos de um perfil
+ * @param {Object} item - Item retornado pela API
+ * @param {string} defaultCurrency - Moeda usada quando a oferta não informa a sua
+ * @param {string} [profileName] - Nome do perfil. Usa o padrão se omitido
+ * @returns {Object} Item formatado
+ */
+function formatProfileFields(item, defaultCurrency, profileName) {
+    const product = {};
+
+    getResourceProfile(profileName).fields.forEach(field => {
+        product[field] = FIELDS[field].format(item, defaultCurrency);
+    });
+
+    return product;
+}
+
+/**
+ * Valida o parâmetro `fields` contra os campos de um perfil
+ * @param {string|Array<string>} [fields] - Campos separados por vírgula ou array
+ * @param {string} [profileName] - Nome do perfil. Usa o padrão se omitido
+ * @returns {Array<string>|null} Campos selecionados (sempre com asin) ou null para todos os campos do perfil
+ * @throws {ValidationError} Se algum campo não pertencer ao perfil
+ */
+function parseFields(fields, profileName) {
+    if (fields === undefined || fields === null || fields === '') {
+        return null;
+    }
+
+    const list = Array.isArray(fields) ? fields : String(fields).split(',');
+    const requested = list.map(field => String(field).trim()).filter(Boolean);
+    const profile = getResourceProfile(profileName);
+
+    const unknownFields = requested.filter(field => !profile.fields.includes(field));
+    if (unknownFields.length > 0) {
+        throw new ValidationError(
+            `Parâmetro "fields" inválido: ${unknownFields.join(', ')} não pertence(m) ao perfil ${profile.name}. ` +
+            `Campos aceitos: ${profile.fields.join(', ')}`
+        );
+    }
+
+    // Mantém a ordem do perfil, sem duplicatas
+    return profile.fields.filter(field => field === ALWAYS_INCLUDED_FIELD || requested.includes(field));
+}
+
+/**
+ * Mantém apenas os campos selecionados de um produto formatado
+ * @param {Object} product - Produto formatado
+ * @param {Array<string>|null} fields - Campos retornados por parseFields (null mantém o produto inteiro)
+ * @returns {Object} Produto com os campos selecionados
+ */
+function pickProductFields(product, fields) {
+    if (!fields || !product) {
+        return product;
+    }
+
+    return Object.fromEntries(fields.filter(field => field in product).map(field => [field, product[field]]));
+}
+
+module.exports = {
+    DEFAULT_PROFILE,
+    PROFILE_NAMES: Object.keys(PROFILES),
+    normalizeProfile,
+    getResourceProfile,
+    formatProfileFields,
+    parseFields,
+    pickProductFields
+};
@@ -0,0 +1,24 @@
+/**
+ * Rotas de administração
+ *
+ * Todas as rotas exigem o header `Authorization: Bearer <ADMIN_TOKEN>`.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAdminToken } = require('../auth');
+
+router.use(requireAdminToken);
+
+// Chaves de API dos clientes (/admin/api-keys)
+router.use('/api-keys', require('./api-keys'));
+
+// Cache de buscas e produtos (/admin/cache)
+router.use('/cache', require('./cache'));
+
+// Aquecimento agendado do cache e buscas fixadas (/admin/warmer)
+router.use('/warmer', require('./warmer'));
+
+module.exports = router;
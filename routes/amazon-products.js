@@ -2,192 +2,1132 @@
  * Rotas para busca de produtos da Amazon
  * 
  * Este módulo define as rotas relacionadas à busca de produtos na Amazon,
- * implementando cache inteligente no Firestore para otimizar performance
- * e reduzir chamadas desnecessárias à API da Amazon.
+ * validando as requisições e montando as respostas. As consultas com cache
+ * inteligente (Firestore por padrão; veja cache/) ficam em catalog.js.
  * 
  * @author Emanuel Ozorio
  */
 
 const express = require('express');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const router = express.Router();
-const { db, admin } = require('../firebase');
-const { searchItems } = require('../paapi');
+const { getCacheStore } = require('../cache');
+const {
+    SEARCH_CACHE_COLLECTION,
+    PRODUCT_CACHE_COLLECTION,
+    createProductCacheKey
+} = require('../cache/keys');
+const {
+    normalizeAsins,
+    normalizeSearchFilters,
+    normalizeBrowseNodeId,
+    MAX_ITEMS_PER_PAGE,
+    MAX_VARIATIONS_PER_PAGE
+} = require('../paapi');
+const { getMarketplace } = require('../marketplaces');
+const { getPriceHistory } = require('../price-history');
+const {
+    DEFAULT_ITEM_COUNT,
+    MAX_ITEM_COUNT,
+    validateSearchRequest,
+    searchProducts,
+    lookupProducts,
+    getBrowseNode,
+    fetchVariationsPage,
+    combineSources,
+    getSearchCacheKeys,
+    getProductCacheKeys
+} = require('../catalog');
+const { DEFAULT_PROFILE, normalizeProfile, parseFields, pickProductFields } = require('../resource-profiles');
+const { recordSearchRequest } = require('../popularity');
+const { parseTrackingId } = require('../clicks');
+const { getApiKeyId } = require('../auth');
+const { WIDGET_LAYOUTS, WIDGET_THEMES, renderWidget, renderLoaderScript } = require('../widget');
+const { FEED_FORMATS, FEED_CONTENT_TYPES, readFeedEntries, selectFeedProducts, renderFeed } = require('../feed');
+const { extractKeywords } = require('../keywords');
+const { logger, addRequestContext } = require('../logger');
+const { ValidationError, NotFoundError, toApiError, toErrorBody } = require('../errors');
 
 // Constantes de configuração
-const CACHE_DURATION_MS = 24 * 60 * 60 * 1000; // 24 horas em milissegundos
-const DEFAULT_ITEM_COUNT = 10;
-const MAX_ITEM_COUNT = 50;
+const MAX_LOOKUP_ASINS = 50;
+const DEFAULT_PRICE_HISTORY_DAYS = 90;
+const MAX_PRICE_HISTORY_DAYS = 365;
+const DEFAULT_WIDGET_ITEMS = 4;
+const MAX_WIDGET_ITEMS = 10;
+const DEFAULT_CONTEXTUAL_KEYWORDS = 3;
+const MAX_CONTEXTUAL_KEYWORDS = 5;
+const MAX_CONTEXTUAL_TEXT_LENGTH = 50000;
+const MAX_BLOCKLIST_TERMS = 100;
+const MAX_BATCH_ENTRIES = 20;
+const DEFAULT_FEED_ITEMS = 100;
+const MAX_FEED_ITEMS = 1000;
+const MAX_FEED_DISCOUNT = 99;
+const MAX_FEED_QUERY_LENGTH = 200;
+
+// Tipos de consulta aceitos em /batch
+const BATCH_ENTRY_TYPES = ['search', 'items'];
+
+// Tempo de cache do widget e do script carregador nos navegadores e CDNs, em segundos
+const WIDGET_MAX_AGE_SECONDS = 300;
+const WIDGET_LOADER_MAX_AGE_SECONDS = 3600;
+
+/**
+ * Valida os parâmetros da requisição de consulta por ASIN
+ * @param {Object} queryParams - Parâmetros da query string
+ * @returns {Object} ASINs validados e normalizados
+ * @throws {ValidationError} Se os parâmetros forem inválidos
+ */
+function validateItemsRequest(queryParams) {
+    const { asins, marketplace, profile } = queryParams;
+
+    if (!asins || typeof asins !== 'string' || asins.trim().length === 0) {
+        throw new ValidationError('Parâmetro "asins" é obrigatório e deve ser uma lista separada por vírgulas');
+    }
+
+    const normalizedAsins = normalizeAsins(asins.split(',').filter(asin => asin.trim().length > 0));
+
+    if (normalizedAsins.length > MAX_LOOKUP_ASINS) {
+        throw new ValidationError(`Número de ASINs inválido: máximo de ${MAX_LOOKUP_ASINS} por requisição`);
+    }
+
+    return {
+        asins: normalizedAsins,
+        marketplace: getMarketplace(marketplace).code,
+        profile: normalizeProfile(profile)
+    };
+}
 
 /**
- * Valida os parâmetros da requisição de busca
+ * Valida os parâmetros da requisição de histórico de preços
+ * @param {Object} params - Parâmetros da rota
  * @param {Object} queryParams - Parâmetros da query string
- * @returns {Object} Parâmetros validados e sanitizados
- * @throws {Error} Se os parâmetros forem inválidos
+ * @returns {Object} ASIN, marketplace e período validados
+ * @throws {ValidationError} Se os parâmetros forem inválidos
+ */
+function validatePriceHistoryRequest(params, queryParams) {
+    const [asin] = normalizeAsins([params.asin]);
+    const { days, marketplace } = queryParams;
+
+    let parsedDays = DEFAULT_PRICE_HISTORY_DAYS;
+    if (days !== undefined && days !== '') {
+        parsedDays = Number(days);
+        if (!Number.isInteger(parsedDays) || parsedDays < 1 || parsedDays > MAX_PRICE_HISTORY_DAYS) {
+            throw new ValidationError(`Parâmetro "days" inválido: deve ser um número entre 1 e ${MAX_PRICE_HISTORY_DAYS}`);
+        }
+    }
+
+    return {
+        asin,
+        days: parsedDays,
+        marketplace: getMarketplace(marketplace).code
+    };
+}
+
+/**
+ * Valida os parâmetros da requisição de variações
+ * @param {Object} params - Parâmetros da rota
+ * @param {Object} queryParams - Parâmetros da query string
+ * @returns {Object} ASIN, paginação, marketplace e perfil validados
+ * @throws {ValidationError} Se os parâmetros forem inválidos
+ */
+function validateVariationsRequest(params, queryParams) {
+    const [asin] = normalizeAsins([params.asin]);
+    const { variationCount, page, marketplace, profile } = queryParams;
+
+    let parsedVariationCount = MAX_VARIATIONS_PER_PAGE;
+    if (variationCount !== undefined && variationCount !== '') {
+        parsedVariationCount = Number(variationCount);
+        if (!Number.isInteger(parsedVariationCount) || parsedVariationCount < 1 || parsedVariationCount > MAX_VARIATIONS_PER_PAGE) {
+            throw new ValidationError(`Parâmetro "variationCount" inválido: deve ser um número entre 1 e ${MAX_VARIATIONS_PER_PAGE}`);
+        }
+    }
+
+    let parsedPage = 1;
+    if (page !== undefined && page !== '') {
+        parsedPage = Number(page);
+        if (!Number.isInteger(parsedPage) || parsedPage < 1) {
+            throw new ValidationError('Parâmetro "page" inválido: deve ser um número maior ou igual a 1');
+        }
+    }
+
+    return {
+        asin,
+        variationCount: parsedVariationCount,
+        page: parsedPage,
+        marketplace: getMarketplace(marketplace).code,
+        profile: normalizeProfile(profile)
+    };
+}
+
+/**
+ * Valida os parâmetros da requisição de categoria
+ * @param {Object} params - Parâmetros da rota
+ * @param {Object} queryParams - Parâmetros da query string
+ * @returns {Object} ID da categoria e marketplace validados
+ * @throws {ValidationError} Se os parâmetros forem inválidos
+ */
+function validateCategoryRequest(params, queryParams) {
+    return {
+        browseNodeId: normalizeBrowseNodeId(params.id),
+        marketplace: getMarketplace(queryParams.marketplace).code
+    };
+}
+
+/**
+ * Valida os parâmetros da requisição do widget
+ * @param {Object} queryParams - Parâmetros da query string (busca e opções de layout)
+ * @returns {Object} Parâmetros da busca e opções do widget validados
+ * @throws {ValidationError} Se os parâmetros forem inválidos
+ */
+function validateWidgetRequest(queryParams) {
+    const { layout = 'grid', theme = 'light', count } = queryParams;
+
+    if (!WIDGET_LAYOUTS.includes(layout)) {
+        throw new ValidationError(`Parâmetro "layout" inválido: "${layout}". Valores aceitos: ${WIDGET_LAYOUTS.join(', ')}`);
+    }
+
+    if (!WIDGET_THEMES.includes(theme)) {
+        throw new ValidationError(`Parâmetro "theme" inválido: "${theme}". Valores aceitos: ${WIDGET_THEMES.join(', ')}`);
+    }
+
+    let parsedCount = DEFAULT_WIDGET_ITEMS;
+    if (count !== undefined && count !== '') {
+        parsedCount = Number(count);
+        if (!Number.isInteger(parsedCount) || parsedCount < 1 || parsedCount > MAX_WIDGET_ITEMS) {
+            throw new ValidationError(`Parâmetro "count" inválido: deve ser um número entre 1 e ${MAX_WIDGET_ITEMS}`);
+        }
+    }
+
+    return {
+        // `count` substitui itemCount e o widget usa sempre o perfil padrão, com os
+        // campos que ele exibe; os demais parâmetros seguem as regras da busca
+        search: validateSearchRequest({ ...queryParams, itemCount: parsedCount, profile: DEFAULT_PROFILE }),
+        layout,
+        theme,
+        placement: parseTrackingId('placement', queryParams.placement) || `widget-${layout}`,
+        subTag: parseTrackingId('subtag', queryParams.subtag)
+    };
+}
+
+/**
+ * Valida o corpo da requisição de produtos contextuais
+ * @param {Object} body - Corpo JSON da requisição
+ * @returns {Object} Texto, opções de extração e parâmetros da busca validados
+ * @throws {ValidationError} Se os parâmetros forem inválidos
  */
-function validateSearchRequest(queryParams) {
-    const { query, itemCount } = queryParams;
+function validateContextualRequest(body = {}) {
+    const { title = '', text = '', maxKeywords, itemCount, blocklist = [], marketplace, profile, fields } = body;
+
+    if (typeof title !== 'string' || typeof text !== 'string') {
+        throw new ValidationError('Campos "title" e "text" devem ser strings');
+    }
+
+    if (title.trim().length === 0 && text.trim().length === 0) {
+        throw new ValidationError('Informe o "title" ou o "text" do artigo');
+    }
+
+    if (title.length + text.length > MAX_CONTEXTUAL_TEXT_LENGTH) {
+        throw new ValidationError(`Artigo muito longo: máximo de ${MAX_CONTEXTUAL_TEXT_LENGTH} caracteres`);
+    }
+
+    let parsedMaxKeywords = DEFAULT_CONTEXTUAL_KEYWORDS;
+    if (maxKeywords !== undefined) {
+        parsedMaxKeywords = Number(maxKeywords);
+        if (!Number.isInteger(parsedMaxKeywords) || parsedMaxKeywords < 1 || parsedMaxKeywords > MAX_CONTEXTUAL_KEYWORDS) {
+            throw new ValidationError(`Campo "maxKeywords" inválido: deve ser um número entre 1 e ${MAX_CONTEXTUAL_KEYWORDS}`);
+        }
+    }
 
-    // Valida query obrigatória
-    if (!query || typeof query !== 'string' || query.trim().length === 0) {
-        throw new Error('Parâmetro "query" é obrigatório e deve ser uma string não vazia');
+    let parsedItemCount = DEFAULT_ITEM_COUNT;
+    if (itemCount !== undefined) {
+        parsedItemCount = Number(itemCount);
+        if (!Number.isInteger(parsedItemCount) || parsedItemCount < 1 || parsedItemCount > MAX_ITEM_COUNT) {
+            throw new ValidationError(`Campo "itemCount" inválido: deve ser um número entre 1 e ${MAX_ITEM_COUNT}`);
+        }
     }
 
-    // Valida e sanitiza itemCount
-    let parsedItemCount = parseInt(itemCount, 10);
-    if (Number.isNaN(parsedItemCount) || parsedItemCount < 1) {
-        parsedItemCount = DEFAULT_ITEM_COUNT;
-    } else if (parsedItemCount > MAX_ITEM_COUNT) {
-        parsedItemCount = MAX_ITEM_COUNT;
+    if (!Array.isArray(blocklist) || blocklist.length > MAX_BLOCKLIST_TERMS || blocklist.some(term => typeof term !== 'string')) {
+        throw new ValidationError(`Campo "blocklist" inválido: deve ser uma lista de até ${MAX_BLOCKLIST_TERMS} termos`);
     }
 
     return {
-        query: query.trim().toLowerCase(), // Normaliza para cache consistente
+        title: title.trim(),
+        text: text.trim(),
+        maxKeywords: parsedMaxKeywords,
         itemCount: parsedItemCount,
-        originalQuery: query.trim() // Mantém query original para busca
+        blocklist,
+        marketplace: getMarketplace(marketplace).code,
+        profile: normalizeProfile(profile),
+        fields: parseFields(fields, profile),
+        filters: normalizeSearchFilters(body)
     };
 }
 
 /**
- * Verifica se os dados do cache ainda são válidos
- * @param {Object} cachedData - Dados recuperados do cache
- * @returns {boolean} true se os dados ainda são válidos
+ * Valida o corpo da requisição em lote
+ * @param {Object} body - Corpo JSON da requisição
+ * @returns {Array<Object>} Consultas do lote, ainda não validadas individualmente
+ * @throws {ValidationError} Se o lote for inválido
  */
-function isCacheValid(cachedData) {
-    if (!cachedData || !cachedData.updatedAt) {
-        return false;
+function validateBatchRequest(body = {}) {
+    const { requests } = body;
+
+    if (!Array.isArray(requests) || requests.length === 0) {
+        throw new ValidationError('Campo "requests" é obrigatório e deve ser uma lista de consultas');
+    }
+
+    if (requests.length > MAX_BATCH_ENTRIES) {
+        throw new ValidationError(`Número de consultas inválido: máximo de ${MAX_BATCH_ENTRIES} por lote`);
+    }
+
+    return requests;
+}
+
+/**
+ * Valida uma consulta do lote com as mesmas regras de /search e /items
+ * @param {Object} entry - Consulta ({ type: 'search', query, ... } ou { type: 'items', asins, ... })
+ * @returns {Object} Tipo e parâmetros validados
+ * @throws {ValidationError} Se a consulta for inválida
+ */
+function validateBatchEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        throw new ValidationError('Consulta inválida: deve ser um objeto');
+    }
+
+    if (!BATCH_ENTRY_TYPES.includes(entry.type)) {
+        throw new ValidationError(`Campo "type" inválido: "${entry.type}". Valores aceitos: ${BATCH_ENTRY_TYPES.join(', ')}`);
+    }
+
+    if (entry.type === 'search') {
+        const params = validateSearchRequest(entry);
+        return { type: 'search', params, fields: parseFields(entry.fields, params.profile) };
+    }
+
+    // Aceita ASINs como lista ou como string separada por vírgulas, como em /items
+    const asins = Array.isArray(entry.asins) ? entry.asins.join(',') : entry.asins;
+    const params = validateItemsRequest({ ...entry, asins });
+    return { type: 'items', params, fields: parseFields(entry.fields, params.profile) };
+}
+
+/**
+ * Valida os parâmetros da exportação de produtos
+ * @param {Object} queryParams - Parâmetros da query string
+ * @returns {Object} Formato, filtros, limite e subTag validados
+ * @throws {ValidationError} Se os parâmetros forem inválidos
+ */
+function validateFeedRequest(queryParams) {
+    const { format = 'csv', query, asins, browseNodeId, minDiscount, limit } = queryParams;
+
+    if (!FEED_FORMATS.includes(format)) {
+        throw new ValidationError(`Parâmetro "format" inválido: "${format}". Valores aceitos: ${FEED_FORMATS.join(', ')}`);
+    }
+
+    if (query !== undefined && (typeof query !== 'string' || query.length > MAX_FEED_QUERY_LENGTH)) {
+        throw new ValidationError(`Parâmetro "query" inválido: deve ser uma string de até ${MAX_FEED_QUERY_LENGTH} caracteres`);
+    }
+
+    let normalizedAsins = null;
+    if (asins !== undefined && asins !== '') {
+        if (typeof asins !== 'string') {
+            throw new ValidationError('Parâmetro "asins" inválido: deve ser uma lista separada por vírgulas');
+        }
+        normalizedAsins = normalizeAsins(asins.split(',').filter(asin => asin.trim().length > 0));
+        if (normalizedAsins.length > MAX_FEED_ITEMS) {
+            throw new ValidationError(`Máximo de ${MAX_FEED_ITEMS} ASINs por exportação`);
+        }
+    }
+
+    let parsedMinDiscount = null;
+    if (minDiscount !== undefined && minDiscount !== '') {
+        parsedMinDiscount = Number(minDiscount);
+        if (!Number.isInteger(parsedMinDiscount) || parsedMinDiscount < 1 || parsedMinDiscount > MAX_FEED_DISCOUNT) {
+            throw new ValidationError(`Parâmetro "minDiscount" inválido: deve ser um número entre 1 e ${MAX_FEED_DISCOUNT}`);
+        }
     }
 
-    const cacheAge = Date.now() - cachedData.updatedAt.toMillis();
-    return cacheAge < CACHE_DURATION_MS;
+    let parsedLimit = DEFAULT_FEED_ITEMS;
+    if (limit !== undefined && limit !== '') {
+        parsedLimit = Number(limit);
+        if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_FEED_ITEMS) {
+            throw new ValidationError(`Parâmetro "limit" inválido: deve ser um número entre 1 e ${MAX_FEED_ITEMS}`);
+        }
+    }
+
+    return {
+        format,
+        query: query && query.trim() ? query.trim() : null,
+        asins: normalizedAsins,
+        browseNodeId: browseNodeId !== undefined && browseNodeId !== '' ? normalizeBrowseNodeId(browseNodeId) : null,
+        minDiscount: parsedMinDiscount,
+        limit: parsedLimit,
+        marketplace: getMarketplace(queryParams.marketplace),
+        subTag: parseTrackingId('subtag', queryParams.subtag)
+    };
+}
+
+/**
+ * Retorna a URL pública da API, usada nos links e no script do widget
+ * @param {Object} req - Requisição Express
+ * @returns {string} URL sem barra final (PUBLIC_BASE_URL ou host da requisição)
+ */
+function getPublicBaseUrl(req) {
+    const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    return baseUrl.replace(/\/+$/, '');
 }
 
+// Watchlists com alertas de preço (/amazon-products/watches)
+router.use('/watches', require('./watches'));
+
+// Analytics de cliques em links de afiliado (/amazon-products/analytics)
+router.use('/analytics', require('./analytics'));
+
 /**
- * Cria uma chave única para o cache baseada nos parâmetros da busca
- * @param {string} query - Query de busca
- * @param {number} itemCount - Número de itens
- * @returns {string} Chave única para o cache
+ * Mantém apenas os campos pedidos em `fields` em cada produto
+ * @param {Array<Object>} products - Produtos formatados
+ * @param {Array<string>|null} fields - Campos retornados por parseFields (null mantém todos)
+ * @returns {Array<Object>} Produtos com os campos selecionados
  */
-function createCacheKey(query, itemCount) {
-    // Usa hash simples para criar chave consistente
-    return `${query.toLowerCase()}_${itemCount}`;
+function selectFields(products, fields) {
+    return fields ? products.map(product => pickProductFields(product, fields)) : products;
+}
+
+/**
+ * Monta o corpo de resposta de uma busca
+ * @param {Object} params - Parâmetros validados por validateSearchRequest
+ * @param {Object} result - Resultado de searchProducts
+ * @param {Array<string>|null} [fields] - Campos retornados por parseFields
+ * @returns {Object} Produtos e metadados
+ */
+function buildSearchResponse({ originalQuery, marketplace, profile, filters }, result, fields = null) {
+    return {
+        products: selectFields(result.products, fields),
+        metadata: {
+            source: result.source,
+            cachedAt: result.cachedAt ? result.cachedAt.toISOString() : undefined,
+            searchedAt: result.searchedAt ? result.searchedAt.toISOString() : undefined,
+            itemCount: result.products.length,
+            totalResultCount: result.totalResultCount,
+            page: result.page,
+            hasMore: result.hasMore,
+            query: originalQuery,
+            marketplace,
+            profile,
+            fields: fields || undefined,
+            filters
+        }
+    };
 }
 
 /**
  * GET /amazon-products/search
  * 
- * Busca produtos da Amazon com cache inteligente no Firestore.
- * Se os dados estiverem em cache e válidos (< 24h), retorna do cache.
- * Caso contrário, busca na API da Amazon e atualiza o cache.
+ * Busca produtos da Amazon com cache inteligente.
+ * Dados recentes são retornados do cache; dados desatualizados são retornados
+ * imediatamente enquanto o cache é atualizado em segundo plano. Caso contrário,
+ * busca na API da Amazon e atualiza o cache, recorrendo a uma cópia antiga
+ * se a Amazon falhar.
+ * 
+ * A PAAPI retorna no máximo 10 itens por página (até 10 páginas). Com `page`,
+ * retorna apenas aquela página; sem `page` e com itemCount > 10, percorre as
+ * páginas necessárias, removendo ASINs duplicados. Cada página é armazenada
+ * em um documento próprio do cache.
  * 
  * Query Parameters:
- * - query (string, obrigatório): Palavras-chave para busca
- * - itemCount (number, opcional): Número de itens (1-50, padrão: 10)
+ * - query (string, obrigatório exceto com browseNodeId): Palavras-chave para busca
+ * - itemCount (number, opcional): Número de itens (1-50, padrão: 10; até 10 quando `page` é informado)
+ * - page (number, opcional): Página de resultados (1-10)
+ * - marketplace (string, opcional): Loja da Amazon (br, us, es; padrão: AMAZON_DEFAULT_MARKETPLACE)
+ * - profile (string, opcional): Perfil de recursos (minimal, card, detail, full; padrão: card)
+ * - fields (string, opcional): Campos do perfil devolvidos, separados por vírgula (asin é sempre incluído)
+ * - searchIndex, merchant, minPrice, maxPrice, brand, condition, sortBy,
+ *   minReviewsRating, minSavingPercent, deliveryFlags, browseNodeId (opcionais): filtros da PAAPI,
+ *   validados por normalizeSearchFilters
  * 
  * Responses:
  * - 200: Array de produtos encontrados
- * - 400: Parâmetros inválidos
- * - 500: Erro interno do servidor
+ * - 400: Parâmetros inválidos (incluindo parâmetros recusados pela Amazon)
+ * - 401: Credenciais da Amazon PAAPI recusadas
+ * - 429: Limite de requisições da Amazon atingido (header Retry-After)
+ * - 502: Erro inesperado da Amazon
+ * - 503: Amazon, cota diária ou cache indisponível
  */
-router.get("/search", async (req, res) => {
+router.get("/search", async (req, res, next) => {
     const startTime = Date.now();
-    let fromCache = false;
 
     try {
         // Valida e sanitiza parâmetros da requisição
-        const { query, itemCount, originalQuery } = validateSearchRequest(req.query);
+        const searchParams = validateSearchRequest(req.query);
+        const { itemCount, originalQuery, marketplace, profile } = searchParams;
+        const fields = parseFields(req.query.fields, profile);
         
-        console.log(`🔍 Iniciando busca: "${originalQuery}" (${itemCount} itens)`);
+        logger.info('Iniciando busca', { query: originalQuery, itemCount, marketplace, profile });
 
-        // Cria chave única para o cache
-        const cacheKey = createCacheKey(query, itemCount);
-        const docRef = db.collection("amazonAds").doc(cacheKey);
-        
-        // Tenta recuperar dados do cache
-        const doc = await docRef.get();
-        const cachedData = doc.exists ? doc.data() : null;
-
-        // Verifica se pode usar dados do cache
-        if (cachedData && isCacheValid(cachedData)) {
-            fromCache = true;
-            console.log(`💾 Dados recuperados do cache: "${originalQuery}"`);
-            
-            // Adiciona metadados de cache na resposta
-            return res.json({
-                products: cachedData.products,
-                metadata: {
-                    source: 'cache',
-                    cachedAt: cachedData.updatedAt.toDate().toISOString(),
-                    itemCount: cachedData.products.length,
-                    query: originalQuery,
-                    processingTime: `${Date.now() - startTime}ms`
+        // Conta a requisição para o aquecimento do cache das buscas populares
+        recordSearchRequest(searchParams);
+
+        const result = await searchProducts(searchParams);
+
+        addRequestContext({ cacheSource: result.source });
+        logger.info('Busca concluída', { found: result.products.length, cacheSource: result.source });
+
+        // Retorna produtos com metadados
+        const { products, metadata } = buildSearchResponse(searchParams, result, fields);
+        return res.json({
+            products,
+            metadata: {
+                ...metadata,
+                processingTime: `${Date.now() - startTime}ms`
+            }
+        });
+
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * GET /amazon-products/widget
+ * 
+ * Retorna um widget HTML pronto para incorporação com os produtos da busca:
+ * título, imagem, preço, selo de desconto e Prime, além do aviso de afiliado
+ * e da data dos preços. Os links passam por /go/:asin para registrar os cliques.
+ * 
+ * Query Parameters:
+ * - query, page, marketplace e filtros (opcionais exceto query): os mesmos de /search (o perfil é sempre card)
+ * - count (number, opcional): Número de produtos (1-10, padrão: 4)
+ * - layout (string, opcional): grid, carousel ou list (padrão: grid)
+ * - theme (string, opcional): light ou dark (padrão: light)
+ * - placement (string, opcional): Posicionamento registrado nos cliques (padrão: widget-<layout>)
+ * - subtag (string, opcional): ID de sub-rastreamento enviado à Amazon como ascsubtag
+ * 
+ * Responses:
+ * - 200: HTML do widget
+ * - 400, 401, 429, 502, 503: Os mesmos de /search (corpo JSON)
+ */
+router.get("/widget", async (req, res, next) => {
+    try {
+        const { search, layout, theme, placement, subTag } = validateWidgetRequest(req.query);
+
+        logger.info('Gerando widget', {
+            query: search.originalQuery,
+            itemCount: search.itemCount,
+            layout,
+            marketplace: search.marketplace
+        });
+
+        recordSearchRequest(search);
+
+        const result = await searchProducts(search);
+        addRequestContext({ cacheSource: result.source });
+
+        const html = renderWidget({
+            products: result.products,
+            marketplace: search.marketplace,
+            layout,
+            theme,
+            // Com parte dos dados vinda do cache, vale a data mais antiga
+            priceAsOf: result.cachedAt || result.searchedAt,
+            baseUrl: getPublicBaseUrl(req),
+            placement,
+            subTag,
+            query: search.originalQuery,
+            apiKeyId: getApiKeyId(req)
+        });
+
+        // Os links carregam o ID da chave, então caches compartilhados separam por chave
+        res.set('Cache-Control', `public, max-age=${WIDGET_MAX_AGE_SECONDS}`);
+        res.vary('X-API-Key');
+        return res.type('html').send(html);
+
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * GET /amazon-products/widget.js
+ * 
+ * Script carregador do widget. Injeta o widget em cada elemento
+ * `<div data-amazon-ads data-query="...">` da página, repassando os
+ * atributos data-* como parâmetros de /amazon-products/widget.
+ */
+router.get("/widget.js", (req, res) => {
+    res.set('Cache-Control', `public, max-age=${WIDGET_LOADER_MAX_AGE_SECONDS}`);
+    res.type('application/javascript').send(renderLoaderScript(getPublicBaseUrl(req)));
+});
+
+/**
+ * GET /amazon-products/feed
+ * 
+ * Exporta os produtos em cache como CSV, XML do Google Merchant Center ou
+ * RSS 2.0, sem consultar a Amazon (feed.js). Os links levam o partner tag do
+ * marketplace e o arquivo é enviado em stream, produto a produto.
+ * 
+ * Query Parameters:
+ * - format (string, opcional): csv, xml ou rss (padrão: csv)
+ * - query (string, opcional): Palavras que devem aparecer no título ou na marca
+ * - asins (string, opcional): ASINs separados por vírgula
+ * - browseNodeId (string, opcional): Apenas produtos de buscas feitas nessa categoria
+ * - minDiscount (number, opcional): Desconto mínimo, em porcentagem (1-99)
+ * - limit (number, opcional): Número máximo de produtos (1-1000, padrão: 100)
+ * - marketplace (string, opcional): Loja da Amazon (br, us, es; padrão: AMAZON_DEFAULT_MARKETPLACE)
+ * - subtag (string, opcional): ID de sub-rastreamento enviado à Amazon como ascsubtag
+ * 
+ * Responses:
+ * - 200: Arquivo no formato pedido (header X-Feed-Truncated quando algum namespace do cache passa do limite de leitura)
+ * - 400: Parâmetros inválidos
+ * - 503: Cache indisponível
+ */
+router.get("/feed", async (req, res, next) => {
+    try {
+        const criteria = validateFeedRequest(req.query);
+        const { format, marketplace, query, subTag } = criteria;
+
+        logger.info('Exportando feed', { format, marketplace: marketplace.code, query, limit: criteria.limit });
+
+        // O cache é consultado antes do envio, para que uma falha ainda vire uma resposta de erro;
+        // as entradas são lidas em páginas durante o envio
+        const { entries, truncated } = await readFeedEntries(criteria);
+
+        if (format === 'csv') {
+            res.attachment(`amazon-products-${marketplace.code}.csv`);
+        }
+        if (truncated) {
+            res.set('X-Feed-Truncated', 'true');
+        }
+        res.type(FEED_CONTENT_TYPES[format]);
+
+        await pipeline(Readable.from(renderFeed({
+            format,
+            products: selectFeedProducts(entries, criteria),
+            marketplace,
+            subTag,
+            title: query ? `${marketplace.name} - ${query}` : marketplace.name,
+            generatedAt: new Date()
+        })), res);
+
+    } catch (error) {
+        // Com o arquivo já em envio não há como responder com erro; a conexão é encerrada
+        if (res.headersSent) {
+            logger.warn('Exportação do feed interrompida', { error: error.message });
+            return;
+        }
+        return next(error);
+    }
+});
+
+/**
+ * POST /amazon-products/contextual
+ * 
+ * Sugere produtos para um artigo. As palavras-chave são extraídas localmente
+ * do título e do texto (keywords.js) e cada uma é buscada como em /search,
+ * usando o mesmo cache. Os produtos são ordenados pela pontuação da
+ * palavra-chave e pela posição no resultado da Amazon, sem ASINs repetidos.
+ * 
+ * Body (JSON):
+ * - title (string): Título do artigo
+ * - text (string): Corpo do artigo (title ou text obrigatório; até 50.000 caracteres no total)
+ * - maxKeywords (number, opcional): Palavras-chave buscadas (1-5, padrão: 3)
+ * - itemCount (number, opcional): Número de produtos retornados (1-50, padrão: 10)
+ * - blocklist (Array<string>, opcional): Termos que não podem ser usados como palavra-chave
+ * - marketplace (string, opcional): Loja da Amazon (br, us, es; padrão: AMAZON_DEFAULT_MARKETPLACE)
+ * - profile (string, opcional) e fields (string ou Array<string>, opcional): como em /search
+ * - searchIndex, merchant, minPrice, maxPrice, ... (opcionais): filtros da PAAPI, como em /search
+ * 
+ * Responses:
+ * - 200: Palavras-chave e produtos com a palavra-chave correspondente
+ * - 400: Parâmetros inválidos
+ * - 401, 429, 502, 503: Os mesmos de /search, quando todas as buscas falham
+ */
+router.post("/contextual", async (req, res, next) => {
+    const startTime = Date.now();
+
+    try {
+        const { title, text, maxKeywords, itemCount, blocklist, marketplace, profile, fields, filters } = validateContextualRequest(req.body);
+
+        const keywords = extractKeywords({ title, text, maxKeywords, blocklist });
+
+        logger.info('Palavras-chave do artigo extraídas', { keywords: keywords.map(({ keyword }) => keyword) });
+
+        // Uma página por palavra-chave; a ordenação final escolhe os itemCount melhores
+        const pageSize = Math.min(itemCount, MAX_ITEMS_PER_PAGE);
+        const topScore = keywords.length > 0 ? keywords[0].score : 1;
+        const candidates = [];
+        const sources = [];
+        const failedKeywords = [];
+        let firstError = null;
+
+        // Em sequência, já que as chamadas à Amazon passam pelo mesmo limitador
+        for (const { keyword, score } of keywords) {
+            try {
+                const result = await searchProducts({
+                    query: keyword.toLowerCase(),
+                    originalQuery: keyword,
+                    itemCount: pageSize,
+                    page: null,
+                    marketplace,
+                    profile,
+                    filters
+                });
+
+                sources.push(result.source);
+                selectFields(result.products, fields).forEach((product, position) => {
+                    candidates.push({
+                        ...product,
+                        matchedKeyword: keyword,
+                        relevance: Math.round((score / topScore) / (1 + position) * 10000) / 10000
+                    });
+                });
+            } catch (error) {
+                logger.warn('Falha na busca contextual', { keyword, error: error.message });
+                failedKeywords.push(keyword);
+                firstError = firstError || error;
+            }
+        }
+
+        // Sem nenhuma busca bem-sucedida, o erro é repassado ao cliente
+        if (firstError && failedKeywords.length === keywords.length) {
+            throw firstError;
+        }
+
+        // Ordena por relevância e mantém a ocorrência mais relevante de cada ASIN
+        const seenAsins = new Set();
+        const products = candidates
+            .sort((a, b) => b.relevance - a.relevance)
+            .filter(product => {
+                if (seenAsins.has(product.asin)) {
+                    return false;
                 }
-            });
+                seenAsins.add(product.asin);
+                return true;
+            })
+            .slice(0, itemCount);
+
+        if (sources.length > 0) {
+            addRequestContext({ cacheSource: combineSources(sources) });
         }
+        logger.info('Busca contextual concluída', { found: products.length, keywords: keywords.length });
 
-        console.log(`🌐 Buscando na API da Amazon: "${originalQuery}"`);
-        
-        // Busca produtos na API da Amazon
-        const products = await searchItems({
-            query: originalQuery,
-            itemCount
+        return res.json({
+            keywords,
+            products,
+            metadata: {
+                source: sources.length > 0 ? combineSources(sources) : undefined,
+                itemCount: products.length,
+                failedKeywords: failedKeywords.length > 0 ? failedKeywords : undefined,
+                marketplace,
+                profile,
+                fields: fields || undefined,
+                filters,
+                processingTime: `${Date.now() - startTime}ms`
+            }
         });
 
-        // Dados para salvar no cache
-        const cacheData = {
-            keyword: originalQuery,
-            normalizedKeyword: query,
-            itemCount,
-            updatedAt: admin.firestore.Timestamp.now(),
-            products,
-            totalFound: products.length
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * GET /amazon-products/items
+ * 
+ * Consulta produtos específicos pelo ASIN (operação GetItems da PAAPI).
+ * Cada ASIN é armazenado como uma entrada própria no cache, de modo que
+ * o mesmo produto é compartilhado entre todas as páginas que o exibem.
+ * Apenas os ASINs ausentes ou expirados no cache são consultados na Amazon;
+ * ASINs desatualizados são retornados e atualizados em segundo plano.
+ * 
+ * Query Parameters:
+ * - asins (string, obrigatório): ASINs separados por vírgula (máximo 50)
+ * - marketplace (string, opcional): Loja da Amazon (br, us, es; padrão: AMAZON_DEFAULT_MARKETPLACE)
+ * - profile (string, opcional): Perfil de recursos (minimal, card, detail, full; padrão: card)
+ * - fields (string, opcional): Campos do perfil devolvidos, separados por vírgula (asin é sempre incluído)
+ * 
+ * Responses:
+ * - 200: Array de produtos na ordem solicitada
+ * - 400: Parâmetros inválidos (incluindo parâmetros recusados pela Amazon)
+ * - 401: Credenciais da Amazon PAAPI recusadas
+ * - 429: Limite de requisições da Amazon atingido (header Retry-After)
+ * - 502: Erro inesperado da Amazon
+ * - 503: Amazon, cota diária ou cache indisponível
+ */
+router.get("/items", async (req, res, next) => {
+    const startTime = Date.now();
+
+    try {
+        const { asins, marketplace, profile } = validateItemsRequest(req.query);
+        const fields = parseFields(req.query.fields, profile);
+
+        logger.info('Iniciando consulta por ASIN', { asins, marketplace, profile });
+
+        const { products, metadata } = await lookupProducts({ asins, marketplace, profile });
+
+        addRequestContext({ cacheSource: metadata.source });
+        logger.info('Consulta concluída', { found: products.length, requested: asins.length, cacheSource: metadata.source });
+
+        return res.json({
+            products: selectFields(products, fields),
+            metadata: {
+                ...metadata,
+                fields: fields || undefined,
+                processingTime: `${Date.now() - startTime}ms`
+            }
+        });
+
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * POST /amazon-products/batch
+ * 
+ * Executa várias buscas e consultas por ASIN em uma única requisição, para
+ * páginas que exibem várias vitrines. Todas as entradas de cache do lote são
+ * lidas de uma vez (uma leitura em lote por coleção); as consultas são então
+ * resolvidas em sequência, de modo que as que não estão no cache passam pela
+ * Amazon uma de cada vez, dentro do limite de requisições. Consultas
+ * idênticas no mesmo lote são resolvidas uma única vez.
+ * 
+ * Cada consulta tem seu próprio resultado ou erro: uma falha não derruba o lote.
+ * 
+ * Body (JSON):
+ * - requests (Array, obrigatório): Até 20 consultas, cada uma com:
+ *   - type (string): "search" (parâmetros de /search) ou "items" (parâmetros de /items), incluindo profile e fields
+ *   - id (string|number, opcional): Identificador devolvido no resultado (padrão: índice)
+ * 
+ * Responses:
+ * - 200: Resultados na ordem das consultas, com status, products e metadata ou error
+ * - 400: Lote inválido
+ * - 503: Cache indisponível
+ */
+router.post("/batch", async (req, res, next) => {
+    const startTime = Date.now();
+
+    try {
+        const entries = validateBatchRequest(req.body).map((entry, index) => {
+            const id = typeof entry?.id === 'string' || typeof entry?.id === 'number' ? entry.id : index;
+            try {
+                return { id, ...validateBatchEntry(entry) };
+            } catch (error) {
+                return { id, type: entry?.type, error };
+            }
+        });
+
+        const validEntries = entries.filter(entry => !entry.error);
+        const searchKeys = [...new Set(validEntries
+            .filter(entry => entry.type === 'search')
+            .flatMap(entry => getSearchCacheKeys(entry.params)))];
+        const productKeys = [...new Set(validEntries
+            .filter(entry => entry.type === 'items')
+            .flatMap(entry => getProductCacheKeys(entry.params)))];
+
+        logger.info('Iniciando lote', { queries: entries.length, cacheKeys: searchKeys.length + productKeys.length });
+
+        // Todas as entradas de cache do lote em uma leitura por coleção
+        const cacheStore = getCacheStore();
+        const [searchEntries, productEntries] = await Promise.all([
+            searchKeys.length > 0 ? cacheStore.getMany(SEARCH_CACHE_COLLECTION, searchKeys) : [],
+            productKeys.length > 0 ? cacheStore.getMany(PRODUCT_CACHE_COLLECTION, productKeys) : []
+        ]);
+        const prefetchedSearches = new Map(searchKeys.map((key, index) => [key, searchEntries[index]]));
+        const prefetchedProducts = new Map(productKeys.map((key, index) => [key, productEntries[index]]));
+
+        // Consultas idênticas compartilham o mesmo resultado
+        const resolved = new Map();
+
+        const resolveEntry = async ({ type, params }) => {
+            if (type === 'search') {
+                return buildSearchResponse(params, await searchProducts(params, prefetchedSearches));
+            }
+
+            const cacheKeys = getProductCacheKeys(params);
+            const response = await lookupProducts(params, cacheKeys.map(key => prefetchedProducts.get(key)));
+
+            // Produtos obtidos valem para as próximas consultas do lote com os mesmos ASINs
+            const updatedAt = Date.now();
+            response.products.forEach(product => {
+                prefetchedProducts.set(createProductCacheKey(product.asin, params.marketplace, params.profile), {
+                    asin: product.asin,
+                    marketplace: params.marketplace,
+                    profile: params.profile,
+                    updatedAt,
+                    product
+                });
+            });
+
+            return response;
         };
 
-        // Salva no cache (fire-and-forget para não atrasar resposta)
-        docRef.set(cacheData).catch(error => {
-            console.error('Erro ao salvar no cache:', error.message);
-            // Não propaga o erro pois a busca foi bem-sucedida
+        const results = [];
+
+        // Em sequência, para que as chamadas à Amazon respeitem o limite de requisições
+        for (const entry of entries) {
+            const { id, type, fields } = entry;
+
+            try {
+                if (entry.error) {
+                    throw entry.error;
+                }
+
+                const signature = JSON.stringify([type, entry.params]);
+                if (!resolved.has(signature)) {
+                    resolved.set(signature, await resolveEntry(entry));
+                }
+
+                // Os mesmos dados servem a consultas com `fields` diferentes
+                const { products, metadata } = resolved.get(signature);
+                results.push({
+                    id,
+                    type,
+                    status: 200,
+                    products: selectFields(products, fields),
+                    metadata: { ...metadata, fields: fields || undefined }
+                });
+            } catch (error) {
+                const apiError = toApiError(error);
+                logger.warn('Consulta do lote falhou', { id, status: apiError.status, code: apiError.code, error: apiError.message });
+                results.push({ id, type, status: apiError.status, error: toErrorBody(apiError) });
+            }
+        }
+
+        const failed = results.filter(result => result.error).length;
+
+        logger.info('Lote concluído', { succeeded: results.length - failed, queries: results.length });
+
+        return res.json({
+            results,
+            metadata: {
+                requested: results.length,
+                succeeded: results.length - failed,
+                failed,
+                cacheEntries: searchKeys.length + productKeys.length,
+                processingTime: `${Date.now() - startTime}ms`
+            }
+        });
+
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * GET /amazon-products/categories/:id
+ * 
+ * Consulta uma categoria da Amazon (browse node) com a cadeia de ancestrais,
+ * da raiz até a categoria pai, e as subcategorias diretas (operação
+ * GetBrowseNodes da PAAPI). A árvore de categorias raramente muda, então cada
+ * categoria fica no cache por BROWSE_NODE_CACHE_HOURS (padrão: 30 dias).
+ * 
+ * Route Parameters:
+ * - id (string, obrigatório): ID numérico da categoria (os IDs variam entre marketplaces)
+ * 
+ * Query Parameters:
+ * - marketplace (string, opcional): Loja da Amazon (br, us, es; padrão: AMAZON_DEFAULT_MARKETPLACE)
+ * 
+ * Responses:
+ * - 200: Categoria com ancestrais e subcategorias
+ * - 400: Parâmetros inválidos
+ * - 404: Categoria não encontrada na Amazon
+ * - 429: Limite de requisições da Amazon atingido (header Retry-After)
+ * - 502: Erro inesperado da Amazon
+ * - 503: Amazon, cota diária ou cache indisponível
+ */
+router.get("/categories/:id", async (req, res, next) => {
+    const startTime = Date.now();
+
+    try {
+        const { browseNodeId, marketplace } = validateCategoryRequest(req.params, req.query);
+
+        const { node, source, updatedAt } = await getBrowseNode({ browseNodeId, marketplace });
+
+        addRequestContext({ cacheSource: source });
+
+        return res.json({
+            node,
+            metadata: {
+                source,
+                cachedAt: source === 'amazon_api' ? undefined : updatedAt.toISOString(),
+                marketplace,
+                processingTime: `${Date.now() - startTime}ms`
+            }
         });
 
-        console.log(`✅ Busca concluída: ${products.length} produto(s) encontrado(s)`);
+    } catch (error) {
+        return next(error);
+    }
+});
 
-        // Retorna produtos com metadados
+/**
+ * GET /amazon-products/categories/:id/search
+ * 
+ * Busca produtos dentro de uma categoria, incluindo as suas subcategorias.
+ * Aceita os mesmos parâmetros e devolve a mesma resposta de /search, mas
+ * `query` é opcional: sem ela, lista os produtos da categoria.
+ * 
+ * Route Parameters:
+ * - id (string, obrigatório): ID numérico da categoria
+ * 
+ * Query Parameters:
+ * - query (string, opcional): Palavras-chave para busca dentro da categoria
+ * - demais parâmetros: os mesmos de /search
+ * 
+ * Responses:
+ * - 200: Array de produtos encontrados
+ * - 400: Parâmetros inválidos (incluindo parâmetros recusados pela Amazon)
+ * - 401: Credenciais da Amazon PAAPI recusadas
+ * - 429: Limite de requisições da Amazon atingido (header Retry-After)
+ * - 502: Erro inesperado da Amazon
+ * - 503: Amazon, cota diária ou cache indisponível
+ */
+router.get("/categories/:id/search", async (req, res, next) => {
+    const startTime = Date.now();
+
+    try {
+        // A categoria da rota substitui um browseNodeId da query string
+        const searchParams = validateSearchRequest({ ...req.query, browseNodeId: req.params.id });
+        const { itemCount, originalQuery, marketplace, profile, filters } = searchParams;
+        const fields = parseFields(req.query.fields, profile);
+
+        logger.info('Iniciando busca na categoria', { query: originalQuery, browseNodeId: filters.browseNodeId, itemCount, marketplace, profile });
+
+        recordSearchRequest(searchParams);
+
+        const result = await searchProducts(searchParams);
+
+        addRequestContext({ cacheSource: result.source });
+        logger.info('Busca concluída', { found: result.products.length, cacheSource: result.source });
+
+        const { products, metadata } = buildSearchResponse(searchParams, result, fields);
         return res.json({
             products,
             metadata: {
-                source: 'amazon_api',
-                searchedAt: new Date().toISOString(),
-                itemCount: products.length,
-                query: originalQuery,
+                ...metadata,
                 processingTime: `${Date.now() - startTime}ms`
             }
         });
 
     } catch (error) {
-        const processingTime = Date.now() - startTime;
-        
-        console.error(`❌ Erro na busca (${processingTime}ms):`, error.message);
+        return next(error);
+    }
+});
 
-        // Determina status code baseado no tipo de erro
-        let statusCode = 500;
-        let errorMessage = 'Erro interno do servidor';
+/**
+ * GET /amazon-products/:asin/variations
+ * 
+ * Lista as variações de um produto (tamanhos, cores, edições) com a operação
+ * GetVariations da PAAPI: ASIN pai, dimensões com os valores disponíveis,
+ * faixa de preço e cada variação no formato da busca, com o valor de cada
+ * dimensão em `dimensionValues`. Aceita o ASIN do pai ou de qualquer
+ * variação. Cada página é armazenada no cache com as mesmas janelas das
+ * páginas de busca.
+ * 
+ * Query Parameters:
+ * - variationCount (number, opcional): Variações por página (1-10, padrão: 10)
+ * - page (number, opcional): Página de variações (padrão: 1)
+ * - marketplace (string, opcional): Loja da Amazon (br, us, es; padrão: AMAZON_DEFAULT_MARKETPLACE)
+ * - profile (string, opcional): Perfil de recursos (minimal, card, detail, full; padrão: card)
+ * - fields (string, opcional): Campos do perfil devolvidos, separados por vírgula (asin e dimensionValues são sempre incluídos)
+ * 
+ * Responses:
+ * - 200: Variações do produto (lista vazia para produtos sem variações)
+ * - 400: Parâmetros inválidos (incluindo parâmetros recusados pela Amazon)
+ * - 401: Credenciais da Amazon PAAPI recusadas
+ * - 429: Limite de requisições da Amazon atingido (header Retry-After)
+ * - 502: Erro inesperado da Amazon
+ * - 503: Amazon, cota diária ou cache indisponível
+ */
+router.get("/:asin/variations", async (req, res, next) => {
+    const startTime = Date.now();
+
+    try {
+        const params = validateVariationsRequest(req.params, req.query);
+        const fields = parseFields(req.query.fields, params.profile);
+
+        logger.info('Iniciando consulta de variações', params);
+
+        const result = await fetchVariationsPage(params);
 
-        if (error.message.includes('obrigatório') || error.message.includes('inválido')) {
-            statusCode = 400;
-            errorMessage = error.message;
-        } else if (error.message.includes('Amazon')) {
-            statusCode = 503; // Service Unavailable
-            errorMessage = 'Serviço da Amazon temporariamente indisponível';
+        addRequestContext({ cacheSource: result.source });
+        logger.info('Consulta de variações concluída', { found: result.variations.length, cacheSource: result.source });
+
+        return res.json({
+            asin: params.asin,
+            parentAsin: result.parentAsin,
+            dimensions: result.dimensions,
+            priceRange: result.priceRange,
+            variations: result.variations.map(variation => ({
+                ...pickProductFields(variation, fields),
+                dimensionValues: variation.dimensionValues
+            })),
+            metadata: {
+                source: result.source,
+                cachedAt: result.source === 'amazon_api' ? undefined : result.updatedAt.toISOString(),
+                itemCount: result.variations.length,
+                variationCount: result.variationCount,
+                page: result.page,
+                pageCount: result.pageCount,
+                hasMore: result.hasMore,
+                marketplace: params.marketplace,
+                profile: params.profile,
+                fields: fields || undefined,
+                processingTime: `${Date.now() - startTime}ms`
+            }
+        });
+
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * GET /amazon-products/:asin/price-history
+ * 
+ * Retorna a série de preços observados de um produto, com preço mínimo,
+ * máximo, médio e o menor preço dos últimos 30 e 90 dias. Os snapshots são
+ * registrados sempre que o produto é obtido da API da Amazon (no máximo um
+ * por hora).
+ * 
+ * Query Parameters:
+ * - days (number, opcional): Período da série em dias (1-365, padrão: 90)
+ * - marketplace (string, opcional): Loja da Amazon (br, us, es; padrão: AMAZON_DEFAULT_MARKETPLACE)
+ * 
+ * Responses:
+ * - 200: Série de preços e resumo
+ * - 400: Parâmetros inválidos
+ * - 404: Nenhum preço registrado para o produto
+ * - 503: Firestore indisponível
+ */
+router.get("/:asin/price-history", async (req, res, next) => {
+    const startTime = Date.now();
+
+    try {
+        const { asin, days, marketplace } = validatePriceHistoryRequest(req.params, req.query);
+
+        const history = await getPriceHistory({ asin, marketplace, days });
+
+        if (history.totalSnapshots === 0) {
+            throw new NotFoundError(`Nenhum histórico de preço encontrado para o produto ${asin} (${marketplace})`, {
+                code: 'PRICE_HISTORY_NOT_FOUND'
+            });
         }
 
-        return res.status(statusCode).json({
-            error: errorMessage,
-            details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+        return res.json({
+            asin,
+            marketplace,
+            currency: history.currency,
+            snapshots: history.snapshots,
+            summary: history.summary,
             metadata: {
-                processingTime: `${processingTime}ms`,
-                timestamp: new Date().toISOString(),
-                fromCache
+                days,
+                snapshotCount: history.snapshots.length,
+                processingTime: `${Date.now() - startTime}ms`
             }
         });
+
+    } catch (error) {
+        return next(error);
     }
 });
 
@@ -198,13 +1138,15 @@ router.get("/search", async (req, res) => {
  */
 router.get("/health", async (req, res) => {
     try {
-        // Testa conexão básica com Firestore
-        await db.collection('_health_check').limit(1).get();
+        // Testa o acesso ao cache configurado
+        const cacheStore = getCacheStore();
+        await cacheStore.list(SEARCH_CACHE_COLLECTION, { limit: 1 });
         
         res.json({
             status: 'OK',
             service: 'amazon-products',
             cache: 'operational',
+            cacheStore: cacheStore.type,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -217,35 +1159,4 @@ router.get("/health", async (req, res) => {
     }
 });
 
-/**
- * DELETE /amazon-products/cache/:query
- * 
- * Remove dados específicos do cache (útil para desenvolvimento/debug)
- * Disponível apenas em ambiente de desenvolvimento
- */
-if (process.env.NODE_ENV === 'development') {
-    router.delete("/cache/:query", async (req, res) => {
-        try {
-            const { query } = req.params;
-            const { itemCount = DEFAULT_ITEM_COUNT } = req.query;
-            
-            const cacheKey = createCacheKey(query, parseInt(itemCount, 10));
-            const docRef = db.collection("amazonAds").doc(cacheKey);
-            
-            await docRef.delete();
-            
-            res.json({
-                message: 'Cache removido com sucesso',
-                cacheKey,
-                timestamp: new Date().toISOString()
-            });
-        } catch (error) {
-            res.status(500).json({
-                error: 'Erro ao remover cache',
-                details: error.message
-            });
-        }
-    });
-}
-
 module.exports = router;
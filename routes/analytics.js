@@ -0,0 +1,90 @@
+/**
+ * Rotas de analytics de cliques em links de afiliado
+ *
+ * @author Emanuel Ozorio
+ */
+
+const express = require('express');
+const router = express.Router();
+const { normalizeAsins } = require('../paapi');
+const { getMarketplace } = require('../marketplaces');
+const { getClickAnalytics } = require('../clicks');
+const { getApiKeyId } = require('../auth');
+const { ValidationError } = require('../errors');
+
+// Período padrão e máximo das consultas, em dias
+const DEFAULT_ANALYTICS_DAYS = 30;
+const MAX_ANALYTICS_DAYS = 90;
+
+/**
+ * Valida os parâmetros da consulta de cliques
+ * @param {Object} queryParams - Parâmetros da query string
+ * @returns {Object} Período, marketplace e ASIN validados
+ * @throws {ValidationError} Se os parâmetros forem inválidos
+ */
+function validateClicksRequest(queryParams) {
+    const { days, marketplace, asin } = queryParams;
+
+    let parsedDays = DEFAULT_ANALYTICS_DAYS;
+    if (days !== undefined) {
+        parsedDays = parseInt(days, 10);
+        if (Number.isNaN(parsedDays) || parsedDays < 1 || parsedDays > MAX_ANALYTICS_DAYS) {
+            throw new ValidationError(`Parâmetro "days" inválido: deve ser um número entre 1 e ${MAX_ANALYTICS_DAYS}`);
+        }
+    }
+
+    return {
+        days: parsedDays,
+        // Sem marketplace, agrega todas as lojas
+        marketplace: marketplace ? getMarketplace(marketplace).code : null,
+        asin: asin ? normalizeAsins([asin])[0] : null
+    };
+}
+
+/**
+ * GET /amazon-products/analytics/clicks
+ *
+ * Retorna os cliques em links /go/:asin agregados por ASIN (com visitantes
+ * únicos), posicionamento e dia. Com chaves de API ativas, considera apenas
+ * os cliques em links gerados pela chave da requisição.
+ *
+ * Query Parameters:
+ * - days (number, opcional): Período em dias (1-90, padrão: 30)
+ * - marketplace (string, opcional): Filtra pela loja da Amazon (padrão: todas)
+ * - asin (string, opcional): Filtra por um ASIN
+ *
+ * Responses:
+ * - 200: Cliques agregados
+ * - 400: Parâmetros inválidos
+ * - 503: Firestore indisponível
+ */
+router.get("/clicks", async (req, res, next) => {
+    const startTime = Date.now();
+
+    try {
+        const { days, marketplace, asin } = validateClicksRequest(req.query);
+        const { since, truncated, ...analytics } = await getClickAnalytics({
+            days,
+            marketplace,
+            asin,
+            apiKeyId: getApiKeyId(req)
+        });
+
+        return res.json({
+            ...analytics,
+            metadata: {
+                days,
+                since,
+                marketplace,
+                asin,
+                truncated,
+                processingTime: `${Date.now() - startTime}ms`
+            }
+        });
+
+    } catch (error) {
+        return next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+/**
+ * Rotas de administração das chaves de API
+ *
+ * As chaves em texto são exibidas apenas na emissão e na rotação; depois
+ * disso, apenas o hash fica armazenado.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    issueApiKey,
+    listApiKeys,
+    getApiKey,
+    rotateApiKey,
+    revokeApiKey
+} = require('../api-keys');
+const { NotFoundError } = require('../errors');
+const { logger } = require('../logger');
+
+/**
+ * Cria o erro padrão para chave inexistente
+ * @param {string} id - ID da chave
+ * @returns {NotFoundError} Erro 404
+ */
+function apiKeyNotFound(id) {
+    return new NotFoundError(`Chave de API não encontrada: ${id}`, { code: 'API_KEY_NOT_FOUND' });
+}
+
+/**
+ * POST /admin/api-keys
+ *
+ * Emite uma chave. A resposta inclui a chave em texto (`apiKey`), exibida
+ * apenas nesta resposta.
+ *
+ * Body (JSON):
+ * - name (string, obrigatório): Nome do cliente
+ * - type (string, opcional): secret (padrão) ou publishable, para o data-api-key do widget
+ *   (apenas a rota widget, com allowedOrigins obrigatório e cotas menores)
+ * - allowedOrigins (Array<string>, opcional): Origens permitidas (padrão: qualquer origem)
+ * - allowedRoutes (Array<string>, opcional): Rotas permitidas (padrão: todas)
+ * - quota.perMinute, quota.perDay (number|null, opcional): Cotas (null: ilimitada)
+ *
+ * Responses:
+ * - 201: Chave emitida
+ * - 400: Dados inválidos
+ */
+router.post("/", async (req, res, next) => {
+    try {
+        const { key, apiKey } = await issueApiKey(req.body);
+        logger.info('Chave de API emitida', { keyId: key.id, name: key.name });
+        return res.status(201).json({ key, apiKey });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * GET /admin/api-keys
+ *
+ * Lista as chaves emitidas (sem os segredos).
+ */
+router.get("/", async (req, res, next) => {
+    try {
+        const keys = await listApiKeys();
+        return res.json({ keys, total: keys.length });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * GET /admin/api-keys/:id
+ *
+ * Retorna uma chave (sem o segredo).
+ */
+router.get("/:id", async (req, res, next) => {
+    try {
+        const key = await getApiKey(req.params.id);
+        if (!key) {
+            throw apiKeyNotFound(req.params.id);
+        }
+
+        return res.json({ key });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * POST /admin/api-keys/:id/rotate
+ *
+ * Gera um novo segredo mantendo nome, permissões e cotas. A chave anterior
+ * deixa de funcionar (em até 1 minuto nas demais instâncias).
+ */
+router.post("/:id/rotate", async (req, res, next) => {
+    try {
+        const result = await rotateApiKey(req.params.id);
+        if (!result) {
+            throw apiKeyNotFound(req.params.id);
+        }
+
+        logger.info('Chave de API rotacionada', { keyId: result.key.id, name: result.key.name });
+        return res.json(result);
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * DELETE /admin/api-keys/:id
+ *
+ * Revoga uma chave. O registro é mantido para auditoria.
+ */
+router.delete("/:id", async (req, res, next) => {
+    try {
+        const key = await revokeApiKey(req.params.id);
+        if (!key) {
+            throw apiKeyNotFound(req.params.id);
+        }
+
+        logger.info('Chave de API revogada', { keyId: key.id, name: key.name });
+        return res.json({ key });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+module.exports = router;
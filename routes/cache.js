@@ -0,0 +1,549 @@
+/**
+ * Rotas de administração do cache de buscas e produtos
+ *
+ * Permitem inspecionar as entradas (idade, estado, acertos e tamanho),
+ * remover entradas por prefixo da chave, ASIN ou idade, forçar a atualização
+ * de uma entrada na Amazon e consultar as estatísticas do cache. Funcionam
+ * com qualquer CACHE_STORE.
+ *
+ * Os namespaces são referenciados pelos nomes `searches` (páginas de busca),
+ * `products` (produtos por ASIN), `variations` (páginas de variações) e
+ * `categories` (categorias por browse node).
+ *
+ * @author Emanuel Ozorio
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getCacheStore } = require('../cache');
+const { getEntryHits, getHitStats } = require('../cache/hits');
+const {
+    SEARCH_CACHE_COLLECTION,
+    PRODUCT_CACHE_COLLECTION,
+    VARIATIONS_CACHE_COLLECTION,
+    BROWSE_NODE_CACHE_COLLECTION
+} = require('../cache/keys');
+const {
+    CACHE_FRESH_MS,
+    CACHE_STALE_MS,
+    CACHE_MAX_STALE_ON_ERROR_MS,
+    BROWSE_NODE_CACHE_MS,
+    getCacheAge,
+    getCacheState,
+    getBrowseNodeCacheState,
+    refreshCacheEntry
+} = require('../catalog');
+const { normalizeAsins } = require('../paapi');
+const { DEFAULT_PROFILE } = require('../resource-profiles');
+const { ValidationError, NotFoundError } = require('../errors');
+const { logger } = require('../logger');
+
+// Namespaces expostos nas rotas e suas coleções no cache
+const CACHE_NAMESPACES = {
+    searches: SEARCH_CACHE_COLLECTION,
+    products: PRODUCT_CACHE_COLLECTION,
+    variations: VARIATIONS_CACHE_COLLECTION,
+    categories: BROWSE_NODE_CACHE_COLLECTION
+};
+
+// Ordenações aceitas na listagem
+const LIST_SORTS = ['recent', 'oldest', 'hits', 'size'];
+
+// Tamanho padrão e máximo da listagem
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 500;
+
+// Entradas lidas por namespace nas listagens filtradas e remoções
+const MAX_SCAN_ENTRIES = parseInt(process.env.CACHE_ADMIN_SCAN_LIMIT, 10) || 5000;
+
+// Remoções executadas em paralelo
+const PURGE_CONCURRENCY = 20;
+
+/**
+ * Converte o nome de um namespace na coleção do cache
+ * @param {string} name - Nome do namespace (searches, products, variations ou categories)
+ * @returns {string} Coleção do cache
+ * @throws {ValidationError} Se o namespace for inválido
+ */
+function resolveNamespace(name) {
+    if (!Object.hasOwn(CACHE_NAMESPACES, name)) {
+        throw new ValidationError(`Namespace inválido: "${name}". Valores aceitos: ${Object.keys(CACHE_NAMESPACES).join(', ')}`);
+    }
+
+    return CACHE_NAMESPACES[name];
+}
+
+/**
+ * Cria o erro padrão para entrada inexistente
+ * @param {string} namespace - Nome do namespace
+ * @param {string} key - Chave da entrada
+ * @returns {NotFoundError} Erro 404
+ */
+function cacheEntryNotFound(namespace, key) {
+    return new NotFoundError(`Entrada não encontrada no cache: ${namespace}/${key}`, { code: 'CACHE_ENTRY_NOT_FOUND' });
+}
+
+/**
+ * Resume uma entrada do cache para as respostas administrativas
+ * @param {string} collection - Coleção do cache
+ * @param {string} key - Chave da entrada
+ * @param {Object} entry - Entrada do cache
+ * @returns {Object} Chave, estado, idade, acertos, tamanho e identificação do conteúdo
+ */
+function describeEntry(collection, key, entry) {
+    const { hits, lastHitAt } = getEntryHits(collection, key);
+    const cacheAge = getCacheAge(entry);
+
+    let content;
+    if (collection === SEARCH_CACHE_COLLECTION) {
+        content = {
+            query: entry.keyword,
+            canonicalKey: entry.canonicalKey || null,
+            page: entry.page || 1,
+            itemCount: entry.itemCount,
+            marketplace: entry.marketplace,
+            profile: entry.profile || DEFAULT_PROFILE,
+            productCount: (entry.products || []).length
+        };
+    } else if (collection === VARIATIONS_CACHE_COLLECTION) {
+        content = {
+            asin: entry.asin,
+            parentAsin: entry.result ? entry.result.parentAsin : null,
+            page: entry.page,
+            variationCount: entry.variationCount,
+            marketplace: entry.marketplace,
+            profile: entry.profile || DEFAULT_PROFILE,
+            productCount: entry.result ? entry.result.variations.length : 0
+        };
+    } else if (collection === BROWSE_NODE_CACHE_COLLECTION) {
+        content = {
+            browseNodeId: entry.browseNodeId,
+            marketplace: entry.marketplace,
+            name: entry.node ? entry.node.name : null
+        };
+    } else {
+        content = {
+            asin: entry.asin,
+            marketplace: entry.marketplace,
+            profile: entry.profile || DEFAULT_PROFILE,
+            title: entry.product ? entry.product.title : null
+        };
+    }
+
+    return {
+        key,
+        // Categorias seguem a validade própria (BROWSE_NODE_CACHE_HOURS), sem janela stale
+        state: collection === BROWSE_NODE_CACHE_COLLECTION ? getBrowseNodeCacheState(entry) : getCacheState(entry),
+        updatedAt: entry.updatedAt ? new Date(entry.updatedAt).toISOString() : null,
+        ageSeconds: cacheAge === null ? null : Math.round(cacheAge / 1000),
+        hits,
+        lastHitAt: lastHitAt ? new Date(lastHitAt).toISOString() : null,
+        sizeBytes: Buffer.byteLength(JSON.stringify(entry)),
+        ...content
+    };
+}
+
+/**
+ * Lê as entradas de um namespace até o limite de varredura
+ * @param {string} collection - Coleção do cache
+ * @param {string} order - 'desc' (mais recentes primeiro) ou 'asc' (mais antigas primeiro)
+ * @returns {Promise<Object>} Entradas ({ key, entry }) e se a varredura atingiu o limite
+ */
+async function scanEntries(collection, order) {
+    const entries = await getCacheStore().list(collection, { limit: MAX_SCAN_ENTRIES, order });
+    return { entries, truncated: entries.length >= MAX_SCAN_ENTRIES };
+}
+
+/**
+ * Valida os parâmetros da listagem de entradas
+ * @param {Object} queryParams - Parâmetros da query string
+ * @returns {Object} Prefixo, ordenação e limite validados
+ * @throws {ValidationError} Se os parâmetros forem inválidos
+ */
+function validateListRequest(queryParams) {
+    const { prefix = '', sort = 'recent', limit } = queryParams;
+
+    if (!LIST_SORTS.includes(sort)) {
+        throw new ValidationError(`Parâmetro "sort" inválido: "${sort}". Valores aceitos: ${LIST_SORTS.join(', ')}`);
+    }
+
+    let parsedLimit = DEFAULT_LIST_LIMIT;
+    if (limit !== undefined && limit !== '') {
+        parsedLimit = Number(limit);
+        if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LIST_LIMIT) {
+            throw new ValidationError(`Parâmetro "limit" inválido: deve ser um número entre 1 e ${MAX_LIST_LIMIT}`);
+        }
+    }
+
+    return { prefix: String(prefix), sort, limit: parsedLimit };
+}
+
+/**
+ * Valida o corpo da requisição de remoção
+ * @param {Object} body - Corpo JSON da requisição
+ * @returns {Object} Namespaces, critérios e modo de simulação validados
+ * @throws {ValidationError} Se os critérios forem inválidos
+ */
+function validatePurgeRequest(body = {}) {
+    const { namespace, prefix, asin, olderThanHours, dryRun = false } = body;
+
+    if (prefix === undefined && asin === undefined && olderThanHours === undefined) {
+        throw new ValidationError('Informe ao menos um critério de remoção: "prefix", "asin" ou "olderThanHours"');
+    }
+
+    if (prefix !== undefined && (typeof prefix !== 'string' || prefix.length === 0)) {
+        throw new ValidationError('Campo "prefix" inválido: deve ser uma string não vazia');
+    }
+
+    if (namespace !== undefined) {
+        resolveNamespace(namespace);
+    }
+
+    let olderThanMs = null;
+    if (olderThanHours !== undefined) {
+        const hours = Number(olderThanHours);
+        if (!Number.isFinite(hours) || hours < 0) {
+            throw new ValidationError('Campo "olderThanHours" inválido: deve ser um número maior ou igual a 0');
+        }
+        olderThanMs = hours * 60 * 60 * 1000;
+    }
+
+    return {
+        namespaces: namespace === undefined ? Object.keys(CACHE_NAMESPACES) : [namespace],
+        prefix: prefix ?? null,
+        asin: asin === undefined ? null : normalizeAsins([asin])[0],
+        olderThanMs,
+        dryRun: dryRun === true
+    };
+}
+
+/**
+ * Verifica se a chave de uma entrada começa com o prefixo informado
+ * 
+ * Buscas são identificadas por um hash; o prefixo também é comparado com a
+ * chave canônica legível (ex.: "br_fone bluetooth_").
+ * 
+ * @param {string} key - Chave da entrada
+ * @param {Object} entry - Entrada do cache
+ * @param {string} prefix - Prefixo procurado
+ * @returns {boolean} true se a chave ou a chave canônica começam com o prefixo
+ */
+function matchesPrefix(key, entry, prefix) {
+    return key.startsWith(prefix) || (typeof entry.canonicalKey === 'string' && entry.canonicalKey.startsWith(prefix));
+}
+
+/**
+ * Verifica se uma entrada atende a todos os critérios de remoção informados
+ * @param {string} collection - Coleção do cache
+ * @param {string} key - Chave da entrada
+ * @param {Object} entry - Entrada do cache
+ * @param {Object} criteria - Critérios validados por validatePurgeRequest
+ * @returns {boolean} true se a entrada deve ser removida
+ */
+function matchesPurge(collection, key, entry, { prefix, asin, olderThanMs }) {
+    if (prefix !== null && !matchesPrefix(key, entry, prefix)) {
+        return false;
+    }
+
+    if (olderThanMs !== null && getCacheAge(entry) < olderThanMs) {
+        return false;
+    }
+
+    if (asin !== null) {
+        // Buscas e variações são removidas quando algum de seus produtos é o ASIN
+        if (collection === SEARCH_CACHE_COLLECTION) {
+            return (entry.products || []).some(product => product.asin === asin);
+        }
+        if (collection === VARIATIONS_CACHE_COLLECTION) {
+            return entry.asin === asin
+                || (entry.result ? entry.result.variations : []).some(variation => variation.asin === asin);
+        }
+        // Categorias não estão ligadas a produtos
+        if (collection === BROWSE_NODE_CACHE_COLLECTION) {
+            return false;
+        }
+        return entry.asin === asin;
+    }
+
+    return true;
+}
+
+/**
+ * Remove entradas do cache em grupos paralelos
+ * @param {string} collection - Coleção do cache
+ * @param {Array<string>} keys - Chaves das entradas
+ * @returns {Promise<number>} Número de entradas removidas
+ */
+async function deleteEntries(collection, keys) {
+    const cacheStore = getCacheStore();
+    let deleted = 0;
+
+    for (let start = 0; start < keys.length; start += PURGE_CONCURRENCY) {
+        const results = await Promise.all(
+            keys.slice(start, start + PURGE_CONCURRENCY).map(key => cacheStore.delete(collection, key))
+        );
+        deleted += results.filter(Boolean).length;
+    }
+
+    return deleted;
+}
+
+/**
+ * GET /admin/cache/stats
+ *
+ * Estatísticas gerais: tipo e contadores do cache, número de entradas e
+ * entrada mais antiga de cada namespace, taxa de acerto das leituras desde
+ * o início do processo e janelas de validade configuradas.
+ */
+router.get("/stats", async (req, res, next) => {
+    const startTime = Date.now();
+
+    try {
+        const cacheStore = getCacheStore();
+
+        const namespaces = {};
+        let totalEntries = 0;
+
+        for (const [name, collection] of Object.entries(CACHE_NAMESPACES)) {
+            const [entries, [oldest]] = await Promise.all([
+                cacheStore.count(collection),
+                cacheStore.list(collection, { limit: 1, order: 'asc' })
+            ]);
+
+            namespaces[name] = {
+                entries,
+                oldestEntry: oldest ? describeEntry(collection, oldest.key, oldest.entry) : null
+            };
+            totalEntries += entries;
+        }
+
+        // Entrada mais antiga entre todos os namespaces
+        const [oldestEntry = null] = Object.entries(namespaces)
+            .filter(([, { oldestEntry: oldest }]) => oldest)
+            .map(([name, { oldestEntry: oldest }]) => ({ namespace: name, ...oldest }))
+            .sort((a, b) => b.ageSeconds - a.ageSeconds);
+
+        return res.json({
+            store: await cacheStore.stats(),
+            entries: totalEntries,
+            oldestEntry,
+            namespaces,
+            hits: getHitStats(),
+            windows: {
+                freshHours: CACHE_FRESH_MS / (60 * 60 * 1000),
+                staleHours: CACHE_STALE_MS / (60 * 60 * 1000),
+                maxStaleOnErrorHours: CACHE_MAX_STALE_ON_ERROR_MS / (60 * 60 * 1000),
+                browseNodeHours: BROWSE_NODE_CACHE_MS / (60 * 60 * 1000)
+            },
+            metadata: {
+                processingTime: `${Date.now() - startTime}ms`
+            }
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * POST /admin/cache/purge
+ *
+ * Remove as entradas que atendem a todos os critérios informados.
+ *
+ * Body (JSON):
+ * - namespace (string, opcional): searches, products, variations ou categories (padrão: todos)
+ * - prefix (string, opcional): Prefixo da chave (ex.: "br_fone", "us_")
+ * - asin (string, opcional): Produto; remove o produto e as buscas que o contêm
+ * - olderThanHours (number, opcional): Idade mínima das entradas, em horas
+ * - dryRun (boolean, opcional): Apenas lista as chaves, sem remover
+ *
+ * Cada namespace é varrido até CACHE_ADMIN_SCAN_LIMIT entradas, das mais
+ * antigas para as mais recentes; com `truncated: true`, repita a remoção.
+ *
+ * Responses:
+ * - 200: Chaves encontradas e número de entradas removidas
+ * - 400: Critérios inválidos
+ */
+router.post("/purge", async (req, res, next) => {
+    const startTime = Date.now();
+
+    try {
+        const criteria = validatePurgeRequest(req.body);
+
+        const results = {};
+        let totalMatched = 0;
+        let totalDeleted = 0;
+
+        for (const name of criteria.namespaces) {
+            const collection = CACHE_NAMESPACES[name];
+            const { entries, truncated } = await scanEntries(collection, 'asc');
+
+            const keys = entries
+                .filter(({ key, entry }) => matchesPurge(collection, key, entry, criteria))
+                .map(({ key }) => key);
+
+            const deleted = criteria.dryRun ? 0 : await deleteEntries(collection, keys);
+
+            results[name] = { scanned: entries.length, truncated, matched: keys.length, deleted, keys };
+            totalMatched += keys.length;
+            totalDeleted += deleted;
+        }
+
+        logger.info(criteria.dryRun ? 'Limpeza do cache simulada' : 'Cache limpo', { matched: totalMatched, deleted: totalDeleted });
+
+        return res.json({
+            matched: totalMatched,
+            deleted: totalDeleted,
+            dryRun: criteria.dryRun,
+            namespaces: results,
+            metadata: {
+                processingTime: `${Date.now() - startTime}ms`
+            }
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * GET /admin/cache/:namespace
+ *
+ * Lista as entradas de um namespace com estado, idade, acertos e tamanho.
+ *
+ * Query Parameters:
+ * - prefix (string, opcional): Prefixo da chave (ex.: "br_", "us_B08")
+ * - sort (string, opcional): recent, oldest, hits ou size (padrão: recent)
+ * - limit (number, opcional): Número de entradas (1-500, padrão: 50)
+ *
+ * Com prefixo ou ordenação por acertos ou tamanho, o namespace é varrido até
+ * CACHE_ADMIN_SCAN_LIMIT entradas.
+ */
+router.get("/:namespace", async (req, res, next) => {
+    const startTime = Date.now();
+
+    try {
+        const collection = resolveNamespace(req.params.namespace);
+        const { prefix, sort, limit } = validateListRequest(req.query);
+
+        const order = sort === 'oldest' ? 'asc' : 'desc';
+        const needsScan = prefix.length > 0 || sort === 'hits' || sort === 'size';
+
+        const { entries, truncated } = needsScan
+            ? await scanEntries(collection, order)
+            : { entries: await getCacheStore().list(collection, { limit, order }), truncated: false };
+
+        let descriptions = entries
+            .filter(({ key, entry }) => matchesPrefix(key, entry, prefix))
+            .map(({ key, entry }) => describeEntry(collection, key, entry));
+
+        if (sort === 'hits') {
+            descriptions.sort((a, b) => b.hits - a.hits);
+        } else if (sort === 'size') {
+            descriptions.sort((a, b) => b.sizeBytes - a.sizeBytes);
+        }
+
+        descriptions = descriptions.slice(0, limit);
+
+        return res.json({
+            namespace: req.params.namespace,
+            entries: descriptions,
+            metadata: {
+                itemCount: descriptions.length,
+                prefix: prefix || null,
+                sort,
+                scanned: entries.length,
+                truncated,
+                processingTime: `${Date.now() - startTime}ms`
+            }
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * GET /admin/cache/:namespace/:key
+ *
+ * Retorna uma entrada completa, com o mesmo resumo da listagem.
+ * A leitura não é contada como acerto.
+ */
+router.get("/:namespace/:key", async (req, res, next) => {
+    try {
+        const collection = resolveNamespace(req.params.namespace);
+        const { key } = req.params;
+
+        const entry = await getCacheStore().get(collection, key, { track: false });
+        if (!entry) {
+            throw cacheEntryNotFound(req.params.namespace, key);
+        }
+
+        return res.json({
+            namespace: req.params.namespace,
+            ...describeEntry(collection, key, entry),
+            entry
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * POST /admin/cache/:namespace/:key/refresh
+ *
+ * Consulta a Amazon novamente e substitui a entrada, mesmo que ainda esteja
+ * dentro da janela de validade.
+ *
+ * Responses:
+ * - 200: Entrada atualizada
+ * - 404: Entrada inexistente ou produto não encontrado na Amazon
+ * - 429/502/503: Falha na Amazon (a entrada atual é mantida)
+ */
+router.post("/:namespace/:key/refresh", async (req, res, next) => {
+    const startTime = Date.now();
+
+    try {
+        const collection = resolveNamespace(req.params.namespace);
+        const { key } = req.params;
+
+        const entry = await refreshCacheEntry(collection, key);
+        if (!entry) {
+            throw cacheEntryNotFound(req.params.namespace, key);
+        }
+
+        logger.info('Entrada do cache atualizada', { namespace: req.params.namespace, cacheKey: key });
+
+        return res.json({
+            namespace: req.params.namespace,
+            ...describeEntry(collection, key, entry),
+            entry,
+            metadata: {
+                processingTime: `${Date.now() - startTime}ms`
+            }
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * DELETE /admin/cache/:namespace/:key
+ *
+ * Remove uma entrada.
+ */
+router.delete("/:namespace/:key", async (req, res, next) => {
+    try {
+        const collection = resolveNamespace(req.params.namespace);
+        const { key } = req.params;
+
+        const deleted = await getCacheStore().delete(collection, key);
+        if (!deleted) {
+            throw cacheEntryNotFound(req.params.namespace, key);
+        }
+
+        logger.info('Entrada do cache removida', { namespace: req.params.namespace, cacheKey: key });
+        return res.json({ namespace: req.params.namespace, key, deleted: true });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+/**
+ * Redirecionamento para links de afiliado
+ *
+ * Os sites exibem links para /go/:asin em vez da URL da Amazon. Cada
+ * clique é registrado com o posicionamento do link antes do redirecionamento,
+ * permitindo medir quais posições geram mais cliques.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const express = require('express');
+const router = express.Router();
+const { isFirebaseConfigured } = require('../firebase');
+const { normalizeAsins } = require('../paapi');
+const { getMarketplace } = require('../marketplaces');
+const { getCacheStore } = require('../cache');
+const { PRODUCT_CACHE_COLLECTION, createProductCacheKey } = require('../cache/keys');
+const {
+    parseTrackingId,
+    parseClientId,
+    verifyClickLink,
+    buildAffiliateUrl,
+    recordClick
+} = require('../clicks');
+const { logger } = require('../logger');
+
+// Tamanho máximo armazenado de referrer e query
+const MAX_REFERRER_LENGTH = 500;
+const MAX_QUERY_LENGTH = 200;
+
+/**
+ * Valida os parâmetros do redirecionamento
+ * @param {Object} params - Parâmetros da rota
+ * @param {Object} queryParams - Parâmetros da query string
+ * @returns {Object} ASIN, marketplace, placement, subTag, query e apiKeyId validados
+ * (apiKeyId é null quando a assinatura `sig` não confere)
+ * @throws {ValidationError} Se os parâmetros forem inválidos
+ */
+function validateClickRequest(params, queryParams) {
+    const [asin] = normalizeAsins([params.asin]);
+    const { q } = queryParams;
+    const placement = parseTrackingId('placement', queryParams.placement);
+    const clientId = parseClientId(queryParams.client);
+
+    return {
+        asin,
+        marketplace: getMarketplace(queryParams.marketplace),
+        placement,
+        subTag: parseTrackingId('subtag', queryParams.subtag),
+        query: typeof q === 'string' && q.trim() ? q.trim().slice(0, MAX_QUERY_LENGTH) : null,
+        // Sem assinatura válida o clique é registrado sem cliente, em vez de atribuído a ele
+        apiKeyId: clientId && verifyClickLink({ asin, apiKeyId: clientId, placement }, queryParams.sig) ? clientId : null
+    };
+}
+
+/**
+ * GET /go/:asin
+ *
+ * Registra o clique e redireciona (302) para a página do produto na Amazon
+ * com o partner tag do marketplace. A URL do produto vem do cache quando
+ * disponível; caso contrário, é usada a página padrão /dp/ASIN. A Amazon
+ * não é consultada, para que o redirecionamento seja imediato.
+ *
+ * Query Parameters:
+ * - marketplace (string, opcional): Loja da Amazon (br, us, es; padrão: AMAZON_DEFAULT_MARKETPLACE)
+ * - placement (string, opcional): Posicionamento do link no site (ex.: sidebar, post-review)
+ * - subtag (string, opcional): ID de sub-rastreamento enviado à Amazon como ascsubtag
+ * - q (string, opcional): Busca que exibiu o produto
+ * - client (string, opcional): ID da chave de API que gerou o link (incluído pelo widget)
+ * - sig (string, opcional): Assinatura de `client`; sem ela, o clique não é atribuído à chave
+ *
+ * Responses:
+ * - 302: Redirecionamento para a Amazon
+ * - 400: Parâmetros inválidos
+ */
+router.get("/:asin", async (req, res, next) => {
+    try {
+        const { asin, marketplace, placement, subTag, query, apiKeyId } = validateClickRequest(req.params, req.query);
+
+        if (req.query.client && !apiKeyId) {
+            logger.warn('Assinatura do cliente inválida no link, clique registrado sem cliente', { asin, client: req.query.client });
+        }
+
+        // Falha no cache não impede o redirecionamento
+        const cachedData = await getCacheStore()
+            .get(PRODUCT_CACHE_COLLECTION, createProductCacheKey(asin, marketplace.code))
+            .catch(error => {
+                logger.error('Erro ao consultar cache do produto', { asin, error });
+                return null;
+            });
+
+        const location = buildAffiliateUrl({
+            asin,
+            url: cachedData?.product?.url,
+            marketplace,
+            subTag
+        });
+
+        // Registra o clique sem atrasar o redirecionamento (fire-and-forget)
+        if (isFirebaseConfigured()) {
+            recordClick({
+                asin,
+                marketplace: marketplace.code,
+                placement,
+                subTag,
+                referrer: (req.get('Referer') || '').slice(0, MAX_REFERRER_LENGTH),
+                query,
+                apiKeyId,
+                ip: req.ip
+            }).catch(error => {
+                logger.error('Erro ao registrar clique', { asin, error });
+            });
+        }
+
+        logger.info('Clique em link de afiliado', { asin, marketplace: marketplace.code, placement: placement || null });
+
+        // Sem cache no navegador, para que todo clique passe pelo registro
+        res.set('Cache-Control', 'no-store');
+        return res.redirect(302, location);
+
+    } catch (error) {
+        return next(error);
+    }
+});
+
+module.exports = router;
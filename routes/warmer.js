@@ -0,0 +1,142 @@
+/**
+ * Rotas de administração do aquecimento do cache
+ *
+ * Status do agendamento e das últimas execuções, execução manual, ranking
+ * de buscas populares e manutenção das buscas fixadas pelos editores.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const express = require('express');
+const router = express.Router();
+const { runCacheWarm, getWarmerStatus } = require('../cache-warmer');
+const { POPULARITY_WINDOW_DAYS, getPopularQueries } = require('../popularity');
+const { pinQuery, listPinnedQueries, unpinQuery } = require('../pinned-queries');
+const { ValidationError, NotFoundError } = require('../errors');
+const { logger } = require('../logger');
+
+// Tamanho padrão e máximo do ranking de buscas populares
+const DEFAULT_POPULAR_LIMIT = 20;
+const MAX_POPULAR_LIMIT = 200;
+
+/**
+ * GET /admin/warmer
+ *
+ * Agenda, orçamento de chamadas à PAAPI, execução em andamento e resultado
+ * das últimas execuções (a mais recente com o resultado de cada busca).
+ */
+router.get("/", (req, res) => {
+    res.json(getWarmerStatus());
+});
+
+/**
+ * POST /admin/warmer/run
+ *
+ * Inicia uma execução fora da agenda, em segundo plano. O andamento e o
+ * resultado aparecem em GET /admin/warmer.
+ *
+ * Responses:
+ * - 202: Execução iniciada
+ * - 200: Já havia uma execução em andamento (nada é iniciado)
+ */
+router.post("/run", (req, res) => {
+    if (getWarmerStatus().running) {
+        return res.json({ started: false, message: 'Aquecimento já em andamento' });
+    }
+
+    logger.info('Aquecimento do cache iniciado manualmente');
+    runCacheWarm({ trigger: 'manual' });
+
+    return res.status(202).json({ started: true, status: getWarmerStatus() });
+});
+
+/**
+ * GET /admin/warmer/popular
+ *
+ * Ranking das buscas mais requisitadas nos últimos POPULARITY_WINDOW_DAYS dias.
+ *
+ * Query Parameters:
+ * - limit (number, opcional): Número de buscas (1-200, padrão: 20)
+ */
+router.get("/popular", async (req, res, next) => {
+    try {
+        let limit = DEFAULT_POPULAR_LIMIT;
+        if (req.query.limit !== undefined && req.query.limit !== '') {
+            limit = Number(req.query.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_POPULAR_LIMIT) {
+                throw new ValidationError(`Parâmetro "limit" inválido: deve ser um número entre 1 e ${MAX_POPULAR_LIMIT}`);
+            }
+        }
+
+        const queries = await getPopularQueries(limit);
+        return res.json({ queries, windowDays: POPULARITY_WINDOW_DAYS });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * GET /admin/warmer/pinned
+ *
+ * Lista as buscas fixadas.
+ */
+router.get("/pinned", async (req, res, next) => {
+    try {
+        const pinnedQueries = await listPinnedQueries();
+        return res.json({ pinnedQueries, total: pinnedQueries.length });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * POST /admin/warmer/pinned
+ *
+ * Fixa uma busca, mantida sempre aquecida.
+ *
+ * Body (JSON): parâmetros de /amazon-products/search (query, itemCount, page,
+ * marketplace e filtros) e `note` (string, opcional) com a observação do editor.
+ *
+ * Responses:
+ * - 201: Busca fixada
+ * - 200: A busca já estava fixada
+ * - 400: Parâmetros inválidos
+ */
+router.post("/pinned", async (req, res, next) => {
+    try {
+        const { pinnedQuery, created } = await pinQuery(req.body);
+
+        if (created) {
+            logger.info('Busca fixada', {
+                id: pinnedQuery.id,
+                query: pinnedQuery.params.originalQuery,
+                marketplace: pinnedQuery.params.marketplace
+            });
+        }
+
+        return res.status(created ? 201 : 200).json(pinnedQuery);
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * DELETE /admin/warmer/pinned/:id
+ *
+ * Remove uma busca fixada (o cache atual não é alterado).
+ */
+router.delete("/pinned/:id", async (req, res, next) => {
+    try {
+        const removed = await unpinQuery(req.params.id);
+        if (!removed) {
+            throw new NotFoundError(`Busca fixada não encontrada: ${req.params.id}`, { code: 'PINNED_QUERY_NOT_FOUND' });
+        }
+
+        logger.info('Busca desafixada', { id: req.params.id });
+        return res.json({ id: req.params.id, removed: true });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+/**
+ * Rotas de watchlists com alertas de preço
+ * 
+ * Permite que clientes cadastrem watches para um ASIN com preço alvo,
+ * percentual de queda ou aviso de volta ao estoque. As notificações são
+ * enviadas por webhook assinado (HMAC-SHA256) pelo verificador periódico.
+ * 
+ * @author Emanuel Ozorio
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    createWatch,
+    listWatches,
+    getWatch,
+    updateWatch,
+    deleteWatch
+} = require('../watches');
+const { getApiKeyId } = require('../auth');
+const { NotFoundError } = require('../errors');
+const { logger } = require('../logger');
+
+/**
+ * Cria o erro padrão para watch inexistente
+ * @param {string} id - ID do watch
+ * @returns {NotFoundError} Erro 404
+ */
+function watchNotFound(id) {
+    return new NotFoundError(`Watch não encontrado: ${id}`, { code: 'WATCH_NOT_FOUND' });
+}
+
+/**
+ * POST /amazon-products/watches
+ * 
+ * Cria um watch vinculado à chave de API da requisição. A resposta inclui
+ * o `secret` usado para assinar os webhooks, exibido apenas nesta resposta.
+ * 
+ * Body (JSON):
+ * - asin (string, obrigatório): ASIN monitorado
+ * - webhookUrl (string, obrigatório): URL que receberá as notificações (HTTPS)
+ * - targetPrice (number, opcional): Notifica quando o preço for menor ou igual
+ * - dropPercent (number, opcional): Notifica quando cair esse percentual em relação a baselinePrice
+ * - baselinePrice (number, opcional): Preço de referência (padrão: primeiro preço observado)
+ * - notifyBackInStock (boolean, opcional): Notifica quando o produto voltar ao estoque
+ * - marketplace (string, opcional): Loja da Amazon (br, us, es)
+ * 
+ * Responses:
+ * - 201: Watch criado
+ * - 400: Dados inválidos
+ */
+router.post("/", async (req, res, next) => {
+    try {
+        const watch = await createWatch(req.body, { apiKeyId: getApiKeyId(req) });
+        logger.info('Watch criado', { watchId: watch.id, asin: watch.asin });
+        return res.status(201).json({ watch });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * GET /amazon-products/watches
+ * 
+ * Lista os watches cadastrados pela chave de API da requisição.
+ * 
+ * Query Parameters:
+ * - asin (string, opcional): Filtra pelo ASIN monitorado
+ */
+router.get("/", async (req, res, next) => {
+    try {
+        const watches = await listWatches({ asin: req.query.asin, apiKeyId: getApiKeyId(req) });
+        return res.json({ watches, total: watches.length });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * GET /amazon-products/watches/:id
+ * 
+ * Retorna um watch com o estado da última verificação. Watches de outra
+ * chave de API respondem 404.
+ */
+router.get("/:id", async (req, res, next) => {
+    try {
+        const watch = await getWatch(req.params.id, { apiKeyId: getApiKeyId(req) });
+        if (!watch) {
+            throw watchNotFound(req.params.id);
+        }
+
+        return res.json({ watch });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * PATCH /amazon-products/watches/:id
+ * 
+ * Altera targetPrice, dropPercent, notifyBackInStock, webhookUrl ou active.
+ * Alterar a condição de preço permite um novo disparo.
+ */
+router.patch("/:id", async (req, res, next) => {
+    try {
+        const watch = await updateWatch(req.params.id, req.body, { apiKeyId: getApiKeyId(req) });
+        if (!watch) {
+            throw watchNotFound(req.params.id);
+        }
+
+        return res.json({ watch });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+/**
+ * DELETE /amazon-products/watches/:id
+ * 
+ * Remove um watch. Entregas pendentes do watch são canceladas.
+ */
+router.delete("/:id", async (req, res, next) => {
+    try {
+        const deleted = await deleteWatch(req.params.id, { apiKeyId: getApiKeyId(req) });
+        if (!deleted) {
+            throw watchNotFound(req.params.id);
+        }
+
+        return res.json({
+            message: 'Watch removido com sucesso',
+            id: req.params.id,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,231 @@
+/**
+ * Testes do requireApiKey com as chaves de API ativadas
+ *
+ * As chaves ficam em memória: o getFirestore do módulo firebase é trocado,
+ * antes de carregar a aplicação, por uma coleção falsa com os documentos das
+ * chaves (apenas o hash de cada chave, como no Firestore).
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { describe, test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { configureTestEnv, listen, TEST_ENV } = require('./helpers');
+const { startFakePaapi } = require('./fake-paapi');
+
+// Origem de um site parceiro, fora da lista global do CORS
+const PARTNER_ORIGIN = 'https://parceiro.example.com';
+
+// Chaves dos testes (ID de 20 caracteres e segredo de 32), com os dados gravados no Firestore
+const KEYS = {
+    open: {
+        apiKey: `aak_${'a'.repeat(20)}_${'A'.repeat(32)}`,
+        data: { name: 'Cliente aberto', active: true, allowedOrigins: [], allowedRoutes: [], quota: { perMinute: 100, perDay: 100 } }
+    },
+    revoked: {
+        apiKey: `aak_${'b'.repeat(20)}_${'B'.repeat(32)}`,
+        data: { name: 'Cliente revogado', active: false, allowedOrigins: [], allowedRoutes: [], quota: {} }
+    },
+    partner: {
+        apiKey: `aak_${'c'.repeat(20)}_${'C'.repeat(32)}`,
+        data: { name: 'Site parceiro', active: true, allowedOrigins: [PARTNER_ORIGIN], allowedRoutes: [], quota: {} }
+    },
+    widget: {
+        apiKey: `aak_${'d'.repeat(20)}_${'D'.repeat(32)}`,
+        data: { name: 'Widget', active: true, allowedOrigins: [], allowedRoutes: ['widget'], quota: { perMinute: 10 } }
+    },
+    limited: {
+        apiKey: `aak_${'e'.repeat(20)}_${'E'.repeat(32)}`,
+        data: { name: 'Cota pequena', active: true, allowedOrigins: [], allowedRoutes: [], quota: { perMinute: 100, perDay: 2 } }
+    },
+    // Rotas ampliadas à mão no Firestore: continua restrita ao widget
+    publishable: {
+        apiKey: `aak_${'f'.repeat(20)}_${'F'.repeat(32)}`,
+        data: { name: 'Widget do parceiro', type: 'publishable', active: true, allowedOrigins: [PARTNER_ORIGIN], allowedRoutes: [], quota: { perMinute: 30, perDay: 2000 } }
+    }
+};
+
+/**
+ * Cria um Firestore em memória com a coleção de chaves
+ * @returns {Object} Objeto com collection(name).doc(id).get()/update()
+ */
+function createKeysFirestore() {
+    const docs = new Map(Object.values(KEYS).map(({ apiKey, data }) => [
+        apiKey.split('_')[1],
+        { ...data, keyHash: crypto.createHash('sha256').update(apiKey).digest('hex') }
+    ]));
+
+    return {
+        collection: () => ({
+            doc: id => ({
+                get: async () => ({ exists: docs.has(id), data: () => docs.get(id) }),
+                update: async fields => Object.assign(docs.get(id), fields)
+            })
+        })
+    };
+}
+
+let fake;
+let api;
+
+before(async () => {
+    fake = await startFakePaapi({
+        accessKey: TEST_ENV.AMAZON_ACCESS_KEY,
+        secretKey: TEST_ENV.AMAZON_SECRET_KEY,
+        partnerTags: [TEST_ENV.AMAZON_PARTNER_TAG]
+    });
+    configureTestEnv({ AMAZON_API_HOST: fake.host, API_KEYS_ENABLED: 'true' });
+
+    // Antes de carregar a aplicação: api-keys.js guarda a referência na carga
+    const firestore = createKeysFirestore();
+    mock.method(require('../firebase'), 'getFirestore', () => firestore);
+
+    api = await listen(require('../app'));
+});
+
+after(async () => {
+    await api.close();
+    await fake.close();
+    mock.restoreAll();
+});
+
+beforeEach(() => fake.reset());
+
+/**
+ * Faz uma busca com a chave e a origem informadas
+ * @param {string} [apiKey] - Chave enviada no header X-API-Key
+ * @param {Object} [headers] - Headers adicionais
+ * @param {string} [path] - Caminho da requisição
+ * @returns {Promise<Object>} Resposta de api.request
+ */
+function requestWithKey(apiKey, headers = {}, path = '/amazon-products/search?query=fone&itemCount=1') {
+    return api.request(path, { headers: apiKey ? { 'X-API-Key': apiKey, ...headers } : headers });
+}
+
+/**
+ * Verifica o status e o código do erro padronizado
+ * @param {Object} response - Resposta de api.request
+ * @param {number} status - Status esperado
+ * @param {string} code - Código esperado
+ */
+function assertError(response, status, code) {
+    assert.equal(response.status, status);
+    assert.equal(response.body.code, code);
+}
+
+describe('chaves de API', () => {
+    test('chave válida acessa a rota e recebe os headers de limite', async () => {
+        const response = await requestWithKey(KEYS.open.apiKey);
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('x-ratelimit-limit'), '100');
+        assert.equal(response.headers.get('x-ratelimit-remaining'), '99');
+        assert.equal(response.headers.get('x-ratelimit-limit-day'), '100');
+        assert.equal(fake.requests.length, 1);
+    });
+
+    test('chave ausente', async () => {
+        assertError(await requestWithKey(), 401, 'API_KEY_MISSING');
+        assert.equal(fake.requests.length, 0);
+    });
+
+    test('chave desconhecida', async () => {
+        assertError(await requestWithKey(`aak_${'z'.repeat(20)}_${'Z'.repeat(32)}`), 401, 'API_KEY_INVALID');
+    });
+
+    test('segredo errado para um ID existente', async () => {
+        assertError(await requestWithKey(`aak_${'a'.repeat(20)}_${'X'.repeat(32)}`), 401, 'API_KEY_INVALID');
+    });
+
+    test('chave revogada', async () => {
+        assertError(await requestWithKey(KEYS.revoked.apiKey), 401, 'API_KEY_REVOKED');
+        assert.equal(fake.requests.length, 0);
+    });
+
+    test('origem fora das origens da chave', async () => {
+        assertError(await requestWithKey(KEYS.partner.apiKey, { Origin: 'https://outro.example.com' }), 403, 'API_KEY_ORIGIN_DENIED');
+
+        const allowed = await requestWithKey(KEYS.partner.apiKey, { Origin: PARTNER_ORIGIN });
+        assert.equal(allowed.status, 200);
+        assert.equal(allowed.headers.get('access-control-allow-origin'), PARTNER_ORIGIN);
+    });
+
+    test('origem fora da lista global para chave sem origens definidas', async () => {
+        assertError(await requestWithKey(KEYS.open.apiKey, { Origin: PARTNER_ORIGIN }), 403, 'CORS_DENIED');
+    });
+
+    test('rota fora das rotas da chave', async () => {
+        assertError(await requestWithKey(KEYS.widget.apiKey), 403, 'API_KEY_ROUTE_DENIED');
+        assert.equal(fake.requests.length, 0);
+    });
+
+    test('cota esgotada responde 429 com Retry-After e os headers de limite', async () => {
+        assert.equal((await requestWithKey(KEYS.limited.apiKey)).status, 200);
+
+        const last = await requestWithKey(KEYS.limited.apiKey);
+        assert.equal(last.status, 200);
+        assert.equal(last.headers.get('x-ratelimit-remaining-day'), '0');
+
+        const response = await requestWithKey(KEYS.limited.apiKey);
+        assertError(response, 429, 'API_KEY_QUOTA_EXCEEDED');
+
+        const retryAfter = Number(response.headers.get('retry-after'));
+        assert.ok(retryAfter > 0 && retryAfter <= 24 * 60 * 60);
+        assert.equal(response.headers.get('x-ratelimit-limit-day'), '2');
+        assert.equal(response.headers.get('x-ratelimit-remaining-day'), '0');
+        assert.equal(Number(response.headers.get('x-ratelimit-reset-day')), retryAfter);
+        assert.equal(response.headers.get('x-ratelimit-limit'), '100');
+    });
+
+    test('chave publishable acessa apenas o widget', async () => {
+        const headers = { Origin: PARTNER_ORIGIN };
+        assertError(await requestWithKey(KEYS.publishable.apiKey, headers), 403, 'API_KEY_ROUTE_DENIED');
+
+        const response = await requestWithKey(KEYS.publishable.apiKey, headers, '/amazon-products/widget?query=fone&count=2');
+        assert.equal(response.status, 200);
+        assert.match(response.body, /aads-widget/);
+    });
+
+    test('rotas públicas não exigem chave', async () => {
+        const response = await api.request('/amazon-products/widget.js');
+
+        assert.equal(response.status, 200);
+    });
+});
+
+describe('emissão de chaves publishable', () => {
+    /**
+     * Emite uma chave pela rota de administração
+     * @param {Object} body - Corpo da requisição
+     * @returns {Promise<Object>} Resposta de api.request
+     */
+    function issue(body) {
+        return api.request('/admin/api-keys', {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${TEST_ENV.ADMIN_TOKEN}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    test('tipo desconhecido', async () => {
+        assertError(await issue({ name: 'blog', type: 'public' }), 400, 'VALIDATION_ERROR');
+    });
+
+    test('exige origens definidas', async () => {
+        assertError(await issue({ name: 'blog', type: 'publishable' }), 400, 'VALIDATION_ERROR');
+    });
+
+    test('recusa rotas além do widget', async () => {
+        const response = await issue({ name: 'blog', type: 'publishable', allowedOrigins: [PARTNER_ORIGIN], allowedRoutes: ['widget', 'search'] });
+
+        assertError(response, 400, 'VALIDATION_ERROR');
+        assert.match(response.body.error, /search/);
+    });
+
+    test('recusa cota ilimitada', async () => {
+        const response = await issue({ name: 'blog', type: 'publishable', allowedOrigins: [PARTNER_ORIGIN], quota: { perDay: null } });
+
+        assertError(response, 400, 'VALIDATION_ERROR');
+    });
+});
@@ -0,0 +1,369 @@
+/**
+ * Testes do cache de buscas e produtos (catalog.js) contra a PAAPI falsa
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { configureTestEnv } = require('./helpers');
+const { startFakePaapi } = require('./fake-paapi');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let fake;
+let catalog;
+let cache;
+
+before(async () => {
+    fake = await startFakePaapi();
+    configureTestEnv({ AMAZON_API_HOST: fake.host });
+
+    catalog = require('../catalog');
+    cache = { ...require('../cache'), ...require('../cache/keys') };
+});
+
+after(() => fake.close());
+
+beforeEach(() => fake.reset());
+
+/**
+ * Envelhece uma entrada do cache
+ * @param {string} namespace - Namespace do cache
+ * @param {string} key - Chave da entrada
+ * @param {number} hours - Idade desejada, em horas
+ */
+async function ageEntry(namespace, key, hours) {
+    // A gravação do cache não é aguardada pelas buscas
+    await new Promise(resolve => setImmediate(resolve));
+
+    const store = cache.getCacheStore();
+    const entry = await store.get(namespace, key, { track: false });
+    assert.ok(entry, `entrada ${namespace}/${key} não encontrada`);
+
+    await store.set(namespace, key, { ...entry, updatedAt: Date.now() - hours * HOUR_MS });
+}
+
+/**
+ * Aguarda uma condição, verificando-a a cada 10 ms
+ * @param {Function} predicate - Condição
+ * @param {number} [timeoutMs=2000] - Tempo máximo de espera
+ */
+async function waitFor(predicate, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (!predicate()) {
+        if (Date.now() > deadline) {
+            throw new Error('Condição não atendida no tempo esperado');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('searchProducts', () => {
+    test('consulta a Amazon na primeira busca e o cache nas seguintes', async () => {
+        const params = catalog.validateSearchRequest({ query: 'Fone', itemCount: '2' });
+
+        const first = await catalog.searchProducts(params);
+        assert.equal(first.source, 'amazon_api');
+        assert.deepEqual(first.products.map(product => product.asin), ['B0FAKE0001', 'B0FAKE0002']);
+        assert.equal(first.totalResultCount, 3);
+        assert.equal(first.hasMore, true);
+
+        const second = await catalog.searchProducts(params);
+        assert.equal(second.source, 'cache');
+        assert.deepEqual(second.products, first.products);
+        assert.equal(fake.requests.length, 1);
+    });
+
+    test('envia partner tag, filtros e página à PAAPI', async () => {
+        const params = catalog.validateSearchRequest({ query: 'fone', itemCount: '1', page: '2', maxPrice: '300' });
+        const result = await catalog.searchProducts(params);
+
+        const [{ body }] = fake.requests;
+        assert.equal(body.PartnerTag, 'testes-20');
+        assert.equal(body.Marketplace, 'www.amazon.com.br');
+        assert.equal(body.ItemPage, 2);
+        assert.equal(body.MaxPrice, 30000);
+        assert.deepEqual(result.products.map(product => product.asin), ['B0FAKE0002']);
+    });
+
+    test('agrupa buscas simultâneas idênticas em uma chamada', async () => {
+        const params = catalog.validateSearchRequest({ query: 'teclado' });
+        const results = await Promise.all([1, 2, 3].map(() => catalog.searchProducts(params)));
+
+        assert.equal(fake.requests.length, 1);
+        results.forEach(result => assert.equal(result.products.length, 2));
+    });
+
+    test('retorna lista vazia quando a PAAPI não encontra resultados', async () => {
+        const result = await catalog.searchProducts(catalog.validateSearchRequest({ query: 'geladeira' }));
+
+        assert.deepEqual(result.products, []);
+        assert.equal(result.totalResultCount, 0);
+    });
+
+    test('serve dados desatualizados e atualiza o cache em segundo plano', async () => {
+        const params = catalog.validateSearchRequest({ query: 'mouse' });
+        await catalog.searchProducts(params);
+
+        const [key] = catalog.getSearchCacheKeys(params);
+        await ageEntry(cache.SEARCH_CACHE_COLLECTION, key, catalog.CACHE_FRESH_MS / HOUR_MS + 1);
+
+        const stale = await catalog.searchProducts(params);
+        assert.equal(stale.source, 'stale');
+
+        await waitFor(() => fake.requests.length === 2);
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.equal((await catalog.searchProducts(params)).source, 'cache');
+    });
+
+    test('serve cópia expirada quando a Amazon falha', async () => {
+        const params = catalog.validateSearchRequest({ query: 'cabo' });
+        const original = await catalog.searchProducts(params);
+
+        const [key] = catalog.getSearchCacheKeys(params);
+        await ageEntry(cache.SEARCH_CACHE_COLLECTION, key, (catalog.CACHE_FRESH_MS + catalog.CACHE_STALE_MS) / HOUR_MS + 1);
+
+        fake.injectError({ status: 503, code: 'ServiceUnavailable' });
+        const result = await catalog.searchProducts(params);
+
+        assert.equal(result.source, 'stale_on_error');
+        assert.deepEqual(result.products, original.products);
+    });
+
+    test('não esconde erros de validação da PAAPI com o cache expirado', async () => {
+        const params = catalog.validateSearchRequest({ query: 'livro' });
+        await catalog.searchProducts(params);
+
+        const [key] = catalog.getSearchCacheKeys(params);
+        await ageEntry(cache.SEARCH_CACHE_COLLECTION, key, (catalog.CACHE_FRESH_MS + catalog.CACHE_STALE_MS) / HOUR_MS + 1);
+
+        fake.injectError({ status: 400, code: 'InvalidParameterValue', message: 'The value provided is invalid.' });
+
+        await assert.rejects(catalog.searchProducts(params), { status: 400, code: 'AMAZON_INVALID_PARAMETER' });
+    });
+});
+
+describe('chaves de busca', () => {
+    test('ignora acentos, maiúsculas e espaços repetidos', async () => {
+        const first = catalog.validateSearchRequest({ query: 'Fône  Bluetooth ' });
+        const second = catalog.validateSearchRequest({ query: 'fone bluetooth' });
+
+        assert.equal(first.originalQuery, 'Fône Bluetooth');
+        assert.deepEqual(catalog.getSearchCacheKeys(first), catalog.getSearchCacheKeys(second));
+
+        await catalog.searchProducts(first);
+        assert.equal((await catalog.searchProducts(second)).source, 'cache');
+        assert.equal(fake.requests.length, 1);
+    });
+
+    test('ordena os filtros e guarda a chave canônica na entrada', async () => {
+        const params = catalog.validateSearchRequest({ query: 'fone', minPrice: '100', brand: 'JBL' });
+        await catalog.searchProducts(params);
+        await new Promise(resolve => setImmediate(resolve));
+
+        const [key] = catalog.getSearchCacheKeys(params);
+        const entry = await cache.getCacheStore().get(cache.SEARCH_CACHE_COLLECTION, key, { track: false });
+
+        assert.equal(entry.canonicalKey, 'br_fone_10_p1_brand=JBL&minPrice=100');
+        assert.deepEqual(
+            catalog.getSearchCacheKeys(catalog.validateSearchRequest({ query: 'fone', brand: 'JBL', minPrice: '100' })),
+            [key]
+        );
+    });
+
+    test('gera IDs de documento válidos para o Firestore', () => {
+        const [key] = catalog.getSearchCacheKeys(catalog.validateSearchRequest({ query: 'cabo usb-c/lightning' }));
+
+        assert.match(key, /^br_[0-9a-f]{32}$/);
+    });
+
+    test('recorta buscas menores de uma página maior fresca', async () => {
+        await catalog.searchProducts(catalog.validateSearchRequest({ query: 'ouvido', itemCount: '10' }));
+        await new Promise(resolve => setImmediate(resolve));
+
+        const smaller = await catalog.searchProducts(catalog.validateSearchRequest({ query: 'ouvido', itemCount: '2' }));
+        assert.equal(smaller.source, 'cache');
+        assert.deepEqual(smaller.products.map(product => product.asin), ['B0FAKE0001', 'B0FAKE0002']);
+        assert.equal(smaller.hasMore, true);
+
+        const secondPage = await catalog.searchProducts(catalog.validateSearchRequest({ query: 'ouvido', itemCount: '2', page: '2' }));
+        assert.deepEqual(secondPage.products.map(product => product.asin), ['B0FAKE0003']);
+        assert.equal(secondPage.hasMore, false);
+
+        assert.equal(fake.requests.length, 1);
+    });
+});
+
+describe('perfis de recursos', () => {
+    test('cada perfil tem sua própria entrada no cache', async () => {
+        const card = catalog.validateSearchRequest({ query: 'sony' });
+        const detail = catalog.validateSearchRequest({ query: 'sony', profile: 'detail' });
+
+        // O perfil padrão não aparece na chave canônica
+        assert.equal(cache.createCanonicalKey(card.query, 10, 'br', card.filters, 1, card.profile), 'br_sony_10_p1');
+        assert.equal(cache.createCanonicalKey(detail.query, 10, 'br', detail.filters, 1, detail.profile), 'br_sony_10_p1_profile=detail');
+        assert.notDeepEqual(catalog.getSearchCacheKeys(card), catalog.getSearchCacheKeys(detail));
+
+        await catalog.searchProducts(card);
+        const result = await catalog.searchProducts(detail);
+
+        assert.equal(result.source, 'amazon_api');
+        assert.equal(fake.requests.length, 2);
+        assert.ok(!fake.requests[0].body.Resources.includes('CustomerReviews.Count'));
+        assert.ok(fake.requests[1].body.Resources.includes('CustomerReviews.Count'));
+    });
+
+    test('lê avaliações que os modelos do SDK descartam', async () => {
+        const { products } = await catalog.lookupProducts({ asins: ['B0FAKE0001'], marketplace: 'br', profile: 'detail' });
+
+        assert.equal(products[0].rating, 4.6);
+        assert.equal(products[0].reviewCount, 1843);
+        assert.deepEqual(catalog.getProductCacheKeys({ asins: ['B0FAKE0001'], marketplace: 'br', profile: 'detail' }), [
+            'br_B0FAKE0001_profile=detail'
+        ]);
+    });
+});
+
+describe('categorias', () => {
+    test('busca dentro de uma categoria sem palavras-chave', async () => {
+        const params = catalog.validateSearchRequest({ browseNodeId: '16243803011' });
+        const result = await catalog.searchProducts(params);
+
+        assert.deepEqual(result.products.map(product => product.asin), ['B0FAKE0001', 'B0FAKE0002', 'B0FAKE0003']);
+        assert.equal(fake.requests[0].body.BrowseNodeId, '16243803011');
+        assert.equal(fake.requests[0].body.Keywords, undefined);
+    });
+
+    test('guarda a categoria no cache', async () => {
+        const first = await catalog.getBrowseNode({ browseNodeId: '16364755011', marketplace: 'br' });
+        const second = await catalog.getBrowseNode({ browseNodeId: '16364755011', marketplace: 'br' });
+
+        assert.equal(first.source, 'amazon_api');
+        assert.equal(second.source, 'cache');
+        assert.equal(second.node.name, 'Computadores e Informática');
+        assert.deepEqual(second.node.children.map(child => child.id), ['16364811011', '16364806011']);
+        assert.equal(fake.requests.length, 1);
+    });
+
+    test('serve categoria expirada quando a Amazon falha', async () => {
+        await catalog.getBrowseNode({ browseNodeId: '6740748011', marketplace: 'br' });
+        await ageEntry(cache.BROWSE_NODE_CACHE_COLLECTION, 'br_6740748011', catalog.BROWSE_NODE_CACHE_MS / HOUR_MS + 1);
+
+        fake.injectError({ status: 503, code: 'ServiceUnavailable' });
+        const result = await catalog.getBrowseNode({ browseNodeId: '6740748011', marketplace: 'br' });
+
+        assert.equal(result.source, 'stale_on_error');
+        assert.equal(result.node.name, 'Livros');
+    });
+
+    test('informa categorias inexistentes', async () => {
+        await assert.rejects(
+            catalog.getBrowseNode({ browseNodeId: '123', marketplace: 'br' }),
+            { status: 404, code: 'BROWSE_NODE_NOT_FOUND' }
+        );
+    });
+});
+
+describe('variações', () => {
+    const params = { asin: 'B0FAKE0001', variationCount: 2, page: 1, marketplace: 'br', profile: 'card' };
+
+    test('cada página de variações tem sua própria entrada no cache', async () => {
+        const first = await catalog.fetchVariationsPage(params);
+        await new Promise(resolve => setImmediate(resolve));
+        const cached = await catalog.fetchVariationsPage(params);
+        const secondPage = await catalog.fetchVariationsPage({ ...params, page: 2 });
+
+        assert.equal(first.source, 'amazon_api');
+        assert.equal(cached.source, 'cache');
+        assert.deepEqual(cached.variations, first.variations);
+        assert.equal(secondPage.source, 'amazon_api');
+        assert.deepEqual(secondPage.variations.map(variation => variation.asin), ['B0FAKE0102', 'B0FAKE0103']);
+        assert.equal(fake.requests.length, 2);
+    });
+
+    test('serve variações expiradas quando a Amazon falha', async () => {
+        const key = 'br_B0FAKE0101_10_p1';
+        await catalog.fetchVariationsPage({ ...params, asin: 'B0FAKE0101', variationCount: 10 });
+        await ageEntry(cache.VARIATIONS_CACHE_COLLECTION, key, (catalog.CACHE_FRESH_MS + catalog.CACHE_STALE_MS) / HOUR_MS + 1);
+
+        fake.injectError({ status: 429, code: 'TooManyRequests', message: 'The request was denied due to request throttling.' });
+        const result = await catalog.fetchVariationsPage({ ...params, asin: 'B0FAKE0101', variationCount: 10 });
+
+        assert.equal(result.source, 'stale_on_error');
+        assert.equal(result.variations.length, 4);
+    });
+});
+
+describe('lookupProducts', () => {
+    test('consulta apenas os ASINs ausentes do cache', async () => {
+        const first = await catalog.lookupProducts({ asins: ['B0FAKE0004'], marketplace: 'br' });
+        assert.equal(first.metadata.source, 'amazon_api');
+
+        await new Promise(resolve => setImmediate(resolve));
+
+        const second = await catalog.lookupProducts({ asins: ['B0FAKE0004', 'B0FAKE0005'], marketplace: 'br' });
+        assert.equal(second.metadata.source, 'mixed');
+        assert.equal(second.metadata.fromCache, 1);
+        assert.deepEqual(second.products.map(product => product.asin), ['B0FAKE0004', 'B0FAKE0005']);
+
+        assert.equal(fake.requests.length, 2);
+        assert.deepEqual(fake.requests[1].body.ItemIds, ['B0FAKE0005']);
+    });
+
+    test('informa os ASINs não encontrados', async () => {
+        const result = await catalog.lookupProducts({ asins: ['B0FAKE0006', 'B0NOTFOUND'], marketplace: 'br' });
+
+        assert.deepEqual(result.products.map(product => product.asin), ['B0FAKE0006']);
+        assert.deepEqual(result.metadata.notFound, ['B0NOTFOUND']);
+    });
+
+    test('propaga falhas da Amazon sem cópia no cache', async () => {
+        fake.injectError({ status: 429, code: 'TooManyRequests', message: 'The request was denied due to request throttling.' });
+
+        await assert.rejects(
+            catalog.lookupProducts({ asins: ['B0FAKE0007'], marketplace: 'br' }),
+            { status: 429, code: 'RATE_LIMITED' }
+        );
+    });
+});
+
+describe('listagem do cache', () => {
+    test('continua a partir do cursor sem repetir entradas de mesmo updatedAt', async () => {
+        const store = cache.getCacheStore();
+        await store.set('testesCursor', 'a', { updatedAt: 1000 });
+        await store.set('testesCursor', 'b', { updatedAt: 2000 });
+        await store.set('testesCursor', 'c', { updatedAt: 2000 });
+
+        const first = await store.list('testesCursor', { limit: 2 });
+        const last = first[first.length - 1];
+        const second = await store.list('testesCursor', {
+            limit: 2,
+            after: { key: last.key, updatedAt: last.entry.updatedAt }
+        });
+
+        assert.deepEqual([...first, ...second].map(({ key }) => key), ['c', 'b', 'a']);
+    });
+});
+
+describe('aquecimento do cache', () => {
+    test('aquece uma vez a busca fixada que também é popular', async () => {
+        const { recordSearchRequest, getPopularQueries } = require('../popularity');
+        const { createPinnedQueryKeys } = require('../pinned-queries');
+        const { mergeTargets } = require('../cache-warmer');
+
+        const params = catalog.validateSearchRequest({ query: 'Caixa de Som', itemCount: 5 });
+        recordSearchRequest(params);
+        recordSearchRequest(catalog.validateSearchRequest({ query: 'caixa  de som', itemCount: 5 }));
+
+        const pinned = [{ key: createPinnedQueryKeys(params).key, params }];
+        const targets = mergeTargets(pinned, await getPopularQueries(10));
+        const matching = targets.filter(target => target.params.query === params.query);
+
+        assert.equal(matching.length, 1);
+        assert.equal(matching[0].source, 'pinned');
+        assert.equal(matching[0].requests, 2);
+    });
+});
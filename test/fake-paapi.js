@@ -0,0 +1,692 @@
+/**
+ * Servidor falso da Amazon PAAPI 5.0
+ *
+ * Atende SearchItems, GetItems, GetBrowseNodes e GetVariations no formato da
+ * API real (POST em /paapi5/searchitems, /paapi5/getitems,
+ * /paapi5/getbrowsenodes e /paapi5/getvariations, operação no header
+ * x-amz-target) a partir de um catálogo fixo (fixtures/catalog.json), de uma
+ * árvore de categorias (fixtures/browse-nodes.json) e de famílias de variações
+ * (fixtures/variations.json), devolvendo apenas os recursos solicitados em
+ * `Resources`. Erros seguem o corpo da PAAPI
+ * (`Errors` com Code e Message), então passam pelo mesmo tratamento dos
+ * erros reais em paapi.js.
+ *
+ * A assinatura AWS4 é exigida; com `secretKey`, ela também é verificada.
+ * Limite de requisições por segundo e falhas (status, código da PAAPI ou
+ * queda da conexão) podem ser simulados.
+ *
+ * Uso:
+ * - Testes: startFakePaapi() e AMAZON_API_HOST=fake.host, AMAZON_API_PROTOCOL=http
+ * - Desenvolvimento: npm run fake-paapi (porta FAKE_PAAPI_PORT, padrão 4010)
+ *
+ * @author Emanuel Ozorio
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
+
+// Catálogo, árvore de categorias e variações padrão do servidor falso
+const DEFAULT_CATALOG_PATH = path.join(__dirname, 'fixtures', 'catalog.json');
+const DEFAULT_BROWSE_NODES_PATH = path.join(__dirname, 'fixtures', 'browse-nodes.json');
+const DEFAULT_VARIATIONS_PATH = path.join(__dirname, 'fixtures', 'variations.json');
+
+// Operações atendidas, indexadas pelo caminho da requisição
+const OPERATIONS = {
+    '/paapi5/searchitems': 'SearchItems',
+    '/paapi5/getitems': 'GetItems',
+    '/paapi5/getbrowsenodes': 'GetBrowseNodes',
+    '/paapi5/getvariations': 'GetVariations'
+};
+
+// Prefixo do header x-amz-target enviado pelo SDK
+const TARGET_PREFIX = 'com.amazon.paapi5.v1.ProductAdvertisingAPIv1.';
+
+// Formato do header Authorization gerado pelo SDK
+const AUTHORIZATION_PATTERN = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/ProductAdvertisingAPI\/aws4_request, SignedHeaders=([a-z0-9;-]+), Signature=([0-9a-f]{64})$/;
+
+// Limites das operações da PAAPI
+const MAX_ITEM_COUNT = 10;
+const MAX_ITEM_PAGE = 10;
+const MAX_ITEM_IDS = 10;
+const MAX_BROWSE_NODE_IDS = 10;
+const MAX_VARIATION_COUNT = 10;
+
+// Recursos sempre devolvidos, independentemente de `Resources`
+const BASE_FIELDS = ['ASIN', 'DetailPageURL'];
+
+/**
+ * Monta o corpo de erro da PAAPI
+ * @param {string} code - Código do erro (ex.: TooManyRequests)
+ * @param {string} message - Mensagem do erro
+ * @returns {Object} Corpo com __type e Errors
+ */
+function errorBody(code, message) {
+    return {
+        __type: 'com.amazon.paapi5#ErrorData',
+        Errors: [{ Code: code, Message: message }]
+    };
+}
+
+/**
+ * Normaliza um texto para comparação (minúsculas, sem acentos)
+ * @param {string} text - Texto
+ * @returns {string} Texto normalizado
+ */
+function normalizeText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Converte a lista de recursos em uma árvore de campos
+ * @param {Array<string>} resources - Recursos (ex.: ['ItemInfo.Title', 'Offers.Listings.Price'])
+ * @returns {Object} Árvore (ex.: { ItemInfo: { Title: true } })
+ */
+function buildResourceTree(resources) {
+    const tree = {};
+
+    resources.forEach(resource => {
+        const parts = String(resource).split('.');
+        let node = tree;
+
+        parts.forEach((part, index) => {
+            if (index === parts.length - 1) {
+                node[part] = true;
+            } else if (node[part] !== true) {
+                node[part] = node[part] || {};
+                node = node[part];
+            }
+        });
+    });
+
+    return tree;
+}
+
+/**
+ * Mantém apenas os campos de um valor presentes na árvore de recursos
+ * @param {*} value - Valor do item
+ * @param {Object|boolean} tree - Árvore de recursos (true mantém o valor inteiro)
+ * @returns {*} Valor filtrado (undefined se nada restar)
+ */
+function pickFields(value, tree) {
+    if (tree === true || value === null || typeof value !== 'object') {
+        return tree === true ? value : undefined;
+    }
+    if (Array.isArray(value)) {
+        const picked = value.map(item => pickFields(item, tree)).filter(item => item !== undefined);
+        return picked.length > 0 ? picked : undefined;
+    }
+
+    const result = {};
+    Object.keys(tree).forEach(key => {
+        const picked = value[key] === undefined ? undefined : pickFields(value[key], tree[key]);
+        if (picked !== undefined) {
+            result[key] = picked;
+        }
+    });
+
+    return Object.keys(result).length > 0 ? result : undefined;
+}
+
+/**
+ * Monta um item da resposta com os recursos solicitados
+ * @param {Object} item - Item do catálogo
+ * @param {Object} body - Corpo da requisição (Resources, Marketplace, PartnerTag)
+ * @returns {Object} Item no formato da PAAPI
+ */
+function toResponseItem(item, body) {
+    const tree = buildResourceTree(body.Resources || []);
+    BASE_FIELDS.forEach(field => { tree[field] = true; });
+
+    // Como na PAAPI, cada resumo de ofertas informa a sua condição
+    if (tree.Offers && typeof tree.Offers.Summaries === 'object') {
+        tree.Offers.Summaries.Condition = true;
+    }
+
+    const marketplace = body.Marketplace || 'www.amazon.com.br';
+    const detailPageUrl = `https://${marketplace}/dp/${item.ASIN}?tag=${encodeURIComponent(body.PartnerTag)}&linkCode=ogi&th=1&psc=1`;
+
+    return pickFields({ ...item, DetailPageURL: detailPageUrl }, tree);
+}
+
+/**
+ * Lista os IDs de uma categoria e de todas as suas ancestrais
+ * @param {string} id - ID da categoria
+ * @param {Array<Object>} browseNodes - Árvore de categorias (Id, DisplayName, ContextFreeName, ParentId)
+ * @returns {Array<string>} IDs, da categoria à raiz
+ */
+function getNodePath(id, browseNodes) {
+    const ids = [];
+    let node = browseNodes.find(candidate => candidate.Id === id);
+
+    while (node) {
+        ids.push(node.Id);
+        node = browseNodes.find(candidate => candidate.Id === node.ParentId);
+    }
+
+    return ids;
+}
+
+/**
+ * Verifica se um item atende aos filtros de uma busca
+ * @param {Object} item - Item do catálogo
+ * @param {Object} body - Corpo da requisição SearchItems
+ * @param {Array<Object>} browseNodes - Árvore de categorias
+ * @returns {boolean} true se o item atende a todos os filtros
+ */
+function matchesSearch(item, body, browseNodes) {
+    const title = normalizeText(item.ItemInfo?.Title?.DisplayValue);
+    const brand = normalizeText(item.ItemInfo?.ByLineInfo?.Brand?.DisplayValue);
+    const words = normalizeText(body.Keywords).split(/\s+/).filter(Boolean);
+    const price = item.Offers?.Listings?.[0]?.Price?.Amount;
+
+    if (!words.every(word => title.includes(word) || brand.includes(word))) {
+        return false;
+    }
+    if (body.Brand && brand !== normalizeText(body.Brand)) {
+        return false;
+    }
+    // O item pertence à categoria pedida ou a uma de suas subcategorias
+    if (body.BrowseNodeId && !(item.BrowseNodeInfo?.BrowseNodes || [])
+        .some(node => getNodePath(node.Id, browseNodes).includes(body.BrowseNodeId))) {
+        return false;
+    }
+    // Preços da requisição em centavos
+    if (body.MinPrice && !(price * 100 >= body.MinPrice)) {
+        return false;
+    }
+    if (body.MaxPrice && !(price * 100 <= body.MaxPrice)) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Verifica se um valor é um inteiro dentro de um intervalo
+ * @param {*} value - Valor
+ * @param {number} min - Mínimo
+ * @param {number} max - Máximo
+ * @returns {boolean} true se o valor é válido
+ */
+function isIntegerBetween(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Responde uma requisição SearchItems
+ * @param {Object} body - Corpo da requisição
+ * @param {Array<Object>} catalog - Itens do catálogo
+ * @param {Array<Object>} browseNodes - Árvore de categorias
+ * @returns {Object} Status e corpo da resposta
+ */
+function searchItems(body, catalog, browseNodes) {
+    const itemCount = body.ItemCount ?? MAX_ITEM_COUNT;
+    const itemPage = body.ItemPage ?? 1;
+
+    if (!body.Keywords && !body.Brand && !body.BrowseNodeId) {
+        return { status: 400, body: errorBody('MissingParameter', 'The request must contain at least one of Keywords, Brand, BrowseNodeId.') };
+    }
+    if (!isIntegerBetween(itemCount, 1, MAX_ITEM_COUNT)) {
+        return { status: 400, body: errorBody('InvalidParameterValue', `The value ${itemCount} provided in the request for ItemCount is invalid.`) };
+    }
+    if (!isIntegerBetween(itemPage, 1, MAX_ITEM_PAGE)) {
+        return { status: 400, body: errorBody('InvalidParameterValue', `The value ${itemPage} provided in the request for ItemPage is invalid.`) };
+    }
+
+    const matches = catalog.filter(item => matchesSearch(item, body, browseNodes));
+    const pageItems = matches.slice((itemPage - 1) * itemCount, itemPage * itemCount);
+
+    if (pageItems.length === 0) {
+        return { status: 404, body: errorBody('NoResults', 'No results found for your request.') };
+    }
+
+    return {
+        status: 200,
+        body: {
+            SearchResult: {
+                TotalResultCount: matches.length,
+                SearchURL: `https://${body.Marketplace || 'www.amazon.com.br'}/s?k=${encodeURIComponent(body.Keywords || '')}&tag=${encodeURIComponent(body.PartnerTag)}`,
+                Items: pageItems.map(item => toResponseItem(item, body))
+            }
+        }
+    };
+}
+
+/**
+ * Responde uma requisição GetItems
+ *
+ * ASINs fora do catálogo aparecem em `Errors`, sem derrubar os demais, como
+ * na API real.
+ *
+ * @param {Object} body - Corpo da requisição
+ * @param {Array<Object>} catalog - Itens do catálogo
+ * @returns {Object} Status e corpo da resposta
+ */
+function getItems(body, catalog) {
+    const itemIds = body.ItemIds;
+
+    if (!Array.isArray(itemIds) || itemIds.length === 0) {
+        return { status: 400, body: errorBody('MissingParameter', 'The request must contain ItemIds.') };
+    }
+    if (itemIds.length > MAX_ITEM_IDS) {
+        return { status: 400, body: errorBody('InvalidParameterValue', `The value provided in the request for ItemIds exceeds the limit of ${MAX_ITEM_IDS}.`) };
+    }
+
+    const items = [];
+    const errors = [];
+
+    itemIds.forEach(itemId => {
+        const item = catalog.find(candidate => candidate.ASIN === itemId);
+        if (item) {
+            items.push(toResponseItem(item, body));
+        } else {
+            errors.push({ Code: 'InvalidParameterValue', Message: `The ItemId ${itemId} provided in the request is invalid.` });
+        }
+    });
+
+    return {
+        status: 200,
+        body: {
+            ...(items.length > 0 ? { ItemsResult: { Items: items } } : {}),
+            ...(errors.length > 0 ? { __type: 'com.amazon.paapi5#ErrorData', Errors: errors } : {})
+        }
+    };
+}
+
+/**
+ * Converte uma categoria da árvore no formato da PAAPI (Id, DisplayName, ContextFreeName)
+ * @param {Object} node - Categoria da árvore
+ * @returns {Object} Categoria sem ParentId
+ */
+function toBrowseNodeSummary(node) {
+    return { Id: node.Id, DisplayName: node.DisplayName, ContextFreeName: node.ContextFreeName };
+}
+
+/**
+ * Responde uma requisição GetBrowseNodes
+ *
+ * Como em GetItems, IDs fora da árvore aparecem em `Errors`. `Ancestor` é
+ * aninhado (do pai à raiz) e só é devolvido com o recurso BrowseNodes.Ancestor;
+ * `Children`, com BrowseNodes.Children.
+ *
+ * @param {Object} body - Corpo da requisição
+ * @param {Array<Object>} browseNodes - Árvore de categorias
+ * @returns {Object} Status e corpo da resposta
+ */
+function getBrowseNodes(body, browseNodes) {
+    const browseNodeIds = body.BrowseNodeIds;
+    const resources = body.Resources || [];
+
+    if (!Array.isArray(browseNodeIds) || browseNodeIds.length === 0) {
+        return { status: 400, body: errorBody('MissingParameter', 'The request must contain BrowseNodeIds.') };
+    }
+    if (browseNodeIds.length > MAX_BROWSE_NODE_IDS) {
+        return { status: 400, body: errorBody('InvalidParameterValue', `The value provided in the request for BrowseNodeIds exceeds the limit of ${MAX_BROWSE_NODE_IDS}.`) };
+    }
+
+    const buildAncestor = parentId => {
+        const parent = browseNodes.find(candidate => candidate.Id === parentId);
+        if (!parent) return undefined;
+
+        const ancestor = buildAncestor(parent.ParentId);
+        return { ...toBrowseNodeSummary(parent), ...(ancestor ? { Ancestor: ancestor } : {}) };
+    };
+
+    const nodes = [];
+    const errors = [];
+
+    browseNodeIds.forEach(id => {
+        const node = browseNodes.find(candidate => candidate.Id === id);
+        if (!node) {
+            errors.push({ Code: 'InvalidParameterValue', Message: `The BrowseNodeId ${id} provided in the request is invalid.` });
+            return;
+        }
+
+        const result = { ...toBrowseNodeSummary(node), IsRoot: !node.ParentId };
+        const ancestor = buildAncestor(node.ParentId);
+        const children = browseNodes.filter(candidate => candidate.ParentId === node.Id).map(toBrowseNodeSummary);
+
+        if (resources.includes('BrowseNodes.Ancestor') && ancestor) {
+            result.Ancestor = ancestor;
+        }
+        if (resources.includes('BrowseNodes.Children') && children.length > 0) {
+            result.Children = children;
+        }
+
+        nodes.push(result);
+    });
+
+    return {
+        status: 200,
+        body: {
+            ...(nodes.length > 0 ? { BrowseNodesResult: { BrowseNodes: nodes } } : {}),
+            ...(errors.length > 0 ? { __type: 'com.amazon.paapi5#ErrorData', Errors: errors } : {})
+        }
+    };
+}
+
+/**
+ * Responde uma requisição GetVariations
+ *
+ * A família é formada pelos itens do catálogo e das variações com o mesmo
+ * ParentASIN do ASIN pedido. Cada item traz sempre `VariationAttributes`;
+ * as dimensões e a faixa de preço do resumo dependem de `Resources`.
+ *
+ * @param {Object} body - Corpo da requisição
+ * @param {Array<Object>} catalog - Itens do catálogo
+ * @param {Object} variations - Famílias de variações, indexadas pelo ASIN pai
+ * @returns {Object} Status e corpo da resposta
+ */
+function getVariations(body, catalog, variations) {
+    const variationCount = body.VariationCount ?? MAX_VARIATION_COUNT;
+    const variationPage = body.VariationPage ?? 1;
+    const resources = body.Resources || [];
+
+    if (!body.ASIN) {
+        return { status: 400, body: errorBody('MissingParameter', 'The request must contain ASIN.') };
+    }
+    if (!isIntegerBetween(variationCount, 1, MAX_VARIATION_COUNT)) {
+        return { status: 400, body: errorBody('InvalidParameterValue', `The value ${variationCount} provided in the request for VariationCount is invalid.`) };
+    }
+    if (!isIntegerBetween(variationPage, 1, Infinity)) {
+        return { status: 400, body: errorBody('InvalidParameterValue', `The value ${variationPage} provided in the request for VariationPage is invalid.`) };
+    }
+
+    const allItems = [...catalog, ...Object.values(variations).flatMap(family => family.Items)];
+    const item = allItems.find(candidate => candidate.ASIN === body.ASIN);
+
+    if (!item) {
+        return { status: 400, body: errorBody('InvalidParameterValue', `The ItemId ${body.ASIN} provided in the request is invalid.`) };
+    }
+
+    const children = item.ParentASIN ? allItems.filter(candidate => candidate.ParentASIN === item.ParentASIN) : [];
+    const pageItems = children.slice((variationPage - 1) * variationCount, variationPage * variationCount);
+
+    if (pageItems.length === 0) {
+        return { status: 404, body: errorBody('NoResults', 'No results found for your request.') };
+    }
+
+    const summary = {
+        PageCount: Math.ceil(children.length / variationCount),
+        VariationCount: children.length
+    };
+
+    if (resources.includes('VariationSummary.VariationDimension')) {
+        summary.VariationDimensions = (variations[item.ParentASIN]?.VariationDimensions || []).map(dimension => ({
+            ...dimension,
+            Values: [...new Set(children.flatMap(child => (child.VariationAttributes || [])
+                .filter(attribute => attribute.Name === dimension.Name)
+                .map(attribute => attribute.Value)))]
+        }));
+    }
+
+    const prices = children
+        .map(child => child.Offers?.Listings?.[0]?.Price)
+        .filter(Boolean)
+        .sort((a, b) => a.Amount - b.Amount);
+
+    if (prices.length > 0) {
+        const toPrice = ({ Amount, Currency, DisplayAmount }) => ({ Amount, Currency, DisplayAmount });
+        const price = {};
+
+        if (resources.includes('VariationSummary.Price.LowestPrice')) price.LowestPrice = toPrice(prices[0]);
+        if (resources.includes('VariationSummary.Price.HighestPrice')) price.HighestPrice = toPrice(prices[prices.length - 1]);
+        if (Object.keys(price).length > 0) summary.Price = price;
+    }
+
+    const itemBody = { ...body, Resources: [...resources, 'VariationAttributes'] };
+
+    return {
+        status: 200,
+        body: {
+            VariationsResult: {
+                Items: pageItems.map(child => toResponseItem(child, itemBody)),
+                VariationSummary: summary
+            }
+        }
+    };
+}
+
+/**
+ * Verifica a assinatura AWS4 de uma requisição
+ * @param {Object} req - Requisição HTTP
+ * @param {string} rawBody - Corpo recebido
+ * @param {Object} credentials - Chaves aceitas
+ * @returns {Object|null} Status e corpo do erro, ou null se a assinatura for aceita
+ */
+function checkSignature(req, rawBody, { accessKey, secretKey }) {
+    const match = AUTHORIZATION_PATTERN.exec(req.headers.authorization || '');
+
+    if (!match) {
+        return { status: 401, body: errorBody('IncompleteSignature', 'The request signature did not include all of the required components.') };
+    }
+
+    const [, credentialKey, date, region, signedHeaders, signature] = match;
+
+    if (accessKey && credentialKey !== accessKey) {
+        return { status: 401, body: errorBody('UnrecognizedClient', 'The Access Key ID or security token included in the request is invalid.') };
+    }
+    if (!secretKey) {
+        return null;
+    }
+
+    const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+    const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+    const headerNames = signedHeaders.split(';');
+    const canonicalRequest = [
+        req.method,
+        req.url.split('?')[0],
+        '',
+        headerNames.map(name => `${name}:${String(req.headers[name] || '').trim()}\n`).join(''),
+        signedHeaders,
+        sha256(rawBody)
+    ].join('\n');
+
+    const amzDate = req.headers['x-amz-date'] || '';
+    const scope = `${date}/${region}/ProductAdvertisingAPI/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['ProductAdvertisingAPI', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretKey}`, date), region));
+    const expected = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    if (expected !== signature) {
+        return { status: 401, body: errorBody('InvalidSignature', 'The request signature we calculated does not match the signature you provided.') };
+    }
+
+    return null;
+}
+
+/**
+ * Cria um limitador de requisições por segundo
+ * @param {number} tps - Requisições por segundo (Infinity desativa o limite)
+ * @returns {Function} Retorna true se a requisição pode ser atendida
+ */
+function createRateLimiter(tps) {
+    const timestamps = [];
+
+    return () => {
+        if (!Number.isFinite(tps)) {
+            return true;
+        }
+
+        const now = Date.now();
+        while (timestamps.length > 0 && now - timestamps[0] >= 1000) {
+            timestamps.shift();
+        }
+        if (timestamps.length >= tps) {
+            return false;
+        }
+
+        timestamps.push(now);
+        return true;
+    };
+}
+
+/**
+ * Inicia um servidor falso da PAAPI
+ * @param {Object} [options] - Opções do servidor
+ * @param {number} [options.port=0] - Porta (0 escolhe uma porta livre)
+ * @param {Array<Object>} [options.catalog] - Itens no formato da PAAPI (padrão: fixtures/catalog.json)
+ * @param {Array<Object>} [options.browseNodes] - Árvore de categorias (padrão: fixtures/browse-nodes.json)
+ * @param {Object} [options.variations] - Famílias de variações por ASIN pai (padrão: fixtures/variations.json)
+ * @param {number} [options.tps=Infinity] - Requisições por segundo antes de TooManyRequests
+ * @param {string} [options.accessKey] - Access key aceita (qualquer uma, se omitida)
+ * @param {string} [options.secretKey] - Secret key usada para verificar a assinatura (não verifica, se omitida)
+ * @param {Array<string>} [options.partnerTags] - Partner tags aceitos (qualquer um, se omitido)
+ * @returns {Promise<Object>} Servidor com host, port, requests, injectError(), reset() e close()
+ */
+function startFakePaapi({
+    port = 0,
+    catalog = require(DEFAULT_CATALOG_PATH),
+    browseNodes = require(DEFAULT_BROWSE_NODES_PATH),
+    variations = require(DEFAULT_VARIATIONS_PATH),
+    tps = Infinity,
+    accessKey,
+    secretKey,
+    partnerTags
+} = {}) {
+    const requests = [];
+    const injectedErrors = [];
+    let allowRequest = createRateLimiter(tps);
+
+    const send = (res, { status, body }) => {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(body));
+    };
+
+    const handle = (req, res, rawBody) => {
+        const operation = OPERATIONS[req.url.split('?')[0]];
+
+        if (req.method !== 'POST' || !operation) {
+            return send(res, { status: 404, body: errorBody('UnknownOperation', 'The operation requested is invalid.') });
+        }
+        if (req.headers['x-amz-target'] !== `${TARGET_PREFIX}${operation}`) {
+            return send(res, { status: 400, body: errorBody('UnknownOperation', 'The operation requested is invalid.') });
+        }
+
+        let body;
+        try {
+            body = JSON.parse(rawBody);
+        } catch (error) {
+            return send(res, { status: 400, body: errorBody('InvalidParameterValue', 'The request body is not valid JSON.') });
+        }
+
+        requests.push({ operation, body, headers: req.headers });
+
+        const signatureError = checkSignature(req, rawBody, { accessKey, secretKey });
+        if (signatureError) {
+            return send(res, signatureError);
+        }
+
+        if (partnerTags && !partnerTags.includes(body.PartnerTag)) {
+            return send(res, { status: 400, body: errorBody('InvalidPartnerTag', `The partner tag ${body.PartnerTag} is invalid.`) });
+        }
+
+        if (!allowRequest()) {
+            return send(res, {
+                status: 429,
+                body: errorBody('TooManyRequests', 'The request was denied due to request throttling. Please verify the number of requests made per second to the Amazon Product Advertising API.')
+            });
+        }
+
+        const injectedIndex = injectedErrors.findIndex(injected => !injected.operation || injected.operation === operation);
+        if (injectedIndex !== -1) {
+            const injected = injectedErrors[injectedIndex];
+            if (--injected.times <= 0) {
+                injectedErrors.splice(injectedIndex, 1);
+            }
+
+            if (injected.network) {
+                return req.socket.destroy();
+            }
+            return send(res, { status: injected.status, body: errorBody(injected.code, injected.message) });
+        }
+
+        const handlers = {
+            SearchItems: () => searchItems(body, catalog, browseNodes),
+            GetItems: () => getItems(body, catalog),
+            GetBrowseNodes: () => getBrowseNodes(body, browseNodes),
+            GetVariations: () => getVariations(body, catalog, variations)
+        };
+
+        return send(res, handlers[operation]());
+    };
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => handle(req, res, Buffer.concat(chunks).toString('utf8')));
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+            const address = server.address();
+
+            resolve({
+                port: address.port,
+                host: `127.0.0.1:${address.port}`,
+
+                // Requisições recebidas (operation, body, headers), na ordem de chegada
+                requests,
+
+                /**
+                 * Faz as próximas requisições falharem
+                 * @param {Object} [error] - Falha simulada
+                 * @param {string} [error.operation] - SearchItems, GetItems, GetBrowseNodes ou GetVariations (todas, se omitida)
+                 * @param {number} [error.status=500] - Status HTTP
+                 * @param {string} [error.code='InternalFailure'] - Código da PAAPI
+                 * @param {string} [error.message] - Mensagem da PAAPI
+                 * @param {boolean} [error.network=false] - Derruba a conexão em vez de responder
+                 * @param {number} [error.times=1] - Número de requisições afetadas
+                 */
+                injectError({
+                    operation,
+                    status = 500,
+                    code = 'InternalFailure',
+                    message = 'The request processing has failed because of an unknown error, exception or failure.',
+                    network = false,
+                    times = 1
+                } = {}) {
+                    injectedErrors.push({ operation, status, code, message, network, times });
+                },
+
+                /**
+                 * Altera o limite de requisições por segundo
+                 * @param {number} value - Requisições por segundo (Infinity desativa o limite)
+                 */
+                setTps(value) {
+                    allowRequest = createRateLimiter(value);
+                },
+
+                // Descarta as requisições registradas, as falhas pendentes e o limite configurado
+                reset() {
+                    requests.length = 0;
+                    injectedErrors.length = 0;
+                    allowRequest = createRateLimiter(tps);
+                },
+
+                close() {
+                    return new Promise(resolveClose => {
+                        server.closeAllConnections();
+                        server.close(() => resolveClose());
+                    });
+                }
+            });
+        });
+    });
+}
+
+module.exports = { startFakePaapi };
+
+// Execução direta: servidor falso para desenvolvimento local
+if (require.main === module) {
+    startFakePaapi({
+        port: parseInt(process.env.FAKE_PAAPI_PORT, 10) || 4010,
+        tps: parseFloat(process.env.FAKE_PAAPI_TPS) || Infinity
+    }).then(fake => {
+        console.log(`PAAPI falsa em http://${fake.host} (use AMAZON_API_HOST=${fake.host} e AMAZON_API_PROTOCOL=http)`);
+    });
+}
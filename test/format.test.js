@@ -0,0 +1,209 @@
+/**
+ * Testes da formatação dos itens da PAAPI (formatAmazonItem), dos perfis de
+ * recursos e dos feeds de exportação (feed.js)
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { configureTestEnv } = require('./helpers');
+
+configureTestEnv();
+
+const { formatAmazonItem } = require('../paapi');
+const { getResourceProfile, PROFILE_NAMES } = require('../resource-profiles');
+const { ValidationError } = require('../errors');
+const { getMarketplace } = require('../marketplaces');
+const { escapeXml, formatCsvCell, selectFeedProducts, renderFeed } = require('../feed');
+const catalog = require('./fixtures/catalog.json');
+
+const findItem = asin => catalog.find(item => item.ASIN === asin);
+
+/**
+ * Consome um iterável assíncrono (geradores do feed)
+ * @param {AsyncIterable<*>} iterable - Iterável
+ * @returns {Promise<Array<*>>} Itens na ordem
+ */
+async function collect(iterable) {
+    const items = [];
+    for await (const item of iterable) {
+        items.push(item);
+    }
+    return items;
+}
+
+test('formata um item completo', () => {
+    const product = formatAmazonItem({
+        ...findItem('B0FAKE0001'),
+        DetailPageURL: 'https://www.amazon.com.br/dp/B0FAKE0001?tag=testes-20'
+    });
+
+    assert.deepEqual(product, {
+        asin: 'B0FAKE0001',
+        url: 'https://www.amazon.com.br/dp/B0FAKE0001?tag=testes-20',
+        title: 'Fone de Ouvido Bluetooth JBL Tune 510BT',
+        image: 'https://m.media-amazon.com/images/I/41fake0001._SL160_.jpg',
+        price: 249.9,
+        priceFormatted: 'R$ 249,90',
+        currency: 'BRL',
+        savingBasis: 329.9,
+        savingBasisFormatted: 'R$ 329,90',
+        isPrimeEligible: false,
+        availability: 'Now',
+        brand: 'JBL',
+        manufacturer: 'Harman',
+        model: 'JBLT510BTBLK'
+    });
+});
+
+test('usa valores padrão para campos ausentes', () => {
+    const product = formatAmazonItem({ ASIN: 'B0FAKE0009' });
+
+    assert.equal(product.asin, 'B0FAKE0009');
+    assert.equal(product.url, null);
+    assert.equal(product.title, 'Título não disponível');
+    assert.equal(product.image, null);
+    assert.equal(product.price, null);
+    assert.equal(product.savingBasis, null);
+    assert.equal(product.isPrimeEligible, false);
+    assert.equal(product.availability, 'Unknown');
+    assert.equal(product.brand, null);
+});
+
+test('usa a moeda do marketplace quando a oferta não informa a sua', () => {
+    const product = formatAmazonItem(findItem('B0FAKE0008'), 'USD');
+
+    assert.equal(product.price, null);
+    assert.equal(product.currency, 'USD');
+});
+
+test('mantém a moeda informada pela oferta', () => {
+    assert.equal(formatAmazonItem(findItem('B0FAKE0002'), 'USD').currency, 'BRL');
+});
+
+test('identifica ofertas exclusivas Prime e itens fora de estoque', () => {
+    assert.equal(formatAmazonItem(findItem('B0FAKE0003')).isPrimeEligible, true);
+    assert.equal(formatAmazonItem(findItem('B0FAKE0007')).availability, 'OutOfStock');
+});
+
+test('retorna null para itens ausentes', () => {
+    assert.equal(formatAmazonItem(null), null);
+    assert.equal(formatAmazonItem(undefined), null);
+});
+
+test('o perfil minimal devolve apenas os campos essenciais', () => {
+    const product = formatAmazonItem(findItem('B0FAKE0001'), 'BRL', 'minimal');
+
+    assert.deepEqual(Object.keys(product), ['asin', 'url', 'title', 'image', 'price', 'priceFormatted', 'currency']);
+});
+
+test('o perfil detail inclui avaliações, destaques, imagens, ofertas e entrega', () => {
+    const product = formatAmazonItem(findItem('B0FAKE0001'), 'BRL', 'detail');
+
+    assert.equal(product.model, 'JBLT510BTBLK');
+    assert.equal(product.savingPercent, 24);
+    assert.equal(product.rating, 4.6);
+    assert.equal(product.reviewCount, 1843);
+    assert.deepEqual(product.features, ['Até 40 horas de bateria', 'Som JBL Pure Bass', 'Conexão multiponto']);
+    assert.deepEqual(product.images.primary, {
+        small: 'https://m.media-amazon.com/images/I/41fake0001._SL75_.jpg',
+        medium: 'https://m.media-amazon.com/images/I/41fake0001._SL160_.jpg',
+        large: 'https://m.media-amazon.com/images/I/41fake0001._SL500_.jpg'
+    });
+    assert.equal(product.images.variants.length, 1);
+    assert.deepEqual(product.offerSummary, {
+        new: { lowestPrice: 239.9, lowestPriceFormatted: 'R$ 239,90', offerCount: 5 },
+        used: { lowestPrice: 179, lowestPriceFormatted: 'R$ 179,00', offerCount: 2 }
+    });
+    assert.deepEqual(product.delivery, { isPrimeEligible: true, isFreeShippingEligible: true, isAmazonFulfilled: true });
+    assert.equal(product.merchantName, 'Amazon.com.br');
+    assert.equal(product.contributors, undefined);
+});
+
+test('o perfil full inclui autores, formatos e identificadores', () => {
+    const product = formatAmazonItem(findItem('B0FAKE0007'), 'BRL', 'full');
+
+    assert.deepEqual(product.contributors, [
+        { name: 'J.R.R. Tolkien', role: 'Autor' },
+        { name: 'Ronald Kyrmse', role: 'Tradutor' }
+    ]);
+    assert.deepEqual(product.formats, ['Capa dura', 'Edição especial']);
+    assert.equal(product.productGroup, 'Livro');
+    assert.equal(product.releaseDate, '2019-11-25T00:00:01Z');
+    assert.deepEqual(product.eans, ['9788595084759']);
+    assert.equal(product.rating, null);
+    assert.deepEqual(product.offerSummary, { new: null, used: null });
+    assert.equal(product.delivery, null);
+});
+
+test('cada perfil pede à PAAPI apenas os recursos dos seus campos', () => {
+    const [minimal, card, detail, full] = PROFILE_NAMES.map(name => getResourceProfile(name).resources);
+
+    assert.deepEqual(minimal, ['Images.Primary.Medium', 'ItemInfo.Title', 'Offers.Listings.Price']);
+    assert.ok(!card.includes('Images.Primary.Large'));
+    assert.ok(card.includes('ItemInfo.ManufactureInfo'));
+    assert.ok(detail.includes('CustomerReviews.StarRating'));
+    assert.ok(detail.every(resource => full.includes(resource)));
+    assert.throws(() => getResourceProfile('completo'), ValidationError);
+});
+
+test('escapa texto e remove caracteres inválidos nos feeds XML', () => {
+    assert.equal(escapeXml('Fone <JBL> & "Sony" \'novo\'\u0001'), 'Fone &lt;JBL&gt; &amp; &quot;Sony&quot; &apos;novo&apos;');
+    assert.equal(escapeXml(null), '');
+});
+
+test('formata células do CSV sem permitir fórmulas', () => {
+    assert.equal(formatCsvCell('Fone, "Bluetooth"'), '"Fone, ""Bluetooth"""');
+    assert.equal(formatCsvCell('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+    assert.equal(formatCsvCell(-5), '-5');
+    assert.equal(formatCsvCell(null), '');
+});
+
+test('seleciona produtos do feed sem repetir ASINs', async () => {
+    const entries = [
+        { products: [formatAmazonItem(findItem('B0FAKE0001'))], updatedAt: 2000 },
+        { products: [formatAmazonItem(findItem('B0FAKE0001')), formatAmazonItem(findItem('B0FAKE0002'))], updatedAt: 1000 }
+    ];
+
+    const all = await collect(selectFeedProducts(entries, { query: null, asins: null, minDiscount: null, limit: 10 }));
+    assert.deepEqual(all.map(product => product.asin), ['B0FAKE0001', 'B0FAKE0002']);
+    assert.equal(all[0].updatedAt.getTime(), 2000);
+    assert.equal(all[0].savingPercent, 24);
+
+    const discounted = await collect(selectFeedProducts(entries, { query: 'jbl', asins: null, minDiscount: 20, limit: 10 }));
+    assert.deepEqual(discounted.map(product => product.asin), ['B0FAKE0001']);
+});
+
+test('interrompe a leitura das entradas ao atingir o limite do feed', async () => {
+    let read = 0;
+    async function* entries() {
+        for (const asin of ['B0FAKE0001', 'B0FAKE0002', 'B0FAKE0003']) {
+            read++;
+            yield { products: [formatAmazonItem(findItem(asin))], updatedAt: 1000 };
+        }
+    }
+
+    const selected = await collect(selectFeedProducts(entries(), { query: null, asins: null, minDiscount: null, limit: 1 }));
+    assert.deepEqual(selected.map(product => product.asin), ['B0FAKE0001']);
+    assert.equal(read, 1);
+});
+
+test('gera o feed do Merchant Center com preço promocional e link de afiliado', async () => {
+    const product = { ...formatAmazonItem(findItem('B0FAKE0001')), updatedAt: new Date(0) };
+    const xml = (await collect(renderFeed({
+        format: 'xml',
+        products: [product],
+        marketplace: getMarketplace('br'),
+        subTag: 'newsletter',
+        title: 'Amazon Brasil',
+        generatedAt: new Date(0)
+    }))).join('');
+
+    assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<rss version="2\.0" xmlns:g="http:\/\/base\.google\.com\/ns\/1\.0">/);
+    assert.match(xml, /<g:id>B0FAKE0001<\/g:id>/);
+    assert.match(xml, /<g:price>329\.90 BRL<\/g:price><g:sale_price>249\.90 BRL<\/g:sale_price>/);
+    assert.match(xml, /<g:availability>in_stock<\/g:availability>/);
+    assert.match(xml, /<g:link>https:\/\/www\.amazon\.com\.br\/dp\/B0FAKE0001\?tag=testes-20&amp;ascsubtag=newsletter<\/g:link>/);
+    assert.match(xml, /<\/channel>\n<\/rss>\n$/);
+});
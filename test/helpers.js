@@ -0,0 +1,97 @@
+/**
+ * Utilitários compartilhados pelos testes
+ *
+ * configureTestEnv() deve ser chamado antes de carregar qualquer módulo da
+ * API, que lê as variáveis de ambiente na carga: credenciais falsas, cache em
+ * memória, chaves de API e Firebase desativados e nenhuma nova tentativa
+ * contra a PAAPI. Variáveis de um .env local nunca substituem esses valores.
+ *
+ * @author Emanuel Ozorio
+ */
+
+// Ambiente padrão dos testes
+const TEST_ENV = {
+    NODE_ENV: 'test',
+    LOG_LEVEL: 'error',
+    AMAZON_ACCESS_KEY: 'AKIAFAKEACCESSKEY000',
+    AMAZON_SECRET_KEY: 'fake-secret-key-for-tests',
+    AMAZON_PARTNER_TAG: 'testes-20',
+    AMAZON_PARTNER_TAG_BR: '',
+    AMAZON_PARTNER_TAG_US: '',
+    AMAZON_PARTNER_TAG_ES: '',
+    AMAZON_DEFAULT_MARKETPLACE: 'br',
+    AMAZON_API_PROTOCOL: 'http',
+    AMAZON_MAX_RETRIES: '0',
+    AMAZON_TPS: '1000',
+    AMAZON_FIXTURES_MODE: '',
+    CACHE_STORE: 'memory',
+    API_KEYS_ENABLED: 'false',
+    ADMIN_TOKEN: 'admin-token-de-teste',
+    METRICS_TOKEN: '',
+    TRUST_PROXY: '',
+    URL_LOCAL: 'http://localhost:3000',
+    URL_OFICIAL: '',
+    CLICK_LINK_SECRET: 'segredo-dos-links-de-teste',
+    WATCH_CHECKER_ENABLED: 'false',
+    CACHE_WARMER_ENABLED: 'false',
+    // Vazias: o Firebase fica desativado mesmo com um .env local
+    FIREBASE_PROJECT_ID: '',
+    FIREBASE_CLIENT_EMAIL: '',
+    FIREBASE_PRIVATE_KEY: ''
+};
+
+/**
+ * Configura as variáveis de ambiente dos testes
+ * @param {Object} [overrides] - Variáveis adicionais ou substituídas (ex.: { AMAZON_API_HOST })
+ */
+function configureTestEnv(overrides = {}) {
+    Object.assign(process.env, TEST_ENV, overrides);
+}
+
+/**
+ * Inicia a aplicação em uma porta livre
+ * @param {Object} app - Aplicação Express
+ * @returns {Promise<Object>} Servidor com url, request(path, options) e close()
+ */
+function listen(app) {
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            const url = `http://127.0.0.1:${server.address().port}`;
+
+            resolve({
+                url,
+
+                /**
+                 * Faz uma requisição e lê o corpo JSON da resposta
+                 * @param {string} path - Caminho com a query string
+                 * @param {Object} [options] - Opções do fetch
+                 * @returns {Promise<Object>} status, headers e body
+                 */
+                async request(path, options) {
+                    const response = await fetch(`${url}${path}`, options);
+                    const text = await response.text();
+                    let body = text;
+
+                    try {
+                        body = JSON.parse(text);
+                    } catch (error) {
+                        // Respostas que não são JSON (HTML, texto) ficam como texto
+                    }
+
+                    return { status: response.status, headers: response.headers, body };
+                },
+
+                close() {
+                    return new Promise(resolveClose => {
+                        server.closeAllConnections();
+                        server.close(() => resolveClose());
+                    });
+                }
+            });
+        });
+
+        server.once('error', reject);
+    });
+}
+
+module.exports = { configureTestEnv, listen, TEST_ENV };
@@ -0,0 +1,168 @@
+/**
+ * Testes do cliente da PAAPI (paapi.js): servidor falso, limite de
+ * requisições e gravação/reprodução de fixtures
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { configureTestEnv } = require('./helpers');
+const { startFakePaapi } = require('./fake-paapi');
+
+let fake;
+let paapi;
+let fixturesDir;
+
+before(async () => {
+    fake = await startFakePaapi();
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paapi-fixtures-'));
+    configureTestEnv({ AMAZON_API_HOST: fake.host, AMAZON_FIXTURES_DIR: fixturesDir });
+
+    paapi = require('../paapi');
+});
+
+after(async () => {
+    await fake.close();
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    fake.reset();
+    process.env.AMAZON_FIXTURES_MODE = '';
+});
+
+describe('servidor falso', () => {
+    test('devolve apenas os recursos solicitados', async () => {
+        const [product] = await paapi.getItems({ asins: ['B0FAKE0001'] });
+        const [{ body }] = fake.requests;
+
+        assert.ok(body.Resources.includes('ItemInfo.Title'));
+        assert.equal(product.title, 'Fone de Ouvido Bluetooth JBL Tune 510BT');
+        assert.equal(product.price, 249.9);
+        assert.equal(product.url, 'https://www.amazon.com.br/dp/B0FAKE0001?tag=testes-20&linkCode=ogi&th=1&psc=1');
+    });
+
+    test('recusa assinaturas inválidas', async () => {
+        const strict = await startFakePaapi({ secretKey: 'outra-chave' });
+
+        try {
+            const response = await fetch(`http://${strict.host}/paapi5/getitems`, {
+                method: 'POST',
+                headers: {
+                    'x-amz-target': 'com.amazon.paapi5.v1.ProductAdvertisingAPIv1.GetItems',
+                    'x-amz-date': '20240115T103000Z',
+                    authorization: `AWS4-HMAC-SHA256 Credential=AKIA/20240115/us-east-1/ProductAdvertisingAPI/aws4_request, SignedHeaders=host;x-amz-date, Signature=${'0'.repeat(64)}`
+                },
+                body: JSON.stringify({ ItemIds: ['B0FAKE0001'] })
+            });
+            const body = await response.json();
+
+            assert.equal(response.status, 401);
+            assert.equal(body.Errors[0].Code, 'InvalidSignature');
+        } finally {
+            await strict.close();
+        }
+    });
+
+    test('responde TooManyRequests acima do limite por segundo', async () => {
+        fake.setTps(1);
+
+        await paapi.getItems({ asins: ['B0FAKE0002'] });
+        await assert.rejects(paapi.getItems({ asins: ['B0FAKE0003'] }), { status: 429, code: 'RATE_LIMITED' });
+    });
+
+    test('devolve ancestrais e subcategorias de uma categoria', async () => {
+        const [node] = await paapi.getBrowseNodes({ browseNodeIds: ['16243852011'] });
+
+        assert.deepEqual(fake.requests[0].body.Resources, ['BrowseNodes.Ancestor', 'BrowseNodes.Children']);
+        assert.equal(node.name, 'Intra-auriculares');
+        assert.equal(node.isRoot, false);
+        assert.deepEqual(node.ancestors.map(ancestor => ancestor.name), ['Eletrônicos', 'Fones de Ouvido']);
+        assert.deepEqual(node.children, []);
+    });
+
+    test('devolve as variações com os valores das dimensões', async () => {
+        const page = await paapi.getVariations({ asin: 'B0FAKE0103', variationCount: 3 });
+
+        assert.equal(page.parentAsin, 'B0FAKEP001');
+        assert.deepEqual(page.dimensions, [{ name: 'color_name', displayName: 'Cor', values: ['Preto', 'Branco', 'Azul', 'Rosa'] }]);
+        assert.deepEqual(page.variations.map(variation => variation.dimensionValues.color_name), ['Preto', 'Branco', 'Azul']);
+        assert.equal(page.variations[1].title, 'Fone de Ouvido Bluetooth JBL Tune 510BT - Branco');
+        assert.equal(page.priceRange.lowest.amount, 229.9);
+        assert.equal(page.pageCount, 2);
+        assert.equal(page.hasMore, true);
+    });
+
+    test('devolve página vazia para produtos sem variações', async () => {
+        const page = await paapi.getVariations({ asin: 'B0FAKE0004' });
+
+        assert.deepEqual(page.variations, []);
+        assert.equal(page.parentAsin, null);
+        assert.equal(page.hasMore, false);
+    });
+
+    test('testAmazonConnection usa o host configurado', async () => {
+        assert.equal(await paapi.testAmazonConnection(), true);
+
+        fake.injectError({ status: 401, code: 'UnrecognizedClient', message: 'The Access Key ID is invalid.' });
+        assert.equal(await paapi.testAmazonConnection(), false);
+    });
+});
+
+describe('fixtures', () => {
+    const readFixtures = () => fs.readdirSync(fixturesDir).map(file => ({
+        file,
+        content: fs.readFileSync(path.join(fixturesDir, file), 'utf8')
+    }));
+
+    test('grava respostas sem o partner tag', async () => {
+        process.env.AMAZON_FIXTURES_MODE = 'record';
+
+        await paapi.searchItemsPage({ query: 'teclado', itemCount: 2 });
+
+        const fixtures = readFixtures();
+        assert.equal(fixtures.length, 1);
+        assert.match(fixtures[0].file, /^searchItems-br-[0-9a-f]{16}\.json$/);
+        assert.doesNotMatch(fixtures[0].content, /testes-20/);
+        assert.match(fixtures[0].content, /tag=fixture-20/);
+    });
+
+    test('grava erros HTTP da PAAPI', async () => {
+        process.env.AMAZON_FIXTURES_MODE = 'record';
+        fake.injectError({ status: 400, code: 'InvalidParameterValue', message: 'The value provided is invalid.' });
+
+        await assert.rejects(paapi.getItems({ asins: ['B0FAKE0004'] }), { code: 'AMAZON_INVALID_PARAMETER' });
+
+        const errorFixture = readFixtures().find(({ file }) => file.startsWith('getItems-'));
+        assert.equal(JSON.parse(errorFixture.content).error.status, 400);
+    });
+
+    test('reproduz respostas e erros gravados sem acessar a rede', async () => {
+        process.env.AMAZON_FIXTURES_MODE = 'replay';
+
+        const page = await paapi.searchItemsPage({ query: 'teclado', itemCount: 2 });
+        assert.deepEqual(page.products.map(product => product.asin), ['B0FAKE0004', 'B0FAKE0005']);
+        assert.match(page.products[0].url, /tag=fixture-20/);
+
+        await assert.rejects(paapi.getItems({ asins: ['B0FAKE0004'] }), { code: 'AMAZON_INVALID_PARAMETER' });
+
+        assert.equal(fake.requests.length, 0);
+    });
+
+    test('falha sem nova tentativa quando a fixture não existe', async () => {
+        process.env.AMAZON_FIXTURES_MODE = 'replay';
+
+        await assert.rejects(paapi.searchItemsPage({ query: 'mouse', itemCount: 1 }), { status: 502, code: 'FIXTURE_NOT_FOUND' });
+        assert.equal(fake.requests.length, 0);
+    });
+
+    test('recusa modos desconhecidos', async () => {
+        process.env.AMAZON_FIXTURES_MODE = 'gravar';
+
+        await assert.rejects(paapi.searchItemsPage({ query: 'mouse', itemCount: 1 }), /AMAZON_FIXTURES_MODE inválido/);
+    });
+});
@@ -0,0 +1,303 @@
+/**
+ * Testes das rotas HTTP e das respostas de erro contra a PAAPI falsa
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { configureTestEnv, listen, TEST_ENV } = require('./helpers');
+const { startFakePaapi } = require('./fake-paapi');
+
+let fake;
+let api;
+
+before(async () => {
+    // A assinatura das requisições é verificada com as credenciais dos testes
+    fake = await startFakePaapi({
+        accessKey: TEST_ENV.AMAZON_ACCESS_KEY,
+        secretKey: TEST_ENV.AMAZON_SECRET_KEY,
+        partnerTags: [TEST_ENV.AMAZON_PARTNER_TAG]
+    });
+    configureTestEnv({ AMAZON_API_HOST: fake.host });
+
+    api = await listen(require('../app'));
+});
+
+after(async () => {
+    await api.close();
+    await fake.close();
+});
+
+beforeEach(() => fake.reset());
+
+/**
+ * Verifica o corpo padronizado de erro (errors.js)
+ * @param {Object} response - Resposta de api.request
+ * @param {number} status - Status esperado
+ * @param {string} code - Código esperado
+ */
+function assertError(response, status, code) {
+    assert.equal(response.status, status);
+    assert.equal(response.body.status, status);
+    assert.equal(response.body.code, code);
+    assert.equal(typeof response.body.error, 'string');
+    assert.equal(response.body.requestId, response.headers.get('x-request-id'));
+}
+
+describe('rotas de sucesso', () => {
+    test('GET /health', async () => {
+        const response = await api.request('/health');
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.status, 'OK');
+    });
+
+    test('GET /amazon-products/search consulta a PAAPI com assinatura válida', async () => {
+        const response = await api.request('/amazon-products/search?query=fone&itemCount=3');
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.products.length, 3);
+        assert.equal(response.body.metadata.source, 'amazon_api');
+        assert.match(response.body.products[0].url, /tag=testes-20/);
+        assert.equal(fake.requests.length, 1);
+    });
+
+    test('GET /amazon-products/items', async () => {
+        const response = await api.request('/amazon-products/items?asins=B0FAKE0004,B0NOTFOUND');
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.products.map(product => product.asin), ['B0FAKE0004']);
+        assert.deepEqual(response.body.metadata.notFound, ['B0NOTFOUND']);
+    });
+
+    test('GET /amazon-products/items com perfil e campos selecionados', async () => {
+        const response = await api.request('/amazon-products/items?asins=B0FAKE0001&profile=detail&fields=rating,reviewCount');
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.products, [{ asin: 'B0FAKE0001', rating: 4.6, reviewCount: 1843 }]);
+        assert.equal(response.body.metadata.profile, 'detail');
+        assert.deepEqual(response.body.metadata.fields, ['asin', 'rating', 'reviewCount']);
+    });
+
+    test('GET /amazon-products/categories/:id', async () => {
+        const response = await api.request('/amazon-products/categories/16243803011');
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.node.name, 'Fones de Ouvido');
+        assert.deepEqual(response.body.node.ancestors.map(ancestor => ancestor.id), ['16209062011']);
+        assert.equal(response.body.node.children.length, 2);
+        assert.equal(response.body.metadata.marketplace, 'br');
+    });
+
+    test('administração do cache de categorias', async () => {
+        await api.request('/amazon-products/categories/16243803011');
+        const headers = { Authorization: `Bearer ${TEST_ENV.ADMIN_TOKEN}` };
+
+        const entry = await api.request('/admin/cache/categories/br_16243803011', { headers });
+        assert.equal(entry.status, 200);
+        assert.equal(entry.body.name, 'Fones de Ouvido');
+        assert.equal(entry.body.state, 'fresh');
+
+        // A atualização consulta a Amazon mesmo com a categoria dentro da validade
+        const requestsBefore = fake.requests.length;
+        const refreshed = await api.request('/admin/cache/categories/br_16243803011/refresh', { method: 'POST', headers });
+        assert.equal(refreshed.status, 200);
+        assert.equal(fake.requests.length, requestsBefore + 1);
+
+        const purge = await api.request('/admin/cache/purge', {
+            method: 'POST',
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ namespace: 'categories', asin: 'B0FAKE0001', dryRun: true })
+        });
+        assert.equal(purge.body.matched, 0);
+    });
+
+    test('GET /amazon-products/categories/:id/search inclui as subcategorias', async () => {
+        const response = await api.request('/amazon-products/categories/16364755011/search?query=logitech');
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.products.map(product => product.asin).sort(), ['B0FAKE0005', 'B0FAKE0006']);
+        assert.deepEqual(response.body.metadata.filters, { browseNodeId: '16364755011' });
+    });
+
+    test('GET /amazon-products/:asin/variations', async () => {
+        const response = await api.request('/amazon-products/B0FAKE0102/variations?variationCount=2&page=2&fields=price');
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.parentAsin, 'B0FAKEP001');
+        assert.deepEqual(response.body.variations, [
+            { asin: 'B0FAKE0102', price: 259.9, dimensionValues: { color_name: 'Azul' } },
+            { asin: 'B0FAKE0103', price: 229.9, dimensionValues: { color_name: 'Rosa' } }
+        ]);
+        assert.equal(response.body.metadata.pageCount, 2);
+        assert.equal(response.body.metadata.hasMore, false);
+        assert.equal(fake.requests[0].body.VariationPage, 2);
+    });
+
+    test('GET /amazon-products/feed exporta os produtos em cache sem consultar a PAAPI', async () => {
+        await api.request('/amazon-products/search?query=fone&itemCount=3');
+        fake.reset();
+
+        const csv = await api.request('/amazon-products/feed?query=jbl&subtag=newsletter');
+        assert.equal(csv.status, 200);
+        assert.match(csv.headers.get('content-type'), /^text\/csv/);
+        assert.match(csv.headers.get('content-disposition'), /amazon-products-br\.csv/);
+
+        const [header, ...rows] = csv.body.trim().split('\r\n');
+        assert.match(header, /^asin,title,brand,price,/);
+        assert.equal(rows.length, 1);
+        assert.match(rows[0], /^B0FAKE0001,Fone de Ouvido Bluetooth JBL Tune 510BT,JBL,249\.9,/);
+        assert.match(rows[0], /\?tag=testes-20&.*ascsubtag=newsletter,/);
+
+        const rss = await api.request('/amazon-products/feed?format=rss&minDiscount=20');
+        assert.match(rss.headers.get('content-type'), /^application\/rss\+xml/);
+        assert.match(rss.body, /<guid isPermaLink="false">br:B0FAKE0001<\/guid>/);
+
+        assert.equal(fake.requests.length, 0);
+    });
+
+    test('GET /go/:asin redireciona mesmo com a assinatura do cliente inválida', async () => {
+        const response = await api.request('/go/B0FAKE0001?placement=sidebar&client=AbCdEfGhIj0123456789&sig=falsa', {
+            redirect: 'manual'
+        });
+
+        assert.equal(response.status, 302);
+        assert.match(response.headers.get('location'), /^https:\/\/www\.amazon\.com\.br\/dp\/B0FAKE0001\?tag=testes-20/);
+    });
+
+    test('devolve o X-Request-Id recebido ou gera um novo', async () => {
+        const received = await api.request('/health', { headers: { 'X-Request-Id': 'pedido-123' } });
+        assert.equal(received.headers.get('x-request-id'), 'pedido-123');
+
+        const generated = await api.request('/health', { headers: { 'X-Request-Id': 'id inválido' } });
+        assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    });
+});
+
+describe('erros de validação', () => {
+    test('busca sem query', async () => {
+        assertError(await api.request('/amazon-products/search'), 400, 'VALIDATION_ERROR');
+        assert.equal(fake.requests.length, 0);
+    });
+
+    test('filtro inválido', async () => {
+        assertError(await api.request('/amazon-products/search?query=fone&sortBy=Popularity'), 400, 'VALIDATION_ERROR');
+        assert.equal(fake.requests.length, 0);
+    });
+
+    test('campo de fora do perfil', async () => {
+        assertError(await api.request('/amazon-products/search?query=fone&fields=rating'), 400, 'VALIDATION_ERROR');
+        assert.equal(fake.requests.length, 0);
+    });
+
+    test('ID de categoria inválido', async () => {
+        assertError(await api.request('/amazon-products/categories/eletronicos'), 400, 'VALIDATION_ERROR');
+        assert.equal(fake.requests.length, 0);
+    });
+
+    test('página de variações inválida', async () => {
+        assertError(await api.request('/amazon-products/B0FAKE0001/variations?variationCount=11'), 400, 'VALIDATION_ERROR');
+        assertError(await api.request('/amazon-products/B0FAKE0001/variations?page=0'), 400, 'VALIDATION_ERROR');
+        assert.equal(fake.requests.length, 0);
+    });
+
+    test('formato de feed inválido', async () => {
+        assertError(await api.request('/amazon-products/feed?format=json'), 400, 'VALIDATION_ERROR');
+        assertError(await api.request('/amazon-products/feed?minDiscount=100'), 400, 'VALIDATION_ERROR');
+    });
+
+    test('ASIN inválido', async () => {
+        assertError(await api.request('/amazon-products/items?asins=abc'), 400, 'VALIDATION_ERROR');
+    });
+
+    test('JSON malformado', async () => {
+        const response = await api.request('/amazon-products/contextual', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{"text":'
+        });
+
+        assertError(response, 400, 'INVALID_REQUEST');
+    });
+});
+
+describe('falhas da PAAPI', () => {
+    test('TooManyRequests vira 429 com Retry-After', async () => {
+        fake.injectError({ status: 429, code: 'TooManyRequests', message: 'The request was denied due to request throttling.' });
+
+        const response = await api.request('/amazon-products/search?query=teclado');
+
+        assertError(response, 429, 'RATE_LIMITED');
+        assert.ok(Number(response.headers.get('retry-after')) >= 1);
+    });
+
+    test('credenciais recusadas viram 401', async () => {
+        fake.injectError({ status: 401, code: 'InvalidSignature', message: 'The request signature we calculated does not match.' });
+
+        assertError(await api.request('/amazon-products/search?query=mouse'), 401, 'AMAZON_AUTHENTICATION_ERROR');
+    });
+
+    test('parâmetro recusado pela PAAPI vira 400', async () => {
+        fake.injectError({ status: 400, code: 'InvalidParameterValue', message: 'The value provided is invalid.' });
+
+        assertError(await api.request('/amazon-products/search?query=cabo'), 400, 'AMAZON_INVALID_PARAMETER');
+    });
+
+    test('erro interno da PAAPI vira 502', async () => {
+        fake.injectError({ status: 500 });
+
+        assertError(await api.request('/amazon-products/items?asins=B0FAKE0005'), 502, 'UPSTREAM_ERROR');
+    });
+
+    test('conexão derrubada vira 503', async () => {
+        fake.injectError({ network: true });
+
+        assertError(await api.request('/amazon-products/search?query=livro'), 503, 'AMAZON_UNAVAILABLE');
+    });
+
+    test('detalhes internos não são expostos fora de desenvolvimento', async () => {
+        fake.injectError({ status: 500, message: 'detalhe interno' });
+
+        const response = await api.request('/amazon-products/items?asins=B0FAKE0006');
+
+        assert.equal(response.body.details, undefined);
+        assert.doesNotMatch(JSON.stringify(response.body), /detalhe interno/);
+    });
+});
+
+describe('outras respostas de erro', () => {
+    test('endpoint inexistente', async () => {
+        assertError(await api.request('/nao-existe'), 404, 'ENDPOINT_NOT_FOUND');
+    });
+
+    test('categoria inexistente', async () => {
+        assertError(await api.request('/amazon-products/categories/123'), 404, 'BROWSE_NODE_NOT_FOUND');
+    });
+
+    test('origem fora do CORS', async () => {
+        const allowed = await api.request('/health', { headers: { Origin: TEST_ENV.URL_LOCAL } });
+        assert.equal(allowed.headers.get('access-control-allow-origin'), TEST_ENV.URL_LOCAL);
+
+        // Sem chaves de API, /amazon-products também segue a lista global
+        assertError(await api.request('/amazon-products/search?query=fone', {
+            headers: { Origin: 'https://outro-site.com' }
+        }), 403, 'CORS_DENIED');
+    });
+
+    test('administração sem token', async () => {
+        assertError(await api.request('/admin/cache/stats'), 401, 'ADMIN_TOKEN_INVALID');
+    });
+
+    test('administração com token', async () => {
+        const response = await api.request('/admin/cache/stats', {
+            headers: { Authorization: `Bearer ${TEST_ENV.ADMIN_TOKEN}` }
+        });
+
+        assert.equal(response.status, 200);
+    });
+
+    test('histórico de preços sem Firebase', async () => {
+        assertError(await api.request('/amazon-products/B0FAKE0001/price-history'), 503, 'FIRESTORE_UNAVAILABLE');
+    });
+});
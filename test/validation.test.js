@@ -0,0 +1,220 @@
+/**
+ * Testes da validação dos parâmetros de busca, filtros, ASINs, campos, URLs de webhook
+ * e identificadores de clique
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { configureTestEnv } = require('./helpers');
+
+configureTestEnv({ AMAZON_PARTNER_TAG_US: 'testes-us-20' });
+
+const { normalizeSearchFilters, validateSearchParams, normalizeAsins, normalizeBrowseNodeId } = require('../paapi');
+const { validateSearchRequest, MAX_ITEM_COUNT } = require('../catalog');
+const { parseFields, pickProductFields } = require('../resource-profiles');
+const { validateWebhookUrl, resolveWebhookAddress } = require('../watches');
+const { parseClientId, signClickLink, verifyClickLink } = require('../clicks');
+const { ValidationError } = require('../errors');
+
+describe('validateSearchRequest', () => {
+    test('normaliza a query para o cache e mantém a original para a busca', () => {
+        const params = validateSearchRequest({ query: '  Fone JBL ' });
+
+        assert.equal(params.query, 'fone jbl');
+        assert.equal(params.originalQuery, 'Fone JBL');
+        assert.equal(params.itemCount, 10);
+        assert.equal(params.page, null);
+        assert.equal(params.marketplace, 'br');
+        assert.equal(params.profile, 'card');
+        assert.deepEqual(params.filters, {});
+    });
+
+    test('exige a query', () => {
+        assert.throws(() => validateSearchRequest({}), ValidationError);
+        assert.throws(() => validateSearchRequest({ query: '   ' }), ValidationError);
+    });
+
+    test('dispensa a query em buscas dentro de uma categoria', () => {
+        const params = validateSearchRequest({ browseNodeId: '16243803011' });
+
+        assert.equal(params.query, '');
+        assert.deepEqual(params.filters, { browseNodeId: '16243803011' });
+    });
+
+    test('limita itemCount e usa o padrão para valores inválidos', () => {
+        assert.equal(validateSearchRequest({ query: 'fone', itemCount: '999' }).itemCount, MAX_ITEM_COUNT);
+        assert.equal(validateSearchRequest({ query: 'fone', itemCount: 'abc' }).itemCount, 10);
+        assert.equal(validateSearchRequest({ query: 'fone', itemCount: '0' }).itemCount, 10);
+    });
+
+    test('com página explícita, limita itemCount a uma página da PAAPI', () => {
+        const params = validateSearchRequest({ query: 'fone', itemCount: '30', page: '2' });
+
+        assert.equal(params.page, 2);
+        assert.equal(params.itemCount, 10);
+    });
+
+    test('recusa páginas fora do intervalo', () => {
+        assert.throws(() => validateSearchRequest({ query: 'fone', page: '0' }), /page/);
+        assert.throws(() => validateSearchRequest({ query: 'fone', page: '11' }), /page/);
+        assert.throws(() => validateSearchRequest({ query: 'fone', page: '1.5' }), /page/);
+    });
+
+    test('valida o marketplace', () => {
+        assert.equal(validateSearchRequest({ query: 'fone', marketplace: 'US' }).marketplace, 'us');
+        assert.throws(() => validateSearchRequest({ query: 'fone', marketplace: 'jp' }), /Marketplace inválido/);
+        assert.throws(() => validateSearchRequest({ query: 'fone', marketplace: 'es' }), /partner tag/);
+    });
+
+    test('valida o perfil de recursos', () => {
+        assert.equal(validateSearchRequest({ query: 'fone', profile: 'DETAIL' }).profile, 'detail');
+        assert.throws(() => validateSearchRequest({ query: 'fone', profile: 'completo' }), /Valores aceitos: minimal, card, detail, full/);
+    });
+});
+
+describe('parseFields', () => {
+    test('mantém a ordem do perfil e sempre inclui o asin', () => {
+        assert.deepEqual(parseFields('price, title,price'), ['asin', 'title', 'price']);
+        assert.deepEqual(parseFields(['rating'], 'detail'), ['asin', 'rating']);
+        assert.equal(parseFields(''), null);
+        assert.equal(parseFields(undefined), null);
+    });
+
+    test('recusa campos de fora do perfil', () => {
+        assert.throws(() => parseFields('rating'), /rating não pertence\(m\) ao perfil card/);
+        assert.throws(() => parseFields('title,foo', 'full'), ValidationError);
+    });
+
+    test('pickProductFields mantém apenas os campos selecionados', () => {
+        const product = { asin: 'B0FAKE0001', title: 'Fone', price: 10, brand: 'JBL' };
+
+        assert.deepEqual(pickProductFields(product, ['asin', 'price']), { asin: 'B0FAKE0001', price: 10 });
+        assert.equal(pickProductFields(product, null), product);
+    });
+});
+
+describe('normalizeSearchFilters', () => {
+    test('aceita valores enumerados sem diferenciar maiúsculas', () => {
+        assert.deepEqual(normalizeSearchFilters({ sortBy: 'price:lowtohigh', condition: 'new' }), {
+            sortBy: 'Price:LowToHigh',
+            condition: 'New'
+        });
+    });
+
+    test('omite valores iguais ao padrão e chaves desconhecidas', () => {
+        assert.deepEqual(normalizeSearchFilters({ merchant: 'amazon', searchIndex: 'All', foo: 'bar' }), {});
+    });
+
+    test('arredonda preços para centavos e exige minPrice <= maxPrice', () => {
+        assert.deepEqual(normalizeSearchFilters({ minPrice: '10.999', maxPrice: '20' }), { minPrice: 11, maxPrice: 20 });
+        assert.throws(() => normalizeSearchFilters({ minPrice: '30', maxPrice: '20' }), /minPrice/);
+        assert.throws(() => normalizeSearchFilters({ maxPrice: '-5' }), /maxPrice/);
+    });
+
+    test('ordena e remove duplicatas de deliveryFlags', () => {
+        assert.deepEqual(normalizeSearchFilters({ deliveryFlags: 'prime,FreeShipping,Prime' }), {
+            deliveryFlags: ['FreeShipping', 'Prime']
+        });
+    });
+
+    test('recusa valores fora dos limites', () => {
+        assert.throws(() => normalizeSearchFilters({ minReviewsRating: '5' }), ValidationError);
+        assert.throws(() => normalizeSearchFilters({ minSavingPercent: '0' }), ValidationError);
+        assert.throws(() => normalizeSearchFilters({ sortBy: 'Popularity' }), /Valores aceitos/);
+        assert.throws(() => normalizeSearchFilters({ searchIndex: 'All Books' }), /searchIndex/);
+        assert.throws(() => normalizeSearchFilters({ brand: 'x'.repeat(101) }), /brand/);
+    });
+
+    test('valida o ID da categoria', () => {
+        assert.equal(normalizeBrowseNodeId(' 16243803011 '), '16243803011');
+        assert.throws(() => normalizeBrowseNodeId('eletronicos'), ValidationError);
+        assert.throws(() => normalizeSearchFilters({ browseNodeId: '1'.repeat(21) }), /categoria/);
+    });
+});
+
+describe('validateSearchParams', () => {
+    test('aceita uma página da PAAPI', () => {
+        assert.doesNotThrow(() => validateSearchParams({ query: 'fone', itemCount: 10, itemPage: 10 }));
+    });
+
+    test('recusa itemCount e itemPage fora dos limites da PAAPI', () => {
+        assert.throws(() => validateSearchParams({ query: 'fone', itemCount: 11 }), /ItemCount/);
+        assert.throws(() => validateSearchParams({ query: 'fone', itemCount: 5, itemPage: 11 }), /ItemPage/);
+        assert.throws(() => validateSearchParams({ query: '', itemCount: 5 }), /Query/);
+        assert.doesNotThrow(() => validateSearchParams({ query: '', itemCount: 5, browseNodeId: '16243803011' }));
+    });
+});
+
+describe('normalizeAsins', () => {
+    test('converte para maiúsculas e remove duplicatas', () => {
+        assert.deepEqual(normalizeAsins([' b0fake0001', 'B0FAKE0001', 'B0FAKE0002']), ['B0FAKE0001', 'B0FAKE0002']);
+    });
+
+    test('recusa listas vazias e ASINs inválidos', () => {
+        assert.throws(() => normalizeAsins([]), ValidationError);
+        assert.throws(() => normalizeAsins('B0FAKE0001'), ValidationError);
+        assert.throws(() => normalizeAsins(['B0FAKE0001', 'curto']), /CURTO/);
+    });
+});
+
+describe('validateWebhookUrl', () => {
+    test('aceita hosts públicos', () => {
+        assert.equal(validateWebhookUrl('https://hooks.exemplo.com/amazon'), 'https://hooks.exemplo.com/amazon');
+        assert.equal(validateWebhookUrl('https://8.8.8.8/hook'), 'https://8.8.8.8/hook');
+    });
+
+    test('recusa hosts da rede interna', () => {
+        [
+            'https://localhost/hook',
+            'https://127.0.0.1/hook',
+            'https://2130706433/hook',
+            'https://169.254.169.254/latest/meta-data',
+            'https://10.0.0.5/hook',
+            'https://172.20.1.1/hook',
+            'https://192.168.0.10/hook',
+            'https://[::1]/hook',
+            'https://[fd00::1]/hook',
+            'https://[::ffff:127.0.0.1]/hook',
+            'https://metadata/hook',
+            'https://metadata.google.internal/hook'
+        ].forEach(url => assert.throws(() => validateWebhookUrl(url), ValidationError, url));
+    });
+
+    test('recusa na entrega hosts que resolvem para a rede interna', async () => {
+        await assert.rejects(resolveWebhookAddress('https://127.0.0.1/hook'), ValidationError);
+        assert.deepEqual(await resolveWebhookAddress('https://8.8.8.8/hook'), { address: '8.8.8.8', family: 4 });
+    });
+});
+
+describe('parseClientId', () => {
+    test('aceita o ID de uma chave de API', () => {
+        assert.equal(parseClientId('AbCdEfGhIj0123456789'), 'AbCdEfGhIj0123456789');
+        assert.equal(parseClientId(undefined), null);
+        assert.equal(parseClientId(''), null);
+    });
+
+    test('recusa valores fora do formato', () => {
+        ['curto', 'aak_AbCdEfGhIj0123456789_segredo', 'AbCdEfGhIj012345678-', ['AbCdEfGhIj0123456789']]
+            .forEach(value => assert.throws(() => parseClientId(value), ValidationError));
+    });
+});
+
+describe('assinatura do cliente nos links', () => {
+    const link = { asin: 'B0FAKE0001', apiKeyId: 'AbCdEfGhIj0123456789', placement: 'widget-grid' };
+
+    test('aceita a assinatura gerada para o link', () => {
+        assert.equal(verifyClickLink(link, signClickLink(link)), true);
+    });
+
+    test('recusa assinatura ausente ou de outro link', () => {
+        const signature = signClickLink(link);
+
+        assert.equal(verifyClickLink(link, undefined), false);
+        assert.equal(verifyClickLink(link, 'assinatura-falsa'), false);
+        assert.equal(verifyClickLink({ ...link, apiKeyId: 'ZzZzZzZzZz0123456789' }, signature), false);
+        assert.equal(verifyClickLink({ ...link, asin: 'B0FAKE0002' }, signature), false);
+        assert.equal(verifyClickLink({ ...link, placement: null }, signature), false);
+    });
+});
@@ -0,0 +1,218 @@
+/**
+ * Verificador periódico de watches
+ *
+ * Em intervalos configuráveis, atualiza na Amazon os ASINs monitorados,
+ * avalia as condições de cada watch e dispara os webhooks correspondentes.
+ * Cada execução respeita um orçamento de chamadas à PAAPI, priorizando os
+ * ASINs verificados há mais tempo; o ritmo das chamadas fica a cargo do
+ * limitador compartilhado de paapi.js. Entregas de webhook que falharam são
+ * reprocessadas em um intervalo próprio, mais curto.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { getFirestore, admin } = require('./firebase');
+const { getItems } = require('./paapi');
+const { WATCHES_COLLECTION, evaluateWatch } = require('./watches');
+const { enqueueWebhook, processPendingDeliveries } = require('./webhooks');
+const { recordPriceSnapshots } = require('./price-history');
+const { logger } = require('./logger');
+
+// Configuração do verificador
+const CHECK_INTERVAL_MS = (parseInt(process.env.WATCH_CHECK_INTERVAL_MINUTES, 10) || 30) * 60 * 1000;
+const RETRY_INTERVAL_MS = (parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS, 10) || 60) * 1000;
+const MAX_PAAPI_CALLS_PER_RUN = parseInt(process.env.WATCH_MAX_PAAPI_CALLS_PER_RUN, 10) || 5;
+const ASINS_PER_CALL = 10;
+
+let checkTimer = null;
+let retryTimer = null;
+let running = false;
+let retrying = false;
+
+/**
+ * Agrupa os watches ativos por marketplace e ASIN, do menos recente ao mais recente
+ * @param {Array<Object>} docs - Documentos de watches
+ * @returns {Array<Object>} Lotes { marketplace, asins } de até 10 ASINs
+ */
+function planBatches(docs) {
+    const lastCheckByKey = new Map();
+
+    docs.forEach(doc => {
+        const { asin, marketplace, lastCheckedAt } = doc.data();
+        const key = `${marketplace}|${asin}`;
+        const checkedAt = lastCheckedAt ? lastCheckedAt.toMillis() : 0;
+
+        // O ASIN é tão antigo quanto o watch verificado há mais tempo
+        if (!lastCheckByKey.has(key) || checkedAt < lastCheckByKey.get(key)) {
+            lastCheckByKey.set(key, checkedAt);
+        }
+    });
+
+    const asinsByMarketplace = new Map();
+    [...lastCheckByKey.entries()]
+        .sort((a, b) => a[1] - b[1])
+        .forEach(([key]) => {
+            const [marketplace, asin] = key.split('|');
+            if (!asinsByMarketplace.has(marketplace)) {
+                asinsByMarketplace.set(marketplace, []);
+            }
+            asinsByMarketplace.get(marketplace).push(asin);
+        });
+
+    const batches = [];
+    asinsByMarketplace.forEach((asins, marketplace) => {
+        for (let i = 0; i < asins.length; i += ASINS_PER_CALL) {
+            batches.push({ marketplace, asins: asins.slice(i, i + ASINS_PER_CALL) });
+        }
+    });
+
+    return batches;
+}
+
+/**
+ * Avalia e atualiza os watches de um lote de produtos atualizados
+ * @param {Array<Object>} docs - Documentos de watches do lote
+ * @param {Map<string, Object>} productsByAsin - Produtos retornados pela Amazon
+ * @returns {Promise<number>} Quantidade de notificações disparadas
+ */
+async function applyResults(docs, productsByAsin) {
+    let notifications = 0;
+    const now = admin.firestore.Timestamp.now();
+
+    for (const doc of docs) {
+        const watch = doc.data();
+        const product = productsByAsin.get(watch.asin) || null;
+        const { events, state } = evaluateWatch(watch, product);
+
+        const update = { ...state, lastCheckedAt: now };
+        if (events.length > 0) {
+            update.lastTriggeredAt = now;
+        }
+
+        await doc.ref.update(update);
+
+        for (const event of events) {
+            notifications++;
+            await enqueueWebhook(doc.id, {
+                event,
+                watchId: doc.id,
+                asin: watch.asin,
+                marketplace: watch.marketplace,
+                targetPrice: watch.targetPrice ?? null,
+                dropPercent: watch.dropPercent ?? null,
+                baselinePrice: state.baselinePrice,
+                price: state.lastPrice,
+                available: state.lastAvailable,
+                product,
+                triggeredAt: now.toDate().toISOString()
+            }).catch(error => {
+                logger.error('Erro ao registrar webhook do watch', { watchId: doc.id, error });
+            });
+        }
+    }
+
+    return notifications;
+}
+
+/**
+ * Executa uma rodada de verificação dos watches ativos
+ * @returns {Promise<Object>} Resumo da execução
+ */
+async function runWatchCheck() {
+    if (running) {
+        return { skipped: true };
+    }
+
+    running = true;
+    const summary = { checkedAsins: 0, paapiCalls: 0, notifications: 0, errors: 0 };
+
+    try {
+        const snapshot = await getFirestore().collection(WATCHES_COLLECTION).where('active', '==', true).get();
+        const batches = planBatches(snapshot.docs).slice(0, MAX_PAAPI_CALLS_PER_RUN);
+
+        for (const { marketplace, asins } of batches) {
+            try {
+                summary.paapiCalls++;
+                const products = await getItems({ asins, marketplace });
+                const productsByAsin = new Map(products.map(product => [product.asin, product]));
+
+                recordPriceSnapshots(products, marketplace).catch(error => {
+                    logger.error('Erro ao registrar histórico de preços', { marketplace, error });
+                });
+
+                const batchDocs = snapshot.docs.filter(doc => {
+                    const data = doc.data();
+                    return data.marketplace === marketplace && asins.includes(data.asin);
+                });
+
+                summary.checkedAsins += asins.length;
+                summary.notifications += await applyResults(batchDocs, productsByAsin);
+            } catch (error) {
+                summary.errors++;
+                logger.error('Erro ao verificar watches', { marketplace, asins, error: error.message });
+            }
+        }
+
+        logger.info('Verificação de watches concluída', summary);
+    } catch (error) {
+        summary.errors++;
+        logger.error('Erro na verificação de watches', { error });
+    } finally {
+        running = false;
+    }
+
+    return summary;
+}
+
+/**
+ * Reprocessa as entregas de webhook pendentes, sem sobrepor execuções
+ * @returns {Promise<void>}
+ */
+async function runDeliveryRetry() {
+    if (retrying) {
+        return;
+    }
+
+    retrying = true;
+    try {
+        await processPendingDeliveries();
+    } catch (error) {
+        logger.error('Erro ao reprocessar webhooks', { error });
+    } finally {
+        retrying = false;
+    }
+}
+
+/**
+ * Inicia o verificador de watches e o reprocessamento de webhooks
+ */
+function startWatchChecker() {
+    if (checkTimer) {
+        return;
+    }
+
+    checkTimer = setInterval(runWatchCheck, CHECK_INTERVAL_MS);
+    retryTimer = setInterval(runDeliveryRetry, RETRY_INTERVAL_MS);
+
+    // Não impede o encerramento do processo
+    checkTimer.unref();
+    retryTimer.unref();
+
+    logger.info('Verificador de watches ativo', { intervalMinutes: CHECK_INTERVAL_MS / 60000 });
+}
+
+/**
+ * Interrompe o verificador de watches
+ */
+function stopWatchChecker() {
+    clearInterval(checkTimer);
+    clearInterval(retryTimer);
+    checkTimer = null;
+    retryTimer = null;
+}
+
+module.exports = {
+    runWatchCheck,
+    startWatchChecker,
+    stopWatchChecker
+};
@@ -0,0 +1,434 @@
+/**
+ * Watchlists de produtos com alertas de preço
+ *
+ * Um watch monitora um ASIN e dispara um webhook quando o preço atinge um
+ * valor alvo, cai um percentual em relação ao preço de referência ou quando
+ * o produto volta a ficar disponível. Os watches ficam na coleção
+ * `amazonWatches` do Firestore.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const { getFirestore, admin } = require('./firebase');
+const { normalizeAsins } = require('./paapi');
+const { getMarketplace } = require('./marketplaces');
+const { ValidationError } = require('./errors');
+
+// Coleção do Firestore com os watches
+const WATCHES_COLLECTION = 'amazonWatches';
+
+// Campos que podem ser alterados após a criação
+const UPDATABLE_FIELDS = ['targetPrice', 'dropPercent', 'notifyBackInStock', 'webhookUrl', 'active'];
+
+// Tipos de disponibilidade da PAAPI que indicam produto fora de estoque
+const UNAVAILABLE_TYPES = ['OutOfStock', 'Unknown'];
+
+// Faixas de IP que não podem receber webhooks: loopback, rede privada, link-local
+// (inclui o endereço de metadados da nuvem, 169.254.169.254), multicast e reservadas
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Nomes de host que só existem dentro da rede local
+const BLOCKED_HOST_SUFFIXES = ['.localhost', '.local', '.internal', '.lan', '.home.arpa'];
+
+/**
+ * Verifica se um IP pertence a uma faixa interna (BLOCKED_ADDRESSES)
+ * @param {string} address - Endereço IPv4 ou IPv6
+ * @returns {boolean} true se o endereço não for público
+ */
+function isPrivateAddress(address) {
+    // A BlockList também aplica as faixas IPv4 a endereços mapeados (::ffff:127.0.0.1)
+    const family = net.isIP(address);
+    return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Verifica se o host de uma URL aponta para a rede interna sem resolver DNS
+ * @param {string} hostname - Host da URL (IPv6 entre colchetes)
+ * @returns {boolean} true se for localhost, nome interno ou IP não público
+ */
+function isInternalHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase().replace(/\.$/, '');
+
+    if (net.isIP(host)) {
+        return isPrivateAddress(host);
+    }
+
+    // Nomes sem domínio (ex.: "metadata") só resolvem na rede local
+    return host === 'localhost' || !host.includes('.') || BLOCKED_HOST_SUFFIXES.some(suffix => host.endsWith(suffix));
+}
+
+/**
+ * Resolve o host do webhook e garante que todos os endereços são públicos
+ * 
+ * Chamado antes de cada entrega: um nome válido no cadastro pode passar a
+ * apontar para a rede interna depois. A entrega deve usar o endereço
+ * retornado, para que uma nova resolução não troque o destino.
+ * 
+ * @param {string} webhookUrl - URL do webhook
+ * @returns {Promise<Object>} Endereço ({ address, family }) usado na conexão
+ * @throws {ValidationError} Se o host for interno ou resolver para um IP não público
+ */
+async function resolveWebhookAddress(webhookUrl) {
+    const { hostname } = new URL(webhookUrl);
+
+    if (isInternalHost(hostname)) {
+        throw new ValidationError(`Host do webhook não permitido: ${hostname}`);
+    }
+
+    const addresses = await dns.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true });
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (addresses.length === 0 || blocked) {
+        throw new ValidationError(`Host do webhook resolve para um endereço interno: ${hostname}`);
+    }
+
+    return addresses[0];
+}
+
+/**
+ * Valida a URL do webhook
+ * @param {string} webhookUrl - URL informada
+ * @returns {string} URL normalizada
+ * @throws {ValidationError} Se a URL for inválida
+ */
+function validateWebhookUrl(webhookUrl) {
+    let url;
+    try {
+        url = new URL(String(webhookUrl));
+    } catch (error) {
+        throw new ValidationError('Campo "webhookUrl" inválido: deve ser uma URL absoluta');
+    }
+
+    // Em produção, apenas HTTPS para não expor o payload assinado
+    const allowedProtocols = process.env.NODE_ENV === 'development' ? ['https:', 'http:'] : ['https:'];
+    if (!allowedProtocols.includes(url.protocol)) {
+        throw new ValidationError(`Campo "webhookUrl" inválido: protocolo deve ser ${allowedProtocols.join(' ou ')}`);
+    }
+
+    // Webhooks são enviados de dentro da nossa rede: hosts internos abririam SSRF
+    if (isInternalHost(url.hostname)) {
+        throw new ValidationError('Campo "webhookUrl" inválido: o host não pode ser localhost, IP privado ou nome interno');
+    }
+
+    return url.toString();
+}
+
+/**
+ * Valida e normaliza os campos de um watch
+ * @param {Object} input - Corpo da requisição
+ * @param {Object} [options] - Opções de validação
+ * @param {boolean} [options.partial=false] - Valida apenas os campos presentes (atualização)
+ * @returns {Object} Campos validados
+ * @throws {ValidationError} Se algum campo for inválido
+ */
+function validateWatchInput(input, { partial = false } = {}) {
+    if (!input || typeof input !== 'object') {
+        throw new ValidationError('Corpo da requisição inválido: deve ser um objeto JSON');
+    }
+
+    const watch = {};
+    const has = field => input[field] !== undefined && input[field] !== null && input[field] !== '';
+
+    if (!partial) {
+        if (!has('asin')) {
+            throw new ValidationError('Campo "asin" é obrigatório');
+        }
+        [watch.asin] = normalizeAsins([input.asin]);
+        watch.marketplace = getMarketplace(input.marketplace).code;
+    }
+
+    if (has('targetPrice')) {
+        const targetPrice = Number(input.targetPrice);
+        if (!Number.isFinite(targetPrice) || targetPrice <= 0) {
+            throw new ValidationError('Campo "targetPrice" inválido: deve ser um preço positivo');
+        }
+        watch.targetPrice = Math.round(targetPrice * 100) / 100;
+    } else if (partial && input.targetPrice === null) {
+        watch.targetPrice = null;
+    }
+
+    if (has('dropPercent')) {
+        const dropPercent = Number(input.dropPercent);
+        if (!Number.isFinite(dropPercent) || dropPercent <= 0 || dropPercent >= 100) {
+            throw new ValidationError('Campo "dropPercent" inválido: deve ser um número entre 0 e 100');
+        }
+        watch.dropPercent = dropPercent;
+    } else if (partial && input.dropPercent === null) {
+        watch.dropPercent = null;
+    }
+
+    if (!partial && has('baselinePrice')) {
+        const baselinePrice = Number(input.baselinePrice);
+        if (!Number.isFinite(baselinePrice) || baselinePrice <= 0) {
+            throw new ValidationError('Campo "baselinePrice" inválido: deve ser um preço positivo');
+        }
+        watch.baselinePrice = baselinePrice;
+    }
+
+    if (has('notifyBackInStock')) {
+        watch.notifyBackInStock = input.notifyBackInStock === true || input.notifyBackInStock === 'true';
+    }
+
+    if (partial && has('active')) {
+        watch.active = input.active === true || input.active === 'true';
+    }
+
+    if (has('webhookUrl')) {
+        watch.webhookUrl = validateWebhookUrl(input.webhookUrl);
+    } else if (!partial) {
+        throw new ValidationError('Campo "webhookUrl" é obrigatório');
+    }
+
+    if (!partial && !watch.targetPrice && !watch.dropPercent && !watch.notifyBackInStock) {
+        throw new ValidationError('Watch inválido: informe "targetPrice", "dropPercent" ou "notifyBackInStock"');
+    }
+
+    return watch;
+}
+
+/**
+ * Converte um documento do Firestore na representação pública do watch
+ * @param {Object} doc - Documento do Firestore
+ * @param {Object} [options] - Opções de serialização
+ * @param {boolean} [options.includeSecret=false] - Inclui o segredo de assinatura
+ * @returns {Object} Watch serializado
+ */
+function serializeWatch(doc, { includeSecret = false } = {}) {
+    const data = doc.data();
+    const toIso = timestamp => (timestamp ? timestamp.toDate().toISOString() : null);
+
+    return {
+        id: doc.id,
+        asin: data.asin,
+        marketplace: data.marketplace,
+        targetPrice: data.targetPrice ?? null,
+        dropPercent: data.dropPercent ?? null,
+        notifyBackInStock: Boolean(data.notifyBackInStock),
+        webhookUrl: data.webhookUrl,
+        secret: includeSecret ? data.secret : undefined,
+        active: data.active !== false,
+        baselinePrice: data.baselinePrice ?? null,
+        lastPrice: data.lastPrice ?? null,
+        lastAvailable: data.lastAvailable ?? null,
+        conditionMet: Boolean(data.conditionMet),
+        lastCheckedAt: toIso(data.lastCheckedAt),
+        lastTriggeredAt: toIso(data.lastTriggeredAt),
+        createdAt: toIso(data.createdAt),
+        updatedAt: toIso(data.updatedAt)
+    };
+}
+
+/**
+ * Busca o documento de um watch pertencente à chave de API informada
+ *
+ * Watches de outra chave são tratados como inexistentes, para não revelar
+ * quais IDs existem. Sem chave (API_KEYS_ENABLED=false) todos são visíveis.
+ *
+ * @param {string} id - ID do watch
+ * @param {string|null} apiKeyId - ID da chave de API dona do watch
+ * @returns {Promise<Object|null>} Referência e documento, ou null se não encontrado
+ */
+async function getOwnedWatchDoc(id, apiKeyId) {
+    const docRef = getFirestore().collection(WATCHES_COLLECTION).doc(id);
+    const doc = await docRef.get();
+
+    if (!doc.exists || (apiKeyId && doc.data().apiKeyId !== apiKeyId)) {
+        return null;
+    }
+
+    return { docRef, doc };
+}
+
+/**
+ * Cria um novo watch
+ * @param {Object} input - Dados do watch (asin, marketplace, targetPrice, dropPercent,
+ * baselinePrice, notifyBackInStock, webhookUrl)
+ * @param {Object} [owner] - Dono do watch
+ * @param {string|null} [owner.apiKeyId=null] - ID da chave de API que criou o watch
+ * @returns {Promise<Object>} Watch criado, incluindo o segredo usado para assinar os webhooks
+ */
+async function createWatch(input, { apiKeyId = null } = {}) {
+    const watch = validateWatchInput(input);
+    const now = admin.firestore.Timestamp.now();
+
+    const docRef = getFirestore().collection(WATCHES_COLLECTION).doc();
+    await docRef.set({
+        targetPrice: null,
+        dropPercent: null,
+        notifyBackInStock: false,
+        baselinePrice: null,
+        ...watch,
+        // Segredo exibido apenas na criação, usado na assinatura HMAC dos webhooks
+        secret: crypto.randomBytes(32).toString('hex'),
+        active: true,
+        conditionMet: false,
+        lastPrice: null,
+        lastAvailable: null,
+        lastCheckedAt: null,
+        lastTriggeredAt: null,
+        apiKeyId,
+        createdAt: now,
+        updatedAt: now
+    });
+
+    return serializeWatch(await docRef.get(), { includeSecret: true });
+}
+
+/**
+ * Lista watches, opcionalmente filtrando por ASIN
+ * @param {Object} [filters] - Filtros da listagem
+ * @param {string} [filters.asin] - ASIN monitorado
+ * @param {string|null} [filters.apiKeyId] - Restringe aos watches desta chave de API
+ * @returns {Promise<Array<Object>>} Watches encontrados
+ */
+async function listWatches({ asin, apiKeyId } = {}) {
+    let query = getFirestore().collection(WATCHES_COLLECTION);
+
+    if (apiKeyId) {
+        query = query.where('apiKeyId', '==', apiKeyId);
+    }
+
+    if (asin) {
+        query = query.where('asin', '==', normalizeAsins([asin])[0]);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => serializeWatch(doc));
+}
+
+/**
+ * Recupera um watch pelo ID
+ * @param {string} id - ID do watch
+ * @param {Object} [owner] - Dono esperado do watch
+ * @param {string|null} [owner.apiKeyId] - ID da chave de API
+ * @returns {Promise<Object|null>} Watch ou null se não existir
+ */
+async function getWatch(id, { apiKeyId } = {}) {
+    const owned = await getOwnedWatchDoc(id, apiKeyId);
+    return owned ? serializeWatch(owned.doc) : null;
+}
+
+/**
+ * Atualiza os campos editáveis de um watch
+ * @param {string} id - ID do watch
+ * @param {Object} input - Campos a alterar
+ * @param {Object} [owner] - Dono esperado do watch
+ * @param {string|null} [owner.apiKeyId] - ID da chave de API
+ * @returns {Promise<Object|null>} Watch atualizado ou null se não existir
+ */
+async function updateWatch(id, input, { apiKeyId } = {}) {
+    const changes = validateWatchInput(input, { partial: true });
+    const fields = Object.keys(changes).filter(field => UPDATABLE_FIELDS.includes(field));
+
+    if (fields.length === 0) {
+        throw new ValidationError(`Corpo da requisição inválido: informe ao menos um dos campos ${UPDATABLE_FIELDS.join(', ')}`);
+    }
+
+    const owned = await getOwnedWatchDoc(id, apiKeyId);
+    if (!owned) {
+        return null;
+    }
+
+    const { docRef } = owned;
+    const update = { updatedAt: admin.firestore.Timestamp.now() };
+    fields.forEach(field => {
+        update[field] = changes[field];
+    });
+
+    // Mudança de condição reinicia o estado para permitir um novo disparo
+    if (fields.some(field => ['targetPrice', 'dropPercent'].includes(field))) {
+        update.conditionMet = false;
+    }
+
+    await docRef.update(update);
+    return serializeWatch(await docRef.get());
+}
+
+/**
+ * Remove um watch
+ * @param {string} id - ID do watch
+ * @param {Object} [owner] - Dono esperado do watch
+ * @param {string|null} [owner.apiKeyId] - ID da chave de API
+ * @returns {Promise<boolean>} true se o watch existia
+ */
+async function deleteWatch(id, { apiKeyId } = {}) {
+    const owned = await getOwnedWatchDoc(id, apiKeyId);
+    if (!owned) {
+        return false;
+    }
+
+    await owned.docRef.delete();
+    return true;
+}
+
+/**
+ * Verifica se um produto está disponível para compra
+ * @param {Object|null} product - Produto formatado (null se a Amazon não retornou o ASIN)
+ * @returns {boolean} true se disponível
+ */
+function isProductAvailable(product) {
+    return Boolean(product)
+        && typeof product.price === 'number'
+        && !UNAVAILABLE_TYPES.includes(product.availability);
+}
+
+/**
+ * Avalia as condições de um watch com base no produto atualizado
+ *
+ * Condições de preço disparam apenas na transição de "não atendida" para
+ * "atendida", evitando notificações repetidas enquanto o preço segue baixo.
+ *
+ * @param {Object} watch - Dados do watch (documento do Firestore)
+ * @param {Object|null} product - Produto atualizado
+ * @returns {Object} Eventos disparados e campos de estado a persistir
+ */
+function evaluateWatch(watch, product) {
+    const available = isProductAvailable(product);
+    const price = available ? product.price : null;
+    const baselinePrice = watch.baselinePrice ?? price;
+    const events = [];
+
+    const targetReached = Boolean(watch.targetPrice) && price !== null && price <= watch.targetPrice;
+    const dropReached = Boolean(watch.dropPercent) && price !== null && baselinePrice !== null
+        && price <= baselinePrice * (1 - watch.dropPercent / 100);
+    const conditionMet = targetReached || dropReached;
+
+    if (conditionMet && !watch.conditionMet) {
+        events.push(targetReached ? 'price_target_reached' : 'price_drop');
+    }
+
+    if (watch.notifyBackInStock && watch.lastAvailable === false && available) {
+        events.push('back_in_stock');
+    }
+
+    return {
+        events,
+        state: {
+            baselinePrice,
+            lastPrice: price,
+            lastAvailable: available,
+            conditionMet
+        }
+    };
+}
+
+module.exports = {
+    WATCHES_COLLECTION,
+    validateWebhookUrl,
+    resolveWebhookAddress,
+    createWatch,
+    listWatches,
+    getWatch,
+    updateWatch,
+    deleteWatch,
+    evaluateWatch
+};
@@ -0,0 +1,292 @@
+/**
+ * Entrega de webhooks assinados com retentativas
+ *
+ * Cada notificação é registrada na coleção `amazonWebhookDeliveries` antes
+ * do envio. Entregas que falham são reagendadas com backoff exponencial e
+ * reprocessadas pelo verificador de watches até o limite de tentativas.
+ *
+ * Cada tentativa reserva a entrega em uma transação (`pending` → `sending`)
+ * por DELIVERY_LEASE_MS, para que o envio imediato e os reenvios (inclusive
+ * de outras instâncias) nunca mandem o mesmo webhook ao mesmo tempo.
+ *
+ * O corpo é assinado com HMAC-SHA256 usando o segredo do watch sobre
+ * `${timestamp}.${corpo}`, enviado no header `X-Amazon-Ads-Signature`.
+ *
+ * @author Emanuel Ozorio
+ * @requires node-fetch
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { getFirestore, admin } = require('./firebase');
+const { WATCHES_COLLECTION, resolveWebhookAddress } = require('./watches');
+const { logger } = require('./logger');
+
+// node-fetch v3 é distribuído apenas como ES Module
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+// Coleção do Firestore com as entregas
+const DELIVERIES_COLLECTION = 'amazonWebhookDeliveries';
+
+// Configuração de entrega e retentativas
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const MAX_DELIVERY_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_DELAY_MS = 30 * 1000; // 30s, 1min, 2min, 4min, 8min...
+const MAX_DELIVERIES_PER_RUN = 50;
+
+// Reserva de uma entrega em envio; vencida (ex.: processo encerrado no meio do envio), ela volta a ser reenviada
+const DELIVERY_LEASE_MS = 2 * 60 * 1000;
+
+/**
+ * Assina o corpo de um webhook
+ * @param {string} secret - Segredo do watch
+ * @param {string} timestamp - Timestamp Unix (segundos) enviado no header
+ * @param {string} body - Corpo JSON serializado
+ * @returns {string} Assinatura no formato `sha256=<hex>`
+ */
+function signPayload(secret, timestamp, body) {
+    const signature = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+
+    return `sha256=${signature}`;
+}
+
+/**
+ * Calcula o momento da próxima tentativa (backoff exponencial com jitter)
+ * @param {number} attempts - Tentativas já realizadas
+ * @returns {number} Timestamp (ms) da próxima tentativa
+ */
+function computeNextAttempt(attempts) {
+    const delay = RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1);
+    const jitter = Math.random() * delay * 0.2;
+    return Date.now() + delay + jitter;
+}
+
+/**
+ * Cria um agente HTTP que conecta sempre ao endereço já verificado
+ * 
+ * Sem isso, o fetch resolveria o host de novo e um DNS que muda de resposta
+ * poderia levar a conexão para a rede interna.
+ * 
+ * @param {string} webhookUrl - URL do webhook
+ * @param {Object} target - Endereço ({ address, family }) retornado por resolveWebhookAddress
+ * @returns {Object} Agente http ou https
+ */
+function createPinnedAgent(webhookUrl, target) {
+    const Agent = new URL(webhookUrl).protocol === 'https:' ? https.Agent : http.Agent;
+
+    return new Agent({
+        lookup: (hostname, options, callback) => (options.all
+            ? callback(null, [target])
+            : callback(null, target.address, target.family))
+    });
+}
+
+/**
+ * Reserva uma entrega vencida para envio
+ *
+ * Em uma transação, passa a entrega para `sending`, conta a tentativa e
+ * move `nextAttemptAt` para o fim da reserva. Entregas já reservadas (com
+ * reserva ainda válida), entregues ou canceladas são ignoradas.
+ *
+ * @param {Object} deliveryRef - Referência do documento da entrega
+ * @returns {Promise<Object|null>} Dados da entrega reservada ou null se não estiver disponível
+ */
+async function claimDelivery(deliveryRef) {
+    return getFirestore().runTransaction(async transaction => {
+        const doc = await transaction.get(deliveryRef);
+        const delivery = doc.exists ? doc.data() : null;
+
+        const due = delivery
+            && ['pending', 'sending'].includes(delivery.status)
+            && delivery.nextAttemptAt
+            && delivery.nextAttemptAt.toMillis() <= Date.now();
+
+        if (!due) {
+            return null;
+        }
+
+        // Reservas vencidas também contam: um envio que derruba o processo não se repete para sempre
+        if ((delivery.attempts || 0) >= MAX_DELIVERY_ATTEMPTS) {
+            transaction.update(deliveryRef, {
+                status: 'failed',
+                nextAttemptAt: null,
+                lastError: delivery.lastError || 'Reserva de envio expirada',
+                updatedAt: admin.firestore.Timestamp.now()
+            });
+            return null;
+        }
+
+        const claim = {
+            status: 'sending',
+            attempts: (delivery.attempts || 0) + 1,
+            nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + DELIVERY_LEASE_MS),
+            updatedAt: admin.firestore.Timestamp.now()
+        };
+
+        transaction.update(deliveryRef, claim);
+        return { ...delivery, ...claim };
+    });
+}
+
+/**
+ * Envia o webhook de uma entrega já reservada e atualiza seu estado
+ * @param {Object} deliveryRef - Referência do documento da entrega
+ * @param {Object} delivery - Dados da entrega, com `attempts` contando esta tentativa
+ * @returns {Promise<boolean>} true se entregue com sucesso
+ */
+async function attemptDelivery(deliveryRef, delivery) {
+    const watchDoc = await getFirestore().collection(WATCHES_COLLECTION).doc(delivery.watchId).get();
+
+    // Watch removido ou desativado: a entrega perde o sentido
+    if (!watchDoc.exists || watchDoc.data().active === false) {
+        await deliveryRef.update({ status: 'cancelled', updatedAt: admin.firestore.Timestamp.now() });
+        return false;
+    }
+
+    const watch = watchDoc.data();
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const { attempts } = delivery;
+
+    let errorMessage = null;
+
+    try {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+
+        try {
+            // O host é resolvido a cada entrega e precisa continuar público
+            const target = await resolveWebhookAddress(watch.webhookUrl);
+
+            const response = await fetch(watch.webhookUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'firebase-amazon-ads-webhooks',
+                    'X-Amazon-Ads-Event': delivery.payload.event,
+                    'X-Amazon-Ads-Delivery': deliveryRef.id,
+                    'X-Amazon-Ads-Timestamp': timestamp,
+                    'X-Amazon-Ads-Signature': signPayload(watch.secret, timestamp, body)
+                },
+                body,
+                agent: createPinnedAgent(watch.webhookUrl, target),
+                // Redirecionamentos poderiam levar a um host interno sem nova verificação
+                redirect: 'manual',
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                errorMessage = `HTTP ${response.status}`;
+            }
+        } finally {
+            clearTimeout(timeout);
+        }
+    } catch (error) {
+        errorMessage = error.name === 'AbortError' ? 'Timeout' : error.message;
+    }
+
+    const now = admin.firestore.Timestamp.now();
+
+    if (!errorMessage) {
+        logger.info('Webhook entregue', {
+            deliveryId: deliveryRef.id,
+            event: delivery.payload.event,
+            asin: delivery.payload.asin,
+            watchId: delivery.watchId
+        });
+        await deliveryRef.update({ status: 'delivered', attempts, deliveredAt: now, updatedAt: now, lastError: null });
+        return true;
+    }
+
+    const exhausted = attempts >= MAX_DELIVERY_ATTEMPTS;
+    logger.warn('Falha ao entregar webhook', {
+        deliveryId: deliveryRef.id,
+        attempt: attempts,
+        maxAttempts: MAX_DELIVERY_ATTEMPTS,
+        error: errorMessage
+    });
+
+    await deliveryRef.update({
+        status: exhausted ? 'failed' : 'pending',
+        attempts,
+        lastError: errorMessage,
+        nextAttemptAt: exhausted ? null : admin.firestore.Timestamp.fromMillis(computeNextAttempt(attempts)),
+        updatedAt: now
+    });
+
+    return false;
+}
+
+/**
+ * Registra e tenta enviar imediatamente uma notificação de watch
+ *
+ * A entrega já nasce reservada (`sending`) para este envio; os reenvios só a
+ * consideram se a reserva vencer sem que o resultado seja gravado.
+ *
+ * @param {string} watchId - ID do watch
+ * @param {Object} payload - Corpo do webhook (event, asin, price, etc.)
+ * @returns {Promise<boolean>} true se entregue na primeira tentativa
+ */
+async function enqueueWebhook(watchId, payload) {
+    const now = admin.firestore.Timestamp.now();
+    const deliveryRef = getFirestore().collection(DELIVERIES_COLLECTION).doc();
+    const delivery = {
+        watchId,
+        payload,
+        status: 'sending',
+        attempts: 1,
+        lastError: null,
+        nextAttemptAt: admin.firestore.Timestamp.fromMillis(now.toMillis() + DELIVERY_LEASE_MS),
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await deliveryRef.set(delivery);
+    return attemptDelivery(deliveryRef, delivery);
+}
+
+/**
+ * Reenvia as entregas pendentes cujo horário de nova tentativa já passou
+ * 
+ * A consulta filtra pelo horário no Firestore, para que entregas agendadas no
+ * futuro (ex.: endpoint fora do ar) não ocupem o lugar das que já venceram.
+ * Entregas `sending` entram apenas com a reserva vencida. Cada entrega é
+ * reservada antes do envio; as reservadas por outro envio são puladas.
+ * Requer o índice composto status (asc) + nextAttemptAt (asc).
+ * 
+ * @returns {Promise<Object>} Quantidade de entregas processadas e bem-sucedidas
+ */
+async function processPendingDeliveries() {
+    const snapshot = await getFirestore().collection(DELIVERIES_COLLECTION)
+        .where('status', 'in', ['pending', 'sending'])
+        .where('nextAttemptAt', '<=', admin.firestore.Timestamp.now())
+        .orderBy('nextAttemptAt')
+        .limit(MAX_DELIVERIES_PER_RUN)
+        .get();
+
+    let processed = 0;
+    let delivered = 0;
+    for (const doc of snapshot.docs) {
+        const delivery = await claimDelivery(doc.ref);
+        if (!delivery) {
+            continue;
+        }
+
+        processed++;
+        if (await attemptDelivery(doc.ref, delivery)) {
+            delivered++;
+        }
+    }
+
+    return { processed, delivered };
+}
+
+module.exports = {
+    signPayload,
+    enqueueWebhook,
+    processPendingDeliveries
+};
@@ -0,0 +1,275 @@
+/**
+ * Widget de anúncios renderizado no servidor
+ *
+ * Gera o HTML pronto para incorporação com os cards de produto (título,
+ * imagem, preço, selo de desconto e Prime) a partir dos produtos formatados
+ * por formatAmazonItem, incluindo o aviso de afiliado da Amazon e a data do
+ * preço exigidos pelo programa de associados. Também gera o script carregador
+ * que injeta o widget nos elementos `<div data-amazon-ads>` dos sites.
+ *
+ * Os links dos produtos apontam para /go/:asin, de modo que os cliques no
+ * widget são registrados como os demais links de afiliado.
+ *
+ * @author Emanuel Ozorio
+ */
+
+const { signClickLink } = require('./clicks');
+
+// Layouts e temas disponíveis
+const WIDGET_LAYOUTS = ['grid', 'carousel', 'list'];
+const WIDGET_THEMES = ['light', 'dark'];
+
+/**
+ * Textos do widget por marketplace, no idioma da loja
+ * @type {Object<string, Object>}
+ */
+const WIDGET_TEXTS = {
+    br: {
+        locale: 'pt-BR',
+        disclosure: 'Como Associado da Amazon, recebemos por compras qualificadas.',
+        priceAsOf: date => `Preços em ${date}. Preços e disponibilidade sujeitos a alteração.`,
+        cta: 'Ver na Amazon',
+        noPrice: 'Preço indisponível',
+        empty: 'Nenhum produto encontrado.'
+    },
+    us: {
+        locale: 'en-US',
+        disclosure: 'As an Amazon Associate we earn from qualifying purchases.',
+        priceAsOf: date => `Prices as of ${date}. Product prices and availability are subject to change.`,
+        cta: 'View on Amazon',
+        noPrice: 'Price unavailable',
+        empty: 'No products found.'
+    },
+    es: {
+        locale: 'es-ES',
+        disclosure: 'Como Afiliado de Amazon, obtenemos ingresos por las compras adscritas que cumplen los requisitos aplicables.',
+        priceAsOf: date => `Precios a ${date}. Los precios y la disponibilidad pueden cambiar.`,
+        cta: 'Ver en Amazon',
+        noPrice: 'Precio no disponible',
+        empty: 'No se encontraron productos.'
+    }
+};
+
+// Estilos do widget, isolados pelo prefixo .aads- para não conflitar com o site
+const WIDGET_STYLES = `
+.aads-widget{--aads-bg:#fff;--aads-fg:#0f1111;--aads-muted:#565959;--aads-border:#d5d9d9;--aads-accent:#c7511f;font-family:Arial,Helvetica,sans-serif;color:var(--aads-fg);background:var(--aads-bg);border:1px solid var(--aads-border);border-radius:8px;padding:12px;box-sizing:border-box}
+.aads-widget.aads-theme-dark{--aads-bg:#131a22;--aads-fg:#f3f3f3;--aads-muted:#aab7b8;--aads-border:#37475a;--aads-accent:#ff9900}
+.aads-widget *{box-sizing:border-box}
+.aads-items{list-style:none;margin:0;padding:0;display:grid;gap:12px}
+.aads-layout-grid .aads-items{grid-template-columns:repeat(auto-fill,minmax(160px,1fr))}
+.aads-layout-carousel .aads-items{grid-auto-flow:column;grid-auto-columns:minmax(160px,200px);overflow-x:auto;scroll-snap-type:x mandatory}
+.aads-layout-carousel .aads-item{scroll-snap-align:start}
+.aads-item{position:relative;border:1px solid var(--aads-border);border-radius:6px;overflow:hidden}
+.aads-link{display:flex;flex-direction:column;gap:6px;height:100%;padding:10px;color:inherit;text-decoration:none}
+.aads-layout-list .aads-link{flex-direction:row;align-items:center}
+.aads-image{display:block;width:100%;height:140px;object-fit:contain;background:#fff}
+.aads-layout-list .aads-image{width:80px;height:80px;flex-shrink:0}
+.aads-info{display:flex;flex-direction:column;gap:4px;min-width:0}
+.aads-title{font-size:14px;line-height:1.3;display:-webkit-box;-webkit-line-clamp:2;-webkit-box-orient:vertical;overflow:hidden}
+.aads-price{font-size:16px;font-weight:bold}
+.aads-saving-basis{font-size:12px;color:var(--aads-muted);text-decoration:line-through}
+.aads-badge{position:absolute;top:8px;left:8px;padding:2px 6px;border-radius:4px;font-size:12px;font-weight:bold;color:#fff;background:#cc0c39}
+.aads-prime{align-self:flex-start;padding:1px 5px;border-radius:3px;font-size:11px;font-weight:bold;color:#fff;background:#00a8e1}
+.aads-cta{font-size:13px;color:var(--aads-accent)}
+.aads-price-as-of,.aads-disclosure,.aads-empty{margin:8px 0 0;font-size:11px;color:var(--aads-muted)}
+`.trim();
+
+/**
+ * Escapa texto para inserção segura em HTML (conteúdo e atributos)
+ * @param {*} value - Valor a escapar
+ * @returns {string} Texto escapado
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Calcula o percentual de desconto em relação ao preço de referência
+ * @param {Object} product - Produto formatado por formatAmazonItem
+ * @returns {number|null} Percentual inteiro ou null se não houver desconto
+ */
+function calculateSavingPercent(product) {
+    if (!product.price || !product.savingBasis || product.savingBasis <= product.price) {
+        return null;
+    }
+
+    const percent = Math.round((1 - product.price / product.savingBasis) * 100);
+    return percent > 0 ? percent : null;
+}
+
+/**
+ * Monta o link /go/:asin de um produto do widget
+ * @param {Object} params - Dados do link
+ * @param {string} params.baseUrl - URL pública da API
+ * @param {string} params.asin - ASIN do produto
+ * @param {string} params.marketplace - Código do marketplace
+ * @param {string} params.placement - Posicionamento registrado no clique
+ * @param {string|null} params.subTag - ID de sub-rastreamento
+ * @param {string} params.query - Busca que gerou o widget
+ * @param {string|null} [params.apiKeyId] - ID da chave de API que gerou o widget
+ * @returns {string} URL de redirecionamento
+ */
+function buildWidgetLink({ baseUrl, asin, marketplace, placement, subTag, query, apiKeyId }) {
+    const params = new URLSearchParams({ marketplace, placement });
+    if (subTag) {
+        params.set('subtag', subTag);
+    }
+    params.set('q', query);
+    if (apiKeyId) {
+        // Assinado, para que o clique só seja atribuído à chave em links gerados aqui
+        params.set('client', apiKeyId);
+        params.set('sig', signClickLink({ asin, apiKeyId, placement }));
+    }
+
+    return `${baseUrl}/go/${encodeURIComponent(asin)}?${params}`;
+}
+
+/**
+ * Renderiza o card de um produto
+ * @param {Object} product - Produto formatado por formatAmazonItem
+ * @param {Object} texts - Textos do marketplace
+ * @param {string} href - Link do produto
+ * @returns {string} HTML do card
+ */
+function renderProduct(product, texts, href) {
+    const savingPercent = calculateSavingPercent(product);
+
+    return [
+        '<li class="aads-item">',
+        `<a class="aads-link" href="${escapeHtml(href)}" target="_blank" rel="sponsored noopener">`,
+        savingPercent ? `<span class="aads-badge">-${savingPercent}%</span>` : '',
+        product.image ? `<img class="aads-image" src="${escapeHtml(product.image)}" alt="${escapeHtml(product.title)}" loading="lazy">` : '',
+        '<span class="aads-info">',
+        `<span class="aads-title">${escapeHtml(product.title)}</span>`,
+        `<span class="aads-price">${escapeHtml(product.priceFormatted || texts.noPrice)}</span>`,
+        savingPercent && product.savingBasisFormatted ? `<span class="aads-saving-basis">${escapeHtml(product.savingBasisFormatted)}</span>` : '',
+        product.isPrimeEligible ? '<span class="aads-prime">Prime</span>' : '',
+        `<span class="aads-cta">${escapeHtml(texts.cta)}</span>`,
+        '</span>',
+        '</a>',
+        '</li>'
+    ].join('');
+}
+
+/**
+ * Renderiza o HTML do widget
+ * @param {Object} params - Dados do widget
+ * @param {Array<Object>} params.products - Produtos formatados por formatAmazonItem
+ * @param {string} params.marketplace - Código do marketplace
+ * @param {string} params.layout - Layout (grid, carousel ou list)
+ * @param {string} params.theme - Tema (light ou dark)
+ * @param {Date} params.priceAsOf - Data em que os preços foram obtidos da Amazon
+ * @param {string} params.baseUrl - URL pública da API, usada nos links /go
+ * @param {string} params.placement - Posicionamento registrado nos cliques
+ * @param {string|null} params.subTag - ID de sub-rastreamento
+ * @param {string} params.query - Busca que gerou o widget
+ * @param {string|null} [params.apiKeyId] - ID da chave de API, atribuído aos cliques
+ * @returns {string} HTML pronto para incorporação
+ */
+function renderWidget({ products, marketplace, layout, theme, priceAsOf, baseUrl, placement, subTag, query, apiKeyId }) {
+    const texts = WIDGET_TEXTS[marketplace] || WIDGET_TEXTS.br;
+
+    const items = products.map(product => renderProduct(product, texts, buildWidgetLink({
+        baseUrl,
+        asin: product.asin,
+        marketplace,
+        placement,
+        subTag,
+        query,
+        apiKeyId
+    })));
+
+    // Data e hora em UTC, no formato do idioma da loja
+    const formattedDate = new Intl.DateTimeFormat(texts.locale, {
+        dateStyle: 'short',
+        timeStyle: 'short',
+        timeZone: 'UTC'
+    }).format(priceAsOf);
+
+    return [
+        `<div class="aads-widget aads-layout-${layout} aads-theme-${theme}" data-marketplace="${escapeHtml(marketplace)}">`,
+        `<style>${WIDGET_STYLES}</style>`,
+        items.length > 0
+            ? `<ul class="aads-items">${items.join('')}</ul>`
+            : `<p class="aads-empty">${escapeHtml(texts.empty)}</p>`,
+        `<p class="aads-price-as-of">${escapeHtml(texts.priceAsOf(`${formattedDate} UTC`))}</p>`,
+        `<p class="aads-disclosure">${escapeHtml(texts.disclosure)}</p>`,
+        '</div>'
+    ].join('\n');
+}
+
+/**
+ * Gera o script carregador do widget
+ *
+ * O script procura os elementos `[data-amazon-ads]` da página, envia seus
+ * atributos data-* (data-query, data-count, data-layout, data-theme,
+ * data-marketplace e filtros da busca) como parâmetros de
+ * /amazon-products/widget e injeta o HTML retornado no elemento. O atributo
+ * data-api-key é enviado no header X-API-Key; como ele fica visível no HTML
+ * da página, deve ser uma chave `publishable` (apenas a rota widget, restrita
+ * às origens do site e com cota).
+ *
+ * @param {string} baseUrl - URL pública da API
+ * @returns {string} Código JavaScript do carregador
+ */
+function renderLoaderScript(baseUrl) {
+    return `(function () {
+    'use strict';
+
+    var API_URL = ${JSON.stringify(baseUrl)};
+
+    function load(element) {
+        if (element.hasAttribute('data-amazon-ads-loaded')) {
+            return;
+        }
+        element.setAttribute('data-amazon-ads-loaded', '');
+
+        var params = new URLSearchParams();
+        Object.keys(element.dataset).forEach(function (name) {
+            if (name.indexOf('amazonAds') !== 0 && name !== 'apiKey') {
+                params.set(name, element.dataset[name]);
+            }
+        });
+
+        var headers = element.dataset.apiKey ? { 'X-API-Key': element.dataset.apiKey } : {};
+
+        fetch(API_URL + '/amazon-products/widget?' + params.toString(), { headers: headers })
+            .then(function (response) {
+                if (!response.ok) {
+                    throw new Error('HTTP ' + response.status);
+                }
+                return response.text();
+            })
+            .then(function (html) {
+                element.innerHTML = html;
+            })
+            .catch(function (error) {
+                console.warn('[amazon-ads] Falha ao carregar o widget:', error.message);
+            });
+    }
+
+    function init() {
+        Array.prototype.forEach.call(document.querySelectorAll('[data-amazon-ads]'), load);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
+`;
+}
+
+module.exports = {
+    WIDGET_LAYOUTS,
+    WIDGET_THEMES,
+    calculateSavingPercent,
+    renderWidget,
+    renderLoaderScript
+};